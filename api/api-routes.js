@@ -117,6 +117,46 @@ const validateAdmin = async (req, res, next) => {
   }
 };
 
+// Middleware for money-moving routes: a repeated Idempotency-Key header gets the original response back
+// instead of running the route again; 5xx responses are not kept so the client can retry them
+const idempotent = (scope) => async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  const idempotency = req.gameEngine?.idempotency;
+  if (key === undefined || !idempotency) {
+    return next();
+  }
+
+  try {
+    const userId = req.userProfile.id;
+    const outcome = await idempotency.run(userId, scope, key, req.body, () => new Promise(resolve => {
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        resolve({ status: res.statusCode, body });
+        return json(body);
+      };
+      next();
+    }));
+
+    if (outcome.error) {
+      return res.status(422).json({ error: outcome.error });
+    }
+
+    if (outcome.replayed) {
+      await logger.info(`replayed ${scope} for user ${userId}`, { idempotencyKey: key });
+      return res.status(outcome.result.status).set('Idempotent-Replayed', 'true').json(outcome.result.body);
+    }
+
+    if (outcome.result.status >= 500) {
+      idempotency.forget(userId, scope, key);
+    }
+  } catch (error) {
+    await logger.error('idempotency error', { error: error.message, scope });
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+};
+
 // GET /api/balance - Get user balance
 router.get('/balance', validateToken, async (req, res) => {
   try {
@@ -144,7 +184,7 @@ router.get('/balance', validateToken, async (req, res) => {
 });
 
 // POST /api/bet - Place a bet
-router.post('/bet', validateToken, async (req, res) => {
+router.post('/bet', validateToken, idempotent('POST /api/bet'), async (req, res) => {
   try {
     const { gameType, betAmount, gameId } = req.body;
     const userProfile = req.userProfile;
@@ -201,7 +241,7 @@ router.post('/bet', validateToken, async (req, res) => {
 });
 
 // POST /api/crash/bet - Place a crash game bet
-router.post('/crash/bet', validateToken, async (req, res) => {
+router.post('/crash/bet', validateToken, idempotent('POST /api/crash/bet'), async (req, res) => {
   try {
     const { betAmount, autoCashoutMultiplier } = req.body;
     
@@ -209,6 +249,11 @@ router.post('/crash/bet', validateToken, async (req, res) => {
       return res.status(400).json({ error: 'Invalid bet amount' });
     }
 
+    const gameEngine = req.gameEngine;
+    if (!gameEngine) {
+      return res.status(500).json({ error: 'Game engine not available' });
+    }
+
     const DatabaseService = require('../server/database-service');
     const dbService = new DatabaseService();
     await dbService.initialize();
@@ -235,22 +280,17 @@ router.post('/crash/bet', validateToken, async (req, res) => {
       return res.status(403).json({ error: 'You are banned from placing bets' });
     }
 
-    // Use the generic bet function
-    const result = await dbService.supabase.rpc('place_bet', {
-      p_game_type: 'crash',
-      p_user_id: userProfile.id,
-      p_bet_amount: betAmount,
-      p_round_id: 1 // This should be the current round ID
+    // The running game owns the round, its betting phase and liability caps, so the bet goes through it
+    const result = await gameEngine.processBet('crash-main', userProfile.id, {
+      amount: betAmount,
+      autoCashout: autoCashoutMultiplier
     });
 
-    if (result.error) {
-      return res.status(400).json({ error: result.error.message });
+    if (!result.success) {
+      return res.status(400).json({ error: result.message });
     }
 
-    res.json({ 
-      success: true,
-      ...result.data
-    });
+    res.json(result);
   } catch (error) {
     console.error('Error placing crash bet:', error);
     res.status(500).json({ error: 'Failed to place bet' });
@@ -258,14 +298,19 @@ router.post('/crash/bet', validateToken, async (req, res) => {
 });
 
 // POST /api/crash/cashout - Cash out from crash game
-router.post('/crash/cashout', validateToken, async (req, res) => {
+router.post('/crash/cashout', validateToken, idempotent('POST /api/crash/cashout'), async (req, res) => {
   try {
-    const { roundId } = req.body;
+    const { roundId, betId } = req.body;
     
     if (!roundId) {
       return res.status(400).json({ error: 'Round ID required' });
     }
 
+    const gameEngine = req.gameEngine;
+    if (!gameEngine) {
+      return res.status(500).json({ error: 'Game engine not available' });
+    }
+
     const DatabaseService = require('../server/database-service');
     const dbService = new DatabaseService();
     await dbService.initialize();
@@ -276,28 +321,19 @@ router.post('/crash/cashout', validateToken, async (req, res) => {
       return res.status(404).json({ error: 'User profile not found' });
     }
 
-    // Get current multiplier from game state
-    const gameState = await dbService.supabase.rpc('get_game_state', {
-      p_game_type: 'crash'
-    });
-    const currentMultiplier = gameState.data.current_multiplier;
-
-    // Use the generic cashout function
-    const result = await dbService.supabase.rpc('cashout_bet', {
-      p_game_type: 'crash',
-      p_user_id: userProfile.id,
-      p_round_id: roundId,
-      p_cashout_value: currentMultiplier
-    });
+    // The live multiplier only exists in the running game, so the cashout goes through it
+    const gameState = await gameEngine.getGameState('crash-main');
+    if (!gameState || gameState.currentRoundId !== roundId) {
+      return res.status(400).json({ error: 'Round is not in progress' });
+    }
+
+    const result = await gameEngine.processGameAction('crash-main', userProfile.id, 'cashout', { betId });
 
-    if (result.error) {
-      return res.status(400).json({ error: result.error.message });
+    if (!result.success) {
+      return res.status(400).json({ error: result.message });
     }
 
-    res.json({ 
-      success: true,
-      ...result.data
-    });
+    res.json(result);
   } catch (error) {
     console.error('Error cashing out:', error);
     res.status(500).json({ error: 'Failed to cashout' });
@@ -307,68 +343,177 @@ router.post('/crash/cashout', validateToken, async (req, res) => {
 // GET /api/crash/state - Get current crash game state
 router.get('/crash/state', validateToken, async (req, res) => {
   try {
-    const DatabaseService = require('../server/database-service');
-    const dbService = new DatabaseService();
-    await dbService.initialize();
-    
-    const result = await dbService.supabase.rpc('get_game_state', {
-      p_game_type: 'crash'
-    });
+    const gameEngine = req.gameEngine;
+    if (!gameEngine) {
+      return res.status(500).json({ error: 'Game engine not available' });
+    }
     
-    if (result.error) {
-      return res.status(500).json({ error: result.error.message });
+    // Served from memory, the database only holds the round's phase transitions
+    const gameState = await gameEngine.getGameState('crash-main');
+    if (!gameState) {
+      return res.status(404).json({ error: 'Game not found' });
     }
 
-    res.json(result.data);
+    res.json(gameState);
   } catch (error) {
     console.error('Error fetching crash game state:', error);
     res.status(500).json({ error: 'Failed to fetch game state' });
   }
 });
 
-// POST /api/crash/new-round - Create new crash round
-router.post('/crash/new-round', validateToken, async (req, res) => {
+// GET /api/crash/stats - Crash point distribution, streaks and percentiles over the last N rounds
+router.get('/crash/stats', validateToken, async (req, res) => {
+  try {
+    const gameEngine = req.gameEngine;
+    if (!gameEngine) {
+      return res.status(500).json({ error: 'Game engine not available' });
+    }
+
+    const { options, error } = gameEngine.crashStats.parseOptions(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const stats = await gameEngine.getCrashStats(options);
+    res.json(stats);
+  } catch (error) {
+    console.error('Error fetching crash stats:', error);
+    res.status(500).json({ error: 'Failed to fetch crash stats' });
+  }
+});
+
+// GET /api/fairness/crash/chains - Published crash hash chains and their salts (no auth required)
+router.get('/fairness/crash/chains', async (req, res) => {
   try {
-    const { serverSeed, clientSeed } = req.body;
-    
     const DatabaseService = require('../server/database-service');
     const dbService = new DatabaseService();
     await dbService.initialize();
-    
-    // Generate crash multiplier
-    const crypto = require('crypto');
-    const finalServerSeed = serverSeed || crypto.randomBytes(32).toString('hex');
-    const finalClientSeed = clientSeed || 'default';
-    
-    // Create game data for the round
-    const gameData = {
-      phase: 'betting',
-      crash_multiplier: 1.00, // Will be calculated by the game
-      game_hash: crypto.createHash('sha256').update(finalServerSeed + finalClientSeed).digest('hex'),
-      server_seed: finalServerSeed,
-      client_seed: finalClientSeed,
-      current_multiplier: 1.00,
-      active_players_count: 0,
-      total_bet_amount: 0.00,
-      phase_start_time: new Date().toISOString()
-    };
-    
-    const result = await dbService.supabase.rpc('create_game_round', {
-      p_game_type: 'crash',
-      p_game_data: gameData
+
+    // Root seeds are never selected, a chain is verified from its terminating hash and revealed round seeds
+    const { data: chains, error } = await dbService.supabase
+      .from('crash_hash_chains')
+      .select('id, terminating_hash, length, status, created_at, salt_source, salt_not_before, client_seed, salt_reference, salted_at')
+      .order('id', { ascending: false })
+      .limit(20);
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    res.json({
+      chains: chains.map(chain => ({
+        id: chain.id,
+        terminatingHash: chain.terminating_hash,
+        length: chain.length,
+        status: chain.status,
+        publishedAt: chain.created_at,
+        saltSource: chain.salt_source,
+        saltNotBefore: chain.salt_not_before,
+        salt: chain.client_seed,
+        saltReference: chain.salt_reference,
+        saltedAt: chain.salted_at
+      }))
     });
-    
-    if (result.error) {
-      return res.status(500).json({ error: result.error.message });
+  } catch (error) {
+    await logger.error('error listing crash hash chains', { error: error.message });
+    res.status(500).json({ error: 'Failed to list hash chains' });
+  }
+});
+
+// POST /api/fairness/crash/chains/:chainId/salt - Record the Bitcoin block that salts a published chain (Admin only)
+router.post('/fairness/crash/chains/:chainId/salt', validateToken, validateAdmin, async (req, res) => {
+  try {
+    const chainId = parseInt(req.params.chainId);
+    if (!Number.isInteger(chainId) || chainId < 1) {
+      return res.status(400).json({ error: 'Invalid chain ID' });
     }
 
-    res.json({ 
-      success: true,
-      roundId: result.data
+    const { blockHash, blockHeight } = req.body;
+
+    const DatabaseService = require('../server/database-service');
+    const HashChainManager = require('../services/hash-chain-manager');
+    const dbService = new DatabaseService();
+    await dbService.initialize();
+
+    // The running crash game picks the chain up on its next round
+    const hashChain = new HashChainManager(dbService, logger);
+    const result = await hashChain.saltChain(chainId, blockHash, blockHeight);
+
+    if (!result.success) {
+      return res.status(400).json({ error: result.message });
+    }
+
+    await logger.info('crash hash chain salted', { adminId: req.userProfile.id, chainId, blockHeight });
+    res.json(result);
+  } catch (error) {
+    await logger.error('error salting crash hash chain', { error: error.message });
+    res.status(500).json({ error: 'Failed to salt hash chain' });
+  }
+});
+
+// GET /api/fairness/crash/:roundNumber - Verify a completed crash round (no auth required)
+router.get('/fairness/crash/:roundNumber', async (req, res) => {
+  try {
+    const roundNumber = parseInt(req.params.roundNumber);
+    if (!Number.isInteger(roundNumber) || roundNumber < 1) {
+      return res.status(400).json({ error: 'Invalid round number' });
+    }
+
+    const DatabaseService = require('../server/database-service');
+    const { verifyCrashRound } = require('../services/crash-verifier');
+    const dbService = new DatabaseService();
+    await dbService.initialize();
+
+    const { data: round, error } = await dbService.supabase
+      .from('game_rounds')
+      .select('round_number, status, game_data')
+      .eq('game_type', 'crash')
+      .eq('round_number', roundNumber)
+      .maybeSingle();
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+    if (!round) {
+      return res.status(404).json({ error: 'Round not found' });
+    }
+
+    // Nothing about the round is revealed until its seed has been published
+    if (round.status !== 'completed' || !round.game_data?.server_seed) {
+      return res.status(409).json({ error: 'Round is still in progress' });
+    }
+    if (!round.game_data.chain_id) {
+      return res.status(422).json({ error: 'Round was not seeded from a hash chain' });
+    }
+
+    const { data: chain, error: chainError } = await dbService.supabase
+      .from('crash_hash_chains')
+      .select('id, terminating_hash, length, created_at, salt_source, salt_not_before, client_seed, salt_reference, salted_at')
+      .eq('id', round.game_data.chain_id)
+      .single();
+
+    if (chainError) {
+      return res.status(500).json({ error: chainError.message });
+    }
+
+    // The client seed is the chain's salt: check it against saltReference and that the block satisfies saltSource
+    res.json({
+      ...verifyCrashRound(round),
+      chain: {
+        id: chain.id,
+        terminatingHash: chain.terminating_hash,
+        length: chain.length,
+        publishedAt: chain.created_at,
+        saltSource: chain.salt_source,
+        saltNotBefore: chain.salt_not_before,
+        salt: chain.client_seed,
+        saltReference: chain.salt_reference,
+        saltedAt: chain.salted_at
+      }
     });
   } catch (error) {
-    console.error('Error creating new crash round:', error);
-    res.status(500).json({ error: 'Failed to create new round' });
+    await logger.error('error verifying crash round', { error: error.message });
+    res.status(500).json({ error: 'Failed to verify round' });
   }
 });
 
@@ -486,6 +631,58 @@ router.post('/emergency-stop', validateToken, validateAdmin, async (req, res) =>
   }
 });
 
+// GET /api/ledger/verify - Recompute the GC ledger and prove house + user totals sum to zero (Admin only)
+router.get('/ledger/verify', validateToken, validateAdmin, async (req, res) => {
+  try {
+    const DatabaseService = require('../server/database-service');
+    const dbService = new DatabaseService();
+    await dbService.initialize();
+
+    const report = await dbService.ledger.verify();
+
+    if (!report.balanced) {
+      await logger.error('ledger verification failed', {
+        adminId: req.userProfile.id,
+        netTotal: report.netTotal,
+        unbalancedTransactions: report.unbalancedTransactions.length,
+        balanceMismatches: report.balanceMismatches.length
+      });
+    } else {
+      await logger.info('ledger verified', { adminId: req.userProfile.id, transactionCount: report.transactionCount });
+    }
+
+    res.json(report);
+  } catch (error) {
+    await logger.error('error verifying ledger', { error: error.message });
+    res.status(500).json({ error: 'Failed to verify ledger' });
+  }
+});
+
+// POST /api/ledger/backfill - Post opening balances for users whose cached balance predates the ledger (Admin only)
+router.post('/ledger/backfill', validateToken, validateAdmin, async (req, res) => {
+  try {
+    const DatabaseService = require('../server/database-service');
+    const dbService = new DatabaseService();
+    await dbService.initialize();
+
+    const result = await dbService.ledger.backfillOpeningBalances();
+
+    await logger.info('ledger opening balances backfilled', {
+      adminId: req.userProfile.id,
+      backfilled: result.backfilled,
+      usersChecked: result.usersChecked
+    });
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    await logger.error('error backfilling ledger opening balances', { error: error.message });
+    res.status(500).json({ error: 'Failed to backfill opening balances' });
+  }
+});
+
 // GET /api/game-config - Get all game configuration
 router.get('/game-config', validateToken, async (req, res) => {
   try {
@@ -505,7 +702,7 @@ router.get('/game-config', validateToken, async (req, res) => {
 });
 
 // PUT /api/game-config - Update game configuration
-router.put('/game-config', validateToken, async (req, res) => {
+router.put('/game-config', validateToken, validateAdmin, async (req, res) => {
   try {
     const { config } = req.body;
     
@@ -518,7 +715,14 @@ router.put('/game-config', validateToken, async (req, res) => {
       throw new Error('Game engine not available');
     }
     
-    const updatedConfig = gameEngine.updateGameConfig(config);
+    let updatedConfig;
+    try {
+      updatedConfig = await gameEngine.updateGameConfig(null, config);
+    } catch (validationError) {
+      // Rejected configs (e.g. a paytable paying out more than the house edge allows) are left unapplied
+      await logger.warning('game config update rejected', { userId: req.userProfile.id, error: validationError.message });
+      return res.status(400).json({ error: validationError.message });
+    }
     
     // Save to database
     await gameEngine.saveGameConfig();
@@ -536,7 +740,7 @@ router.put('/game-config', validateToken, async (req, res) => {
 });
 
 // POST /api/game-config/reset - Reset game configuration to defaults
-router.post('/game-config/reset', validateToken, async (req, res) => {
+router.post('/game-config/reset', validateToken, validateAdmin, async (req, res) => {
   try {
     const gameEngine = req.gameEngine;
     if (!gameEngine) {
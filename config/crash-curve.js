@@ -0,0 +1,99 @@
+// Crash Curve - Multiplier growth curves for crash rounds
+// Purpose: Define the multiplier-over-time presets, evaluate and invert them, and describe them to clients
+
+const CURVE_PRESETS = {
+  // The original curve: 1.0024 * 1.0718^t
+  exponential: { type: 'exponential', a: 1.0024, b: 1.0718 },
+  faster: { type: 'exponential', a: 1.0024, b: 1.1 },
+  // Grows linearly for the first seconds, then exponentially from where the line ended
+  linear_exponential: { type: 'linear_exponential', slope: 0.05, switchTime: 6, b: 1.0718 }
+};
+
+// Client-side formulas, t is seconds since the playing phase started
+const CURVE_FORMULAS = {
+  exponential: 'a * b^t',
+  linear_exponential: 't < switchTime ? 1 + slope * t : (1 + slope * switchTime) * b^(t - switchTime)'
+};
+
+// Turn the configured { preset } or { preset: 'custom', type, coefficients } into curve coefficients
+function resolveCurve(curveConfig = {}) {
+  if (curveConfig.preset === 'custom') {
+    return { type: curveConfig.type, ...curveConfig.coefficients };
+  }
+  return { ...CURVE_PRESETS[curveConfig.preset || 'exponential'] };
+}
+
+function multiplierAt(curve, seconds) {
+  const t = Math.max(0, seconds);
+  if (curve.type === 'linear_exponential') {
+    if (t < curve.switchTime) {
+      return 1 + curve.slope * t;
+    }
+    return (1 + curve.slope * curve.switchTime) * Math.pow(curve.b, t - curve.switchTime);
+  }
+  return curve.a * Math.pow(curve.b, t);
+}
+
+// Inverse of multiplierAt: the exact second a multiplier is reached
+function timeToReach(curve, multiplier) {
+  if (curve.type === 'linear_exponential') {
+    const switchMultiplier = 1 + curve.slope * curve.switchTime;
+    if (multiplier <= switchMultiplier) {
+      return Math.max(0, (multiplier - 1) / curve.slope);
+    }
+    return curve.switchTime + Math.log(multiplier / switchMultiplier) / Math.log(curve.b);
+  }
+  return Math.max(0, Math.log(multiplier / curve.a) / Math.log(curve.b));
+}
+
+// Everything a client needs to animate the same curve
+function describeCurve(curve) {
+  return {
+    ...curve,
+    formula: CURVE_FORMULAS[curve.type]
+  };
+}
+
+function validateCurveConfig(curveConfig) {
+  if (!curveConfig || typeof curveConfig !== 'object') {
+    return ['crash: Curve must be an object'];
+  }
+
+  const { preset } = curveConfig;
+  if (preset !== 'custom' && !CURVE_PRESETS[preset]) {
+    return [`crash: Curve preset must be one of ${[...Object.keys(CURVE_PRESETS), 'custom'].join(', ')}`];
+  }
+  if (preset !== 'custom') {
+    return [];
+  }
+
+  const curve = resolveCurve(curveConfig);
+  const errors = [];
+  if (!CURVE_FORMULAS[curve.type]) {
+    return [`crash: Custom curve type must be one of ${Object.keys(CURVE_FORMULAS).join(', ')}`];
+  }
+  if (!(curve.b > 1 && curve.b <= 2)) {
+    errors.push('crash: Curve growth base b must be greater than 1 and at most 2');
+  }
+  if (curve.type === 'exponential' && !(curve.a >= 1 && curve.a <= 1.1)) {
+    errors.push('crash: Curve starting multiplier a must be between 1 and 1.1');
+  }
+  if (curve.type === 'linear_exponential') {
+    if (!(curve.slope > 0 && curve.slope <= 1)) {
+      errors.push('crash: Curve slope must be greater than 0 and at most 1 per second');
+    }
+    if (!(curve.switchTime > 0 && curve.switchTime <= 60)) {
+      errors.push('crash: Curve switch time must be greater than 0 and at most 60 seconds');
+    }
+  }
+  return errors;
+}
+
+module.exports = {
+  CURVE_PRESETS,
+  resolveCurve,
+  multiplierAt,
+  timeToReach,
+  describeCurve,
+  validateCurveConfig
+};
@@ -1,6 +1,181 @@
 // Game Configuration - Centralized game settings
 // Purpose: Manage all game-related configuration and settings
 
+const { computeSlotsRtp, computePlinkoRtp, computeKenoRtp } = require('./rtp-calculator');
+const { validateCurveConfig } = require('./crash-curve');
+
+const SLOTS_DEFAULT_STRIP = [
+  'coal', 'redstone', 'iron', 'coal', 'gold', 'redstone', 'coal', 'emerald', 'iron', 'coal',
+  'redstone', 'gold', 'coal', 'iron', 'diamond', 'redstone', 'coal', 'iron', 'redstone', 'gold'
+];
+
+// Every risk level needs a payout table for each row count in this range
+const PLINKO_RISKS = ['low', 'medium', 'high'];
+const PLINKO_MIN_ROWS = 8;
+const PLINKO_MAX_ROWS = 16;
+
+// Keno draws KENO_DRAWN of KENO_NUMBERS numbers, every risk level needs a paytable for each pick count
+const KENO_RISKS = ['low', 'medium', 'high'];
+const KENO_NUMBERS = 40;
+const KENO_DRAWN = 10;
+const KENO_MAX_PICKS = 10;
+
+// Legacy config keys that differ from the gamemode/room name
+const GAMEMODE_ALIASES = {
+  hiLo: 'hi-lo'
+};
+
+// Per-game rule sets (dealer rules, paytables, etc.) keyed by gamemode
+const DEFAULT_GAME_RULES = {
+  crash: {
+    maxBetsPerPlayer: 3, // Independent bets one player may hold in the same round
+    maxPayoutPerBet: 10000, // GC, a bet is cashed out automatically once it would pay this much
+    maxPayoutPerRound: 50000, // GC, every live bet is cashed out once the round's payouts would reach this
+    // Multiplier growth: a preset (exponential, faster, linear_exponential) or
+    // { preset: 'custom', type: 'exponential' | 'linear_exponential', coefficients: { ... } }
+    curve: { preset: 'exponential' }
+  },
+  blackjack: {
+    decks: 6,
+    penetration: 0.75, // Reshuffle once 75% of the shoe has been dealt
+    dealerHitsSoft17: false,
+    blackjackPayout: 1.5, // 3:2
+    insurancePayout: 2, // 2:1
+    maxSplitHands: 4,
+    doubleAfterSplit: true,
+    handTimeout: 300000 // 5 minutes of inactivity before auto-stand
+  },
+  roulette: {
+    spinDuration: 8000, // 8 seconds between betting closing and the result
+    maxBetsPerRound: 20, // Per player
+    historySize: 50
+  },
+  slots: {
+    rows: 3,
+    reels: [SLOTS_DEFAULT_STRIP, SLOTS_DEFAULT_STRIP, SLOTS_DEFAULT_STRIP, SLOTS_DEFAULT_STRIP, SLOTS_DEFAULT_STRIP],
+    symbolWeights: { coal: 1, redstone: 1, iron: 1, gold: 1, emerald: 1, diamond: 1 },
+    // Row index per reel, 0 is the top row
+    paylines: [
+      [1, 1, 1, 1, 1], [0, 0, 0, 0, 0], [2, 2, 2, 2, 2], [0, 1, 2, 1, 0], [2, 1, 0, 1, 2],
+      [0, 0, 1, 2, 2], [2, 2, 1, 0, 0], [1, 0, 0, 0, 1], [1, 2, 2, 2, 1], [1, 0, 1, 2, 1]
+    ],
+    // Line bet multiplier by number of matching symbols from the leftmost reel (~94.4% RTP)
+    paytable: {
+      coal: { 3: 6, 4: 16, 5: 60 },
+      redstone: { 3: 10, 4: 25, 5: 80 },
+      iron: { 3: 12, 4: 40, 5: 125 },
+      gold: { 3: 25, 4: 80, 5: 300 },
+      emerald: { 3: 60, 4: 300, 5: 1500 },
+      diamond: { 3: 120, 4: 600, 5: 3000 }
+    }
+  },
+  'hi-lo': {
+    maxMultiplier: 1000, // Hands are cashed out automatically at this multiplier
+    maxSkips: 52,
+    handTimeout: 600000 // 10 minutes of inactivity before auto-cashout
+  },
+  dice: {
+    minWinChance: 1, // Percent, caps the multiplier at roughly 100x
+    maxWinChance: 98 // Percent, the widest target a player may pick
+  },
+  mines: {
+    maxMultiplier: 1000 // Boards are cashed out automatically at this multiplier
+  },
+  coinflip: {
+    lobbyTimeout: 300000, // 5 minutes before an unmatched lobby is refunded
+    maxOpenLobbiesPerPlayer: 3
+  },
+  jackpot: {
+    countdown: 30000, // 30 seconds from the second player joining to the draw
+    resultDuration: 5000, // 5 seconds showing the winner before the next pot opens
+    maxDepositsPerPlayer: 10 // Per round
+  },
+  keno: {
+    // Payout multiplier by number of hits, from 0 up to the pick count, by risk level and pick count (~94-95% RTP)
+    paytables: {
+      low: {
+        1: [0, 3.78],
+        2: [0, 1.68, 5.15],
+        3: [0, 1.13, 2.41, 9.57],
+        4: [0, 0, 2.68, 7.28, 35.8],
+        5: [0, 0, 1.76, 3.83, 12.8, 76.8],
+        6: [0, 0, 1.3, 2.43, 6.47, 26.2, 191],
+        7: [0, 0, 1.17, 1.78, 3.47, 9.04, 33.3, 199],
+        8: [0, 0, 0, 2.47, 3.75, 6.88, 15.6, 46.3, 200],
+        9: [0, 0, 0, 1.98, 2.68, 4.2, 7.76, 17.3, 49.3, 199],
+        10: [0, 0, 0, 1.66, 2.07, 2.89, 4.58, 8.4, 18.3, 50.4, 200]
+      },
+      medium: {
+        1: [0, 3.78],
+        2: [0, 1.39, 7.1],
+        3: [0, 0, 4.16, 30.9],
+        4: [0, 0, 1.96, 8.36, 85],
+        5: [0, 0, 0, 5.73, 33.1, 449],
+        6: [0, 0, 0, 4.1, 12, 56.1, 499],
+        7: [0, 0, 0, 3.01, 6.2, 17.4, 71.7, 499],
+        8: [0, 0, 0, 0, 9, 16.5, 38, 113, 499],
+        9: [0, 0, 0, 0, 5.89, 9.35, 17.6, 40.3, 118, 499],
+        10: [0, 0, 0, 0, 0, 17.6, 25.3, 40.9, 75.8, 168, 499]
+      },
+      high: {
+        1: [0, 3.78],
+        2: [0, 0, 16.3],
+        3: [0, 0, 3.09, 42.9],
+        4: [0, 0, 0, 10.7, 226],
+        5: [0, 0, 0, 3.23, 32.3, 989],
+        6: [0, 0, 0, 0, 27.3, 121, 999],
+        7: [0, 0, 0, 0, 14.3, 39, 153, 999],
+        8: [0, 0, 0, 0, 0, 59.4, 118, 293, 1000],
+        9: [0, 0, 0, 0, 0, 30, 52.4, 108, 281, 999],
+        10: [0, 0, 0, 0, 0, 0, 123, 172, 266, 466, 999]
+      }
+    }
+  },
+  plinko: {
+    // Payout multiplier per landing slot, left to right, by risk level and row count (~94-95% RTP)
+    payoutTables: {
+      low: {
+        8: [5.37, 2.01, 1.05, 0.95, 0.47, 0.95, 1.05, 2.01, 5.37],
+        9: [5.37, 1.91, 1.53, 0.95, 0.67, 0.67, 0.95, 1.53, 1.91, 5.37],
+        10: [8.54, 2.87, 1.34, 1.05, 0.95, 0.47, 0.95, 1.05, 1.34, 2.87, 8.54],
+        11: [8.06, 2.87, 1.82, 1.24, 0.95, 0.67, 0.67, 0.95, 1.24, 1.82, 2.87, 8.06],
+        12: [9.59, 2.87, 1.53, 1.34, 1.05, 0.95, 0.47, 0.95, 1.05, 1.34, 1.53, 2.87, 9.59],
+        13: [7.77, 3.83, 2.87, 1.82, 1.15, 0.86, 0.67, 0.67, 0.86, 1.15, 1.82, 2.87, 3.83, 7.77],
+        14: [6.81, 3.83, 1.82, 1.34, 1.24, 1.05, 0.95, 0.47, 0.95, 1.05, 1.24, 1.34, 1.82, 3.83, 6.81],
+        15: [14.3, 7.67, 2.87, 1.91, 1.43, 1.05, 0.95, 0.67, 0.67, 0.95, 1.05, 1.43, 1.91, 2.87, 7.67, 14.3],
+        16: [15.3, 8.63, 1.91, 1.34, 1.34, 1.15, 1.05, 0.95, 0.47, 0.95, 1.05, 1.15, 1.34, 1.34, 1.91, 8.63, 15.3]
+      },
+      medium: {
+        8: [12.4, 2.88, 1.24, 0.67, 0.38, 0.67, 1.24, 2.88, 12.4],
+        9: [17.2, 3.83, 1.62, 0.86, 0.47, 0.47, 0.86, 1.62, 3.83, 17.2],
+        10: [21.1, 4.8, 1.92, 1.34, 0.57, 0.38, 0.57, 1.34, 1.92, 4.8, 21.1],
+        11: [23, 5.75, 2.87, 1.72, 0.67, 0.47, 0.47, 0.67, 1.72, 2.87, 5.75, 23],
+        12: [31.6, 10.5, 3.83, 1.91, 1.05, 0.57, 0.28, 0.57, 1.05, 1.91, 3.83, 10.5, 31.6],
+        13: [41.2, 12.4, 5.75, 2.87, 1.24, 0.67, 0.38, 0.38, 0.67, 1.24, 2.87, 5.75, 12.4, 41.2],
+        14: [55.6, 14.3, 6.71, 3.83, 1.82, 0.95, 0.47, 0.19, 0.47, 0.95, 1.82, 3.83, 6.71, 14.3, 55.6],
+        15: [84.4, 17.2, 10.5, 4.79, 2.87, 1.24, 0.47, 0.28, 0.28, 0.47, 1.24, 2.87, 4.79, 10.5, 17.2, 84.4],
+        16: [105, 39.3, 9.59, 4.79, 2.87, 1.43, 0.95, 0.47, 0.28, 0.47, 0.95, 1.43, 2.87, 4.79, 9.59, 39.3, 105]
+      },
+      high: {
+        8: [27.8, 3.83, 1.43, 0.28, 0.19, 0.28, 1.43, 3.83, 27.8],
+        9: [41.2, 6.71, 1.91, 0.57, 0.19, 0.19, 0.57, 1.91, 6.71, 41.2],
+        10: [72.8, 9.58, 2.87, 0.86, 0.28, 0.19, 0.28, 0.86, 2.87, 9.58, 72.8],
+        11: [114, 13.4, 4.98, 1.34, 0.38, 0.19, 0.19, 0.38, 1.34, 4.98, 13.4, 114],
+        12: [162, 23, 7.76, 1.91, 0.67, 0.19, 0.19, 0.19, 0.67, 1.91, 7.76, 23, 162],
+        13: [249, 35.4, 10.5, 3.83, 0.95, 0.19, 0.19, 0.19, 0.19, 0.95, 3.83, 10.5, 35.4, 249],
+        14: [403, 53.7, 17.2, 4.79, 1.82, 0.28, 0.19, 0.19, 0.19, 0.28, 1.82, 4.79, 17.2, 53.7, 403],
+        15: [594, 79.6, 25.9, 7.67, 2.87, 0.47, 0.19, 0.19, 0.19, 0.19, 0.47, 2.87, 7.67, 25.9, 79.6, 594],
+        16: [959, 124, 24.9, 8.63, 3.83, 1.91, 0.19, 0.19, 0.19, 0.19, 0.19, 1.91, 3.83, 8.63, 24.9, 124, 959]
+      }
+    }
+  }
+};
+
+// Deep copy so runtime updates never mutate the defaults
+function cloneDefaultGameRules() {
+  return JSON.parse(JSON.stringify(DEFAULT_GAME_RULES));
+}
+
 class GameConfig {
   constructor() {
     this.config = {
@@ -9,14 +184,26 @@ class GameConfig {
         roulette: { min: 5, max: 5000 },
         crash: { min: 1, max: 5 },
         slots: { min: 1, max: 500 },
-        hiLo: { min: 5, max: 2000 }
+        'hi-lo': { min: 5, max: 2000 },
+        dice: { min: 1, max: 1000 },
+        plinko: { min: 1, max: 100 },
+        mines: { min: 1, max: 1000 },
+        coinflip: { min: 1, max: 5000 },
+        jackpot: { min: 1, max: 5000 },
+        keno: { min: 1, max: 100 }
       },
       houseEdge: {
         blackjack: 0.05, // 2%
         roulette: 0.05, // 2.7%
         crash: 0.05, // 1%
         slots: 0.05, // 4%
-        hiLo: 0.05 // 1.5%
+        'hi-lo': 0.05, // 1.5%
+        dice: 0.05, // 1%
+        plinko: 0.05, // 5%
+        mines: 0.05, // 1%
+        coinflip: 0.05, // 5% rake on the pot
+        jackpot: 0.05, // 5% rake on the pot
+        keno: 0.05 // 5%
       },
       gameTiming: {
         bettingPhase: 30000, // 30 seconds
@@ -31,19 +218,20 @@ class GameConfig {
       balanceLimits: {
         minBalance: 0,
         maxBalance: 1000000
-      }
+      },
+      gameRules: cloneDefaultGameRules()
     };
     this._hasLoadedOnce = false; // Track if config has been loaded
   }
 
   // Get bet limits for gamemode
   getBetLimits(gamemode) {
-    return this.config.betLimits[gamemode] || { min: 1, max: 1000 };
+    return this.config.betLimits[this.normalizeGamemode(gamemode)] || { min: 1, max: 1000 };
   }
 
   // Get house edge for gamemode
   getHouseEdge(gamemode) {
-    return this.config.houseEdge[gamemode] || 0.02;
+    return this.config.houseEdge[this.normalizeGamemode(gamemode)] || 0.02;
   }
 
   // Get game timing settings
@@ -61,6 +249,16 @@ class GameConfig {
     return this.config.balanceLimits;
   }
 
+  // Get game-specific rules for gamemode
+  getGameRules(gamemode) {
+    return this.config.gameRules[this.normalizeGamemode(gamemode)] || {};
+  }
+
+  // Map legacy keys (e.g. hiLo from older saved settings) to the gamemode name
+  normalizeGamemode(gamemode) {
+    return GAMEMODE_ALIASES[gamemode] || gamemode;
+  }
+
   // Validate configuration values
   validateConfig(config) {
     const errors = [];
@@ -124,12 +322,283 @@ class GameConfig {
       }
     }
     
+    // Validate game rules merged over the current ones, rules are re-checked whenever the house edge or bet limits they depend on change
+    const ruleGamemodes = new Set([
+      ...Object.keys(config.gameRules || {}),
+      ...Object.keys(config.houseEdge || {}).filter(gamemode => this.config.gameRules[gamemode]),
+      ...Object.keys(config.betLimits || {}).filter(gamemode => this.config.gameRules[gamemode])
+    ]);
+    for (const gamemode of ruleGamemodes) {
+      const rules = {
+        ...(this.config.gameRules[gamemode] || {}),
+        ...((config.gameRules || {})[gamemode] || {})
+      };
+      errors.push(...this.validateGameRules(gamemode, rules, config));
+    }
+    
     return {
       valid: errors.length === 0,
       errors: errors
     };
   }
 
+  // Validate a single gamemode's rule set, returns a list of errors
+  validateGameRules(gamemode, rules, config = {}) {
+    const errors = [];
+    
+    if (!rules || typeof rules !== 'object') {
+      return [`${gamemode}: Game rules must be an object`];
+    }
+    
+    if (gamemode === 'crash') {
+      if (rules.maxBetsPerPlayer !== undefined && (!Number.isInteger(rules.maxBetsPerPlayer) || rules.maxBetsPerPlayer < 1 || rules.maxBetsPerPlayer > 10)) {
+        errors.push('crash: Maximum bets per player must be an integer between 1 and 10');
+      }
+      if (typeof rules.maxPayoutPerBet !== 'number' || rules.maxPayoutPerBet <= 0) {
+        errors.push('crash: Maximum payout per bet must be a positive number');
+      }
+      if (typeof rules.maxPayoutPerRound !== 'number' || rules.maxPayoutPerRound <= 0) {
+        errors.push('crash: Maximum payout per round must be a positive number');
+      } else if (rules.maxPayoutPerBet > rules.maxPayoutPerRound) {
+        errors.push('crash: Maximum payout per bet cannot exceed the maximum payout per round');
+      }
+      const maxBet = config.betLimits?.crash?.max ?? this.getBetLimits('crash').max;
+      if (typeof rules.maxPayoutPerBet === 'number' && rules.maxPayoutPerBet <= maxBet) {
+        errors.push('crash: Maximum payout per bet must be higher than the maximum bet');
+      }
+      if (rules.curve !== undefined) {
+        errors.push(...validateCurveConfig(rules.curve));
+      }
+    }
+    
+    if (gamemode === 'blackjack') {
+      if (rules.decks !== undefined && (!Number.isInteger(rules.decks) || rules.decks < 1 || rules.decks > 8)) {
+        errors.push('blackjack: Deck count must be an integer between 1 and 8');
+      }
+      if (rules.penetration !== undefined && (rules.penetration < 0.25 || rules.penetration > 0.9)) {
+        errors.push('blackjack: Shoe penetration must be between 0.25 and 0.9');
+      }
+      if (rules.blackjackPayout !== undefined && (rules.blackjackPayout < 1 || rules.blackjackPayout > 2)) {
+        errors.push('blackjack: Blackjack payout must be between 1 and 2');
+      }
+      if (rules.insurancePayout !== undefined && rules.insurancePayout <= 0) {
+        errors.push('blackjack: Insurance payout must be positive');
+      }
+      if (rules.maxSplitHands !== undefined && (!Number.isInteger(rules.maxSplitHands) || rules.maxSplitHands < 1)) {
+        errors.push('blackjack: Maximum split hands must be a positive integer');
+      }
+      if (rules.handTimeout !== undefined && rules.handTimeout < 10000) {
+        errors.push('blackjack: Hand timeout must be at least 10 seconds');
+      }
+    }
+    
+    if (gamemode === 'roulette') {
+      if (rules.spinDuration !== undefined && (rules.spinDuration < 1000 || rules.spinDuration > 60000)) {
+        errors.push('roulette: Spin duration must be between 1 and 60 seconds');
+      }
+      if (rules.maxBetsPerRound !== undefined && (!Number.isInteger(rules.maxBetsPerRound) || rules.maxBetsPerRound < 1)) {
+        errors.push('roulette: Maximum bets per round must be a positive integer');
+      }
+      if (rules.historySize !== undefined && (!Number.isInteger(rules.historySize) || rules.historySize < 1)) {
+        errors.push('roulette: History size must be a positive integer');
+      }
+    }
+    
+    if (gamemode === 'slots') {
+      errors.push(...this.validateSlotsRules(rules, config));
+    }
+    
+    if (gamemode === 'hi-lo') {
+      if (rules.maxMultiplier !== undefined && (rules.maxMultiplier < 2 || rules.maxMultiplier > 1000)) {
+        errors.push('hi-lo: Maximum multiplier must be between 2 and 1000');
+      }
+      if (rules.maxSkips !== undefined && (!Number.isInteger(rules.maxSkips) || rules.maxSkips < 0)) {
+        errors.push('hi-lo: Maximum skips must be a non-negative integer');
+      }
+      if (rules.handTimeout !== undefined && rules.handTimeout < 10000) {
+        errors.push('hi-lo: Hand timeout must be at least 10 seconds');
+      }
+    }
+    
+    if (gamemode === 'dice') {
+      if (typeof rules.minWinChance !== 'number' || rules.minWinChance < 0.01) {
+        errors.push('dice: Minimum win chance must be at least 0.01%');
+      }
+      if (typeof rules.maxWinChance !== 'number' || rules.maxWinChance > 99.98) {
+        errors.push('dice: Maximum win chance must be at most 99.98%');
+      } else if (rules.maxWinChance <= rules.minWinChance) {
+        errors.push('dice: Maximum win chance must be higher than the minimum win chance');
+      }
+    }
+    
+    if (gamemode === 'mines') {
+      if (typeof rules.maxMultiplier !== 'number' || rules.maxMultiplier < 2 || rules.maxMultiplier > 1000) {
+        errors.push('mines: Maximum multiplier must be between 2 and 1000');
+      }
+    }
+    
+    if (gamemode === 'coinflip') {
+      if (typeof rules.lobbyTimeout !== 'number' || rules.lobbyTimeout < 10000 || rules.lobbyTimeout > 86400000) {
+        errors.push('coinflip: Lobby timeout must be between 10 seconds and 24 hours');
+      }
+      if (!Number.isInteger(rules.maxOpenLobbiesPerPlayer) || rules.maxOpenLobbiesPerPlayer < 1) {
+        errors.push('coinflip: Maximum open lobbies per player must be a positive integer');
+      }
+    }
+    
+    if (gamemode === 'jackpot') {
+      if (typeof rules.countdown !== 'number' || rules.countdown < 5000 || rules.countdown > 300000) {
+        errors.push('jackpot: Countdown must be between 5 seconds and 5 minutes');
+      }
+      if (typeof rules.resultDuration !== 'number' || rules.resultDuration < 0 || rules.resultDuration > 60000) {
+        errors.push('jackpot: Result duration must be between 0 and 60 seconds');
+      }
+      if (!Number.isInteger(rules.maxDepositsPerPlayer) || rules.maxDepositsPerPlayer < 1) {
+        errors.push('jackpot: Maximum deposits per player must be a positive integer');
+      }
+    }
+    
+    if (gamemode === 'plinko') {
+      errors.push(...this.validatePlinkoRules(rules, config));
+    }
+    
+    if (gamemode === 'keno') {
+      errors.push(...this.validateKenoRules(rules, config));
+    }
+    
+    return errors;
+  }
+
+  // Slots need a well-formed machine and a paytable that keeps the house edge
+  validateSlotsRules(rules, config = {}) {
+    const errors = [];
+    const { rows, reels, symbolWeights, paylines, paytable } = rules;
+    
+    if (!Number.isInteger(rows) || rows < 1 || rows > 5) {
+      return ['slots: Row count must be an integer between 1 and 5'];
+    }
+    if (!Array.isArray(reels) || reels.length < 3 || reels.length > 7) {
+      return ['slots: Between 3 and 7 reels are required'];
+    }
+    if (reels.some(strip => !Array.isArray(strip) || strip.length < rows)) {
+      return ['slots: Every reel strip must have at least as many symbols as there are rows'];
+    }
+    if (!Array.isArray(paylines) || paylines.length === 0) {
+      return ['slots: At least one payline is required'];
+    }
+    if (paylines.some(line => !Array.isArray(line) || line.length !== reels.length ||
+        line.some(row => !Number.isInteger(row) || row < 0 || row >= rows))) {
+      return ['slots: Every payline needs one valid row index per reel'];
+    }
+    if (!paytable || typeof paytable !== 'object' || Object.keys(paytable).length === 0) {
+      return ['slots: Paytable must define at least one symbol'];
+    }
+    
+    for (const [symbol, weight] of Object.entries(symbolWeights || {})) {
+      if (typeof weight !== 'number' || weight <= 0) {
+        errors.push(`slots: Weight for ${symbol} must be a positive number`);
+      }
+    }
+    for (const [symbol, pays] of Object.entries(paytable)) {
+      for (const [count, multiplier] of Object.entries(pays)) {
+        if (!(Number(count) >= 1 && Number(count) <= reels.length) || typeof multiplier !== 'number' || multiplier < 0) {
+          errors.push(`slots: Invalid ${symbol} payout for ${count} symbols`);
+        }
+      }
+    }
+    if (errors.length > 0) {
+      return errors;
+    }
+    
+    const houseEdge = config.houseEdge?.slots ?? this.getHouseEdge('slots');
+    const rtp = computeSlotsRtp(rules);
+    if (rtp > 1 - houseEdge + 1e-9) {
+      errors.push(`slots: Paytable returns ${(rtp * 100).toFixed(2)}% which exceeds the ${((1 - houseEdge) * 100).toFixed(2)}% allowed by the house edge`);
+    }
+    
+    return errors;
+  }
+
+  // Plinko needs a payout table for every risk level and row count, each within the house edge
+  validatePlinkoRules(rules, config = {}) {
+    const errors = [];
+    const { payoutTables } = rules;
+    
+    if (!payoutTables || typeof payoutTables !== 'object') {
+      return ['plinko: Payout tables must be an object keyed by risk level'];
+    }
+    
+    const houseEdge = config.houseEdge?.plinko ?? this.getHouseEdge('plinko');
+    for (const risk of PLINKO_RISKS) {
+      for (let rows = PLINKO_MIN_ROWS; rows <= PLINKO_MAX_ROWS; rows++) {
+        const payouts = payoutTables[risk]?.[rows];
+        if (!Array.isArray(payouts) || payouts.length !== rows + 1) {
+          errors.push(`plinko: ${risk} risk with ${rows} rows needs ${rows + 1} payouts`);
+          continue;
+        }
+        if (payouts.some(multiplier => typeof multiplier !== 'number' || !Number.isFinite(multiplier) || multiplier < 0)) {
+          errors.push(`plinko: ${risk} risk with ${rows} rows has an invalid payout`);
+          continue;
+        }
+        
+        const rtp = computePlinkoRtp(payouts);
+        if (rtp > 1 - houseEdge + 1e-9) {
+          errors.push(`plinko: ${risk} risk with ${rows} rows returns ${(rtp * 100).toFixed(2)}% which exceeds the ${((1 - houseEdge) * 100).toFixed(2)}% allowed by the house edge`);
+        }
+      }
+    }
+    
+    return errors;
+  }
+
+  // Keno needs a paytable for every risk level and pick count, each within the house edge
+  validateKenoRules(rules, config = {}) {
+    const errors = [];
+    const { paytables } = rules;
+    
+    if (!paytables || typeof paytables !== 'object') {
+      return ['keno: Paytables must be an object keyed by risk level'];
+    }
+    
+    const houseEdge = config.houseEdge?.keno ?? this.getHouseEdge('keno');
+    for (const risk of KENO_RISKS) {
+      for (let picks = 1; picks <= KENO_MAX_PICKS; picks++) {
+        const payouts = paytables[risk]?.[picks];
+        if (!Array.isArray(payouts) || payouts.length !== picks + 1) {
+          errors.push(`keno: ${risk} risk with ${picks} picks needs ${picks + 1} payouts`);
+          continue;
+        }
+        if (payouts.some(multiplier => typeof multiplier !== 'number' || !Number.isFinite(multiplier) || multiplier < 0)) {
+          errors.push(`keno: ${risk} risk with ${picks} picks has an invalid payout`);
+          continue;
+        }
+        
+        const rtp = computeKenoRtp(payouts, KENO_NUMBERS, KENO_DRAWN);
+        if (rtp > 1 - houseEdge + 1e-9) {
+          errors.push(`keno: ${risk} risk with ${picks} picks returns ${(rtp * 100).toFixed(2)}% which exceeds the ${((1 - houseEdge) * 100).toFixed(2)}% allowed by the house edge`);
+        }
+      }
+    }
+    
+    return errors;
+  }
+
+  // Merge validated game rules into the current config
+  _applyGameRules(gameRules) {
+    for (const [gamemode, rules] of Object.entries(gameRules)) {
+      const merged = {
+        ...(this.config.gameRules[gamemode] || {}),
+        ...rules
+      };
+      const errors = this.validateGameRules(gamemode, merged, this.config);
+      if (errors.length > 0) {
+        console.error(`Ignoring invalid ${gamemode} game rules:`, errors);
+        continue;
+      }
+      this.config.gameRules[gamemode] = merged;
+    }
+  }
+
   // Update configuration from database (internal method, no save)
   _updateConfigFromDatabase(newConfig) {
     // Validate new configuration
@@ -141,7 +610,7 @@ class GameConfig {
     if (newConfig.betLimits) {
       for (const [gamemode, limits] of Object.entries(newConfig.betLimits)) {
         if (limits.min !== undefined && limits.max !== undefined) {
-          this.config.betLimits[gamemode] = {
+          this.config.betLimits[this.normalizeGamemode(gamemode)] = {
             min: Math.max(1, limits.min),
             max: Math.max(limits.min, limits.max)
           };
@@ -153,7 +622,7 @@ class GameConfig {
     if (newConfig.houseEdge) {
       for (const [gamemode, edge] of Object.entries(newConfig.houseEdge)) {
         if (edge >= 0 && edge <= 1) {
-          this.config.houseEdge[gamemode] = edge;
+          this.config.houseEdge[this.normalizeGamemode(gamemode)] = edge;
         }
       }
     }
@@ -185,6 +654,11 @@ class GameConfig {
         this.config.balanceLimits.maxBalance = Math.max(this.config.balanceLimits.minBalance, newConfig.balanceLimits.maxBalance);
       }
     }
+
+    // Update game rules
+    if (newConfig.gameRules) {
+      this._applyGameRules(newConfig.gameRules);
+    }
   }
 
   // Update configuration (public method, triggers save)
@@ -194,6 +668,16 @@ class GameConfig {
       throw new Error('Invalid configuration object');
     }
 
+    // Reject game rules (and house edge or bet limit changes) that would break them, e.g. an unprofitable paytable
+    const rulesValidation = this.validateConfig({
+      gameRules: newConfig.gameRules,
+      houseEdge: newConfig.houseEdge,
+      betLimits: newConfig.betLimits
+    });
+    if (!rulesValidation.valid) {
+      throw new Error(`Invalid configuration: ${rulesValidation.errors.join('; ')}`);
+    }
+
     // Store previous config to detect changes
     const previousConfig = JSON.stringify(this.config);
 
@@ -201,7 +685,7 @@ class GameConfig {
     if (newConfig.betLimits) {
       for (const [gamemode, limits] of Object.entries(newConfig.betLimits)) {
         if (limits.min !== undefined && limits.max !== undefined) {
-          this.config.betLimits[gamemode] = {
+          this.config.betLimits[this.normalizeGamemode(gamemode)] = {
             min: Math.max(1, limits.min),
             max: Math.max(limits.min, limits.max)
           };
@@ -213,7 +697,7 @@ class GameConfig {
     if (newConfig.houseEdge) {
       for (const [gamemode, edge] of Object.entries(newConfig.houseEdge)) {
         if (edge >= 0 && edge <= 1) {
-          this.config.houseEdge[gamemode] = edge;
+          this.config.houseEdge[this.normalizeGamemode(gamemode)] = edge;
         }
       }
     }
@@ -246,6 +730,11 @@ class GameConfig {
       }
     }
 
+    // Update game rules
+    if (newConfig.gameRules) {
+      this._applyGameRules(newConfig.gameRules);
+    }
+
     // Only log if config actually changed
     const configChanged = JSON.stringify(this.config) !== previousConfig;
     if (configChanged) {
@@ -287,7 +776,8 @@ class GameConfig {
           houseEdge: gameSettings.house_edge,
           gameTiming: gameSettings.game_timing,
           chatSettings: gameSettings.chat_settings,
-          balanceLimits: gameSettings.balance_limits
+          balanceLimits: gameSettings.balance_limits,
+          gameRules: gameSettings.game_rules
         });
       }
 
@@ -327,7 +817,8 @@ class GameConfig {
           house_edge: currentSettings.house_edge,
           game_timing: currentSettings.game_timing,
           chat_settings: currentSettings.chat_settings,
-          balance_limits: currentSettings.balance_limits
+          balance_limits: currentSettings.balance_limits,
+          game_rules: currentSettings.game_rules
         };
 
         const newConfig = {
@@ -335,7 +826,8 @@ class GameConfig {
           house_edge: this.config.houseEdge,
           game_timing: this.config.gameTiming,
           chat_settings: this.config.chatSettings,
-          balance_limits: this.config.balanceLimits
+          balance_limits: this.config.balanceLimits,
+          game_rules: this.config.gameRules
         };
 
         // If configs are identical, don't save
@@ -354,6 +846,7 @@ class GameConfig {
           game_timing: this.config.gameTiming,
           chat_settings: this.config.chatSettings,
           balance_limits: this.config.balanceLimits,
+          game_rules: this.config.gameRules,
           updated_at: new Date().toISOString()
         });
 
@@ -396,14 +889,26 @@ class GameConfig {
         roulette: { min: 5, max: 5000 },
         crash: { min: 1, max: 1000 },
         slots: { min: 1, max: 500 },
-        hiLo: { min: 5, max: 2000 }
+        'hi-lo': { min: 5, max: 2000 },
+        dice: { min: 1, max: 1000 },
+        plinko: { min: 1, max: 100 },
+        mines: { min: 1, max: 1000 },
+        coinflip: { min: 1, max: 5000 },
+        jackpot: { min: 1, max: 5000 },
+        keno: { min: 1, max: 100 }
       },
       houseEdge: {
         blackjack: 0.02, // 2%
         roulette: 0.027, // 2.7%
         crash: 0.01, // 1%
         slots: 0.04, // 4%
-        hiLo: 0.015 // 1.5%
+        'hi-lo': 0.015, // 1.5%
+        dice: 0.01, // 1%
+        plinko: 0.05, // 5%
+        mines: 0.01, // 1%
+        coinflip: 0.05, // 5% rake on the pot
+        jackpot: 0.05, // 5% rake on the pot
+        keno: 0.05 // 5%
       },
       gameTiming: {
         bettingPhase: 30000, // 30 seconds
@@ -418,7 +923,8 @@ class GameConfig {
       balanceLimits: {
         minBalance: 0,
         maxBalance: 1000000
-      }
+      },
+      gameRules: cloneDefaultGameRules()
     };
 
     console.log('Game configuration reset to defaults');
@@ -0,0 +1,101 @@
+// RTP Calculator - Expected return of configurable paytables
+// Purpose: Let config validation reject game rules that would pay back more than the house edge allows
+
+// Probability of each symbol appearing on a given row of a reel
+// Stops are weighted by the symbol sitting on the payline row, the window wraps around the strip
+function reelRowDistribution(strip, symbolWeights, rows) {
+  const center = Math.floor(rows / 2);
+  const weights = strip.map(symbol => symbolWeights?.[symbol] ?? 1);
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  const distribution = [];
+
+  for (let row = 0; row < rows; row++) {
+    const probabilities = {};
+    for (let stop = 0; stop < strip.length; stop++) {
+      const index = (stop + row - center + strip.length) % strip.length;
+      const symbol = strip[index];
+      probabilities[symbol] = (probabilities[symbol] || 0) + weights[stop] / totalWeight;
+    }
+    distribution.push(probabilities);
+  }
+
+  return distribution;
+}
+
+// Return to player of a left-to-right line-pay slot machine, as a fraction of the total bet
+function computeSlotsRtp(rules) {
+  const { reels, symbolWeights, rows, paylines, paytable } = rules;
+  const distributions = reels.map(strip => reelRowDistribution(strip, symbolWeights, rows));
+  let expectedLineTotal = 0;
+
+  for (const line of paylines) {
+    for (const [symbol, pays] of Object.entries(paytable)) {
+      // Probability that the run starting on reel 0 is exactly `count` symbols long
+      let runProbability = 1;
+      for (let count = 1; count <= reels.length; count++) {
+        runProbability *= distributions[count - 1][line[count - 1]][symbol] || 0;
+        if (runProbability === 0) {
+          break;
+        }
+
+        const pay = pays[count];
+        if (!pay) {
+          continue;
+        }
+
+        const breakProbability = count < reels.length
+          ? 1 - (distributions[count][line[count]][symbol] || 0)
+          : 1;
+        expectedLineTotal += runProbability * breakProbability * pay;
+      }
+    }
+  }
+
+  // The bet is split evenly across all paylines
+  return expectedLineTotal / paylines.length;
+}
+
+// Return to player of a plinko payout table, the ball lands in slot k with binomial probability C(rows, k) / 2^rows
+function computePlinkoRtp(payouts) {
+  const rows = payouts.length - 1;
+  let combinations = 1; // C(rows, 0)
+  let expected = 0;
+
+  for (let slot = 0; slot <= rows; slot++) {
+    expected += (combinations / Math.pow(2, rows)) * payouts[slot];
+    combinations = (combinations * (rows - slot)) / (slot + 1);
+  }
+
+  return expected;
+}
+
+// Return to player of a keno paytable indexed by hits, the draw is hypergeometric
+function computeKenoRtp(payouts, numbers, drawn) {
+  const picks = payouts.length - 1;
+  let expected = 0;
+
+  for (let hits = 0; hits <= picks; hits++) {
+    const probability = combinations(picks, hits) * combinations(numbers - picks, drawn - hits) / combinations(numbers, drawn);
+    expected += probability * payouts[hits];
+  }
+
+  return expected;
+}
+
+function combinations(n, k) {
+  if (k < 0 || k > n) {
+    return 0;
+  }
+  let result = 1;
+  for (let i = 1; i <= k; i++) {
+    result = (result * (n - k + i)) / i;
+  }
+  return result;
+}
+
+module.exports = {
+  reelRowDistribution,
+  computeSlotsRtp,
+  computePlinkoRtp,
+  computeKenoRtp
+};
@@ -31,12 +31,14 @@ class ConfigManager {
     const betLimits = this.gameConfig.getBetLimits(gameType);
     const houseEdge = this.gameConfig.getHouseEdge(gameType);
     const gameTiming = this.gameConfig.getGameTiming();
+    const gameRules = this.gameConfig.getGameRules(gameType);
 
     let gameConfig = {
       minBet: betLimits.min,
       maxBet: betLimits.max,
       houseEdge: houseEdge,
-      timing: gameTiming
+      timing: gameTiming,
+      rules: gameRules
     };
 
     // Merge with custom config if provided
@@ -85,6 +87,10 @@ class ConfigManager {
     return this.gameConfig.getChatSettings();
   }
 
+  getGameRules(gameType) {
+    return this.gameConfig.getGameRules(gameType);
+  }
+
   async updateGameConfig(gameType, config) {
     return await this.gameConfig.updateConfig(config);
   }
@@ -101,6 +107,10 @@ class ConfigManager {
     return this.gameConfig.getAllConfig();
   }
 
+  validateGameConfig(config) {
+    return this.gameConfig.validateConfig(config);
+  }
+
   // Validate bet for any game type
   async validateBet(gameType, amount, betType, userId = null) {
     const betLimits = this.getBetLimits(gameType);
@@ -119,7 +129,7 @@ class ConfigManager {
 
   // Get all available game types
   getAvailableGameTypes() {
-    return ['crash']; // TODO: Add other game types as they're implemented
+    return ['crash', 'blackjack', 'roulette', 'slots', 'hi-lo', 'dice', 'plinko', 'mines', 'coinflip', 'jackpot', 'keno'];
   }
 
   // Check if game type is supported
@@ -110,6 +110,10 @@ class EventBus {
     return this.emitGameEvent(gameId, 'bet_placed', betData);
   }
 
+  async emitBetCancelled(gameId, betData) {
+    return this.emitGameEvent(gameId, 'bet_cancelled', betData);
+  }
+
   async emitCashout(gameId, cashoutData) {
     return this.emitGameEvent(gameId, 'cashout', cashoutData);
   }
@@ -5,9 +5,22 @@ const LoggingService = require('../logging-service');
 const ConfigManager = require('./config-manager');
 const MemoryManager = require('./memory-manager');
 const EventBus = require('./event-bus');
+const SeedManager = require('../../services/seed-manager');
+const CrashStatsService = require('../../services/crash-stats');
+const IdempotencyManager = require('../../services/idempotency-manager');
 
 // Import game implementations
 const CrashGame = require('../games/crash-game');
+const BlackjackGame = require('../games/blackjack-game');
+const RouletteGame = require('../games/roulette-game');
+const SlotsGame = require('../games/slots-game');
+const HiLoGame = require('../games/hi-lo-game');
+const DiceGame = require('../games/dice-game');
+const PlinkoGame = require('../games/plinko-game');
+const MinesGame = require('../games/mines-game');
+const CoinflipGame = require('../games/coinflip-game');
+const JackpotGame = require('../games/jackpot-game');
+const KenoGame = require('../games/keno-game');
 const BaseGame = require('../games/base-game');
 
 class GameEngine {
@@ -19,6 +32,9 @@ class GameEngine {
     this.configManager = new ConfigManager();
     this.memoryManager = new MemoryManager();
     this.eventBus = new EventBus();
+    this.seedManager = new SeedManager(databaseService, this.logger);
+    this.crashStats = new CrashStatsService(databaseService, this.eventBus);
+    this.idempotency = new IdempotencyManager(); // Shared by the WebSocket and REST entry points
     
     // Game registry - maps game types to their implementations
     this.gameRegistry = new Map();
@@ -31,10 +47,16 @@ class GameEngine {
   // Register all available game types
   registerGameTypes() {
     this.gameRegistry.set('crash', CrashGame);
-    // TODO: Add other game types as they're implemented
-    // this.gameRegistry.set('blackjack', BlackjackGame);
-    // this.gameRegistry.set('roulette', RouletteGame);
-    // this.gameRegistry.set('slots', SlotsGame);
+    this.gameRegistry.set('blackjack', BlackjackGame);
+    this.gameRegistry.set('roulette', RouletteGame);
+    this.gameRegistry.set('slots', SlotsGame);
+    this.gameRegistry.set('hi-lo', HiLoGame);
+    this.gameRegistry.set('dice', DiceGame);
+    this.gameRegistry.set('plinko', PlinkoGame);
+    this.gameRegistry.set('mines', MinesGame);
+    this.gameRegistry.set('coinflip', CoinflipGame);
+    this.gameRegistry.set('jackpot', JackpotGame);
+    this.gameRegistry.set('keno', KenoGame);
   }
 
   async initialize() {
@@ -62,9 +84,35 @@ class GameEngine {
     // Initialize crash game
     await this.initializeGame('crash', 'crash-main');
     
-    // TODO: Initialize other games as needed
-    // await this.initializeGame('blackjack', 'blackjack-main');
-    // await this.initializeGame('roulette', 'roulette-main');
+    // Initialize blackjack table
+    await this.initializeGame('blackjack', 'blackjack-main');
+    
+    // Initialize roulette wheel
+    await this.initializeGame('roulette', 'roulette-main');
+    
+    // Initialize slot machine
+    await this.initializeGame('slots', 'slots-main');
+    
+    // Initialize hi-lo table
+    await this.initializeGame('hi-lo', 'hi-lo-main');
+    
+    // Initialize dice
+    await this.initializeGame('dice', 'dice-main');
+    
+    // Initialize plinko
+    await this.initializeGame('plinko', 'plinko-main');
+    
+    // Initialize mines
+    await this.initializeGame('mines', 'mines-main');
+    
+    // Initialize coinflip lobbies
+    await this.initializeGame('coinflip', 'coinflip-main');
+    
+    // Initialize jackpot pot
+    await this.initializeGame('jackpot', 'jackpot-main');
+    
+    // Initialize keno
+    await this.initializeGame('keno', 'keno-main');
   }
 
   async initializeGame(gameType, gameId, config = null) {
@@ -83,7 +131,8 @@ class GameEngine {
         databaseService: this.databaseService,
         logger: this.logger,
         eventBus: this.eventBus,
-        configManager: this.configManager
+        configManager: this.configManager,
+        seedManager: this.seedManager
       });
 
       // Initialize the game
@@ -142,6 +191,17 @@ class GameEngine {
     }
   }
 
+  async handlePlayerDisconnect(gameId, userId) {
+    try {
+      const game = this.games.get(gameId);
+      if (game) {
+        await game.onPlayerDisconnect(userId);
+      }
+    } catch (error) {
+      this.logger.error('error handling player disconnect', { error: error.message });
+    }
+  }
+
   // NEW: Generic cashout processing
   async processCashout(gameId, userId, cashoutValue) {
     try {
@@ -198,6 +258,34 @@ class GameEngine {
     }
   }
 
+  // The player's unfinished single-player game (e.g. a mines board), null if there is none
+  async getOpenGame(gameId, userId) {
+    try {
+      const game = this.games.get(gameId);
+      if (!game) {
+        return null;
+      }
+
+      return await game.getOpenGame(userId);
+    } catch (error) {
+      this.logger.error('error getting open game', { error: error.message });
+      return null;
+    }
+  }
+
+  // Live player list of a round-based game, null for games without one
+  getBetFeed(gameId) {
+    const game = this.games.get(gameId);
+    if (!game || typeof game.getBetFeed !== 'function') {
+      return null;
+    }
+    return game.getBetFeed();
+  }
+
+  async getCrashStats(options) {
+    return await this.crashStats.getStats(options);
+  }
+
   async getGameHistory(gameId, limit = 20) {
     try {
       const game = this.games.get(gameId);
@@ -224,6 +312,14 @@ class GameEngine {
     return await this.configManager.updateGameConfig(gameType, config);
   }
 
+  async saveGameConfig() {
+    return await this.configManager.saveGameConfig();
+  }
+
+  resetGameConfig() {
+    return this.configManager.resetGameConfig();
+  }
+
   getMemoryStats() {
     return this.memoryManager.getStats();
   }
@@ -261,6 +357,7 @@ class GameEngine {
       await this.stopAllGames();
       this.memoryManager.cleanup();
       this.eventBus.cleanup();
+      this.idempotency.cleanup();
       this.logger.info('game engine cleanup completed');
     } catch (error) {
       this.logger.error('error during game engine cleanup', { error: error.message });
@@ -2,11 +2,13 @@
 // Purpose: Handle all Supabase database interactions
 
 const { createClient } = require('@supabase/supabase-js');
+const LedgerManager = require('../services/ledger-manager');
 
 class DatabaseService {
   constructor() {
     this.supabase = null;
     this.initialized = false;
+    this.ledger = new LedgerManager(this);
   }
 
   async initialize() {
@@ -67,29 +69,25 @@ class DatabaseService {
     }
   }
 
-  // Update user balance
+  // Update user balance through the ledger; transactionType picks the movement (game_win, refund, bonus, admin_adjustment, ...)
   async updateBalance(userId, amount, transactionType, gameType = null, gameId = null, description = null) {
     if (!this.initialized) {
       throw new Error('Database service not initialized');
     }
 
+    const movement = this.ledger.movementFor(transactionType);
+    if (!movement) {
+      throw new Error(`Unknown transaction type: ${transactionType}`);
+    }
+
     try {
-      const { data, error } = await this.supabase
-        .rpc('update_gc_balance', {
-          p_user_id: userId,
-          p_amount: amount,
-          p_transaction_type: transactionType,
-          p_game_type: gameType,
-          p_game_id: gameId,
-          p_description: description
-        });
+      const { newBalance } = await this.ledger.post(movement, userId, amount, {
+        gameType,
+        gameId,
+        description
+      });
       
-      if (error) {
-        console.error('error updating balance:', error);
-        throw new Error('Failed to update balance');
-      }
-      
-      return data;
+      return newBalance;
     } catch (error) {
       console.error('error in updateBalance:', error);
       throw error;
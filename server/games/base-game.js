@@ -1,6 +1,8 @@
 // Base Game - Abstract base class for all game implementations
 // Purpose: Define common interface and functionality for all games
 
+const { generateFloats } = require('../../services/fair-random');
+
 class BaseGame {
   constructor(gameId, config, services) {
     this.gameId = gameId;
@@ -12,6 +14,7 @@ class BaseGame {
     this.logger = services.logger;
     this.eventBus = services.eventBus;
     this.configManager = services.configManager;
+    this.seedManager = services.seedManager;
     
     // Game state
     this.state = {
@@ -84,6 +87,19 @@ class BaseGame {
     throw new Error('onGetHistory() must be implemented by subclass');
   }
 
+  // Called once a player has no connection left in this game's room
+  async onPlayerDisconnect(userId) {}
+
+  // Games a player can leave unfinished return it here so a reconnect can resume it
+  async getOpenGame(userId) {
+    return null;
+  }
+
+  // Single-player games that draw outcomes from the player's own seed pair override this
+  usesPlayerSeeds() {
+    return false;
+  }
+
   // Common game methods
   startGameLoop() {
     if (this.gameLoop) {
@@ -154,6 +170,11 @@ class BaseGame {
 
   async processAction(userId, action, data) {
     try {
+      // Seed management is shared by every game that uses player seeds
+      if (this.usesPlayerSeeds() && ['get_seeds', 'set_client_seed', 'rotate_seed'].includes(action)) {
+        return await this.processSeedAction(userId, action, data);
+      }
+
       // Process action using game-specific logic
       const result = await this.onProcessAction(userId, action, data);
       
@@ -179,6 +200,61 @@ class BaseGame {
     }
   }
 
+  async processSeedAction(userId, action, data) {
+    try {
+      if (action === 'get_seeds') {
+        return {
+          success: true,
+          seeds: await this.seedManager.getPublicPair(userId)
+        };
+      }
+
+      const clientSeed = data?.clientSeed;
+      if (action === 'set_client_seed' || clientSeed !== undefined) {
+        const seedError = this.seedManager.validateClientSeed(clientSeed);
+        if (seedError) {
+          return {
+            success: false,
+            message: seedError
+          };
+        }
+      }
+
+      // Changing the client seed starts a new pair so the revealed seed can be checked against every past bet
+      const rotation = await this.seedManager.rotateSeed(userId, clientSeed);
+      return {
+        success: true,
+        message: 'seed pair rotated',
+        revealed: rotation.previous,
+        seeds: rotation.active
+      };
+    } catch (error) {
+      console.error('error processing seed action:', error);
+      return {
+        success: false,
+        message: error.message || 'failed to update seeds'
+      };
+    }
+  }
+
+  // Deterministic floats for one bet, drawn from the player's seed pair
+  async drawPlayerFloats(userId, count, hold = false) {
+    const seed = await this.seedManager.claimNonce(userId, hold);
+    return {
+      seed,
+      floats: generateFloats(seed.serverSeed, seed.clientSeed, seed.nonce, count)
+    };
+  }
+
+  // Public part of a claimed seed, stored with the round so it can be verified after rotation
+  seedRecord(seed) {
+    return {
+      server_seed_hash: seed.serverSeedHash,
+      client_seed: seed.clientSeed,
+      nonce: seed.nonce
+    };
+  }
+
   // NEW: Generic cashout processing
   async processCashout(userId, cashoutValue) {
     try {
@@ -305,16 +381,16 @@ class BaseGame {
   // NEW: Generic cashout validation
   async validateCashout(userId, cashoutValue) {
     try {
-      // Check if user has an active bet for this game
-      const { data: userBet, error } = await this.databaseService.supabase
+      // Check if user has an active bet for this game (players may hold several)
+      const { data: userBets, error } = await this.databaseService.supabase
         .from('game_bets')
-        .select('*')
+        .select('id')
         .eq('user_id', userId)
         .eq('game_type', this.getGameType())
         .eq('status', 'active')
-        .single();
+        .limit(1);
       
-      if (error || !userBet) {
+      if (error || !userBets || userBets.length === 0) {
         return { valid: false, message: 'No active bet found to cashout' };
       }
       
@@ -335,10 +411,181 @@ class BaseGame {
     this.state = { ...this.state, ...newState };
   }
 
-  getState() {
+  // Raw base state (named apart from the async getState(userId) used by the engine)
+  getInternalState() {
     return this.state;
   }
 
+  // Generic round settlement helpers for games that settle each hand/spin as its own round
+  async createRound(gameData) {
+    const { data: roundId, error } = await this.databaseService.supabase.rpc('create_game_round', {
+      p_game_type: this.getGameType(),
+      p_game_data: gameData
+    });
+    
+    if (error) {
+      throw new Error(error.message || 'failed to create game round');
+    }
+    
+    return roundId;
+  }
+
+  async placeRoundBet(userId, amount, roundId) {
+    const { data: result, error } = await this.databaseService.supabase.rpc('place_bet', {
+      p_game_type: this.getGameType(),
+      p_user_id: userId,
+      p_bet_amount: amount,
+      p_round_id: roundId
+    });
+    
+    if (error) {
+      throw new Error(error.message || 'failed to place bet');
+    }
+    
+    return {
+      betId: result.bet_id,
+      newBalance: result.new_balance
+    };
+  }
+
+  // Create a round and stake it; a round whose bet was refused is voided so it is never left active
+  async openRoundBet(userId, amount, gameData) {
+    const roundId = await this.createRound(gameData);
+
+    try {
+      const bet = await this.placeRoundBet(userId, amount, roundId);
+      return { roundId, ...bet };
+    } catch (error) {
+      await this.completeRound(roundId, { ...gameData, phase: 'voided' }).catch(async (completeError) => {
+        await this.logger.error('error voiding unstaked round', { error: completeError.message, roundId });
+      });
+      throw error;
+    }
+  }
+
+  // Pays out bet_amount * multiplier through cashout_bet, or marks the bet lost when multiplier is 0
+  async settleRoundBet(userId, roundId, multiplier) {
+    if (multiplier > 0) {
+      const { data: result, error } = await this.databaseService.supabase.rpc('cashout_bet', {
+        p_game_type: this.getGameType(),
+        p_user_id: userId,
+        p_round_id: roundId,
+        p_cashout_value: multiplier
+      });
+      
+      if (error) {
+        throw new Error(error.message || 'failed to settle bet');
+      }
+      
+      return {
+        payoutAmount: result.payout_amount,
+        newBalance: result.new_balance,
+        betId: result.bet_id
+      };
+    }
+    
+    const { error } = await this.databaseService.supabase
+      .from('game_bets')
+      .update({
+        status: 'lost',
+        updated_at: new Date().toISOString()
+      })
+      .eq('round_id', roundId)
+      .eq('user_id', userId)
+      .eq('game_type', this.getGameType())
+      .eq('status', 'active');
+    
+    if (error) {
+      throw new Error(error.message || 'failed to settle bet');
+    }
+    
+    return {
+      payoutAmount: 0,
+      newBalance: null,
+      betId: null
+    };
+  }
+
+  // Settle several bets of one round in a single database transaction: each bet pays bet_amount * multiplier
+  // (0 marks it lost), and if any bet cannot be settled none of them are
+  async settleRoundBets(roundId, settlements) {
+    const { data: results, error } = await this.databaseService.supabase.rpc('settle_round_bets', {
+      p_game_type: this.getGameType(),
+      p_round_id: roundId,
+      p_settlements: settlements.map(settlement => ({
+        bet_id: settlement.betId,
+        multiplier: settlement.multiplier
+      }))
+    });
+
+    if (error) {
+      throw new Error(error.message || 'failed to settle round');
+    }
+
+    return (results || []).map(result => ({
+      betId: result.bet_id,
+      payoutAmount: result.payout_amount,
+      newBalance: result.new_balance
+    }));
+  }
+
+  // Return a stake through refund_bet, which only refunds a bet that is still active
+  async refundRoundBet(betId) {
+    const { data: result, error } = await this.databaseService.supabase.rpc('refund_bet', {
+      p_bet_id: betId
+    });
+
+    if (error) {
+      throw new Error(error.message || 'failed to refund bet');
+    }
+
+    return {
+      refundAmount: result.refund_amount,
+      newBalance: result.new_balance
+    };
+  }
+
+  // Instant games (one bet, one result) stake and settle in a single database transaction
+  async placeInstantBet(userId, amount, multiplier, gameData) {
+    const { data: result, error } = await this.databaseService.supabase.rpc('place_instant_bet', {
+      p_game_type: this.getGameType(),
+      p_user_id: userId,
+      p_bet_amount: amount,
+      p_payout_multiplier: multiplier,
+      p_game_data: gameData
+    });
+    
+    if (error) {
+      throw new Error(error.message || 'failed to place bet');
+    }
+    
+    return {
+      roundId: result.round_id,
+      betId: result.bet_id,
+      payoutAmount: result.payout_amount,
+      newBalance: result.new_balance
+    };
+  }
+
+  async completeRound(roundId, gameData = null) {
+    const update = {
+      status: 'completed',
+      updated_at: new Date().toISOString()
+    };
+    if (gameData) {
+      update.game_data = gameData;
+    }
+    
+    const { error } = await this.databaseService.supabase
+      .from('game_rounds')
+      .update(update)
+      .eq('id', roundId);
+    
+    if (error) {
+      throw new Error(error.message || 'failed to complete game round');
+    }
+  }
+
   // Event emission helpers
   async emitGameStarted(gameData) {
     await this.eventBus.emitGameStarted(this.gameId, gameData);
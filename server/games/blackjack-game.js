@@ -0,0 +1,745 @@
+// Blackjack Game - Blackjack game implementation
+// Purpose: Handle player-vs-dealer hands, shoe management and settlement
+
+const crypto = require('crypto');
+const BaseGame = require('./base-game');
+
+const SUITS = ['hearts', 'diamonds', 'clubs', 'spades'];
+const RANKS = ['A', '2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K'];
+
+class BlackjackGame extends BaseGame {
+  constructor(gameId, config, services) {
+    super(gameId, config, services);
+
+    // Blackjack-specific state (table-wide, hands are tracked per player)
+    this.blackjackState = {
+      phase: 'open',
+      activeHandsCount: 0,
+      totalBetAmount: 0.00,
+      shoeNumber: 0,
+      shoeSize: 0,
+      cardsRemaining: 0
+    };
+
+    this.shoe = [];
+    this.hands = new Map(); // userId -> hand session
+    this.lastTimeoutCheck = 0;
+  }
+
+  getGameType() {
+    return 'blackjack';
+  }
+
+  getRules() {
+    return this.configManager.getGameRules('blackjack');
+  }
+
+  async onInitialize() {
+    this.shuffleShoe();
+
+    // Hands left open by a previous process cannot be resumed (the shoe is gone), so return their stakes
+    const { data: openBets, error } = await this.databaseService.supabase
+      .from('game_bets')
+      .select('id, round_id')
+      .eq('game_type', 'blackjack')
+      .eq('status', 'active');
+
+    if (error) {
+      console.error('error loading open blackjack bets:', error);
+      return;
+    }
+
+    for (const bet of openBets || []) {
+      try {
+        await this.refundRoundBet(bet.id);
+        await this.completeRound(bet.round_id);
+      } catch (refundError) {
+        await this.logger.error('error refunding open blackjack bet', { error: refundError.message, roundId: bet.round_id });
+      }
+    }
+
+    if (openBets && openBets.length > 0) {
+      await this.logger.gameEvent('blackjack', `refunded ${openBets.length} open stakes from previous session`);
+    }
+  }
+
+  async onGameLoop() {
+    // Hands are driven by player actions, the loop only enforces the inactivity timeout
+    const now = Date.now();
+    if (now - this.lastTimeoutCheck < 1000) {
+      return;
+    }
+    this.lastTimeoutCheck = now;
+
+    const { handTimeout } = this.getRules();
+    for (const [userId, session] of this.hands) {
+      if (session.pending || session.busy || session.phase === 'settled') {
+        continue;
+      }
+      if (now - session.lastActionAt < handTimeout) {
+        continue;
+      }
+
+      // Auto-stand every remaining hand (declining insurance first if it is still on offer)
+      let result = null;
+      while (this.hands.get(userId) === session) {
+        const action = session.phase === 'insurance' ? 'decline_insurance' : 'stand';
+        result = await this.onProcessAction(userId, action, null);
+        if (!result.success) {
+          break;
+        }
+      }
+
+      if (result && global.serverInstance && global.serverInstance.wsServer) {
+        global.serverInstance.wsServer.sendToUser(userId, {
+          type: 'blackjack_hand_timeout',
+          hand: result.hand,
+          timestamp: new Date().toISOString()
+        });
+      }
+    }
+  }
+
+  async onProcessBet(userId, betData) {
+    const { amount } = betData;
+
+    if (this.hands.has(userId)) {
+      return {
+        success: false,
+        message: 'you already have a hand in progress'
+      };
+    }
+
+    // Reserve the seat before any await so a duplicate bet cannot deal a second hand
+    this.hands.set(userId, { pending: true });
+
+    try {
+      if (this.needsReshuffle()) {
+        this.shuffleShoe();
+      }
+
+      const bet = await this.openRoundBet(userId, amount, {
+        kind: 'hand',
+        phase: 'playing',
+        user_id: userId,
+        bet_amount: amount,
+        shoe_number: this.blackjackState.shoeNumber
+      });
+      const roundId = bet.roundId;
+
+      const session = {
+        userId,
+        roundId,
+        betAmount: amount,
+        hands: [this.createHand([], { roundId, amount })],
+        activeHandIndex: 0,
+        dealerCards: [],
+        dealerBlackjack: false,
+        insurance: null,
+        phase: 'playing', // insurance, playing, settled
+        busy: false,
+        lastActionAt: Date.now()
+      };
+
+      // Deal player, dealer, player, dealer
+      session.hands[0].cards.push(this.drawCard());
+      session.dealerCards.push(this.drawCard());
+      session.hands[0].cards.push(this.drawCard());
+      session.dealerCards.push(this.drawCard());
+
+      this.hands.set(userId, session);
+      this.updateTableState();
+
+      const upcard = session.dealerCards[0];
+      if (upcard.rank === 'A') {
+        session.phase = 'insurance';
+      } else if (this.cardValue(upcard) === 10) {
+        await this.peekForBlackjack(session);
+      } else if (this.isBlackjack(session.hands[0])) {
+        await this.finishHand(session);
+      }
+
+      return {
+        success: true,
+        message: 'hand dealt',
+        betAmount: amount,
+        betId: bet.betId,
+        newBalance: bet.newBalance,
+        hand: this.serializeSession(session)
+      };
+    } catch (error) {
+      console.error('failed to deal blackjack hand:', error);
+      if (this.hands.get(userId)?.pending) {
+        this.hands.delete(userId);
+      }
+      return {
+        success: false,
+        message: error.message || 'failed to place bet'
+      };
+    }
+  }
+
+  async onProcessAction(userId, action, data) {
+    const session = this.hands.get(userId);
+    if (!session || session.pending) {
+      return {
+        success: false,
+        message: 'no hand in progress'
+      };
+    }
+
+    if (session.busy) {
+      return {
+        success: false,
+        message: 'previous action is still being processed'
+      };
+    }
+
+    session.busy = true;
+    try {
+      const result = await this.applyAction(session, action);
+      if (!result.success) {
+        return result;
+      }
+
+      session.lastActionAt = Date.now();
+      return {
+        ...result,
+        hand: this.serializeSession(session)
+      };
+    } catch (error) {
+      console.error('error processing blackjack action:', error);
+      return {
+        success: false,
+        message: error.message || 'failed to process action'
+      };
+    } finally {
+      session.busy = false;
+    }
+  }
+
+  async applyAction(session, action) {
+    const rules = this.getRules();
+
+    if (action === 'insurance' || action === 'decline_insurance') {
+      if (session.phase !== 'insurance') {
+        return { success: false, message: 'insurance is not on offer' };
+      }
+
+      if (action === 'insurance') {
+        const amount = session.betAmount / 2;
+        const { roundId } = await this.openRoundBet(session.userId, amount, {
+          kind: 'insurance',
+          parent_round_id: session.roundId,
+          user_id: session.userId,
+          bet_amount: amount
+        });
+        session.insurance = { roundId, amount, settled: false };
+      }
+
+      await this.peekForBlackjack(session);
+      return { success: true, message: action === 'insurance' ? 'insurance taken' : 'insurance declined' };
+    }
+
+    if (session.phase !== 'playing') {
+      return {
+        success: false,
+        message: session.phase === 'insurance' ? 'insurance decision required' : 'hand is already settled'
+      };
+    }
+
+    const hand = session.hands[session.activeHandIndex];
+
+    if (action === 'hit') {
+      hand.cards.push(this.drawCard());
+      this.checkHandComplete(hand);
+    } else if (action === 'stand') {
+      hand.status = 'stood';
+    } else if (action === 'double') {
+      if (!this.canDouble(session, hand, rules)) {
+        return { success: false, message: 'cannot double this hand' };
+      }
+
+      const amount = hand.stakes[0].amount;
+      const { roundId } = await this.openRoundBet(session.userId, amount, {
+        kind: 'double',
+        parent_round_id: session.roundId,
+        user_id: session.userId,
+        bet_amount: amount
+      });
+
+      hand.stakes.push({ roundId, amount });
+      hand.doubled = true;
+      hand.cards.push(this.drawCard());
+      hand.status = this.handTotal(hand.cards).total > 21 ? 'bust' : 'stood';
+    } else if (action === 'split') {
+      if (!this.canSplit(session, hand, rules)) {
+        return { success: false, message: 'cannot split this hand' };
+      }
+
+      const amount = hand.stakes[0].amount;
+      const { roundId } = await this.openRoundBet(session.userId, amount, {
+        kind: 'split',
+        parent_round_id: session.roundId,
+        user_id: session.userId,
+        bet_amount: amount
+      });
+
+      const splitHand = this.createHand([hand.cards.pop()], { roundId, amount });
+      hand.split = true;
+      splitHand.split = true;
+      session.hands.splice(session.activeHandIndex + 1, 0, splitHand);
+
+      hand.cards.push(this.drawCard());
+      splitHand.cards.push(this.drawCard());
+
+      // Split aces receive a single card each
+      if (hand.cards[0].rank === 'A') {
+        hand.status = 'stood';
+        splitHand.status = 'stood';
+      } else {
+        this.checkHandComplete(hand);
+        this.checkHandComplete(splitHand);
+      }
+    } else {
+      return {
+        success: false,
+        message: `unknown action: ${action}`
+      };
+    }
+
+    this.updateTableState();
+    await this.advanceHand(session);
+
+    return { success: true, message: `${action} processed` };
+  }
+
+  // Blackjack hands settle on their own, there is nothing to cash out
+  async onProcessCashout(userId, cashoutValue) {
+    return {
+      success: false,
+      message: 'cashout is not available in blackjack'
+    };
+  }
+
+  async onProcessAutoCashout(userId, targetValue) {
+    return {
+      success: false,
+      message: 'auto-cashout is not available in blackjack'
+    };
+  }
+
+  async onGetState(userId = null) {
+    const rules = this.getRules();
+    const state = {
+      ...this.blackjackState,
+      rules: {
+        decks: rules.decks,
+        dealerHitsSoft17: rules.dealerHitsSoft17,
+        blackjackPayout: rules.blackjackPayout,
+        insurancePayout: rules.insurancePayout,
+        maxSplitHands: rules.maxSplitHands,
+        doubleAfterSplit: rules.doubleAfterSplit
+      }
+    };
+
+    // Add user-specific hand information if available
+    if (userId && userId !== 'anonymous') {
+      const session = this.hands.get(userId);
+      if (session && !session.pending) {
+        state.hand = this.serializeSession(session);
+      }
+    }
+
+    return state;
+  }
+
+  async onGetHistory(limit = 20) {
+    try {
+      const { data: rounds, error } = await this.databaseService.supabase
+        .from('game_rounds')
+        .select('*')
+        .eq('game_type', 'blackjack')
+        .eq('status', 'completed')
+        .eq('game_data->>kind', 'hand')
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      if (error) {
+        console.error('error getting blackjack history:', error);
+        return [];
+      }
+
+      return rounds || [];
+    } catch (error) {
+      console.error('error getting blackjack history:', error);
+      return [];
+    }
+  }
+
+  // Blackjack-specific methods
+  createHand(cards, stake) {
+    return {
+      cards,
+      stakes: [stake],
+      status: 'playing', // playing, stood, bust
+      split: false,
+      doubled: false,
+      result: null,
+      payout: 0
+    };
+  }
+
+  shuffleShoe() {
+    const { decks } = this.getRules();
+    const shoe = [];
+
+    for (let deck = 0; deck < decks; deck++) {
+      for (const suit of SUITS) {
+        for (const rank of RANKS) {
+          shoe.push({ rank, suit });
+        }
+      }
+    }
+
+    // Fisher-Yates with a cryptographically secure source
+    for (let i = shoe.length - 1; i > 0; i--) {
+      const j = crypto.randomInt(i + 1);
+      [shoe[i], shoe[j]] = [shoe[j], shoe[i]];
+    }
+
+    this.shoe = shoe;
+    this.blackjackState.shoeNumber++;
+    this.blackjackState.shoeSize = shoe.length;
+    this.blackjackState.cardsRemaining = shoe.length;
+  }
+
+  needsReshuffle() {
+    const { penetration } = this.getRules();
+    const dealt = this.blackjackState.shoeSize - this.shoe.length;
+    return dealt >= this.blackjackState.shoeSize * penetration;
+  }
+
+  drawCard() {
+    if (this.shoe.length === 0) {
+      this.shuffleShoe();
+    }
+
+    const card = this.shoe.pop();
+    this.blackjackState.cardsRemaining = this.shoe.length;
+    return card;
+  }
+
+  cardValue(card) {
+    if (card.rank === 'A') {
+      return 11;
+    }
+    if (card.rank === 'J' || card.rank === 'Q' || card.rank === 'K') {
+      return 10;
+    }
+    return parseInt(card.rank, 10);
+  }
+
+  handTotal(cards) {
+    let total = 0;
+    let aces = 0;
+
+    for (const card of cards) {
+      total += this.cardValue(card);
+      if (card.rank === 'A') {
+        aces++;
+      }
+    }
+
+    // Count aces as 1 until the hand is no longer bust
+    while (total > 21 && aces > 0) {
+      total -= 10;
+      aces--;
+    }
+
+    return { total, soft: aces > 0 };
+  }
+
+  // A natural only counts on the original two cards, not after a split
+  isBlackjack(hand) {
+    return !hand.split && hand.cards.length === 2 && this.handTotal(hand.cards).total === 21;
+  }
+
+  checkHandComplete(hand) {
+    const { total } = this.handTotal(hand.cards);
+    if (total > 21) {
+      hand.status = 'bust';
+    } else if (total === 21) {
+      hand.status = 'stood';
+    }
+  }
+
+  canDouble(session, hand, rules) {
+    if (hand.cards.length !== 2 || hand.doubled) {
+      return false;
+    }
+    return !hand.split || rules.doubleAfterSplit;
+  }
+
+  canSplit(session, hand, rules) {
+    if (hand.cards.length !== 2 || session.hands.length >= rules.maxSplitHands) {
+      return false;
+    }
+    return this.cardValue(hand.cards[0]) === this.cardValue(hand.cards[1]);
+  }
+
+  availableActions(session) {
+    if (session.phase === 'insurance') {
+      return ['insurance', 'decline_insurance'];
+    }
+    if (session.phase !== 'playing') {
+      return [];
+    }
+
+    const rules = this.getRules();
+    const hand = session.hands[session.activeHandIndex];
+    const actions = ['hit', 'stand'];
+    if (this.canDouble(session, hand, rules)) {
+      actions.push('double');
+    }
+    if (this.canSplit(session, hand, rules)) {
+      actions.push('split');
+    }
+    return actions;
+  }
+
+  async peekForBlackjack(session) {
+    const dealerHand = { cards: session.dealerCards, split: false };
+    session.dealerBlackjack = this.isBlackjack(dealerHand);
+
+    // Insurance only pays when the dealer has blackjack, otherwise it is lost straight away
+    if (session.insurance && !session.dealerBlackjack) {
+      await this.settleInsurance(session, 0);
+    }
+
+    if (session.dealerBlackjack || this.isBlackjack(session.hands[0])) {
+      await this.finishHand(session);
+    } else {
+      session.phase = 'playing';
+    }
+  }
+
+  async settleInsurance(session, multiplier) {
+    const insurance = session.insurance;
+    try {
+      const settlement = await this.settleRoundBet(session.userId, insurance.roundId, multiplier);
+      insurance.payout = settlement.payoutAmount;
+      await this.completeRound(insurance.roundId, {
+        kind: 'insurance',
+        parent_round_id: session.roundId,
+        user_id: session.userId,
+        bet_amount: insurance.amount,
+        multiplier,
+        payout: settlement.payoutAmount
+      });
+    } catch (error) {
+      await this.logger.error('error settling blackjack insurance', { error: error.message, roundId: insurance.roundId });
+    }
+    insurance.settled = true;
+  }
+
+  async advanceHand(session) {
+    while (session.activeHandIndex < session.hands.length &&
+           session.hands[session.activeHandIndex].status !== 'playing') {
+      session.activeHandIndex++;
+    }
+
+    if (session.activeHandIndex >= session.hands.length) {
+      session.activeHandIndex = session.hands.length - 1;
+      await this.finishHand(session);
+    }
+  }
+
+  shouldDealerHit(cards) {
+    const { dealerHitsSoft17 } = this.getRules();
+    const { total, soft } = this.handTotal(cards);
+    return total < 17 || (total === 17 && soft && dealerHitsSoft17);
+  }
+
+  // Play out the dealer hand and settle every stake belonging to the session
+  async finishHand(session) {
+    const rules = this.getRules();
+    const playerNatural = session.hands.length === 1 && this.isBlackjack(session.hands[0]);
+    const anyLive = session.hands.some(hand => hand.status !== 'bust');
+
+    if (!session.dealerBlackjack && !playerNatural && anyLive) {
+      while (this.shouldDealerHit(session.dealerCards)) {
+        session.dealerCards.push(this.drawCard());
+      }
+    }
+
+    const dealerTotal = this.handTotal(session.dealerCards).total;
+
+    for (const hand of session.hands) {
+      const { total } = this.handTotal(hand.cards);
+      let multiplier = 0;
+
+      if (session.dealerBlackjack) {
+        hand.result = playerNatural ? 'push' : 'lose';
+        multiplier = playerNatural ? 1 : 0;
+      } else if (hand.status === 'bust') {
+        hand.result = 'bust';
+      } else if (playerNatural) {
+        hand.result = 'blackjack';
+        multiplier = 1 + rules.blackjackPayout;
+      } else if (dealerTotal > 21 || total > dealerTotal) {
+        hand.result = 'win';
+        multiplier = 2;
+      } else if (total === dealerTotal) {
+        hand.result = 'push';
+        multiplier = 1;
+      } else {
+        hand.result = 'lose';
+      }
+
+      for (const stake of hand.stakes) {
+        try {
+          const settlement = await this.settleRoundBet(session.userId, stake.roundId, multiplier);
+          hand.payout += settlement.payoutAmount;
+          if (settlement.newBalance !== null) {
+            session.newBalance = settlement.newBalance;
+          }
+
+          if (stake.roundId !== session.roundId) {
+            await this.completeRound(stake.roundId, {
+              kind: hand.doubled && stake !== hand.stakes[0] ? 'double' : 'split',
+              parent_round_id: session.roundId,
+              user_id: session.userId,
+              bet_amount: stake.amount,
+              result: hand.result,
+              multiplier,
+              payout: settlement.payoutAmount
+            });
+          }
+        } catch (error) {
+          await this.logger.error('error settling blackjack stake', { error: error.message, roundId: stake.roundId });
+        }
+      }
+    }
+
+    if (session.insurance && !session.insurance.settled) {
+      await this.settleInsurance(session, session.dealerBlackjack ? 1 + rules.insurancePayout : 0);
+    }
+
+    session.phase = 'settled';
+
+    const totalBet = session.hands.reduce((sum, hand) => sum + hand.stakes.reduce((s, stake) => s + stake.amount, 0), 0);
+    const totalPayout = session.hands.reduce((sum, hand) => sum + hand.payout, 0);
+    const roundData = {
+      kind: 'hand',
+      phase: 'settled',
+      user_id: session.userId,
+      bet_amount: session.betAmount,
+      dealer_cards: session.dealerCards,
+      dealer_total: dealerTotal,
+      hands: session.hands.map(hand => ({
+        cards: hand.cards,
+        total: this.handTotal(hand.cards).total,
+        doubled: hand.doubled,
+        result: hand.result,
+        payout: hand.payout
+      })),
+      insurance: session.insurance ? session.insurance.amount : 0,
+      total_bet: totalBet,
+      total_payout: totalPayout,
+      shoe_number: this.blackjackState.shoeNumber
+    };
+
+    try {
+      await this.completeRound(session.roundId, roundData);
+    } catch (error) {
+      await this.logger.error('error completing blackjack round', { error: error.message, roundId: session.roundId });
+    }
+
+    this.hands.delete(session.userId);
+    this.updateTableState();
+
+    await this.emitRoundCompleted({
+      roundId: session.roundId,
+      userId: session.userId,
+      totalBet,
+      totalPayout
+    });
+  }
+
+  updateTableState() {
+    let activeHands = 0;
+    let totalBet = 0;
+
+    for (const session of this.hands.values()) {
+      if (session.pending) {
+        continue;
+      }
+      activeHands++;
+      for (const hand of session.hands) {
+        for (const stake of hand.stakes) {
+          totalBet += stake.amount;
+        }
+      }
+    }
+
+    this.blackjackState.activeHandsCount = activeHands;
+    this.blackjackState.totalBetAmount = totalBet;
+  }
+
+  // Client view of a session, the dealer hole card stays hidden until the hand settles
+  serializeSession(session) {
+    const settled = session.phase === 'settled';
+    const dealerCards = settled
+      ? session.dealerCards
+      : [session.dealerCards[0], { hidden: true }];
+
+    return {
+      roundId: session.roundId,
+      phase: session.phase,
+      activeHandIndex: session.activeHandIndex,
+      hands: session.hands.map(hand => ({
+        cards: hand.cards,
+        total: this.handTotal(hand.cards).total,
+        soft: this.handTotal(hand.cards).soft,
+        status: hand.status,
+        betAmount: hand.stakes.reduce((sum, stake) => sum + stake.amount, 0),
+        doubled: hand.doubled,
+        result: hand.result,
+        payout: hand.payout
+      })),
+      dealer: {
+        cards: dealerCards,
+        total: settled
+          ? this.handTotal(session.dealerCards).total
+          : this.cardValue(session.dealerCards[0]),
+        blackjack: settled ? session.dealerBlackjack : undefined
+      },
+      insurance: session.insurance ? session.insurance.amount : null,
+      availableActions: this.availableActions(session),
+      newBalance: session.newBalance
+    };
+  }
+
+  async onStop() {
+    // Blackjack-specific cleanup
+    this.lastTimeoutCheck = 0;
+  }
+
+  cleanup() {
+    super.cleanup();
+    // Additional blackjack-specific cleanup
+    this.hands.clear();
+    this.shoe = [];
+    this.blackjackState = {
+      phase: 'open',
+      activeHandsCount: 0,
+      totalBetAmount: 0.00,
+      shoeNumber: 0,
+      shoeSize: 0,
+      cardsRemaining: 0
+    };
+  }
+}
+
+module.exports = BlackjackGame;
@@ -0,0 +1,502 @@
+// Coinflip Game - Player-versus-player coinflip implementation
+// Purpose: Let a player open a lobby with a stake, flip against whoever matches it, and pay the winner the pot less the house rake
+
+const crypto = require('crypto');
+const BaseGame = require('./base-game');
+const { generateFloats, hashServerSeed } = require('../../services/fair-random');
+
+const SIDES = ['heads', 'tails'];
+
+class CoinflipGame extends BaseGame {
+  constructor(gameId, config, services) {
+    super(gameId, config, services);
+
+    // Coinflip-specific state
+    this.coinflipState = {
+      phase: 'open',
+      openLobbiesCount: 0,
+      totalFlips: 0,
+      totalRake: 0.00
+    };
+
+    this.lobbies = new Map(); // lobbyId (round id) -> lobby
+    this.pendingLobbies = new Map(); // userId -> lobbies still being opened
+    this.lastExpiryCheck = 0;
+  }
+
+  getGameType() {
+    return 'coinflip';
+  }
+
+  getRules() {
+    return this.configManager.getGameRules('coinflip');
+  }
+
+  async onInitialize() {
+    // Lobbies and flips left open by a previous process cannot be resumed (their seed is gone), so return every stake
+    const { data: openBets, error } = await this.databaseService.supabase
+      .from('game_bets')
+      .select('id, round_id')
+      .eq('game_type', 'coinflip')
+      .eq('status', 'active');
+
+    if (error) {
+      console.error('error loading open coinflip bets:', error);
+      return;
+    }
+
+    const roundIds = new Set();
+    for (const bet of openBets || []) {
+      try {
+        await this.refundRoundBet(bet.id);
+        roundIds.add(bet.round_id);
+      } catch (refundError) {
+        await this.logger.error('error refunding open coinflip bet', { error: refundError.message, roundId: bet.round_id });
+      }
+    }
+
+    for (const roundId of roundIds) {
+      try {
+        await this.completeRound(roundId, { phase: 'voided' });
+      } catch (completeError) {
+        await this.logger.error('error voiding coinflip lobby', { error: completeError.message, roundId });
+      }
+    }
+
+    if (openBets && openBets.length > 0) {
+      await this.logger.gameEvent('coinflip', `refunded ${openBets.length} open stakes from previous session`);
+    }
+  }
+
+  async onGameLoop() {
+    // Flips are driven by players joining, the loop only expires lobbies nobody matched
+    const now = Date.now();
+    if (now - this.lastExpiryCheck < 1000) {
+      return;
+    }
+    this.lastExpiryCheck = now;
+
+    for (const lobby of this.lobbies.values()) {
+      if (lobby.status === 'open' && now >= lobby.expiresAt) {
+        await this.expireLobby(lobby);
+      }
+    }
+  }
+
+  // A bet with a lobbyId matches that lobby's stake, any other bet opens a new lobby
+  async onProcessBet(userId, betData) {
+    if (betData.lobbyId !== undefined) {
+      return await this.joinLobby(userId, betData);
+    }
+    return await this.openLobby(userId, betData);
+  }
+
+  async openLobby(userId, betData) {
+    const { amount, side = 'heads' } = betData;
+
+    if (!SIDES.includes(side)) {
+      return {
+        success: false,
+        message: 'side must be heads or tails'
+      };
+    }
+
+    // Reserve a lobby slot before any await so parallel bets cannot exceed the limit
+    const { maxOpenLobbiesPerPlayer, lobbyTimeout } = this.getRules();
+    const openLobbies = Array.from(this.lobbies.values()).filter(lobby => lobby.creatorId === userId);
+    const pending = this.pendingLobbies.get(userId) || 0;
+    if (openLobbies.length + pending >= maxOpenLobbiesPerPlayer) {
+      return {
+        success: false,
+        message: `maximum of ${maxOpenLobbiesPerPlayer} open lobbies per player`
+      };
+    }
+    this.pendingLobbies.set(userId, pending + 1);
+
+    // The seed is committed by its hash now and revealed after the flip
+    const serverSeed = crypto.randomBytes(32).toString('hex');
+    const serverSeedHash = hashServerSeed(serverSeed);
+
+    let roundId = null;
+    try {
+      roundId = await this.createRound({
+        phase: 'open',
+        creator_id: userId,
+        creator_side: side,
+        bet_amount: amount,
+        server_seed_hash: serverSeedHash
+      });
+      const bet = await this.placeRoundBet(userId, amount, roundId);
+
+      const createdAt = Date.now();
+      const lobby = {
+        lobbyId: roundId,
+        roundId,
+        creatorId: userId,
+        creatorBetId: bet.betId,
+        creator: await this.loadPlayerProfile(userId),
+        creatorSide: side,
+        amount,
+        serverSeed,
+        serverSeedHash,
+        status: 'open',
+        createdAt,
+        expiresAt: createdAt + lobbyTimeout
+      };
+      this.lobbies.set(lobby.lobbyId, lobby);
+      this.updateTableState();
+      this.broadcastLobby('coinflip_lobby_opened', { lobby: this.serializeLobby(lobby) });
+
+      return {
+        success: true,
+        message: 'lobby opened',
+        betAmount: amount,
+        betId: bet.betId,
+        newBalance: bet.newBalance,
+        lobby: this.serializeLobby(lobby)
+      };
+    } catch (error) {
+      console.error('failed to open coinflip lobby:', error);
+      if (roundId) {
+        await this.completeRound(roundId, { phase: 'voided' }).catch(() => {});
+      }
+      return {
+        success: false,
+        message: error.message || 'failed to place bet'
+      };
+    } finally {
+      const remaining = (this.pendingLobbies.get(userId) || 1) - 1;
+      if (remaining > 0) {
+        this.pendingLobbies.set(userId, remaining);
+      } else {
+        this.pendingLobbies.delete(userId);
+      }
+    }
+  }
+
+  async joinLobby(userId, betData) {
+    const { amount, lobbyId } = betData;
+    const lobby = this.lobbies.get(lobbyId);
+
+    if (!lobby || lobby.status !== 'open') {
+      return {
+        success: false,
+        message: 'lobby is no longer open'
+      };
+    }
+    if (lobby.creatorId === userId) {
+      return {
+        success: false,
+        message: 'you cannot join your own lobby'
+      };
+    }
+    if (amount !== lobby.amount) {
+      return {
+        success: false,
+        message: `bet must match the lobby stake of ${lobby.amount}`
+      };
+    }
+
+    // Claim the lobby before any await so a second player cannot join it too
+    lobby.status = 'joining';
+    let bet;
+    try {
+      bet = await this.placeRoundBet(userId, amount, lobby.roundId);
+    } catch (error) {
+      console.error('failed to join coinflip lobby:', error);
+      lobby.status = 'open';
+      return {
+        success: false,
+        message: error.message || 'failed to place bet'
+      };
+    }
+
+    lobby.status = 'flipping';
+    lobby.joinerId = userId;
+    lobby.joinerBetId = bet.betId;
+    lobby.joiner = await this.loadPlayerProfile(userId);
+
+    const flip = await this.flipLobby(lobby);
+    if (!flip) {
+      return {
+        success: false,
+        message: 'failed to settle coinflip, both stakes will be refunded'
+      };
+    }
+
+    return {
+      success: true,
+      message: flip.winnerId === userId ? 'coinflip won' : 'coinflip lost',
+      betAmount: amount,
+      betId: bet.betId,
+      won: flip.winnerId === userId,
+      payout: flip.winnerId === userId ? flip.payout : 0,
+      newBalance: flip.winnerId === userId ? flip.newBalance : bet.newBalance,
+      lobby: this.serializeLobby(lobby)
+    };
+  }
+
+  async onProcessAction(userId, action, data) {
+    return {
+      success: false,
+      message: `unknown action: ${action}`
+    };
+  }
+
+  // Flips settle as soon as a lobby is matched, there is nothing to cash out
+  async onProcessCashout(userId, cashoutValue) {
+    return {
+      success: false,
+      message: 'cashout is not available in coinflip'
+    };
+  }
+
+  async onProcessAutoCashout(userId, targetValue) {
+    return {
+      success: false,
+      message: 'auto-cashout is not available in coinflip'
+    };
+  }
+
+  async onGetState(userId = null) {
+    return {
+      ...this.coinflipState,
+      lobbies: Array.from(this.lobbies.values())
+        .filter(lobby => lobby.status === 'open')
+        .map(lobby => this.serializeLobby(lobby)),
+      rules: {
+        lobbyTimeout: this.getRules().lobbyTimeout,
+        rake: this.configManager.getHouseEdge('coinflip')
+      }
+    };
+  }
+
+  async onGetHistory(limit = 20) {
+    try {
+      const { data: rounds, error } = await this.databaseService.supabase
+        .from('game_rounds')
+        .select('*')
+        .eq('game_type', 'coinflip')
+        .eq('status', 'completed')
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      if (error) {
+        console.error('error getting coinflip history:', error);
+        return [];
+      }
+
+      return rounds || [];
+    } catch (error) {
+      console.error('error getting coinflip history:', error);
+      return [];
+    }
+  }
+
+  // Coinflip-specific methods
+  // HMAC(serverSeed, "joinerId:lobbyId:0"): the seed is committed before the joiner is known, below 0.5 is heads
+  getOutcome(lobby) {
+    const [value] = generateFloats(lobby.serverSeed, lobby.joinerId, lobby.lobbyId, 1);
+    return value < 0.5 ? 'heads' : 'tails';
+  }
+
+  // Settle both stakes in one transaction, the winner takes the pot less the rake; returns null if settlement failed
+  async flipLobby(lobby) {
+    const houseEdge = this.configManager.getHouseEdge('coinflip');
+    const outcome = this.getOutcome(lobby);
+    const winnerId = outcome === lobby.creatorSide ? lobby.creatorId : lobby.joinerId;
+    const winnerBetId = winnerId === lobby.creatorId ? lobby.creatorBetId : lobby.joinerBetId;
+    const loserBetId = winnerId === lobby.creatorId ? lobby.joinerBetId : lobby.creatorBetId;
+    const multiplier = 2 * (1 - houseEdge);
+
+    let settlement;
+    try {
+      const results = await this.settleRoundBets(lobby.roundId, [
+        { betId: winnerBetId, multiplier },
+        { betId: loserBetId, multiplier: 0 }
+      ]);
+      settlement = results.find(result => result.betId === winnerBetId);
+    } catch (error) {
+      await this.logger.error('error settling coinflip', { error: error.message, roundId: lobby.roundId });
+      await this.voidLobby(lobby);
+      return null;
+    }
+
+    const pot = lobby.amount * 2;
+    const rake = pot - settlement.payoutAmount;
+    lobby.status = 'flipped';
+    lobby.outcome = outcome;
+    lobby.winnerId = winnerId;
+    lobby.payout = settlement.payoutAmount;
+
+    try {
+      await this.completeRound(lobby.roundId, {
+        phase: 'flipped',
+        creator_id: lobby.creatorId,
+        creator_side: lobby.creatorSide,
+        joiner_id: lobby.joinerId,
+        bet_amount: lobby.amount,
+        outcome,
+        winner_id: winnerId,
+        payout: settlement.payoutAmount,
+        rake,
+        server_seed: lobby.serverSeed,
+        server_seed_hash: lobby.serverSeedHash,
+        client_seed: lobby.joinerId,
+        nonce: lobby.lobbyId
+      });
+    } catch (error) {
+      await this.logger.error('error completing coinflip round', { error: error.message, roundId: lobby.roundId });
+    }
+
+    this.lobbies.delete(lobby.lobbyId);
+    this.coinflipState.totalFlips++;
+    this.coinflipState.totalRake += rake;
+    this.updateTableState();
+    this.broadcastLobby('coinflip_lobby_flipped', { lobby: this.serializeLobby(lobby) });
+
+    await this.emitRoundCompleted({
+      roundId: lobby.roundId,
+      totalBet: pot,
+      totalPayout: settlement.payoutAmount
+    });
+
+    return {
+      outcome,
+      winnerId,
+      payout: settlement.payoutAmount,
+      newBalance: settlement.newBalance
+    };
+  }
+
+  // Nothing was paid when settlement fails, so both stakes go back; a refund that fails here is retried on the next start
+  async voidLobby(lobby) {
+    let refunded = true;
+    for (const betId of [lobby.creatorBetId, lobby.joinerBetId]) {
+      try {
+        await this.refundRoundBet(betId);
+      } catch (error) {
+        refunded = false;
+        await this.logger.error('error refunding coinflip bet', { error: error.message, betId, roundId: lobby.roundId });
+      }
+    }
+
+    if (refunded) {
+      await this.completeRound(lobby.roundId, { phase: 'voided' }).catch(async (error) => {
+        await this.logger.error('error voiding coinflip lobby', { error: error.message, roundId: lobby.roundId });
+      });
+    }
+
+    this.lobbies.delete(lobby.lobbyId);
+    this.updateTableState();
+    this.broadcastLobby('coinflip_lobby_closed', { lobbyId: lobby.lobbyId, reason: 'failed' });
+  }
+
+  // Refund a lobby nobody matched in time
+  async expireLobby(lobby) {
+    lobby.status = 'expiring';
+    try {
+      await this.refundRoundBet(lobby.creatorBetId);
+    } catch (error) {
+      await this.logger.error('error refunding expired coinflip lobby', { error: error.message, roundId: lobby.roundId });
+      lobby.status = 'open'; // Retried on the next check
+      return;
+    }
+
+    try {
+      await this.completeRound(lobby.roundId, {
+        phase: 'expired',
+        creator_id: lobby.creatorId,
+        creator_side: lobby.creatorSide,
+        bet_amount: lobby.amount,
+        server_seed: lobby.serverSeed,
+        server_seed_hash: lobby.serverSeedHash
+      });
+    } catch (error) {
+      await this.logger.error('error completing expired coinflip lobby', { error: error.message, roundId: lobby.roundId });
+    }
+
+    this.lobbies.delete(lobby.lobbyId);
+    this.updateTableState();
+    this.broadcastLobby('coinflip_lobby_closed', { lobbyId: lobby.lobbyId, reason: 'expired' });
+
+    if (global.serverInstance && global.serverInstance.wsServer) {
+      global.serverInstance.wsServer.sendToUser(lobby.creatorId, {
+        type: 'coinflip_lobby_expired',
+        lobbyId: lobby.lobbyId,
+        refundAmount: lobby.amount,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  async loadPlayerProfile(userId) {
+    const { data: user, error } = await this.databaseService.supabase
+      .from('users')
+      .select('username, avatar_url')
+      .eq('id', userId)
+      .maybeSingle();
+
+    if (error) {
+      console.error('error loading coinflip player profile:', error);
+    }
+
+    return {
+      username: user?.username || 'Anonymous',
+      avatar: user?.avatar_url || null
+    };
+  }
+
+  // Public view of a lobby, the server seed is only included once the coin has flipped
+  serializeLobby(lobby) {
+    const flipped = lobby.status === 'flipped';
+    return {
+      lobbyId: lobby.lobbyId,
+      amount: lobby.amount,
+      creator: lobby.creator,
+      creatorSide: lobby.creatorSide,
+      joiner: lobby.joiner || null,
+      status: lobby.status,
+      expiresAt: new Date(lobby.expiresAt).toISOString(),
+      serverSeedHash: lobby.serverSeedHash,
+      serverSeed: flipped ? lobby.serverSeed : null,
+      outcome: flipped ? lobby.outcome : null,
+      winner: flipped ? (lobby.winnerId === lobby.creatorId ? 'creator' : 'joiner') : null,
+      payout: flipped ? lobby.payout : null
+    };
+  }
+
+  broadcastLobby(type, payload) {
+    if (global.serverInstance && global.serverInstance.wsServer) {
+      global.serverInstance.wsServer.broadcastToRoom('coinflip', {
+        type,
+        ...payload,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  updateTableState() {
+    this.coinflipState.openLobbiesCount = Array.from(this.lobbies.values())
+      .filter(lobby => lobby.status === 'open').length;
+  }
+
+  async onStop() {
+    // Coinflip-specific cleanup
+    this.lastExpiryCheck = 0;
+  }
+
+  cleanup() {
+    super.cleanup();
+    // Additional coinflip-specific cleanup
+    this.lobbies.clear();
+    this.coinflipState = {
+      phase: 'open',
+      openLobbiesCount: 0,
+      totalFlips: 0,
+      totalRake: 0.00
+    };
+  }
+}
+
+module.exports = CoinflipGame;
@@ -2,6 +2,12 @@
 // Purpose: Handle crash game logic, state management, and database operations
 
 const BaseGame = require('./base-game');
+const HashChainManager = require('../../services/hash-chain-manager');
+const AutoBetManager = require('../../services/auto-bet-manager');
+const { computeCrashPoint } = require('../../services/crash-verifier');
+const { resolveCurve, multiplierAt, timeToReach, describeCurve } = require('../../config/crash-curve');
+
+const CHAIN_RETRY_SECONDS = 5; // how often a round waiting for a salted hash chain checks again
 
 class CrashGame extends BaseGame {
   constructor(gameId, config, services) {
@@ -19,15 +25,33 @@ class CrashGame extends BaseGame {
       currentCrashPoint: 1.00,
       currentRoundNumber: 1,
       gameHash: null,
-      serverSeed: null,
-      clientSeed: null
+      serverSeed: null, // only set once the round has crashed
+      clientSeed: null,
+      chainId: null,
+      chainIndex: null,
+      curve: null // multiplier curve of the current round, clients animate with the same coefficients
     };
     
+    // Provably fair seeding, the current seed stays private until the round crashes
+    this.hashChain = new HashChainManager(this.databaseService, this.logger);
+    this.roundSeed = null;
+    this.roundGameData = null;
+    this.roundCurve = null;
+    
+    // Bets of the current round, a player may hold several at once
+    this.roundBets = new Map(); // betId -> bet
+    this.pendingBets = new Map(); // userId -> bets still being written
+    this.pendingStake = 0; // stake of bets still being written, counted towards the round cap
+    this.cappedRoundId = null; // last round whose payout cap was reached
+    this.playerProfiles = new Map(); // userId -> { username, avatar } shown in the live bet feed
+    
+    // Server-side betting strategies, one per player
+    this.autoBets = new AutoBetManager();
+    
     // Crash-specific flags
     this.lastRoundCompleted = null;
     this.isStartingNewRound = false;
     this.lastProcessedRound = null;
-    this.lastAutoCashoutCheck = 0;
     this.lastConfigReload = Date.now();
     this.configReloadInterval = 300000; // 5 minutes
     this._hasStartedReloadCycle = false;
@@ -41,52 +65,248 @@ class CrashGame extends BaseGame {
   }
 
   async onInitialize() {
-    // Check if there's already an active round
-    const { data: existingActiveRound, error: activeRoundError } = await this.databaseService.supabase
+    await this.hashChain.initialize();
+
+    // A round left active by a previous process is either resumed or voided
+    if (await this.recoverActiveRounds()) {
+      return;
+    }
+    
+    // Create new round if no active round exists, or wait for a salted hash chain
+    const round = await this.createCrashRound();
+    if (!round && this.crashState.phase !== 'waiting') {
+      throw new Error('failed to create initial crash round');
+    }
+    
+    // Start auto-cashout cleanup scheduler
+    this.startAutoCashoutCleanupScheduler();
+  }
+
+  // Inspect rounds left active by a previous process: the newest is resumed when its timeline allows it,
+  // everything else is voided with open stakes refunded. Returns true when a round was resumed.
+  async recoverActiveRounds() {
+    const { data: rounds, error } = await this.databaseService.supabase
       .from('game_rounds')
       .select('id, round_number, game_data, status')
       .eq('game_type', 'crash')
       .eq('status', 'active')
-      .order('id', { ascending: false })
-      .limit(1)
-      .single();
-    
-    if (!activeRoundError && existingActiveRound) {
-      console.log(`found existing active round ${existingActiveRound.round_number}, using it instead of creating new one`);
-      
-      // Use the existing active round
-      this.crashState.currentRoundId = existingActiveRound.id;
-      this.crashState.currentRoundNumber = existingActiveRound.round_number;
-      this.crashState.phase = existingActiveRound.game_data?.phase || 'betting';
-      this.crashState.phaseStartTime = Date.now();
-      this.crashState.currentCrashPoint = existingActiveRound.game_data?.crash_multiplier || 1.00;
-      this.crashState.gameHash = existingActiveRound.game_data?.game_hash;
-      this.crashState.serverSeed = existingActiveRound.game_data?.server_seed;
-      this.crashState.clientSeed = existingActiveRound.game_data?.client_seed;
-      
-      console.log('using existing active round, not creating new one');
+      .order('id', { ascending: false });
+
+    if (error) {
+      console.error('error loading active crash rounds:', error);
+      return false;
+    }
+
+    let resumed = false;
+    for (const [index, round] of (rounds || []).entries()) {
+      const { data: bets, error: betsError } = await this.databaseService.supabase
+        .from('game_bets')
+        .select('id, user_id, bet_amount, remaining_amount, status')
+        .eq('game_type', 'crash')
+        .eq('round_id', round.id);
+
+      if (betsError) {
+        // Left active so the next start can try again
+        await this.logger.error('error loading bets of interrupted crash round', { error: betsError.message, roundId: round.id });
+        continue;
+      }
+
+      const openBets = (bets || []).filter(bet => bet.status === 'active');
+      const decision = await this.getRecoveryDecision(round, index === 0);
+      const details = {
+        roundId: round.id,
+        phase: round.game_data?.phase || null,
+        openBets: openBets.length,
+        openStake: openBets.reduce((sum, bet) => sum + parseFloat(bet.remaining_amount ?? bet.bet_amount), 0),
+        reason: decision.reason
+      };
+
+      if (decision.resume) {
+        await this.resumeRound(round, decision);
+        resumed = true;
+        await this.logger.gameEvent('crash', `resumed round ${round.round_number} after restart`, details);
+      } else if (await this.voidRound(round, openBets, decision)) {
+        await this.logger.gameEvent('crash', `voided round ${round.round_number} after restart, open stakes refunded`, details);
+      }
+
+      this.crashState.currentRoundNumber = Math.max(this.crashState.currentRoundNumber, resumed ? round.round_number : round.round_number + 1);
+    }
+
+    return resumed;
+  }
+
+  // Work out whether an interrupted round can continue on its original timeline
+  async getRecoveryDecision(round, isLatest) {
+    const gameData = round.game_data || {};
+    let serverSeed = gameData.server_seed; // rounds from before hash chains stored the seed up front
+    let crashMultiplier = gameData.crash_multiplier || null;
+    if (gameData.chain_id) {
+      serverSeed = await this.hashChain.getRoundSeed(gameData.chain_id, gameData.chain_index);
+      crashMultiplier = serverSeed ? computeCrashPoint(serverSeed, gameData.client_seed, gameData.house_edge) : null;
+    }
+
+    const decision = {
+      resume: false,
+      serverSeed,
+      crashMultiplier,
+      curve: gameData.curve || resolveCurve(this.configManager.getGameRules('crash').curve),
+      phaseStartTime: Date.parse(gameData.phase_start_time)
+    };
+
+    if (!isLatest) {
+      return { ...decision, reason: 'a newer round was also left active' };
+    }
+    if (!serverSeed || !crashMultiplier) {
+      return { ...decision, reason: 'the round seed could not be recovered' };
+    }
+    if (!decision.phaseStartTime) {
+      return { ...decision, reason: 'the round has no recorded phase start time' };
+    }
+    if (gameData.phase === 'betting') {
+      return { ...decision, resume: true, reason: 'betting was still open' };
+    }
+    if (gameData.phase === 'playing') {
+      const elapsed = (Date.now() - decision.phaseStartTime) / 1000.0;
+      if (elapsed < timeToReach(decision.curve, crashMultiplier)) {
+        return { ...decision, resume: true, reason: 'the round is still in flight on its original timeline' };
+      }
+      return { ...decision, reason: 'the round would have crashed while the server was down' };
+    }
+    return { ...decision, reason: `the round was left in the ${gameData.phase || 'unknown'} phase` };
+  }
+
+  async resumeRound(round, decision) {
+    const gameData = round.game_data || {};
+    this.crashState.currentRoundId = round.id;
+    this.crashState.currentRoundNumber = round.round_number;
+    this.crashState.phase = gameData.phase;
+    this.crashState.phaseStartTime = decision.phaseStartTime;
+    this.crashState.currentCrashPoint = decision.crashMultiplier;
+    this.crashState.gameHash = gameData.game_hash;
+    this.crashState.serverSeed = null;
+    this.crashState.clientSeed = gameData.client_seed;
+    this.crashState.chainId = gameData.chain_id || null;
+    this.crashState.chainIndex = gameData.chain_index || null;
+    this.roundSeed = decision.serverSeed;
+    this.roundGameData = gameData;
+    this.setRoundCurve(decision.curve);
+    await this.loadRoundBets();
+  }
+
+  // Refund every open stake and close the round; returns false when a refund failed so the round stays active for a retry
+  async voidRound(round, openBets, decision) {
+    let failed = 0;
+    for (const bet of openBets) {
+      const { error } = await this.databaseService.supabase.rpc('refund_bet', {
+        p_bet_id: bet.id
+      });
+      if (error) {
+        failed++;
+        await this.logger.error('error refunding bet of voided crash round', { error: error.message, betId: bet.id, roundId: round.id });
+      }
+    }
+
+    if (failed > 0) {
+      return false;
+    }
+
+    // Voided rounds are closed like played ones, the recovered seed is revealed so the void can be audited
+    const { error } = await this.databaseService.supabase
+      .from('game_rounds')
+      .update({
+        game_data: {
+          ...round.game_data,
+          phase: 'voided',
+          void_reason: decision.reason,
+          crash_multiplier: decision.crashMultiplier,
+          server_seed: decision.serverSeed || null
+        },
+        status: 'completed',
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', round.id);
+
+    if (error) {
+      await this.logger.error('error closing voided crash round', { error: error.message, roundId: round.id });
+      return false;
+    }
+    return true;
+  }
+
+  // Rebuild the in-memory bet registry of the current round from the database
+  async loadRoundBets() {
+    const { data: bets, error } = await this.databaseService.supabase
+      .from('game_bets')
+      .select('id, user_id, bet_amount, remaining_amount, partial_payout, status, auto_cashout_target, created_at')
+      .eq('game_type', 'crash')
+      .eq('round_id', this.crashState.currentRoundId);
+
+    if (error) {
+      console.error('error loading crash round bets:', error);
       return;
     }
+
+    this.roundBets.clear();
+    for (const row of bets || []) {
+      this.roundBets.set(row.id, {
+        betId: row.id,
+        userId: row.user_id,
+        amount: parseFloat(row.remaining_amount ?? row.bet_amount),
+        originalAmount: parseFloat(row.bet_amount),
+        autoCashout: row.auto_cashout_target ? parseFloat(row.auto_cashout_target) : null,
+        status: row.status,
+        cashoutMultiplier: null,
+        payout: null,
+        partialCashouts: [],
+        partialPayout: parseFloat(row.partial_payout ?? 0),
+        placedAt: row.created_at
+      });
+    }
+    this.updateBetTotals();
     
-    // Create new round if no active round exists
-    const crypto = require('crypto');
-    const serverSeed = crypto.randomBytes(32).toString('hex');
-    const clientSeed = 'default';
-    
-    // Generate crash multiplier (this should match the old logic)
-    const crashMultiplier = this.generateCrashMultiplier(serverSeed, clientSeed);
+    for (const userId of new Set((bets || []).map(row => row.user_id))) {
+      await this.loadPlayerProfile(userId);
+    }
+  }
+
+  // Claim the next hash chain seed and open a betting round for it
+  async createCrashRound() {
+    let round;
+    try {
+      round = await this.hashChain.nextRound();
+    } catch (error) {
+      await this.logger.error('error claiming crash round seed', { error: error.message });
+      return null;
+    }
+
+    if (!round) {
+      // No round can start until an administrator records the salt of the published chain
+      if (this.crashState.phase !== 'waiting') {
+        this.crashState.phase = 'waiting';
+        await this.logger.warning('crash is waiting for a salted hash chain', { nextChain: this.hashChain.getPublicInfo() });
+      }
+      this.crashState.phaseStartTime = Date.now();
+      return null;
+    }
+
+    const houseEdge = this.configManager.getHouseEdge('crash');
+    const crashMultiplier = computeCrashPoint(round.serverSeed, round.clientSeed, houseEdge);
+    // The curve is fixed per round so a config reload cannot change a round in progress
+    const curve = resolveCurve(this.configManager.getGameRules('crash').curve);
+    const phaseStartTime = Date.now();
     
-    // Create game data for the round
+    // The seed and crash point are only written once the round has crashed
     const gameData = {
       phase: 'betting',
-      crash_multiplier: crashMultiplier,
-      game_hash: crypto.createHash('sha256').update(serverSeed + clientSeed).digest('hex'),
-      server_seed: serverSeed,
-      client_seed: clientSeed,
-      current_multiplier: 1.00,
+      game_hash: round.gameHash,
+      client_seed: round.clientSeed,
+      chain_id: round.chainId,
+      chain_index: round.chainIndex,
+      house_edge: houseEdge,
+      curve,
       active_players_count: 0,
       total_bet_amount: 0.00,
-      phase_start_time: new Date().toISOString()
+      phase_start_time: new Date(phaseStartTime).toISOString()
     };
     
     const { data: roundId, error: roundError } = await this.databaseService.supabase.rpc('create_game_round', {
@@ -95,32 +315,28 @@ class CrashGame extends BaseGame {
     });
     
     if (roundError) {
-      console.error('error creating initial crash round:', roundError);
-      throw roundError;
+      await this.logger.error('error creating new crash round', { error: roundError.message });
+      return null;
     }
     
     this.crashState.currentRoundId = roundId;
-    this.crashState.currentRoundNumber = 1; // Will be set by the function
     this.crashState.phase = 'betting';
-    this.crashState.phaseStartTime = Date.now();
+    this.crashState.phaseStartTime = phaseStartTime;
+    this.crashState.currentMultiplier = 1.00;
     this.crashState.currentCrashPoint = crashMultiplier;
-    this.crashState.gameHash = gameData.game_hash;
-    this.crashState.serverSeed = serverSeed;
-    this.crashState.clientSeed = clientSeed;
+    this.crashState.gameHash = round.gameHash;
+    this.crashState.serverSeed = null;
+    this.crashState.clientSeed = round.clientSeed;
+    this.crashState.chainId = round.chainId;
+    this.crashState.chainIndex = round.chainIndex;
+    this.roundSeed = round.serverSeed;
+    this.roundGameData = gameData;
+    this.setRoundCurve(curve);
+    this.roundBets.clear();
+    this.playerProfiles.clear();
+    this.updateBetTotals();
     
-    // Start auto-cashout cleanup scheduler
-    this.startAutoCashoutCleanupScheduler();
-  }
-
-  // Helper method to generate crash multiplier (moved from database function)
-  generateCrashMultiplier(serverSeed, clientSeed) {
-    const crypto = require('crypto');
-    const hash = crypto.createHash('sha256').update(serverSeed + clientSeed).digest('hex');
-    const h = parseInt(hash.substring(0, 8), 16);
-    const e = Math.pow(2, 52);
-    const x = (h % e) / e;
-    const result = (1 / (1 - x)) * 0.99;
-    return Math.max(1.00, result);
+    return { roundId, crashMultiplier };
   }
 
   async onGameLoop() {
@@ -143,13 +359,9 @@ class CrashGame extends BaseGame {
       }
     }
 
-    // Process auto-cashouts with high-frequency checks for accuracy
+    // Auto-cashouts and liability caps settle at their exact crossing time, whenever the tick lands
     if (this.crashState.phase === 'playing') {
-      const now = Date.now();
-      if (now - this.lastAutoCashoutCheck >= 8) {
-        await this.processAutoCashouts();
-        this.lastAutoCashoutCheck = now;
-      }
+      await this.processAutoCashouts(timeElapsed);
     }
 
     if (this.crashState.phase === 'betting') {
@@ -158,46 +370,20 @@ class CrashGame extends BaseGame {
         await this.startCrashGame();
       }
     } else if (this.crashState.phase === 'playing') {
-      // Update multiplier with higher precision - FIXED: Remove toFixed(4) to prevent precision loss
-      this.crashState.currentMultiplier = 1.0024 * Math.pow(1.0718, timeElapsed);
-      
-      // Update database state every 1 second
-      if (Math.floor(timeElapsed) !== Math.floor((timeElapsed - 1))) {
-        try {
-          await this.databaseService.supabase
-            .from('game_rounds')
-            .update({
-              game_data: this.databaseService.supabase.raw(`jsonb_set(game_data, '{current_multiplier}', '${this.crashState.currentMultiplier}')`),
-              updated_at: new Date().toISOString()
-            })
-            .eq('id', this.crashState.currentRoundId);
-        } catch (error) {
-          console.error('error updating crash game state:', error);
-        }
-      }
+      // The live multiplier is kept in memory only, clients derive it from the curve and phase start time
+      this.crashState.currentMultiplier = multiplierAt(this.roundCurve, timeElapsed);
       
       // Check if crashed
-      const currentMultiplier = this.crashState.currentMultiplier;
-      const crashPoint = parseFloat(this.crashState.currentCrashPoint);
+      const crashTime = timeToReach(this.roundCurve, parseFloat(this.crashState.currentCrashPoint));
       
-      if (currentMultiplier >= crashPoint && 
+      if (timeElapsed >= crashTime && 
           this.crashState.phase === 'playing' && 
           this.lastProcessedRound !== this.crashState.currentRoundId) {
         
         this.crashState.currentMultiplier = this.crashState.currentCrashPoint;
         
-        // Update database with final crash value
-        try {
-          await this.databaseService.supabase
-            .from('game_rounds')
-            .update({
-              game_data: this.databaseService.supabase.raw(`jsonb_set(game_data, '{current_multiplier}', '${this.crashState.currentCrashPoint}')`),
-              updated_at: new Date().toISOString()
-            })
-            .eq('id', this.crashState.currentRoundId);
-        } catch (error) {
-          console.error('error updating final crash multiplier:', error);
-        }
+        // Targets and caps crossed between the last tick and the crash still pay out
+        await this.processAutoCashouts(crashTime);
         
         // Broadcast final crash value
         if (global.serverInstance && global.serverInstance.wsServer) {
@@ -213,6 +399,17 @@ class CrashGame extends BaseGame {
         this.crashState.resultPhaseStartTime = Date.now();
         await this.handleCrashGame();
       }
+    } else if (this.crashState.phase === 'waiting') {
+      // Check for a newly salted hash chain every few seconds
+      if (timeElapsed > CHAIN_RETRY_SECONDS && !this.isStartingNewRound) {
+        this.isStartingNewRound = true;
+        if (this.crashState.currentRoundId) {
+          await this.startNewCrashRound();
+        } else {
+          await this.createCrashRound();
+        }
+        this.isStartingNewRound = false;
+      }
     } else if (this.crashState.phase === 'crashed') {
       // Start new round after result phase duration
       const resultPhaseDuration = gameTiming.resultPhase / 1000;
@@ -229,7 +426,7 @@ class CrashGame extends BaseGame {
   }
 
   async onProcessBet(userId, betData) {
-    const { amount, betType } = betData;
+    const { amount, autoCashout } = betData;
     
     // Check if we're in betting phase
     if (this.crashState.phase !== 'betting') {
@@ -257,37 +454,47 @@ class CrashGame extends BaseGame {
       }
     }
     
-    // Check if user already has a bet for this round
-    try {
-      const { data: existingBet, error } = await this.databaseService.supabase
-        .from('game_bets')
-        .select('id')
-        .eq('user_id', userId)
-        .eq('game_type', 'crash')
-        .eq('round_id', this.crashState.currentRoundId)
-        .single();
-        
-      if (!error && existingBet) {
-        return { 
-          success: false, 
-          message: 'you already have a bet for this round' 
-        };
-      }
-    } catch (error) {
-      console.error('error checking existing bet:', error);
+    if (autoCashout !== undefined && autoCashout !== null && !(autoCashout >= 1.0)) {
       return { 
         success: false, 
-        message: 'failed to validate bet' 
+        message: 'invalid target multiplier. must be at least 1.0x' 
       };
     }
-
-    // Use database function to place bet (we'll need to create a generic place_bet function)
+    
+    // Reserve a bet slot before any await so parallel bets cannot exceed the limit
+    const { maxBetsPerPlayer, maxPayoutPerBet, maxPayoutPerRound } = this.configManager.getGameRules('crash');
+    const pending = this.pendingBets.get(userId) || 0;
+    if (this.getUserBets(userId).length + pending >= maxBetsPerPlayer) {
+      return { 
+        success: false, 
+        message: `you can place at most ${maxBetsPerPlayer} bets per round` 
+      };
+    }
+    
+    // LIABILITY CAPS: a bet must be able to win, and the round's stakes alone must stay under its payout cap
+    if (amount >= maxPayoutPerBet) {
+      return { 
+        success: false, 
+        message: `bets must be below the maximum payout of ${maxPayoutPerBet} GC` 
+      };
+    }
+    if (this.getRoundExposure(1.0) + this.pendingStake + amount > maxPayoutPerRound) {
+      return { 
+        success: false, 
+        message: 'this round has reached its maximum payout, please bet in the next round' 
+      };
+    }
+    
+    this.pendingBets.set(userId, pending + 1);
+    this.pendingStake += amount;
+    
+    const roundId = this.crashState.currentRoundId;
     try {
       const { data: result, error } = await this.databaseService.supabase.rpc('place_bet', {
         p_game_type: 'crash',
         p_user_id: userId,
         p_bet_amount: amount,
-        p_round_id: this.crashState.currentRoundId
+        p_round_id: roundId
       });
     
       if (error) {
@@ -298,13 +505,42 @@ class CrashGame extends BaseGame {
         };
       }
       
+      // Betting may have closed or the round moved on while the bet was being written
+      if (roundId !== this.crashState.currentRoundId || this.crashState.phase !== 'betting') {
+        return await this.refundLateBet(userId, result.bet_id, roundId);
+      }
+      
+      const bet = {
+        betId: result.bet_id,
+        userId,
+        amount, // stake still riding, reduced by partial cashouts
+        originalAmount: amount,
+        autoCashout: autoCashout || null,
+        status: 'active', // active, settling, cancelling, cashed_out, crashed
+        cashoutMultiplier: null,
+        payout: null,
+        partialCashouts: [],
+        partialPayout: 0,
+        placedAt: new Date().toISOString()
+      };
+      
+      this.roundBets.set(bet.betId, bet);
+      this.updateBetTotals();
+      await this.loadPlayerProfile(userId);
+      this.broadcastBetFeed('bet', { bet: this.getBetFeedEntry(bet) });
+      
+      if (bet.autoCashout) {
+        await this.saveAutoCashoutTarget(bet.betId, bet.autoCashout);
+      }
+      
       return { 
         success: true, 
         message: 'bet placed successfully',
         betAmount: amount,
-        betId: result.bet_id,
+        betId: bet.betId,
+        autoCashout: bet.autoCashout,
         newBalance: result.new_balance,
-        gameState: this.crashState
+        gameState: await this.onGetState()
       };
       
     } catch (error) {
@@ -313,6 +549,33 @@ class CrashGame extends BaseGame {
         success: false, 
         message: 'failed to place bet' 
       };
+    } finally {
+      this.pendingStake -= amount;
+      const remaining = (this.pendingBets.get(userId) || 1) - 1;
+      if (remaining > 0) {
+        this.pendingBets.set(userId, remaining);
+      } else {
+        this.pendingBets.delete(userId);
+      }
+    }
+  }
+
+  // Hand back a stake that was written after betting closed, it never joins the round
+  async refundLateBet(userId, betId, roundId) {
+    try {
+      const { newBalance } = await this.refundRoundBet(betId);
+      await this.logger.userEvent(userId, 'refunded crash bet placed after betting closed', { betId, roundId });
+      return { 
+        success: false, 
+        message: 'betting closed before your bet was placed, your stake was refunded',
+        newBalance
+      };
+    } catch (error) {
+      await this.logger.error('error refunding crash bet placed after betting closed', { error: error.message, userId, betId, roundId });
+      return { 
+        success: false, 
+        message: 'betting closed before your bet was placed, the refund failed, please contact support' 
+      };
     }
   }
 
@@ -326,9 +589,51 @@ class CrashGame extends BaseGame {
         };
       }
 
-      // Use the new generic cashout method
+      // Without a betId every active bet of the player is cashed out
       const cashoutValue = this.crashState.currentMultiplier;
-      return await this.onProcessCashout(userId, cashoutValue);
+      return await this.onProcessCashout(userId, cashoutValue, data?.betId);
+    }
+
+    if (action === 'cancel_bet') {
+      if (this.crashState.phase !== 'betting') {
+        return { 
+          success: false, 
+          message: 'bets can only be cancelled during the betting phase' 
+        };
+      }
+
+      // Without a betId every active bet of the player is cancelled
+      return await this.cancelBets(userId, data?.betId);
+    }
+
+    if (action === 'start_auto_bet') {
+      return await this.startAutoBet(userId, data?.strategy);
+    }
+
+    if (action === 'stop_auto_bet') {
+      const state = this.stopAutoBet(userId, 'stopped by player');
+      return state
+        ? { success: true, message: 'auto-bet stopped', autoBet: this.autoBets.serialize(state) }
+        : { success: false, message: 'no auto-bet is running' };
+    }
+
+    if (action === 'get_auto_bet') {
+      const state = this.autoBets.get(userId);
+      return {
+        success: true,
+        autoBet: state ? this.autoBets.serialize(state) : null
+      };
+    }
+
+    if (action === 'partial_cashout') {
+      if (this.crashState.phase !== 'playing') {
+        return { 
+          success: false, 
+          message: 'cashout is only available during the playing phase' 
+        };
+      }
+
+      return await this.processPartialCashout(userId, this.crashState.currentMultiplier, data || {});
     }
 
     if (action === 'auto_cashout') {
@@ -348,8 +653,7 @@ class CrashGame extends BaseGame {
         };
       }
 
-      // Use the new generic auto-cashout method
-      return await this.onProcessAutoCashout(userId, targetValue);
+      return await this.onProcessAutoCashout(userId, targetValue, data?.betId);
     }
 
     return { 
@@ -358,124 +662,265 @@ class CrashGame extends BaseGame {
     };
   }
 
-  // NEW: Implement generic cashout method
-  async onProcessCashout(userId, cashoutValue) {
-    try {
-      // Check if user has an active bet
-      const { data: userBet, error: betError } = await this.databaseService.supabase
-        .from('game_bets')
-        .select('*')
-        .eq('user_id', userId)
-        .eq('game_type', 'crash')
-        .eq('round_id', this.crashState.currentRoundId)
-        .eq('status', 'active')
-        .single();
+  // Cash out one bet, or every active bet of the player when no betId is given
+  async onProcessCashout(userId, cashoutValue, betId = null) {
+    const bets = this.getUserBets(userId, betId).filter(bet => bet.status === 'active');
+    if (bets.length === 0) {
+      return { 
+        success: false, 
+        message: 'no active bet found to cashout' 
+      };
+    }
 
-      if (betError || !userBet) {
-        return { 
-          success: false, 
-          message: 'no active bet found to cashout' 
-        };
+    const settled = [];
+    let lastError = null;
+    for (const bet of bets) {
+      const result = await this.settleBet(bet, cashoutValue);
+      if (result.success) {
+        settled.push(result);
+      } else {
+        lastError = result.message;
       }
+    }
 
-      // Use the new generic cashout function
-      const { data: result, error: cashoutError } = await this.databaseService.supabase.rpc('cashout_bet', {
-        p_game_type: 'crash',
-        p_user_id: userId,
-        p_round_id: this.crashState.currentRoundId,
-        p_cashout_value: cashoutValue
-      });
+    if (settled.length === 0) {
+      return { 
+        success: false, 
+        message: lastError || 'failed to process cashout' 
+      };
+    }
 
-      if (cashoutError) {
-        console.error('error processing cashout:', cashoutError);
-        return { 
-          success: false, 
-          message: cashoutError.message || 'failed to process cashout' 
-        };
-      }
+    return { 
+      success: true, 
+      message: 'cashout successful',
+      cashoutAmount: settled.reduce((sum, result) => sum + result.cashoutAmount, 0),
+      cashoutValue: cashoutValue,
+      cashoutMultiplier: cashoutValue, // Add for frontend compatibility
+      newBalance: settled[settled.length - 1].newBalance,
+      betId: settled[0].betId,
+      bets: settled
+    };
+  }
 
-      // PRECISION SAFEGUARD: Verify payout amount is correct
-      const expectedPayout = userBet.bet_amount * cashoutValue;
-      const actualPayout = result.payout_amount;
-      
-      // Allow for small floating point precision differences (0.01 GC tolerance)
-      if (Math.abs(actualPayout - expectedPayout) > 0.01) {
-        console.error('CRITICAL: Payout amount mismatch', {
-          expected: expectedPayout,
-          actual: actualPayout,
-          difference: Math.abs(actualPayout - expectedPayout),
-          userId: userId,
-          betAmount: userBet.bet_amount,
-          multiplier: cashoutValue
-        });
-        return { 
-          success: false, 
-          message: 'payout calculation error detected' 
-        };
+  // Refund one bet, or every active bet of the player when no betId is given
+  async cancelBets(userId, betId = null) {
+    const bets = this.getUserBets(userId, betId).filter(bet => bet.status === 'active');
+    if (bets.length === 0) {
+      return { 
+        success: false, 
+        message: 'no active bet found to cancel' 
+      };
+    }
+
+    const cancelled = [];
+    let lastError = null;
+    for (const bet of bets) {
+      const result = await this.cancelBet(bet);
+      if (result.success) {
+        cancelled.push(result);
+      } else {
+        lastError = result.message;
       }
+    }
 
+    if (cancelled.length === 0) {
       return { 
-        success: true, 
-        message: 'cashout successful',
-        cashoutAmount: result.payout_amount,
-        cashoutValue: cashoutValue,
-        cashoutMultiplier: cashoutValue, // Add for frontend compatibility
-        newBalance: result.new_balance,
-        betId: result.bet_id
+        success: false, 
+        message: lastError || 'failed to cancel bet' 
       };
-    } catch (error) {
-      console.error('error in onProcessCashout:', error);
+    }
+
+    return { 
+      success: true, 
+      message: 'bet cancelled',
+      refundAmount: cancelled.reduce((sum, result) => sum + result.refundAmount, 0),
+      newBalance: cancelled[cancelled.length - 1].newBalance,
+      betId: cancelled[0].betId,
+      betIds: cancelled.map(result => result.betId)
+    };
+  }
+
+  // Refund a bet's stake and drop it from the round; the status guard keeps it from being cashed out meanwhile
+  async cancelBet(bet) {
+    if (bet.status !== 'active') {
       return { 
         success: false, 
-        message: 'failed to process cashout' 
+        message: 'bet is no longer active' 
       };
     }
-  }
+    bet.status = 'cancelling';
 
-  // NEW: Implement generic auto-cashout method
-  async onProcessAutoCashout(userId, targetValue) {
+    const roundId = this.crashState.currentRoundId;
     try {
-      // Check if user has an active bet
-      const { data: userBet, error: betError } = await this.databaseService.supabase
-        .from('game_bets')
-        .select('*')
-        .eq('user_id', userId)
-        .eq('game_type', 'crash')
-        .eq('round_id', this.crashState.currentRoundId)
-        .eq('status', 'active')
-        .single();
+      const { data: result, error } = await this.databaseService.supabase.rpc('refund_bet', {
+        p_bet_id: bet.betId
+      });
 
-      if (betError || !userBet) {
+      if (error) {
+        console.error('error refunding crash bet:', error);
+        bet.status = 'active';
         return { 
           success: false, 
-          message: 'no active bet found to set auto-cashout for' 
+          message: error.message || 'failed to cancel bet' 
         };
       }
 
-      // Use the new generic set auto-cashout function
-      const { data: result, error: autoCashoutError } = await this.databaseService.supabase.rpc('set_auto_cashout', {
-        p_game_type: 'crash',
-        p_user_id: userId,
-        p_round_id: this.crashState.currentRoundId,
-        p_target_value: targetValue
-      });
-
-      if (autoCashoutError) {
-        console.error('error setting auto-cashout:', autoCashoutError);
-        return { 
-          success: false, 
-          message: autoCashoutError.message || 'failed to set auto-cashout' 
-        };
+      if (roundId === this.crashState.currentRoundId) {
+        this.roundBets.delete(bet.betId);
+        this.updateBetTotals();
+        this.broadcastBetFeed('cancelled', { betIds: [bet.betId] });
       }
 
-      console.log(`auto-cashout set: ${targetValue}x for user ${userId}`);
+      await this.logger.userEvent(bet.userId, 'cancelled crash bet', { betId: bet.betId, amount: result.refund_amount, roundId });
+      await this.eventBus.emitBetCancelled(this.gameId, {
+        userId: bet.userId,
+        betId: bet.betId,
+        roundId,
+        refundAmount: result.refund_amount
+      });
 
+      return {
+        success: true,
+        betId: bet.betId,
+        refundAmount: result.refund_amount,
+        newBalance: result.new_balance
+      };
+    } catch (error) {
+      console.error('failed to cancel crash bet:', error);
+      bet.status = 'active';
       return { 
-        success: true, 
-        message: 'auto-cashout set successfully',
+        success: false, 
+        message: 'failed to cancel bet' 
+      };
+    }
+  }
+
+  // Settle part of a bet at the current multiplier and leave the rest riding
+  async processPartialCashout(userId, cashoutValue, { betId, fraction, amount }) {
+    const bets = this.getUserBets(userId, betId).filter(bet => bet.status === 'active');
+    if (bets.length === 0) {
+      return { 
+        success: false, 
+        message: 'no active bet found to cashout' 
+      };
+    }
+    if (bets.length > 1) {
+      return { 
+        success: false, 
+        message: 'betId is required when you have more than one active bet' 
+      };
+    }
+    const bet = bets[0];
+
+    let portion;
+    if (fraction !== undefined && fraction !== null) {
+      if (!(fraction > 0 && fraction <= 1)) {
+        return { 
+          success: false, 
+          message: 'fraction must be greater than 0 and at most 1' 
+        };
+      }
+      portion = bet.amount * fraction;
+    } else if (amount !== undefined && amount !== null) {
+      if (!(amount > 0 && amount <= bet.amount)) {
+        return { 
+          success: false, 
+          message: `amount must be greater than 0 and at most ${bet.amount} GC` 
+        };
+      }
+      portion = amount;
+    } else {
+      return { 
+        success: false, 
+        message: 'a fraction or amount is required' 
+      };
+    }
+
+    // Stakes are whole cents; cashing out (almost) everything is a regular cashout
+    portion = Math.floor(portion * 100) / 100;
+    if (portion < 0.01) {
+      return { 
+        success: false, 
+        message: 'partial cashout amount is too small' 
+      };
+    }
+    if (bet.amount - portion < 0.01) {
+      return await this.onProcessCashout(userId, cashoutValue, bet.betId);
+    }
+
+    bet.status = 'settling';
+    try {
+      const { data: result, error } = await this.databaseService.supabase.rpc('partial_cashout_bet', {
+        p_bet_id: bet.betId,
+        p_amount: portion,
+        p_cashout_value: cashoutValue
+      });
+
+      if (error) {
+        console.error('error processing partial cashout:', error);
+        return { 
+          success: false, 
+          message: error.message || 'failed to process partial cashout' 
+        };
+      }
+
+      bet.amount = parseFloat(result.remaining_amount);
+      bet.partialPayout += result.payout_amount;
+      bet.partialCashouts.push({
+        amount: portion,
+        multiplier: cashoutValue,
+        payout: result.payout_amount
+      });
+      this.broadcastBetFeed('partial_cashout', { bet: this.getBetFeedEntry(bet), cashoutMultiplier: cashoutValue });
+
+      return { 
+        success: true, 
+        message: 'partial cashout successful',
+        betId: bet.betId,
+        cashedOutAmount: portion,
+        cashoutAmount: result.payout_amount,
+        cashoutValue: cashoutValue,
+        cashoutMultiplier: cashoutValue, // Add for frontend compatibility
+        remainingAmount: bet.amount,
+        newBalance: result.new_balance
+      };
+    } catch (error) {
+      console.error('error in processPartialCashout:', error);
+      return { 
+        success: false, 
+        message: 'failed to process partial cashout' 
+      };
+    } finally {
+      if (bet.status === 'settling') {
+        bet.status = 'active';
+      }
+    }
+  }
+
+  // Set the auto-cashout target of one bet, or of every active bet of the player
+  async onProcessAutoCashout(userId, targetValue, betId = null) {
+    const bets = this.getUserBets(userId, betId).filter(bet => bet.status === 'active');
+    if (bets.length === 0) {
+      return { 
+        success: false, 
+        message: 'no active bet found to set auto-cashout for' 
+      };
+    }
+
+    try {
+      for (const bet of bets) {
+        bet.autoCashout = targetValue;
+        await this.saveAutoCashoutTarget(bet.betId, targetValue);
+      }
+
+      console.log(`auto-cashout set: ${targetValue}x for ${bets.length} bet(s) of user ${userId}`);
+
+      return { 
+        success: true, 
+        message: 'auto-cashout set successfully',
         targetValue: targetValue,
         targetMultiplier: targetValue, // Add for frontend compatibility
-        result: result
+        betIds: bets.map(bet => bet.betId)
       };
     } catch (error) {
       console.error('error in onProcessAutoCashout:', error);
@@ -487,28 +932,28 @@ class CrashGame extends BaseGame {
   }
 
   async onGetState(userId = null) {
-    const state = { ...this.crashState };
+    const state = { ...this.crashState, hashChain: this.hashChain.getPublicInfo() };
+    
+    // The crash point is only public once the round has crashed
+    if (state.phase !== 'crashed') {
+      state.currentCrashPoint = null;
+    }
+    
+    // Bets are public by ID only, players are not identified
+    state.bets = Array.from(this.roundBets.values()).map(bet => ({
+      betId: bet.betId,
+      amount: bet.originalAmount,
+      remainingAmount: bet.amount,
+      status: bet.status,
+      cashoutMultiplier: bet.cashoutMultiplier,
+      payout: bet.payout
+    }));
     
     // Add user-specific bet information if available
     if (userId && userId !== 'anonymous') {
-      try {
-        const { data: userBet, error } = await this.databaseService.supabase
-          .from('game_bets')
-          .select('*')
-          .eq('user_id', userId)
-          .eq('game_type', 'crash')
-          .eq('round_id', this.crashState.currentRoundId)
-          .single();
-        
-        if (!error && userBet) {
-          state.userBet = {
-            amount: userBet.bet_amount,
-            betId: userBet.id,
-            placedAt: userBet.created_at
-          };
-        }
-      } catch (error) {
-        console.error('error getting user bet:', error);
+      state.userBets = this.getUserBets(userId).map(bet => this.serializeBet(bet));
+      if (state.userBets.length > 0) {
+        state.userBet = state.userBets[0]; // Single-bet shape kept for frontend compatibility
       }
     }
     
@@ -542,20 +987,41 @@ class CrashGame extends BaseGame {
     this.crashState.phaseStartTime = Date.now();
     await this.logger.gameEvent('crash', `game started: round ${this.crashState.currentRoundNumber}, crash point: ${this.crashState.currentCrashPoint}x`);
     
-    // Update database state
+    // The start time is persisted so a restarted process can resume the round on the same timeline
     try {
-      await this.databaseService.supabase
-        .from('game_rounds')
-        .update({
-          game_data: this.databaseService.supabase.raw(`jsonb_set(jsonb_set(jsonb_set(game_data, '{phase}', '"playing"'), '{current_multiplier}', '1.00'), '{phase_start_time}', '"${new Date().toISOString()}"')`),
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', this.crashState.currentRoundId);
+      await this.persistRoundPhase({
+        phase: 'playing',
+        phase_start_time: new Date(this.crashState.phaseStartTime).toISOString(),
+        active_players_count: this.crashState.activePlayersCount,
+        total_bet_amount: this.crashState.totalBetAmount
+      });
     } catch (error) {
       await this.logger.error('error updating crash game state', { error: error.message });
     }
   }
 
+  // The round row is only written on phase transitions (betting -> playing -> crashed), one update each
+  async persistRoundPhase(fields, status = null) {
+    const gameData = { ...this.roundGameData, ...fields };
+    const update = {
+      game_data: gameData,
+      updated_at: new Date().toISOString()
+    };
+    if (status) {
+      update.status = status;
+    }
+
+    const { error } = await this.databaseService.supabase
+      .from('game_rounds')
+      .update(update)
+      .eq('id', this.crashState.currentRoundId);
+
+    if (error) {
+      throw error;
+    }
+    this.roundGameData = gameData;
+  }
+
   async handleCrashGame() {
     // Only process each round once
     if (this.lastProcessedRound === this.crashState.currentRoundId) {
@@ -564,23 +1030,44 @@ class CrashGame extends BaseGame {
     
     await this.logger.gameEvent('crash', `game ended at ${this.crashState.currentCrashPoint}x (round ${this.crashState.currentRoundNumber})`);
     
-    // Update database state
-    try {
-      if (this.crashState.currentRoundId) {
-        await this.databaseService.supabase
-          .from('game_rounds')
-          .update({
-            game_data: this.databaseService.supabase.raw(`jsonb_set(jsonb_set(game_data, '{crash_multiplier}', '${parseFloat(this.crashState.currentCrashPoint).toFixed(4)}'), '{phase}', '"crashed"')`),
-            status: 'completed',
-            updated_at: new Date().toISOString()
-          })
-          .eq('id', this.crashState.currentRoundId);
+    // Every cashout is settled by now, so what remains riding is lost; the round is only completed once those bets are
+    await this.processRemainingCrashPlayers();
+    const totalBet = Array.from(this.roundBets.values()).reduce((sum, bet) => sum + bet.originalAmount, 0);
+    const totalPayout = this.getSettledPayout();
+    
+    // Complete the round and reveal the seed last, once nothing in it can change
+    let persisted = false;
+    if (this.lastProcessedRound !== this.crashState.currentRoundId) {
+      await this.logger.error('crash round left active because its remaining bets could not be settled', { roundId: this.crashState.currentRoundId });
+    } else {
+      try {
+        await this.persistRoundPhase({
+          phase: 'crashed',
+          phase_start_time: new Date(this.crashState.resultPhaseStartTime || Date.now()).toISOString(),
+          crash_multiplier: parseFloat(parseFloat(this.crashState.currentCrashPoint).toFixed(4)),
+          server_seed: this.roundSeed,
+          active_players_count: this.crashState.activePlayersCount,
+          total_bet_amount: Math.round(totalBet * 100) / 100,
+          total_payout: Math.round(totalPayout * 100) / 100
+        }, 'completed');
+        persisted = true;
+        this.crashState.serverSeed = this.roundSeed;
+      } catch (error) {
+        await this.logger.error('error updating crash game state', { error: error.message });
       }
-    } catch (error) {
-      await this.logger.error('error updating crash game state', { error: error.message });
     }
     
-    await this.processRemainingCrashPlayers();
+    await this.settleAutoBets();
+    
+    if (persisted) {
+      await this.emitRoundCompleted({
+        roundId: this.crashState.currentRoundId,
+        roundNumber: this.crashState.currentRoundNumber,
+        crashPoint: this.crashState.currentCrashPoint,
+        totalBet,
+        totalPayout
+      });
+    }
   }
 
   async processRemainingCrashPlayers() {
@@ -614,35 +1101,29 @@ class CrashGame extends BaseGame {
         if (activeBetsCount && activeBetsCount > 0) {
           await this.logger.info(`updated ${activeBetsCount} remaining crash bets to crashed status`);
         }
+        const busted = [];
+        for (const bet of this.roundBets.values()) {
+          if (bet.status === 'active') {
+            // Only the stake still riding is lost, earlier partial cashouts stand
+            bet.status = 'crashed';
+            bet.payout = bet.partialPayout;
+            busted.push(bet.betId);
+          }
+        }
+        if (busted.length > 0) {
+          this.broadcastBetFeed('busted', { betIds: busted });
+        }
         this.lastProcessedRound = roundId;
       }
-      
-      // Update game data to reset active players count
-      await this.databaseService.supabase
-        .from('game_rounds')
-        .update({
-          game_data: this.databaseService.supabase.raw(`jsonb_set(game_data, '{active_players_count}', '0')`),
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', roundId);
-        
     } catch (error) {
       await this.logger.error('error processing remaining crash players', { error: error.message });
     }
   }
 
   async startNewCrashRound() {
-    // Complete the previous round first
+    // Announce the previous round, it was already completed in the database when it crashed
     if (this.crashState.currentRoundId) {
       try {
-        await this.databaseService.supabase
-          .from('game_rounds')
-          .update({
-            status: 'completed',
-            updated_at: new Date().toISOString()
-          })
-          .eq('id', this.crashState.currentRoundId);
-        
         if (this.lastRoundCompleted !== this.crashState.currentRoundId) {
           await this.logger.info(`completed crash round ${this.crashState.currentRoundNumber} at ${this.crashState.currentCrashPoint}x`);
           this.lastRoundCompleted = this.crashState.currentRoundId;
@@ -652,6 +1133,9 @@ class CrashGame extends BaseGame {
               type: 'round_completed',
               roundNumber: this.crashState.currentRoundNumber,
               crashPoint: this.crashState.currentCrashPoint,
+              gameHash: this.crashState.gameHash,
+              serverSeed: this.crashState.serverSeed,
+              clientSeed: this.crashState.clientSeed,
               timestamp: new Date().toISOString()
             });
           }
@@ -661,145 +1145,405 @@ class CrashGame extends BaseGame {
       }
     }
     
-    const crypto = require('crypto');
-    const serverSeed = crypto.randomBytes(32).toString('hex');
-    const clientSeed = 'default';
-    
-    // Generate crash multiplier
-    const crashMultiplier = this.generateCrashMultiplier(serverSeed, clientSeed);
-    
-    // Create game data for the new round
-    const gameData = {
-      phase: 'betting',
-      crash_multiplier: crashMultiplier,
-      game_hash: crypto.createHash('sha256').update(serverSeed + clientSeed).digest('hex'),
-      server_seed: serverSeed,
-      client_seed: clientSeed,
-      current_multiplier: 1.00,
-      active_players_count: 0,
-      total_bet_amount: 0.00,
-      phase_start_time: new Date().toISOString()
+    const round = await this.createCrashRound();
+    if (round) {
+      this.crashState.currentRoundNumber = this.crashState.currentRoundNumber + 1;
+      await this.placeAutoBets();
+    }
+  }
+
+  // Auto-bet strategies
+  async startAutoBet(userId, strategyInput) {
+    if (this.autoBets.get(userId)) {
+      return { 
+        success: false, 
+        message: 'auto-bet is already running' 
+      };
+    }
+
+    const { strategy, error } = this.autoBets.validateStrategy(strategyInput, this.configManager.getBetLimits('crash'));
+    if (error) {
+      return { 
+        success: false, 
+        message: error 
+      };
+    }
+
+    const state = this.autoBets.start(userId, strategy);
+    await this.logger.userEvent(userId, 'started crash auto-bet', strategy);
+
+    // Join the current round straight away if betting is still open
+    if (this.crashState.phase === 'betting') {
+      await this.placeAutoBet(userId, state);
+    }
+
+    const running = this.autoBets.get(userId);
+    return {
+      success: Boolean(running),
+      message: running ? 'auto-bet started' : 'auto-bet could not place its first bet',
+      autoBet: this.autoBets.serialize(state)
     };
-    
-    const { data: roundId, error: roundError } = await this.databaseService.supabase.rpc('create_game_round', {
-      p_game_type: 'crash',
-      p_game_data: gameData
+  }
+
+  async placeAutoBets() {
+    for (const [userId, state] of this.autoBets.getActive()) {
+      if (!state.pendingBetId) {
+        await this.placeAutoBet(userId, state);
+      }
+    }
+  }
+
+  async placeAutoBet(userId, state) {
+    const result = await this.processBet(userId, {
+      amount: state.nextBet,
+      autoCashout: state.strategy.autoCashout,
+      betType: 'auto'
     });
-    
-    if (roundError) {
-      await this.logger.error('error creating new crash round', { error: roundError.message });
+
+    if (!result.success) {
+      this.stopAutoBet(userId, result.message || 'failed to place bet');
       return;
     }
-    
-    this.crashState.currentRoundId = roundId;
-    this.crashState.currentRoundNumber = this.crashState.currentRoundNumber + 1;
-    this.crashState.phase = 'betting';
-    this.crashState.phaseStartTime = Date.now();
-    this.crashState.currentMultiplier = 1.00;
-    this.crashState.currentCrashPoint = crashMultiplier;
-    this.crashState.gameHash = gameData.game_hash;
-    this.crashState.serverSeed = serverSeed;
-    this.crashState.clientSeed = clientSeed;
+
+    state.pendingBetId = result.betId;
+    this.sendAutoBetUpdate(userId, state, {
+      betId: result.betId,
+      amount: state.nextBet,
+      newBalance: result.newBalance
+    });
+  }
+
+  // Feed each auto-bet the outcome of its bet in the round that just crashed
+  async settleAutoBets() {
+    const betLimits = this.configManager.getBetLimits('crash');
+
+    for (const [userId, state] of this.autoBets.getActive()) {
+      const bet = state.pendingBetId ? this.roundBets.get(state.pendingBetId) : null;
+      if (!bet) {
+        state.pendingBetId = null;
+        continue;
+      }
+
+      const payout = bet.payout || 0;
+      const stopReason = this.autoBets.recordResult(userId, bet.originalAmount, payout, betLimits);
+      this.sendAutoBetUpdate(userId, state, {
+        betId: bet.betId,
+        amount: bet.originalAmount,
+        payout,
+        won: payout > bet.originalAmount
+      });
+
+      if (stopReason) {
+        this.stopAutoBet(userId, stopReason);
+      }
+    }
+  }
+
+  stopAutoBet(userId, reason) {
+    const state = this.autoBets.stop(userId);
+    if (state && global.serverInstance && global.serverInstance.wsServer) {
+      global.serverInstance.wsServer.sendToUser(userId, {
+        type: 'auto_bet_stopped',
+        reason,
+        autoBet: this.autoBets.serialize(state),
+        timestamp: new Date().toISOString()
+      });
+    }
+    return state;
+  }
+
+  sendAutoBetUpdate(userId, state, lastBet) {
+    if (global.serverInstance && global.serverInstance.wsServer) {
+      global.serverInstance.wsServer.sendToUser(userId, {
+        type: 'auto_bet_update',
+        autoBet: this.autoBets.serialize(state),
+        lastBet,
+        roundNumber: this.crashState.currentRoundNumber,
+        timestamp: new Date().toISOString()
+      });
+    }
   }
 
-  // Enhanced auto-cashout processing with maximum accuracy and reliability
-  async processAutoCashouts() {
+  // Auto-bets only run while the player is connected
+  async onPlayerDisconnect(userId) {
+    this.stopAutoBet(userId, 'disconnected');
+  }
+
+  // Crash-specific bet helpers
+  getUserBets(userId, betId = null) {
+    return Array.from(this.roundBets.values()).filter(bet =>
+      bet.userId === userId && (betId === null || betId === undefined || String(bet.betId) === String(betId))
+    );
+  }
+
+  serializeBet(bet) {
+    return {
+      betId: bet.betId,
+      amount: bet.originalAmount,
+      remainingAmount: bet.amount,
+      autoCashout: bet.autoCashout,
+      status: bet.status,
+      cashoutMultiplier: bet.cashoutMultiplier,
+      payout: bet.payout,
+      partialCashouts: bet.partialCashouts,
+      placedAt: bet.placedAt
+    };
+  }
+
+  // Usernames for the live bet feed, looked up once per player per round
+  async loadPlayerProfile(userId) {
+    if (this.playerProfiles.has(userId)) {
+      return;
+    }
+
+    const { data: user, error } = await this.databaseService.supabase
+      .from('users')
+      .select('username, avatar_url')
+      .eq('id', userId)
+      .maybeSingle();
+
+    if (error) {
+      console.error('error loading crash player profile:', error);
+    }
+
+    this.playerProfiles.set(userId, {
+      username: user?.username || 'Anonymous',
+      avatar: user?.avatar_url || null
+    });
+  }
+
+  // Compact public view of a bet for the live player list, players are shown by username only
+  getBetFeedEntry(bet) {
+    const profile = this.playerProfiles.get(bet.userId) || { username: 'Anonymous', avatar: null };
+    const settled = bet.status === 'cashed_out' || bet.status === 'crashed';
+    return {
+      betId: bet.betId,
+      username: profile.username,
+      avatar: profile.avatar,
+      amount: bet.originalAmount,
+      remainingAmount: bet.amount,
+      status: bet.status === 'settling' ? 'active' : bet.status,
+      cashoutMultiplier: bet.cashoutMultiplier,
+      partialPayout: bet.partialPayout,
+      profit: settled ? Math.round((bet.payout - bet.originalAmount) * 100) / 100 : null
+    };
+  }
+
+  getBetFeed() {
+    return {
+      roundNumber: this.crashState.currentRoundNumber,
+      bets: Array.from(this.roundBets.values())
+        .filter(bet => bet.status !== 'cancelling')
+        .map(bet => this.getBetFeedEntry(bet))
+    };
+  }
+
+  // Push one change of the player list to the room: bet, partial_cashout, cashout, busted or cancelled
+  broadcastBetFeed(event, payload) {
+    if (global.serverInstance && global.serverInstance.wsServer) {
+      global.serverInstance.wsServer.broadcastToRoom('crash', {
+        type: 'crash_bet_feed',
+        event,
+        roundNumber: this.crashState.currentRoundNumber,
+        ...payload,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  updateBetTotals() {
+    const players = new Set();
+    let totalBet = 0;
+    for (const bet of this.roundBets.values()) {
+      players.add(bet.userId);
+      totalBet += bet.amount;
+    }
+    this.crashState.activePlayersCount = players.size;
+    this.crashState.totalBetAmount = totalBet;
+  }
+
+  async saveAutoCashoutTarget(betId, targetValue) {
+    const { error } = await this.databaseService.supabase
+      .from('game_bets')
+      .update({
+        auto_cashout_target: targetValue,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', betId);
+
+    if (error) {
+      console.error('error saving auto-cashout target:', error);
+      throw error;
+    }
+  }
+
+  // Settle a single bet at the given multiplier; the status guard keeps manual and auto cashouts from racing
+  async settleBet(bet, cashoutValue) {
+    if (bet.status !== 'active') {
+      return { 
+        success: false, 
+        message: 'bet is no longer active' 
+      };
+    }
+    bet.status = 'settling';
+
     try {
-      // Only process if we have a valid round ID and are in playing phase
-      if (!this.crashState.currentRoundId || this.crashState.phase !== 'playing') {
-        return;
+      const { data: result, error: cashoutError } = await this.databaseService.supabase.rpc('cashout_bet_by_id', {
+        p_bet_id: bet.betId,
+        p_cashout_value: cashoutValue
+      });
+
+      if (cashoutError) {
+        console.error('error processing cashout:', cashoutError);
+        bet.status = 'active';
+        return { 
+          success: false, 
+          message: cashoutError.message || 'failed to process cashout' 
+        };
       }
 
-      // Use high precision multiplier calculation - FIXED: Remove toFixed(4) to prevent precision loss
-      const currentMultiplier = this.crashState.currentMultiplier;
-      
-      // VALIDATION: Ensure we're processing for an active round with enhanced checks
-      const { data: roundData, error: roundError } = await this.databaseService.supabase
-        .from('game_rounds')
-        .select('status, game_data, round_number')
-        .eq('id', this.crashState.currentRoundId)
-        .eq('game_type', 'crash')
-        .single();
+      bet.status = 'cashed_out';
+      bet.cashoutMultiplier = cashoutValue;
+      bet.payout = bet.partialPayout + result.payout_amount;
+      this.broadcastBetFeed('cashout', { bet: this.getBetFeedEntry(bet) });
+
+      // PRECISION SAFEGUARD: Verify payout amount is correct
+      const expectedPayout = bet.amount * cashoutValue;
+      const actualPayout = result.payout_amount;
       
-      if (roundError || !roundData) {
-        console.error('Auto-cashout validation failed: Round not found', { roundId: this.crashState.currentRoundId, error: roundError });
-        return;
+      // Allow for small floating point precision differences (0.01 GC tolerance)
+      if (Math.abs(actualPayout - expectedPayout) > 0.01) {
+        console.error('CRITICAL: Payout amount mismatch', {
+          expected: expectedPayout,
+          actual: actualPayout,
+          difference: Math.abs(actualPayout - expectedPayout),
+          betId: bet.betId,
+          betAmount: bet.amount,
+          multiplier: cashoutValue
+        });
+        return { 
+          success: false, 
+          message: 'payout calculation error detected' 
+        };
       }
-      
-      // VALIDATION: Only process for active rounds (not completed/crashed)
-      if (roundData.status === 'completed' || roundData.game_data?.phase === 'crashed') {
-        console.log('Auto-cashout skipped: Round already completed', { roundId: this.crashState.currentRoundId, status: roundData.status });
+
+      return {
+        success: true,
+        betId: bet.betId,
+        cashoutAmount: result.payout_amount,
+        cashoutMultiplier: cashoutValue,
+        newBalance: result.new_balance
+      };
+    } catch (error) {
+      console.error('error settling crash bet:', error);
+      bet.status = 'active';
+      return { 
+        success: false, 
+        message: 'failed to process cashout' 
+      };
+    }
+  }
+
+  // Payouts already settled this round, including partial cashouts of bets still riding
+  getSettledPayout() {
+    let settled = 0;
+    for (const bet of this.roundBets.values()) {
+      settled += bet.status === 'cashed_out' ? bet.payout : bet.partialPayout;
+    }
+    return settled;
+  }
+
+  // What the round would pay out if every live bet cashed out at `multiplier`
+  getRoundExposure(multiplier) {
+    let exposure = this.getSettledPayout();
+    for (const bet of this.roundBets.values()) {
+      if (bet.status === 'active' || bet.status === 'settling' || bet.status === 'cancelling') {
+        exposure += bet.amount * multiplier;
+      }
+    }
+    return exposure;
+  }
+
+  // The multiplier at which a bet leaves the round: its own target, or earlier when a liability cap is reached
+  getExitPoint(bet, roundCapMultiplier, rules) {
+    // Rounded down so a capped payout never exceeds the cap
+    const betCapMultiplier = Math.max(1, Math.floor(((rules.maxPayoutPerBet - bet.partialPayout) / bet.amount) * 10000) / 10000);
+    let exit = { multiplier: bet.autoCashout || Infinity, reason: 'auto_cashout' };
+    if (betCapMultiplier < exit.multiplier) {
+      exit = { multiplier: betCapMultiplier, reason: 'bet_cap' };
+    }
+    if (roundCapMultiplier < exit.multiplier) {
+      exit = { multiplier: roundCapMultiplier, reason: 'round_cap' };
+    }
+    return exit;
+  }
+
+  setRoundCurve(curve) {
+    this.roundCurve = curve;
+    this.crashState.curve = describeCurve(curve);
+  }
+
+  // Auto-cashouts and liability caps run in memory: a bet settles once the curve has crossed its exit point, and exits at or above the crash point lose
+  async processAutoCashouts(timeElapsed = (Date.now() - this.crashState.phaseStartTime) / 1000.0) {
+    try {
+      if (!this.crashState.currentRoundId || this.crashState.phase !== 'playing') {
         return;
       }
-      
-      // VALIDATION: Ensure multiplier is reasonable
-      if (currentMultiplier < 1.0 || currentMultiplier > 1000.0) {
-        console.error('Auto-cashout validation failed: Invalid multiplier', { currentMultiplier, roundId: this.crashState.currentRoundId });
+
+      const rules = this.configManager.getGameRules('crash');
+      const crashPoint = parseFloat(this.crashState.currentCrashPoint);
+      const live = Array.from(this.roundBets.values()).filter(bet => bet.status === 'active');
+      if (live.length === 0) {
         return;
       }
-      
-      // CLEANUP: Deactivate stale auto-cashouts for completed rounds
-      await this.cleanupStaleAutoCashouts();
-      
-      // Process auto-cashouts using the new generic database function with retry logic
-      let autoCashoutResult = null;
-      let autoCashoutError = null;
-      let retryCount = 0;
-      const maxRetries = 3;
-      
-      while (retryCount < maxRetries) {
-        try {
-          const result = await this.databaseService.supabase.rpc('process_auto_cashouts', {
-            p_game_type: 'crash',
-            p_round_id: this.crashState.currentRoundId,
-            p_current_value: currentMultiplier
+
+      // Paying every live bet at this multiplier or lower keeps the round within its cap
+      const liveStake = live.reduce((sum, bet) => sum + bet.amount, 0);
+      const roundCapMultiplier = Math.max(1, Math.floor(((rules.maxPayoutPerRound - this.getSettledPayout()) / liveStake) * 10000) / 10000);
+      if (timeToReach(this.roundCurve, roundCapMultiplier) <= timeElapsed && roundCapMultiplier < crashPoint &&
+          this.cappedRoundId !== this.crashState.currentRoundId) {
+        this.cappedRoundId = this.crashState.currentRoundId;
+        await this.logger.gameEvent('crash', `round ${this.crashState.currentRoundNumber} reached its maximum payout at ${roundCapMultiplier}x, cashing out all bets`);
+        if (global.serverInstance && global.serverInstance.wsServer) {
+          global.serverInstance.wsServer.broadcastToRoom('crash', {
+            type: 'crash_round_capped',
+            cashoutMultiplier: roundCapMultiplier,
+            roundNumber: this.crashState.currentRoundNumber,
+            timestamp: new Date().toISOString()
           });
-          
-          autoCashoutResult = result.data;
-          autoCashoutError = result.error;
-          break; // Success, exit retry loop
-        } catch (error) {
-          retryCount++;
-          console.error(`Auto-cashout processing attempt ${retryCount} failed:`, error);
-          
-          if (retryCount >= maxRetries) {
-            autoCashoutError = error;
-            break;
-          }
-          
-          // Wait before retry (exponential backoff)
-          await new Promise(resolve => setTimeout(resolve, 50 * retryCount));
         }
       }
-      
-      if (autoCashoutError) {
-        console.error('Auto-cashout error after retries:', autoCashoutError);
-        return;
-      }
-      
-      // If auto-cashouts were processed, send notifications to affected users
-      if (autoCashoutResult && autoCashoutResult.processed_count > 0) {
-        // Send individual notifications to each user who was auto-cashed out
-        if (autoCashoutResult.processed_users && global.serverInstance && global.serverInstance.wsServer) {
-          for (const userCashout of autoCashoutResult.processed_users) {
-            try {
-              // Validate cashout data before sending
-              if (userCashout.user_id && userCashout.cashout_amount && userCashout.cashout_value) {
-                global.serverInstance.wsServer.sendToUser(userCashout.user_id, {
-                  type: 'auto_cashout_triggered',
-                  cashoutMultiplier: parseFloat(userCashout.cashout_value).toFixed(4),
-                  cashoutAmount: parseFloat(userCashout.cashout_amount).toFixed(2),
-                  betAmount: parseFloat(userCashout.bet_amount).toFixed(2),
-                  roundId: this.crashState.currentRoundId,
-                  roundNumber: roundData.round_number,
-                  timestamp: new Date().toISOString()
-                });
-              } else {
-                console.error('Invalid auto-cashout data:', userCashout);
-              }
-            } catch (notificationError) {
-              console.error('Error sending auto-cashout notification:', notificationError);
-            }
+
+      for (const bet of live) {
+        const exit = this.getExitPoint(bet, roundCapMultiplier, rules);
+        const crossingTime = timeToReach(this.roundCurve, exit.multiplier);
+        if (crossingTime > timeElapsed || exit.multiplier >= crashPoint) {
+          continue;
+        }
+
+        const result = await this.settleBet(bet, exit.multiplier);
+        if (!result.success) {
+          console.error('Auto-cashout failed', { betId: bet.betId, reason: exit.reason, message: result.message });
+          continue;
+        }
+
+        if (global.serverInstance && global.serverInstance.wsServer) {
+          try {
+            global.serverInstance.wsServer.sendToUser(bet.userId, {
+              type: exit.reason === 'auto_cashout' ? 'auto_cashout_triggered' : 'liability_cashout',
+              reason: exit.reason,
+              betId: bet.betId,
+              cashoutMultiplier: parseFloat(exit.multiplier).toFixed(4),
+              cashoutTime: Math.round(crossingTime * 1000), // ms after the playing phase started
+              cashoutAmount: parseFloat(result.cashoutAmount).toFixed(2),
+              betAmount: parseFloat(bet.amount).toFixed(2),
+              newBalance: result.newBalance,
+              roundId: this.crashState.currentRoundId,
+              roundNumber: this.crashState.currentRoundNumber,
+              timestamp: new Date().toISOString()
+            });
+          } catch (notificationError) {
+            console.error('Error sending auto-cashout notification:', notificationError);
           }
         }
       }
@@ -861,7 +1605,6 @@ class CrashGame extends BaseGame {
     this.lastRoundCompleted = null;
     this.isStartingNewRound = false;
     this.lastProcessedRound = null;
-    this.lastAutoCashoutCheck = 0;
     
     // Stop auto-cashout cleanup scheduler
     this.stopAutoCashoutCleanupScheduler();
@@ -882,8 +1625,16 @@ class CrashGame extends BaseGame {
       currentRoundNumber: 1,
       gameHash: null,
       serverSeed: null,
-      clientSeed: null
+      clientSeed: null,
+      chainId: null,
+      chainIndex: null,
+      curve: null
     };
+    this.roundSeed = null;
+    this.roundGameData = null;
+    this.roundCurve = null;
+    this.roundBets.clear();
+    this.autoBets.clear();
     
     // Stop auto-cashout cleanup scheduler
     this.stopAutoCashoutCleanupScheduler();
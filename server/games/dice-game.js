@@ -0,0 +1,221 @@
+// Dice Game - Dice game implementation
+// Purpose: Roll 0.00-99.99 against a player-chosen target, over or under, and settle each roll atomically
+
+const BaseGame = require('./base-game');
+const { floatToInt } = require('../../services/fair-random');
+
+const ROLL_OUTCOMES = 10000; // 0.00 to 99.99 in steps of 0.01
+const DIRECTIONS = ['over', 'under'];
+
+class DiceGame extends BaseGame {
+  constructor(gameId, config, services) {
+    super(gameId, config, services);
+
+    // Dice-specific state
+    this.diceState = {
+      phase: 'open',
+      totalRolls: 0,
+      totalBetAmount: 0.00,
+      totalPayout: 0.00
+    };
+
+    this.rollingUsers = new Set();
+  }
+
+  getGameType() {
+    return 'dice';
+  }
+
+  usesPlayerSeeds() {
+    return true;
+  }
+
+  // Rolls settle in a single call, nothing is left open across restarts
+  async onInitialize() {}
+
+  // Rolls are instant, there is no round loop
+  async onGameLoop() {}
+
+  async onProcessBet(userId, betData) {
+    const { amount } = betData;
+
+    const odds = this.getOdds(betData.target, betData.direction);
+    if (odds.error) {
+      return {
+        success: false,
+        message: odds.error
+      };
+    }
+
+    if (this.rollingUsers.has(userId)) {
+      return {
+        success: false,
+        message: 'previous roll is still being processed'
+      };
+    }
+
+    this.rollingUsers.add(userId);
+    try {
+      const { seed, floats } = await this.drawPlayerFloats(userId, 1);
+      const roll = floatToInt(floats[0], ROLL_OUTCOMES) / 100;
+      const won = odds.direction === 'over' ? roll > odds.target : roll < odds.target;
+
+      const settlement = await this.placeInstantBet(userId, amount, won ? odds.multiplier : 0, {
+        target: odds.target,
+        direction: odds.direction,
+        roll,
+        won,
+        win_chance: odds.winChance,
+        multiplier: odds.multiplier,
+        ...this.seedRecord(seed)
+      });
+
+      this.diceState.totalRolls++;
+      this.diceState.totalBetAmount += amount;
+      this.diceState.totalPayout += settlement.payoutAmount;
+
+      return {
+        success: true,
+        message: won ? 'roll won' : 'roll lost',
+        betAmount: amount,
+        betId: settlement.betId,
+        roundId: settlement.roundId,
+        target: odds.target,
+        direction: odds.direction,
+        roll,
+        won,
+        winChance: odds.winChance,
+        multiplier: odds.multiplier,
+        payout: settlement.payoutAmount,
+        newBalance: settlement.newBalance,
+        seed: this.seedRecord(seed)
+      };
+    } catch (error) {
+      console.error('failed to roll dice:', error);
+      return {
+        success: false,
+        message: error.message || 'failed to place bet'
+      };
+    } finally {
+      this.rollingUsers.delete(userId);
+    }
+  }
+
+  async onProcessAction(userId, action, data) {
+    if (action === 'get_odds') {
+      const odds = this.getOdds(data?.target, data?.direction);
+      return odds.error
+        ? { success: false, message: odds.error }
+        : { success: true, ...odds };
+    }
+
+    return {
+      success: false,
+      message: `unknown action: ${action}`
+    };
+  }
+
+  // Rolls settle immediately, there is nothing to cash out
+  async onProcessCashout(userId, cashoutValue) {
+    return {
+      success: false,
+      message: 'cashout is not available in dice'
+    };
+  }
+
+  async onProcessAutoCashout(userId, targetValue) {
+    return {
+      success: false,
+      message: 'auto-cashout is not available in dice'
+    };
+  }
+
+  async onGetState(userId = null) {
+    const { minWinChance, maxWinChance } = this.configManager.getGameRules('dice');
+    return {
+      ...this.diceState,
+      rules: {
+        minWinChance,
+        maxWinChance,
+        houseEdge: this.configManager.getHouseEdge('dice')
+      }
+    };
+  }
+
+  async onGetHistory(limit = 20) {
+    try {
+      const { data: rounds, error } = await this.databaseService.supabase
+        .from('game_rounds')
+        .select('*')
+        .eq('game_type', 'dice')
+        .eq('status', 'completed')
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      if (error) {
+        console.error('error getting dice history:', error);
+        return [];
+      }
+
+      return rounds || [];
+    } catch (error) {
+      console.error('error getting dice history:', error);
+      return [];
+    }
+  }
+
+  // Dice-specific methods
+  // Win chance and payout for a target; "over" wins on rolls above it, "under" on rolls below it
+  getOdds(target, direction) {
+    if (!DIRECTIONS.includes(direction)) {
+      return { error: 'direction must be over or under' };
+    }
+
+    const value = Number(target);
+    const hundredths = Math.round(value * 100);
+    if (!Number.isFinite(value) || Math.abs(value * 100 - hundredths) > 1e-6 || hundredths < 0 || hundredths >= ROLL_OUTCOMES) {
+      return { error: 'target must be between 0.00 and 99.99 with at most two decimals' };
+    }
+
+    const winningOutcomes = direction === 'over' ? ROLL_OUTCOMES - 1 - hundredths : hundredths;
+    const winChance = (winningOutcomes / ROLL_OUTCOMES) * 100;
+
+    const { minWinChance, maxWinChance } = this.configManager.getGameRules('dice');
+    if (winChance < minWinChance || winChance > maxWinChance) {
+      return { error: `win chance must be between ${minWinChance}% and ${maxWinChance}%` };
+    }
+
+    // Rounded down so the payout never exceeds what the house edge allows
+    const houseEdge = this.configManager.getHouseEdge('dice');
+    const multiplier = Math.floor(((1 - houseEdge) * ROLL_OUTCOMES / winningOutcomes) * 10000 + 1e-9) / 10000;
+    if (multiplier <= 1) {
+      return { error: 'win chance is too high to pay out more than the stake' };
+    }
+
+    return {
+      target: hundredths / 100,
+      direction,
+      winChance: Math.round(winChance * 100) / 100,
+      multiplier
+    };
+  }
+
+  async onStop() {
+    // Dice-specific cleanup
+    this.rollingUsers.clear();
+  }
+
+  cleanup() {
+    super.cleanup();
+    // Additional dice-specific cleanup
+    this.rollingUsers.clear();
+    this.diceState = {
+      phase: 'open',
+      totalRolls: 0,
+      totalBetAmount: 0.00,
+      totalPayout: 0.00
+    };
+  }
+}
+
+module.exports = DiceGame;
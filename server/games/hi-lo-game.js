@@ -0,0 +1,565 @@
+// Hi-Lo Game - Hi-Lo card game implementation
+// Purpose: Handle higher/lower guessing hands with streak multipliers and cashout
+
+const BaseGame = require('./base-game');
+const { generateFloats, floatToInt } = require('../../services/fair-random');
+
+const SUITS = ['hearts', 'diamonds', 'clubs', 'spades'];
+const RANKS = ['A', '2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K']; // Ace low, King high
+
+class HiLoGame extends BaseGame {
+  constructor(gameId, config, services) {
+    super(gameId, config, services);
+
+    // Hi-Lo-specific state (table-wide, hands are tracked per player)
+    this.hiLoState = {
+      phase: 'open',
+      activeHandsCount: 0,
+      totalBetAmount: 0.00
+    };
+
+    this.hands = new Map(); // userId -> hand session
+    this.lastTimeoutCheck = 0;
+  }
+
+  getGameType() {
+    return 'hi-lo';
+  }
+
+  usesPlayerSeeds() {
+    return true;
+  }
+
+  getRules() {
+    return this.configManager.getGameRules('hi-lo');
+  }
+
+  async onInitialize() {
+    // Hands left open by a previous process cannot be resumed, so return their stakes;
+    // hands already lost on a wrong guess are settled as lost instead
+    const { data: openBets, error } = await this.databaseService.supabase
+      .from('game_bets')
+      .select('id, user_id, round_id')
+      .eq('game_type', 'hi-lo')
+      .eq('status', 'active');
+
+    if (error) {
+      console.error('error loading open hi-lo bets:', error);
+      return;
+    }
+    if (!openBets || openBets.length === 0) {
+      return;
+    }
+
+    const { data: rounds, error: roundsError } = await this.databaseService.supabase
+      .from('game_rounds')
+      .select('id, game_data')
+      .in('id', openBets.map(bet => bet.round_id));
+
+    if (roundsError) {
+      console.error('error loading open hi-lo rounds:', roundsError);
+      return;
+    }
+
+    const lostRounds = new Map((rounds || [])
+      .filter(round => round.game_data?.phase === 'lost')
+      .map(round => [round.id, round.game_data]));
+
+    let refunded = 0;
+    for (const bet of openBets) {
+      try {
+        if (lostRounds.has(bet.round_id)) {
+          await this.settleRoundBet(bet.user_id, bet.round_id, 0);
+          await this.completeRound(bet.round_id, { ...lostRounds.get(bet.round_id), payout: 0 });
+        } else {
+          await this.refundRoundBet(bet.id);
+          await this.completeRound(bet.round_id);
+          refunded++;
+        }
+      } catch (refundError) {
+        await this.logger.error('error closing open hi-lo bet', { error: refundError.message, roundId: bet.round_id });
+      }
+    }
+
+    await this.logger.gameEvent('hi-lo', `refunded ${refunded} open stakes and settled ${openBets.length - refunded} lost hands from previous session`);
+  }
+
+  async onGameLoop() {
+    // Hands are driven by player actions, the loop only enforces the inactivity timeout
+    const now = Date.now();
+    if (now - this.lastTimeoutCheck < 1000) {
+      return;
+    }
+    this.lastTimeoutCheck = now;
+
+    const { handTimeout } = this.getRules();
+    for (const [userId, session] of this.hands) {
+      if (session.pending || session.busy || now - session.lastActionAt < handTimeout) {
+        continue;
+      }
+
+      // Lost hands whose settlement failed are retried, they have nothing to cash out
+      if (session.lost) {
+        session.busy = true;
+        try {
+          await this.settleLostHand(session);
+        } finally {
+          session.busy = false;
+        }
+        continue;
+      }
+
+      // Idle hands are cashed out at their current multiplier
+      const result = await this.onProcessCashout(userId, session.multiplier);
+      if (result.success && global.serverInstance && global.serverInstance.wsServer) {
+        global.serverInstance.wsServer.sendToUser(userId, {
+          type: 'hi_lo_hand_timeout',
+          result,
+          timestamp: new Date().toISOString()
+        });
+      }
+    }
+  }
+
+  async onProcessBet(userId, betData) {
+    const { amount } = betData;
+
+    if (this.hands.has(userId)) {
+      return {
+        success: false,
+        message: 'you already have a hand in progress'
+      };
+    }
+
+    // Reserve the hand before any await so a duplicate bet cannot open a second one
+    this.hands.set(userId, { pending: true });
+    let seed = null;
+
+    try {
+      // The whole hand draws from one nonce, so the seed pair is held until it settles
+      seed = await this.seedManager.claimNonce(userId, true);
+      const startCard = this.drawCard(seed, 0);
+      const bet = await this.openRoundBet(userId, amount, {
+        phase: 'playing',
+        user_id: userId,
+        bet_amount: amount,
+        start_card: startCard,
+        ...this.seedRecord(seed)
+      });
+      const roundId = bet.roundId;
+
+      const session = {
+        userId,
+        roundId,
+        betAmount: amount,
+        seed,
+        cursor: 1,
+        currentCard: startCard,
+        cards: [{ card: startCard, guess: null }],
+        multiplier: 1.00,
+        streak: 0,
+        skipsUsed: 0,
+        busy: false,
+        lastActionAt: Date.now()
+      };
+      this.hands.set(userId, session);
+      this.updateTableState();
+
+      return {
+        success: true,
+        message: 'hand opened',
+        betAmount: amount,
+        betId: bet.betId,
+        newBalance: bet.newBalance,
+        hand: this.serializeSession(session)
+      };
+    } catch (error) {
+      console.error('failed to open hi-lo hand:', error);
+      this.hands.delete(userId);
+      if (seed) {
+        this.seedManager.release(userId);
+      }
+      return {
+        success: false,
+        message: error.message || 'failed to place bet'
+      };
+    }
+  }
+
+  async onProcessAction(userId, action, data) {
+    const lostSession = this.hands.get(userId);
+
+    // A hand lost on a wrong guess stays lost whatever the action, only its settlement can be retried
+    if (lostSession?.lost) {
+      if (lostSession.busy) {
+        return {
+          success: false,
+          message: 'previous action is still being processed'
+        };
+      }
+
+      lostSession.busy = true;
+      try {
+        const result = await this.settleLostHand(lostSession);
+        return action === 'cashout'
+          ? { success: false, message: 'hand was lost, nothing to cash out' }
+          : result;
+      } finally {
+        lostSession.busy = false;
+      }
+    }
+
+    if (action === 'cashout') {
+      const session = this.hands.get(userId);
+      if (!session || session.pending) {
+        return {
+          success: false,
+          message: 'no hand in progress'
+        };
+      }
+
+      // Cash out at the server-side multiplier, never a client-supplied one
+      return await this.onProcessCashout(userId, session.multiplier);
+    }
+
+    if (action !== 'higher' && action !== 'lower' && action !== 'skip') {
+      return {
+        success: false,
+        message: `unknown action: ${action}`
+      };
+    }
+
+    const session = this.hands.get(userId);
+    if (!session || session.pending) {
+      return {
+        success: false,
+        message: 'no hand in progress'
+      };
+    }
+
+    if (session.busy) {
+      return {
+        success: false,
+        message: 'previous action is still being processed'
+      };
+    }
+
+    const rules = this.getRules();
+    if (action === 'skip' && session.skipsUsed >= rules.maxSkips) {
+      return {
+        success: false,
+        message: `maximum of ${rules.maxSkips} skips per hand`
+      };
+    }
+
+    session.busy = true;
+    try {
+      const previousCard = session.currentCard;
+      const nextCard = this.drawCard(session.seed, session.cursor++);
+      session.currentCard = nextCard;
+      session.lastActionAt = Date.now();
+
+      if (action === 'skip') {
+        session.skipsUsed++;
+        session.cards.push({ card: nextCard, guess: 'skip' });
+        return {
+          success: true,
+          message: 'card skipped',
+          hand: this.serializeSession(session)
+        };
+      }
+
+      const odds = this.getOdds(previousCard)[action];
+      const won = action === 'higher'
+        ? this.rankValue(nextCard) >= this.rankValue(previousCard)
+        : this.rankValue(nextCard) <= this.rankValue(previousCard);
+      session.cards.push({ card: nextCard, guess: action, won });
+
+      if (!won) {
+        // Recorded before settling so neither a retry nor a restart can pay out a lost hand
+        session.lost = true;
+        await this.persistLostHand(session);
+        return await this.settleLostHand(session);
+      }
+
+      session.streak++;
+      session.multiplier = Math.min(session.multiplier * odds.multiplier, rules.maxMultiplier);
+
+      // Hands that reach the multiplier cap are cashed out for the player
+      if (session.multiplier >= rules.maxMultiplier) {
+        session.busy = false;
+        const cashout = await this.onProcessCashout(userId, session.multiplier);
+        return {
+          ...cashout,
+          won: true,
+          hand: this.serializeSession(session)
+        };
+      }
+
+      return {
+        success: true,
+        message: 'correct guess',
+        won: true,
+        hand: this.serializeSession(session)
+      };
+    } catch (error) {
+      console.error('error processing hi-lo action:', error);
+      return {
+        success: false,
+        message: error.message || 'failed to process action'
+      };
+    } finally {
+      session.busy = false;
+    }
+  }
+
+  // Cash out the whole hand at its accumulated multiplier
+  async onProcessCashout(userId, cashoutValue) {
+    const session = this.hands.get(userId);
+    if (!session || session.pending) {
+      return {
+        success: false,
+        message: 'no hand in progress to cashout'
+      };
+    }
+    if (session.lost) {
+      return {
+        success: false,
+        message: 'hand was lost, nothing to cash out'
+      };
+    }
+
+    if (session.busy) {
+      return {
+        success: false,
+        message: 'previous action is still being processed'
+      };
+    }
+
+    session.busy = true;
+    try {
+      const settlement = await this.finishHand(session, session.multiplier, 'cashed_out');
+      if (!settlement) {
+        return {
+          success: false,
+          message: 'failed to process cashout'
+        };
+      }
+
+      return {
+        success: true,
+        message: 'cashout successful',
+        cashoutAmount: settlement.payoutAmount,
+        cashoutValue: session.multiplier,
+        cashoutMultiplier: session.multiplier, // Add for frontend compatibility
+        newBalance: settlement.newBalance,
+        betId: settlement.betId
+      };
+    } finally {
+      session.busy = false;
+    }
+  }
+
+  async onProcessAutoCashout(userId, targetValue) {
+    return {
+      success: false,
+      message: 'auto-cashout is not available in hi-lo'
+    };
+  }
+
+  async onGetState(userId = null) {
+    const state = { ...this.hiLoState };
+
+    // Add user-specific hand information if available
+    if (userId && userId !== 'anonymous') {
+      const session = this.hands.get(userId);
+      if (session && !session.pending) {
+        state.hand = this.serializeSession(session);
+      }
+    }
+
+    return state;
+  }
+
+  async onGetHistory(limit = 20) {
+    try {
+      const { data: rounds, error } = await this.databaseService.supabase
+        .from('game_rounds')
+        .select('*')
+        .eq('game_type', 'hi-lo')
+        .eq('status', 'completed')
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      if (error) {
+        console.error('error getting hi-lo history:', error);
+        return [];
+      }
+
+      return rounds || [];
+    } catch (error) {
+      console.error('error getting hi-lo history:', error);
+      return [];
+    }
+  }
+
+  // Hi-Lo-specific methods
+  // Cards are drawn from an infinite deck, so every rank is always equally likely
+  // The n-th card of a hand is the n-th float of the hand's nonce
+  drawCard(seed, cursor) {
+    const [value] = generateFloats(seed.serverSeed, seed.clientSeed, seed.nonce, 1, cursor);
+    const index = floatToInt(value, 52);
+    return {
+      rank: RANKS[index % 13],
+      suit: SUITS[Math.floor(index / 13)]
+    };
+  }
+
+  rankValue(card) {
+    return RANKS.indexOf(card.rank) + 1;
+  }
+
+  // "Higher" wins on the same or a higher rank, "lower" on the same or a lower rank
+  getOdds(card) {
+    const houseEdge = this.configManager.getHouseEdge('hi-lo');
+    const value = this.rankValue(card);
+    const higher = (14 - value) / 13;
+    const lower = value / 13;
+
+    return {
+      higher: { probability: higher, multiplier: (1 - houseEdge) / higher },
+      lower: { probability: lower, multiplier: (1 - houseEdge) / lower }
+    };
+  }
+
+  // Mark the round lost in the database, a restart then settles it as lost instead of refunding the stake
+  async persistLostHand(session) {
+    const { error } = await this.databaseService.supabase
+      .from('game_rounds')
+      .update({
+        game_data: {
+          phase: 'lost',
+          user_id: session.userId,
+          bet_amount: session.betAmount,
+          cards: session.cards,
+          streak: session.streak,
+          multiplier: 0,
+          ...this.seedRecord(session.seed)
+        },
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', session.roundId);
+
+    if (error) {
+      await this.logger.error('error recording lost hi-lo hand', { error: error.message, roundId: session.roundId });
+    }
+  }
+
+  // Settle a hand lost on a wrong guess; if settlement fails the hand stays lost for a retry
+  async settleLostHand(session) {
+    const settlement = await this.finishHand(session, 0, 'lost');
+    if (!settlement) {
+      return {
+        success: false,
+        message: 'wrong guess, hand lost, failed to settle it, please try again',
+        won: false,
+        hand: this.serializeSession(session)
+      };
+    }
+
+    return {
+      success: true,
+      message: 'wrong guess, hand lost',
+      won: false,
+      hand: this.serializeSession(session)
+    };
+  }
+
+  async finishHand(session, multiplier, outcome) {
+    let settlement = null;
+    try {
+      settlement = await this.settleRoundBet(session.userId, session.roundId, multiplier);
+      await this.completeRound(session.roundId, {
+        phase: outcome,
+        user_id: session.userId,
+        bet_amount: session.betAmount,
+        cards: session.cards,
+        streak: session.streak,
+        multiplier,
+        payout: settlement.payoutAmount,
+        ...this.seedRecord(session.seed)
+      });
+    } catch (error) {
+      await this.logger.error('error settling hi-lo hand', { error: error.message, roundId: session.roundId });
+      if (!settlement) {
+        return null;
+      }
+    }
+
+    session.outcome = outcome;
+    session.payout = settlement.payoutAmount;
+    this.hands.delete(session.userId);
+    this.seedManager.release(session.userId);
+    this.updateTableState();
+
+    await this.emitRoundCompleted({
+      roundId: session.roundId,
+      userId: session.userId,
+      totalBet: session.betAmount,
+      totalPayout: settlement.payoutAmount
+    });
+
+    return settlement;
+  }
+
+  updateTableState() {
+    let activeHands = 0;
+    let totalBet = 0;
+
+    for (const session of this.hands.values()) {
+      if (!session.pending) {
+        activeHands++;
+        totalBet += session.betAmount;
+      }
+    }
+
+    this.hiLoState.activeHandsCount = activeHands;
+    this.hiLoState.totalBetAmount = totalBet;
+  }
+
+  serializeSession(session) {
+    const settled = Boolean(session.outcome);
+    return {
+      roundId: session.roundId,
+      betAmount: session.betAmount,
+      currentCard: session.currentCard,
+      cards: session.cards,
+      multiplier: session.multiplier,
+      streak: session.streak,
+      skipsUsed: session.skipsUsed,
+      seed: this.seedRecord(session.seed),
+      odds: settled || session.lost ? null : this.getOdds(session.currentCard),
+      lost: Boolean(session.lost),
+      outcome: session.outcome || null,
+      payout: settled ? session.payout : null
+    };
+  }
+
+  async onStop() {
+    // Hi-Lo-specific cleanup
+    this.lastTimeoutCheck = 0;
+  }
+
+  cleanup() {
+    super.cleanup();
+    // Additional hi-lo-specific cleanup
+    this.hands.clear();
+    this.hiLoState = {
+      phase: 'open',
+      activeHandsCount: 0,
+      totalBetAmount: 0.00
+    };
+  }
+}
+
+module.exports = HiLoGame;
@@ -0,0 +1,484 @@
+// Jackpot Game - Shared pot game implementation
+// Purpose: Pool player deposits into one pot, count down once two players are in, and draw a winner weighted by contribution
+
+const crypto = require('crypto');
+const BaseGame = require('./base-game');
+const { generateFloats, hashServerSeed } = require('../../services/fair-random');
+
+class JackpotGame extends BaseGame {
+  constructor(gameId, config, services) {
+    super(gameId, config, services);
+
+    // Jackpot-specific state
+    this.jackpotState = {
+      phase: 'waiting', // waiting -> countdown -> drawing -> result
+      roundId: null,
+      pot: 0.00,
+      countdownEndsAt: null,
+      resultEndsAt: null,
+      serverSeedHash: null,
+      clientSeed: null,
+      lastResult: null
+    };
+
+    this.round = null; // { roundId, serverSeed, serverSeedHash, clientSeed } of the open round
+    this.deposits = []; // in deposit order, each deposit covers its own range of tickets
+    this.playerProfiles = new Map(); // userId -> { username, avatar } for the open round
+    this.pendingDeposits = 0;
+    this.pendingPlayerDeposits = new Map(); // userId -> deposits still being placed
+    this.isDrawing = false;
+    this.isOpeningRound = false;
+    this.lastCountdownBroadcast = 0;
+  }
+
+  getGameType() {
+    return 'jackpot';
+  }
+
+  getRules() {
+    return this.configManager.getGameRules('jackpot');
+  }
+
+  async onInitialize() {
+    // Pots left open by a previous process cannot be drawn (their seed is gone), so return every deposit
+    const { data: openBets, error } = await this.databaseService.supabase
+      .from('game_bets')
+      .select('id, round_id')
+      .eq('game_type', 'jackpot')
+      .eq('status', 'active');
+
+    if (error) {
+      console.error('error loading open jackpot bets:', error);
+    } else {
+      let refunded = 0;
+      const roundIds = new Set();
+      const failedRoundIds = new Set();
+      for (const bet of openBets || []) {
+        roundIds.add(bet.round_id);
+        try {
+          await this.refundRoundBet(bet.id);
+          refunded++;
+        } catch (refundError) {
+          failedRoundIds.add(bet.round_id);
+          await this.logger.error('error refunding open jackpot bet', { error: refundError.message, betId: bet.id, roundId: bet.round_id });
+        }
+      }
+
+      // A round with a deposit still open stays active so the next start retries its refund
+      for (const roundId of roundIds) {
+        if (failedRoundIds.has(roundId)) {
+          continue;
+        }
+        await this.completeRound(roundId, { phase: 'voided' }).catch(async (completeError) => {
+          await this.logger.error('error voiding jackpot round', { error: completeError.message, roundId });
+        });
+      }
+
+      if (refunded > 0) {
+        await this.logger.gameEvent('jackpot', `refunded ${refunded} open deposits from previous session`);
+      }
+    }
+
+    await this.openRound();
+  }
+
+  async onGameLoop() {
+    const now = Date.now();
+    const { phase } = this.jackpotState;
+
+    if (phase === 'waiting' && !this.round && !this.isOpeningRound) {
+      await this.openRound();
+      return;
+    }
+
+    if (phase === 'countdown') {
+      // Deposits already being placed are still let in before the draw
+      if (now >= this.jackpotState.countdownEndsAt && this.pendingDeposits === 0 && !this.isDrawing) {
+        await this.drawWinner();
+        return;
+      }
+
+      if (now - this.lastCountdownBroadcast >= 1000) {
+        this.lastCountdownBroadcast = now;
+        this.broadcast('jackpot_countdown', {
+          roundId: this.jackpotState.roundId,
+          countdownEndsAt: new Date(this.jackpotState.countdownEndsAt).toISOString(),
+          secondsLeft: Math.max(0, Math.ceil((this.jackpotState.countdownEndsAt - now) / 1000))
+        });
+      }
+      return;
+    }
+
+    if (phase === 'result' && now >= this.jackpotState.resultEndsAt) {
+      this.jackpotState.phase = 'waiting';
+      this.jackpotState.resultEndsAt = null;
+      await this.openRound();
+    }
+  }
+
+  async onProcessBet(userId, betData) {
+    const { amount } = betData;
+    const { phase } = this.jackpotState;
+
+    if (!this.round || (phase !== 'waiting' && phase !== 'countdown')) {
+      return {
+        success: false,
+        message: 'the pot is being drawn, wait for the next round'
+      };
+    }
+
+    // Reserve a deposit slot before any await so parallel bets cannot exceed the limit
+    const { maxDepositsPerPlayer } = this.getRules();
+    const deposits = this.deposits.filter(deposit => deposit.userId === userId).length;
+    const pending = this.pendingPlayerDeposits.get(userId) || 0;
+    if (deposits + pending >= maxDepositsPerPlayer) {
+      return {
+        success: false,
+        message: `maximum of ${maxDepositsPerPlayer} deposits per round`
+      };
+    }
+
+    const round = this.round;
+    this.pendingDeposits++;
+    this.pendingPlayerDeposits.set(userId, pending + 1);
+    try {
+      const bet = await this.placeRoundBet(userId, amount, round.roundId);
+      if (!this.playerProfiles.has(userId)) {
+        this.playerProfiles.set(userId, await this.loadPlayerProfile(userId));
+      }
+
+      this.deposits.push({ userId, betId: bet.betId, amount });
+      this.jackpotState.pot += amount;
+
+      // The countdown starts once a second player is in the pot
+      if (this.jackpotState.phase === 'waiting' && this.getEntrants().length >= 2) {
+        this.jackpotState.phase = 'countdown';
+        this.jackpotState.countdownEndsAt = Date.now() + this.getRules().countdown;
+        this.lastCountdownBroadcast = 0;
+      }
+
+      this.broadcast('jackpot_update', this.getPotView());
+
+      return {
+        success: true,
+        message: 'deposit added to the pot',
+        betAmount: amount,
+        betId: bet.betId,
+        newBalance: bet.newBalance,
+        roundId: round.roundId,
+        chance: this.getEntrants().find(entrant => entrant.userId === userId).chance
+      };
+    } catch (error) {
+      console.error('failed to add jackpot deposit:', error);
+      return {
+        success: false,
+        message: error.message || 'failed to place bet'
+      };
+    } finally {
+      this.pendingDeposits--;
+      const remaining = (this.pendingPlayerDeposits.get(userId) || 1) - 1;
+      if (remaining > 0) {
+        this.pendingPlayerDeposits.set(userId, remaining);
+      } else {
+        this.pendingPlayerDeposits.delete(userId);
+      }
+    }
+  }
+
+  async onProcessAction(userId, action, data) {
+    return {
+      success: false,
+      message: `unknown action: ${action}`
+    };
+  }
+
+  // The pot is paid out by the draw, there is nothing to cash out
+  async onProcessCashout(userId, cashoutValue) {
+    return {
+      success: false,
+      message: 'cashout is not available in jackpot'
+    };
+  }
+
+  async onProcessAutoCashout(userId, targetValue) {
+    return {
+      success: false,
+      message: 'auto-cashout is not available in jackpot'
+    };
+  }
+
+  async onGetState(userId = null) {
+    return {
+      ...this.getPotView(),
+      lastResult: this.jackpotState.lastResult,
+      rules: {
+        countdown: this.getRules().countdown,
+        rake: this.configManager.getHouseEdge('jackpot')
+      }
+    };
+  }
+
+  async onGetHistory(limit = 20) {
+    try {
+      const { data: rounds, error } = await this.databaseService.supabase
+        .from('game_rounds')
+        .select('*')
+        .eq('game_type', 'jackpot')
+        .eq('status', 'completed')
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      if (error) {
+        console.error('error getting jackpot history:', error);
+        return [];
+      }
+
+      return rounds || [];
+    } catch (error) {
+      console.error('error getting jackpot history:', error);
+      return [];
+    }
+  }
+
+  // Jackpot-specific methods
+  // The seed is committed by its hash when the round opens and revealed after the draw
+  async openRound() {
+    this.isOpeningRound = true;
+    try {
+      const serverSeed = crypto.randomBytes(32).toString('hex');
+      const serverSeedHash = hashServerSeed(serverSeed);
+      const clientSeed = crypto.randomBytes(8).toString('hex');
+
+      const roundId = await this.createRound({
+        phase: 'waiting',
+        server_seed_hash: serverSeedHash,
+        client_seed: clientSeed
+      });
+
+      this.round = { roundId, serverSeed, serverSeedHash, clientSeed };
+      this.deposits = [];
+      this.playerProfiles.clear();
+      Object.assign(this.jackpotState, {
+        phase: 'waiting',
+        roundId,
+        pot: 0.00,
+        countdownEndsAt: null,
+        serverSeedHash,
+        clientSeed
+      });
+
+      this.broadcast('jackpot_update', this.getPotView());
+    } catch (error) {
+      // The loop retries on its next tick
+      await this.logger.error('error opening jackpot round', { error: error.message });
+      this.round = null;
+    } finally {
+      this.isOpeningRound = false;
+    }
+  }
+
+  // HMAC(serverSeed, "clientSeed:roundId:0") picks a ticket in [0, pot), the deposit covering it wins
+  pickWinner(round, deposits, pot) {
+    const [value] = generateFloats(round.serverSeed, round.clientSeed, round.roundId, 1);
+    const ticket = value * pot;
+
+    let cumulative = 0;
+    for (const deposit of deposits) {
+      cumulative += deposit.amount;
+      if (ticket < cumulative) {
+        return { winnerId: deposit.userId, ticket };
+      }
+    }
+    return { winnerId: deposits[deposits.length - 1].userId, ticket };
+  }
+
+  async drawWinner() {
+    this.isDrawing = true;
+    this.jackpotState.phase = 'drawing';
+    const round = this.round;
+    const deposits = [...this.deposits];
+    const pot = this.jackpotState.pot;
+
+    try {
+      const { winnerId, ticket } = this.pickWinner(round, deposits, pot);
+      const houseEdge = this.configManager.getHouseEdge('jackpot');
+      const winnerDeposits = deposits.filter(deposit => deposit.userId === winnerId);
+      const winnerStake = winnerDeposits.reduce((sum, deposit) => sum + deposit.amount, 0);
+      // Each of the winner's deposits is paid at the same multiplier so together they receive the pot less the rake
+      const multiplier = (pot * (1 - houseEdge)) / winnerStake;
+
+      // The whole pot settles in one transaction, either everyone is settled or nobody is
+      let settlements;
+      try {
+        settlements = await this.settleRoundBets(round.roundId, deposits.map(deposit => ({
+          betId: deposit.betId,
+          multiplier: deposit.userId === winnerId ? multiplier : 0
+        })));
+      } catch (settleError) {
+        await this.logger.error('error settling jackpot round', { error: settleError.message, roundId: round.roundId });
+        await this.voidRound(round, deposits);
+        this.broadcast('jackpot_result', { roundId: round.roundId, failed: true });
+        return;
+      }
+      const payout = settlements.reduce((sum, settlement) => sum + settlement.payoutAmount, 0);
+
+      const entrants = this.getEntrants();
+      const winnerProfile = this.playerProfiles.get(winnerId) || { username: 'Anonymous', avatar: null };
+      const result = {
+        roundId: round.roundId,
+        pot,
+        payout,
+        rake: pot - payout,
+        winner: {
+          ...winnerProfile,
+          amount: winnerStake,
+          chance: entrants.find(entrant => entrant.userId === winnerId).chance
+        },
+        ticket,
+        serverSeed: round.serverSeed,
+        serverSeedHash: round.serverSeedHash,
+        clientSeed: round.clientSeed,
+        nonce: round.roundId
+      };
+
+      await this.completeRound(round.roundId, {
+        phase: 'drawn',
+        deposits: deposits.map(deposit => ({ user_id: deposit.userId, bet_id: deposit.betId, amount: deposit.amount })),
+        pot,
+        winner_id: winnerId,
+        payout,
+        rake: result.rake,
+        ticket,
+        server_seed: round.serverSeed,
+        server_seed_hash: round.serverSeedHash,
+        client_seed: round.clientSeed,
+        nonce: round.roundId
+      }).catch(async (completeError) => {
+        await this.logger.error('error completing jackpot round', { error: completeError.message, roundId: round.roundId });
+      });
+
+      this.jackpotState.lastResult = result;
+      this.broadcast('jackpot_result', result);
+      await this.logger.gameEvent('jackpot', `round ${round.roundId} won by ${winnerProfile.username}`, { pot, payout });
+
+      await this.emitRoundCompleted({
+        roundId: round.roundId,
+        totalBet: pot,
+        totalPayout: payout
+      });
+    } catch (error) {
+      await this.logger.error('error drawing jackpot winner', { error: error.message, roundId: round.roundId });
+      this.broadcast('jackpot_result', { roundId: round.roundId, failed: true });
+    } finally {
+      this.round = null;
+      this.jackpotState.phase = 'result';
+      this.jackpotState.resultEndsAt = Date.now() + this.getRules().resultDuration;
+      this.isDrawing = false;
+    }
+  }
+
+  // Nobody was paid when settlement fails, so every deposit goes back; a refund that fails here is retried on the next start
+  async voidRound(round, deposits) {
+    let refunded = true;
+    for (const deposit of deposits) {
+      try {
+        await this.refundRoundBet(deposit.betId);
+      } catch (error) {
+        refunded = false;
+        await this.logger.error('error refunding jackpot deposit', { error: error.message, betId: deposit.betId, roundId: round.roundId });
+      }
+    }
+
+    if (refunded) {
+      await this.completeRound(round.roundId, { phase: 'voided' }).catch(async (error) => {
+        await this.logger.error('error voiding jackpot round', { error: error.message, roundId: round.roundId });
+      });
+    }
+  }
+
+  // Players in the pot with their total deposit and share of it
+  getEntrants() {
+    const totals = new Map();
+    for (const deposit of this.deposits) {
+      totals.set(deposit.userId, (totals.get(deposit.userId) || 0) + deposit.amount);
+    }
+
+    const pot = this.jackpotState.pot;
+    return Array.from(totals, ([userId, amount]) => ({
+      userId,
+      amount,
+      chance: pot > 0 ? Math.round((amount / pot) * 10000) / 100 : 0
+    }));
+  }
+
+  // Public view of the open pot, players are shown by username only
+  getPotView() {
+    return {
+      phase: this.jackpotState.phase,
+      roundId: this.jackpotState.roundId,
+      pot: this.jackpotState.pot,
+      countdownEndsAt: this.jackpotState.countdownEndsAt
+        ? new Date(this.jackpotState.countdownEndsAt).toISOString()
+        : null,
+      serverSeedHash: this.jackpotState.serverSeedHash,
+      clientSeed: this.jackpotState.clientSeed,
+      entrants: this.getEntrants().map(({ userId, amount, chance }) => ({
+        ...(this.playerProfiles.get(userId) || { username: 'Anonymous', avatar: null }),
+        amount,
+        chance
+      }))
+    };
+  }
+
+  async loadPlayerProfile(userId) {
+    const { data: user, error } = await this.databaseService.supabase
+      .from('users')
+      .select('username, avatar_url')
+      .eq('id', userId)
+      .maybeSingle();
+
+    if (error) {
+      console.error('error loading jackpot player profile:', error);
+    }
+
+    return {
+      username: user?.username || 'Anonymous',
+      avatar: user?.avatar_url || null
+    };
+  }
+
+  broadcast(type, payload) {
+    if (global.serverInstance && global.serverInstance.wsServer) {
+      global.serverInstance.wsServer.broadcastToRoom('jackpot', {
+        type,
+        ...payload,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  async onStop() {
+    // Jackpot-specific cleanup
+    this.lastCountdownBroadcast = 0;
+  }
+
+  cleanup() {
+    super.cleanup();
+    // Additional jackpot-specific cleanup
+    this.round = null;
+    this.deposits = [];
+    this.playerProfiles.clear();
+    this.jackpotState = {
+      phase: 'waiting',
+      roundId: null,
+      pot: 0.00,
+      countdownEndsAt: null,
+      resultEndsAt: null,
+      serverSeedHash: null,
+      clientSeed: null,
+      lastResult: null
+    };
+  }
+}
+
+module.exports = JackpotGame;
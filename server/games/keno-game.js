@@ -0,0 +1,255 @@
+// Keno Game - Keno game implementation
+// Purpose: Draw 10 of 40 numbers against the player's picks and pay by hits from the risk-level paytable, settling each game atomically
+
+const BaseGame = require('./base-game');
+const { floatToInt } = require('../../services/fair-random');
+
+const NUMBERS = 40; // Numbers 1-40
+const DRAWN = 10;
+const MAX_PICKS = 10;
+const RISKS = ['low', 'medium', 'high'];
+
+class KenoGame extends BaseGame {
+  constructor(gameId, config, services) {
+    super(gameId, config, services);
+
+    // Keno-specific state
+    this.kenoState = {
+      phase: 'open',
+      totalGames: 0,
+      totalBetAmount: 0.00,
+      totalPayout: 0.00
+    };
+
+    this.playingUsers = new Set();
+  }
+
+  getGameType() {
+    return 'keno';
+  }
+
+  usesPlayerSeeds() {
+    return true;
+  }
+
+  // Games settle in a single call, nothing is left open across restarts
+  async onInitialize() {}
+
+  // Games are instant, there is no round loop
+  async onGameLoop() {}
+
+  async onProcessBet(userId, betData) {
+    const { amount, risk } = betData;
+
+    const picks = this.validatePicks(betData.picks);
+    if (picks.error) {
+      return {
+        success: false,
+        message: picks.error
+      };
+    }
+
+    const paytable = this.getPaytable(picks.numbers.length, risk);
+    if (paytable.error) {
+      return {
+        success: false,
+        message: paytable.error
+      };
+    }
+
+    if (this.playingUsers.has(userId)) {
+      return {
+        success: false,
+        message: 'previous game is still being processed'
+      };
+    }
+
+    this.playingUsers.add(userId);
+    try {
+      const { seed, floats } = await this.drawPlayerFloats(userId, DRAWN);
+      const drawn = this.drawNumbers(floats);
+      const hits = picks.numbers.filter(number => drawn.includes(number));
+      const multiplier = paytable.payouts[hits.length];
+
+      const settlement = await this.placeInstantBet(userId, amount, multiplier, {
+        risk,
+        picks: picks.numbers,
+        drawn,
+        hits,
+        multiplier,
+        ...this.seedRecord(seed)
+      });
+
+      this.kenoState.totalGames++;
+      this.kenoState.totalBetAmount += amount;
+      this.kenoState.totalPayout += settlement.payoutAmount;
+
+      return {
+        success: true,
+        message: `${hits.length} of ${picks.numbers.length} hit`,
+        betAmount: amount,
+        betId: settlement.betId,
+        roundId: settlement.roundId,
+        risk,
+        picks: picks.numbers,
+        drawn,
+        hits,
+        multiplier,
+        payout: settlement.payoutAmount,
+        newBalance: settlement.newBalance,
+        seed: this.seedRecord(seed)
+      };
+    } catch (error) {
+      console.error('failed to play keno:', error);
+      return {
+        success: false,
+        message: error.message || 'failed to place bet'
+      };
+    } finally {
+      this.playingUsers.delete(userId);
+    }
+  }
+
+  async onProcessAction(userId, action, data) {
+    if (action === 'get_paytable') {
+      const paytable = this.getPaytable(data?.picks, data?.risk);
+      return paytable.error
+        ? { success: false, message: paytable.error }
+        : { success: true, picks: data.picks, risk: data.risk, payouts: paytable.payouts };
+    }
+
+    return {
+      success: false,
+      message: `unknown action: ${action}`
+    };
+  }
+
+  // Games settle immediately, there is nothing to cash out
+  async onProcessCashout(userId, cashoutValue) {
+    return {
+      success: false,
+      message: 'cashout is not available in keno'
+    };
+  }
+
+  async onProcessAutoCashout(userId, targetValue) {
+    return {
+      success: false,
+      message: 'auto-cashout is not available in keno'
+    };
+  }
+
+  async onGetState(userId = null) {
+    return {
+      ...this.kenoState,
+      rules: {
+        numbers: NUMBERS,
+        drawn: DRAWN,
+        maxPicks: MAX_PICKS,
+        risks: RISKS,
+        paytables: this.configManager.getGameRules('keno').paytables,
+        houseEdge: this.configManager.getHouseEdge('keno')
+      }
+    };
+  }
+
+  // Completed games with their picks, drawn numbers and payout
+  async onGetHistory(limit = 20) {
+    try {
+      const { data: rounds, error } = await this.databaseService.supabase
+        .from('game_rounds')
+        .select('id, game_data, created_at')
+        .eq('game_type', 'keno')
+        .eq('status', 'completed')
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      if (error) {
+        console.error('error getting keno history:', error);
+        return [];
+      }
+
+      return (rounds || []).map(round => ({
+        roundId: round.id,
+        risk: round.game_data?.risk ?? null,
+        picks: round.game_data?.picks ?? [],
+        drawn: round.game_data?.drawn ?? [],
+        hits: round.game_data?.hits ?? [],
+        multiplier: round.game_data?.multiplier ?? 0,
+        seed: {
+          server_seed_hash: round.game_data?.server_seed_hash ?? null,
+          client_seed: round.game_data?.client_seed ?? null,
+          nonce: round.game_data?.nonce ?? null
+        },
+        createdAt: round.created_at
+      }));
+    } catch (error) {
+      console.error('error getting keno history:', error);
+      return [];
+    }
+  }
+
+  // Keno-specific methods
+  // Picks must be 1-10 distinct whole numbers from 1 to 40, returned sorted
+  validatePicks(picks) {
+    if (!Array.isArray(picks) || picks.length < 1 || picks.length > MAX_PICKS) {
+      return { error: `pick between 1 and ${MAX_PICKS} numbers` };
+    }
+    if (picks.some(number => !Number.isInteger(number) || number < 1 || number > NUMBERS)) {
+      return { error: `picks must be whole numbers from 1 to ${NUMBERS}` };
+    }
+    if (new Set(picks).size !== picks.length) {
+      return { error: 'picks must not repeat' };
+    }
+
+    return { numbers: [...picks].sort((a, b) => a - b) };
+  }
+
+  // Paytable indexed by hits for a pick count and risk level, returns { payouts } or { error }
+  getPaytable(picks, risk) {
+    if (!Number.isInteger(picks) || picks < 1 || picks > MAX_PICKS) {
+      return { error: `picks must be an integer between 1 and ${MAX_PICKS}` };
+    }
+    if (!RISKS.includes(risk)) {
+      return { error: `risk must be one of ${RISKS.join(', ')}` };
+    }
+
+    const payouts = this.configManager.getGameRules('keno').paytables?.[risk]?.[picks];
+    if (!Array.isArray(payouts) || payouts.length !== picks + 1) {
+      return { error: `no paytable for ${risk} risk with ${picks} picks` };
+    }
+
+    return { payouts };
+  }
+
+  // Shuffle 1-40 with one float per drawn number (Fisher-Yates), the first 10 shuffled numbers are drawn in order
+  drawNumbers(floats) {
+    const numbers = Array.from({ length: NUMBERS }, (_, index) => index + 1);
+
+    for (let i = 0; i < DRAWN; i++) {
+      const j = i + floatToInt(floats[i], NUMBERS - i);
+      [numbers[i], numbers[j]] = [numbers[j], numbers[i]];
+    }
+
+    return numbers.slice(0, DRAWN);
+  }
+
+  async onStop() {
+    // Keno-specific cleanup
+    this.playingUsers.clear();
+  }
+
+  cleanup() {
+    super.cleanup();
+    // Additional keno-specific cleanup
+    this.playingUsers.clear();
+    this.kenoState = {
+      phase: 'open',
+      totalGames: 0,
+      totalBetAmount: 0.00,
+      totalPayout: 0.00
+    };
+  }
+}
+
+module.exports = KenoGame;
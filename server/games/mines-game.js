@@ -0,0 +1,604 @@
+// Mines Game - Mines game implementation
+// Purpose: Reveal tiles on a 5x5 board hiding player-chosen mines, growing the multiplier per safe tile until cashout or a mine
+
+const BaseGame = require('./base-game');
+const { generateFloats, floatToInt } = require('../../services/fair-random');
+
+const TILE_COUNT = 25; // 5x5 board, tiles are numbered 0-24 row by row
+const MIN_MINES = 1;
+const MAX_MINES = 24;
+
+class MinesGame extends BaseGame {
+  constructor(gameId, config, services) {
+    super(gameId, config, services);
+
+    // Mines-specific state (table-wide, boards are tracked per player)
+    this.minesState = {
+      phase: 'open',
+      activeBoardsCount: 0,
+      totalBetAmount: 0.00
+    };
+
+    this.boards = new Map(); // userId -> open board
+  }
+
+  getGameType() {
+    return 'mines';
+  }
+
+  usesPlayerSeeds() {
+    return true;
+  }
+
+  getRules() {
+    return this.configManager.getGameRules('mines');
+  }
+
+  async onInitialize() {
+    // Boards left open by a previous process are restored from their seed, the player picks them up on reconnect
+    const { data: rounds, error } = await this.databaseService.supabase
+      .from('game_rounds')
+      .select('id, game_data')
+      .eq('game_type', 'mines')
+      .eq('status', 'active');
+
+    if (error) {
+      console.error('error loading open mines boards:', error);
+      return;
+    }
+
+    let restored = 0;
+    for (const round of rounds || []) {
+      try {
+        // Rounds whose bet was never placed or already settled have no board to restore
+        const bet = await this.loadRoundBet(round.id);
+        if (!bet || bet.status !== 'active') {
+          await this.completeRound(round.id, bet ? null : { ...round.game_data, phase: 'voided' });
+          continue;
+        }
+
+        // A board that hit a mine before its settlement went through is lost, never restored
+        if (round.game_data?.phase === 'busted') {
+          await this.settleRoundBet(bet.user_id, round.id, 0);
+          await this.completeRound(round.id);
+          continue;
+        }
+
+        if (await this.restoreBoard(round)) {
+          restored++;
+        } else {
+          await this.voidBoard(round, bet);
+        }
+      } catch (restoreError) {
+        await this.logger.error('error restoring open mines board', { error: restoreError.message, roundId: round.id });
+      }
+    }
+
+    if (rounds && rounds.length > 0) {
+      await this.logger.gameEvent('mines', `restored ${restored} of ${rounds.length} open boards from previous session`);
+    }
+  }
+
+  // Boards are driven by player actions, there is no round loop
+  async onGameLoop() {}
+
+  async onProcessBet(userId, betData) {
+    const { amount, mines } = betData;
+
+    if (!Number.isInteger(mines) || mines < MIN_MINES || mines > MAX_MINES) {
+      return {
+        success: false,
+        message: `mines must be an integer between ${MIN_MINES} and ${MAX_MINES}`
+      };
+    }
+
+    if (this.boards.has(userId)) {
+      return {
+        success: false,
+        message: 'you already have a board in progress'
+      };
+    }
+
+    // Reserve the board before any await so a duplicate bet cannot open a second one
+    this.boards.set(userId, { pending: true });
+    let seed = null;
+    let roundId = null;
+
+    try {
+      // The mine layout is fixed by the nonce, so the seed pair is held until the board settles
+      seed = await this.seedManager.claimNonce(userId, true);
+      roundId = await this.createRound({
+        phase: 'playing',
+        user_id: userId,
+        bet_amount: amount,
+        mine_count: mines,
+        revealed: [],
+        multiplier: 1.00,
+        ...this.seedRecord(seed)
+      });
+      const bet = await this.placeRoundBet(userId, amount, roundId);
+
+      const board = {
+        userId,
+        roundId,
+        betAmount: amount,
+        mineCount: mines,
+        mines: this.placeMines(seed, mines),
+        revealed: [],
+        multiplier: 1.00,
+        seed,
+        busy: false
+      };
+      this.boards.set(userId, board);
+      this.updateTableState();
+
+      return {
+        success: true,
+        message: 'board opened',
+        betAmount: amount,
+        betId: bet.betId,
+        newBalance: bet.newBalance,
+        board: this.serializeBoard(board)
+      };
+    } catch (error) {
+      console.error('failed to open mines board:', error);
+      this.boards.delete(userId);
+      if (roundId) {
+        await this.completeRound(roundId, { phase: 'voided' }).catch(() => {});
+      }
+      if (seed) {
+        this.seedManager.release(userId);
+      }
+      return {
+        success: false,
+        message: error.message || 'failed to place bet'
+      };
+    }
+  }
+
+  async onProcessAction(userId, action, data) {
+    const board = this.boards.get(userId);
+
+    // A board that hit a mine is lost whatever the action, only its settlement can be retried
+    if (board?.busted) {
+      if (board.busy) {
+        return {
+          success: false,
+          message: 'previous action is still being processed'
+        };
+      }
+
+      board.busy = true;
+      try {
+        const result = await this.settleBustedBoard(board);
+        return action === 'cashout'
+          ? { success: false, message: 'board hit a mine, nothing to cash out' }
+          : result;
+      } finally {
+        board.busy = false;
+      }
+    }
+
+    if (action === 'cashout') {
+      if (!board || board.pending) {
+        return {
+          success: false,
+          message: 'no board in progress'
+        };
+      }
+      if (board.revealed.length === 0) {
+        return {
+          success: false,
+          message: 'reveal at least one tile before cashing out'
+        };
+      }
+
+      // Cash out at the server-side multiplier, never a client-supplied one
+      return await this.processCashout(userId, board.multiplier);
+    }
+
+    if (action !== 'reveal') {
+      return {
+        success: false,
+        message: `unknown action: ${action}`
+      };
+    }
+
+    if (!board || board.pending) {
+      return {
+        success: false,
+        message: 'no board in progress'
+      };
+    }
+
+    const tile = data?.tile;
+    if (!Number.isInteger(tile) || tile < 0 || tile >= TILE_COUNT) {
+      return {
+        success: false,
+        message: `tile must be an integer between 0 and ${TILE_COUNT - 1}`
+      };
+    }
+    if (board.revealed.includes(tile)) {
+      return {
+        success: false,
+        message: 'tile is already revealed'
+      };
+    }
+
+    if (board.busy) {
+      return {
+        success: false,
+        message: 'previous action is still being processed'
+      };
+    }
+
+    board.busy = true;
+    try {
+      if (board.mines.includes(tile)) {
+        // Marked before settling so neither a cashout nor a restart can pay out a board that hit a mine
+        board.hitTile = tile;
+        board.busted = true;
+        await this.persistBoard(board, 'busted');
+        return await this.settleBustedBoard(board);
+      }
+
+      const { maxMultiplier } = this.getRules();
+      board.revealed.push(tile);
+      board.multiplier = Math.min(this.getMultiplier(board.mineCount, board.revealed.length), maxMultiplier);
+      await this.persistBoard(board);
+
+      // Boards with every safe tile revealed, or at the multiplier cap, are cashed out for the player
+      if (board.revealed.length === TILE_COUNT - board.mineCount || board.multiplier >= maxMultiplier) {
+        board.busy = false;
+        const cashout = await this.processCashout(userId, board.multiplier);
+        return {
+          ...cashout,
+          safe: true,
+          tile,
+          board: this.serializeBoard(board)
+        };
+      }
+
+      return {
+        success: true,
+        message: 'safe tile',
+        safe: true,
+        tile,
+        board: this.serializeBoard(board)
+      };
+    } catch (error) {
+      console.error('error processing mines action:', error);
+      return {
+        success: false,
+        message: error.message || 'failed to process action'
+      };
+    } finally {
+      board.busy = false;
+    }
+  }
+
+  // Cash out the whole board at its current multiplier
+  async onProcessCashout(userId, cashoutValue) {
+    const board = this.boards.get(userId);
+    if (!board || board.pending) {
+      return {
+        success: false,
+        message: 'no board in progress to cashout'
+      };
+    }
+    if (board.busted) {
+      return {
+        success: false,
+        message: 'board hit a mine, nothing to cash out'
+      };
+    }
+
+    if (board.busy) {
+      return {
+        success: false,
+        message: 'previous action is still being processed'
+      };
+    }
+
+    board.busy = true;
+    try {
+      const settlement = await this.finishBoard(board, board.multiplier, 'cashed_out');
+      if (!settlement) {
+        return {
+          success: false,
+          message: 'failed to process cashout'
+        };
+      }
+
+      return {
+        success: true,
+        message: 'cashout successful',
+        cashoutAmount: settlement.payoutAmount,
+        cashoutValue: board.multiplier,
+        cashoutMultiplier: board.multiplier, // Add for frontend compatibility
+        newBalance: settlement.newBalance,
+        betId: settlement.betId,
+        board: this.serializeBoard(board)
+      };
+    } finally {
+      board.busy = false;
+    }
+  }
+
+  async onProcessAutoCashout(userId, targetValue) {
+    return {
+      success: false,
+      message: 'auto-cashout is not available in mines'
+    };
+  }
+
+  async onGetState(userId = null) {
+    const state = { ...this.minesState };
+
+    // Add user-specific board information if available
+    if (userId && userId !== 'anonymous') {
+      const board = await this.getOpenGame(userId);
+      if (board) {
+        state.board = board;
+      }
+    }
+
+    return state;
+  }
+
+  // A reconnecting player resumes the board they left open
+  async getOpenGame(userId) {
+    const board = this.boards.get(userId);
+    return board && !board.pending ? this.serializeBoard(board) : null;
+  }
+
+  async onGetHistory(limit = 20) {
+    try {
+      const { data: rounds, error } = await this.databaseService.supabase
+        .from('game_rounds')
+        .select('*')
+        .eq('game_type', 'mines')
+        .eq('status', 'completed')
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      if (error) {
+        console.error('error getting mines history:', error);
+        return [];
+      }
+
+      return rounds || [];
+    } catch (error) {
+      console.error('error getting mines history:', error);
+      return [];
+    }
+  }
+
+  // Mines-specific methods
+  // Shuffle the tiles with one float per mine (Fisher-Yates), the first `count` shuffled tiles hold the mines
+  placeMines(seed, count) {
+    const tiles = Array.from({ length: TILE_COUNT }, (_, index) => index);
+    const floats = generateFloats(seed.serverSeed, seed.clientSeed, seed.nonce, count);
+
+    for (let i = 0; i < count; i++) {
+      const j = i + floatToInt(floats[i], TILE_COUNT - i);
+      [tiles[i], tiles[j]] = [tiles[j], tiles[i]];
+    }
+
+    return tiles.slice(0, count).sort((a, b) => a - b);
+  }
+
+  // Inverse of the chance that `revealed` tiles picked at random are all safe, less the house edge
+  getMultiplier(mineCount, revealed) {
+    const houseEdge = this.configManager.getHouseEdge('mines');
+    let chance = 1;
+    for (let i = 0; i < revealed; i++) {
+      chance *= (TILE_COUNT - mineCount - i) / (TILE_COUNT - i);
+    }
+
+    return Math.floor(((1 - houseEdge) / chance) * 10000) / 10000;
+  }
+
+  // Keep the round's game data current so the board survives a restart
+  async persistBoard(board, phase = 'playing') {
+    const gameData = this.boardGameData(board, phase);
+    if (board.busted) {
+      gameData.hit_tile = board.hitTile;
+    }
+
+    const { error } = await this.databaseService.supabase
+      .from('game_rounds')
+      .update({
+        game_data: gameData,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', board.roundId);
+
+    if (error) {
+      console.error('error saving mines board:', error);
+    }
+  }
+
+  // Settle a board that hit a mine as lost; if settlement fails the board stays busted for a retry
+  async settleBustedBoard(board) {
+    const settlement = await this.finishBoard(board, 0, 'busted');
+    if (!settlement) {
+      return {
+        success: false,
+        message: 'mine hit, failed to settle board, please try again',
+        safe: false,
+        tile: board.hitTile
+      };
+    }
+
+    return {
+      success: true,
+      message: 'mine hit, board lost',
+      safe: false,
+      tile: board.hitTile,
+      board: this.serializeBoard(board)
+    };
+  }
+
+  async loadRoundBet(roundId) {
+    const { data: bet, error } = await this.databaseService.supabase
+      .from('game_bets')
+      .select('id, user_id, status')
+      .eq('round_id', roundId)
+      .eq('game_type', 'mines')
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(error.message || 'failed to load mines bet');
+    }
+
+    return bet;
+  }
+
+  async finishBoard(board, multiplier, outcome) {
+    let settlement = null;
+    try {
+      settlement = await this.settleRoundBet(board.userId, board.roundId, multiplier);
+      await this.completeRound(board.roundId, {
+        ...this.boardGameData(board, outcome),
+        // The layout is only stored once the board is settled
+        mines: board.mines,
+        hit_tile: board.hitTile ?? null,
+        payout: settlement.payoutAmount
+      });
+    } catch (error) {
+      await this.logger.error('error settling mines board', { error: error.message, roundId: board.roundId });
+      if (!settlement) {
+        return null;
+      }
+    }
+
+    board.outcome = outcome;
+    board.payout = settlement.payoutAmount;
+    this.boards.delete(board.userId);
+    this.seedManager.release(board.userId);
+    this.updateTableState();
+
+    await this.emitRoundCompleted({
+      roundId: board.roundId,
+      userId: board.userId,
+      totalBet: board.betAmount,
+      totalPayout: settlement.payoutAmount
+    });
+
+    return settlement;
+  }
+
+  boardGameData(board, phase) {
+    return {
+      phase,
+      user_id: board.userId,
+      bet_amount: board.betAmount,
+      mine_count: board.mineCount,
+      revealed: board.revealed,
+      multiplier: board.multiplier,
+      ...this.seedRecord(board.seed)
+    };
+  }
+
+  // Rebuild an open board from its round, returns false if its seed pair can no longer be held
+  async restoreBoard(round) {
+    const data = round.game_data || {};
+    if (!data.user_id || !data.mine_count || data.nonce === undefined) {
+      return false;
+    }
+
+    const pair = await this.seedManager.reclaim(data.user_id, data.server_seed_hash);
+    if (!pair) {
+      return false;
+    }
+
+    const seed = {
+      pairId: pair.id,
+      serverSeed: pair.serverSeed,
+      serverSeedHash: pair.serverSeedHash,
+      clientSeed: data.client_seed,
+      nonce: data.nonce
+    };
+    const revealed = data.revealed || [];
+    const board = {
+      userId: data.user_id,
+      roundId: round.id,
+      betAmount: data.bet_amount,
+      mineCount: data.mine_count,
+      mines: this.placeMines(seed, data.mine_count),
+      revealed,
+      multiplier: revealed.length > 0
+        ? Math.min(this.getMultiplier(data.mine_count, revealed.length), this.getRules().maxMultiplier)
+        : 1.00,
+      seed,
+      busy: false
+    };
+
+    this.boards.set(board.userId, board);
+    this.updateTableState();
+    return true;
+  }
+
+  // Refund the stake of a board that cannot be restored
+  async voidBoard(round, bet) {
+    const data = round.game_data || {};
+    await this.refundRoundBet(bet.id);
+    await this.completeRound(round.id, {
+      ...data,
+      phase: 'voided'
+    });
+  }
+
+  updateTableState() {
+    let activeBoards = 0;
+    let totalBet = 0;
+
+    for (const board of this.boards.values()) {
+      if (!board.pending) {
+        activeBoards++;
+        totalBet += board.betAmount;
+      }
+    }
+
+    this.minesState.activeBoardsCount = activeBoards;
+    this.minesState.totalBetAmount = totalBet;
+  }
+
+  serializeBoard(board) {
+    const settled = Boolean(board.outcome);
+    const safeTiles = TILE_COUNT - board.mineCount;
+    return {
+      roundId: board.roundId,
+      betAmount: board.betAmount,
+      mineCount: board.mineCount,
+      revealed: board.revealed,
+      multiplier: board.multiplier,
+      nextMultiplier: settled || board.revealed.length >= safeTiles
+        ? null
+        : Math.min(this.getMultiplier(board.mineCount, board.revealed.length + 1), this.getRules().maxMultiplier),
+      seed: this.seedRecord(board.seed),
+      // Mine positions are only sent once the board is settled
+      mines: settled ? board.mines : null,
+      outcome: board.outcome || null,
+      payout: settled ? board.payout : null
+    };
+  }
+
+  async onStop() {
+    // Mines-specific cleanup, open boards stay in the database and are restored on the next start
+  }
+
+  cleanup() {
+    super.cleanup();
+    // Additional mines-specific cleanup
+    this.boards.clear();
+    this.minesState = {
+      phase: 'open',
+      activeBoardsCount: 0,
+      totalBetAmount: 0.00
+    };
+  }
+}
+
+module.exports = MinesGame;
@@ -0,0 +1,209 @@
+// Plinko Game - Plinko game implementation
+// Purpose: Drop a ball through a player-chosen number of peg rows and pay the slot it lands in, settling each drop atomically
+
+const BaseGame = require('./base-game');
+const { floatToInt } = require('../../services/fair-random');
+
+const RISKS = ['low', 'medium', 'high'];
+const MIN_ROWS = 8;
+const MAX_ROWS = 16;
+
+class PlinkoGame extends BaseGame {
+  constructor(gameId, config, services) {
+    super(gameId, config, services);
+
+    // Plinko-specific state
+    this.plinkoState = {
+      phase: 'open',
+      totalDrops: 0,
+      totalBetAmount: 0.00,
+      totalPayout: 0.00
+    };
+
+    this.droppingUsers = new Set();
+  }
+
+  getGameType() {
+    return 'plinko';
+  }
+
+  usesPlayerSeeds() {
+    return true;
+  }
+
+  // Drops settle in a single call, nothing is left open across restarts
+  async onInitialize() {}
+
+  // Drops are instant, there is no round loop
+  async onGameLoop() {}
+
+  async onProcessBet(userId, betData) {
+    const { amount, rows, risk } = betData;
+
+    const payouts = this.getPayouts(rows, risk);
+    if (payouts.error) {
+      return {
+        success: false,
+        message: payouts.error
+      };
+    }
+
+    if (this.droppingUsers.has(userId)) {
+      return {
+        success: false,
+        message: 'previous ball is still being processed'
+      };
+    }
+
+    this.droppingUsers.add(userId);
+    try {
+      const { seed, floats } = await this.drawPlayerFloats(userId, rows);
+      const path = this.getPath(floats);
+      const slot = path.reduce((sum, step) => sum + step, 0);
+      const multiplier = payouts.payouts[slot];
+
+      const settlement = await this.placeInstantBet(userId, amount, multiplier, {
+        rows,
+        risk,
+        path,
+        slot,
+        multiplier,
+        ...this.seedRecord(seed)
+      });
+
+      this.plinkoState.totalDrops++;
+      this.plinkoState.totalBetAmount += amount;
+      this.plinkoState.totalPayout += settlement.payoutAmount;
+
+      return {
+        success: true,
+        message: `ball landed on ${multiplier}x`,
+        betAmount: amount,
+        betId: settlement.betId,
+        roundId: settlement.roundId,
+        rows,
+        risk,
+        path,
+        slot,
+        multiplier,
+        payout: settlement.payoutAmount,
+        newBalance: settlement.newBalance,
+        seed: this.seedRecord(seed)
+      };
+    } catch (error) {
+      console.error('failed to drop plinko ball:', error);
+      return {
+        success: false,
+        message: error.message || 'failed to place bet'
+      };
+    } finally {
+      this.droppingUsers.delete(userId);
+    }
+  }
+
+  async onProcessAction(userId, action, data) {
+    if (action === 'get_payouts') {
+      const payouts = this.getPayouts(data?.rows, data?.risk);
+      return payouts.error
+        ? { success: false, message: payouts.error }
+        : { success: true, rows: data.rows, risk: data.risk, payouts: payouts.payouts };
+    }
+
+    return {
+      success: false,
+      message: `unknown action: ${action}`
+    };
+  }
+
+  // Drops settle immediately, there is nothing to cash out
+  async onProcessCashout(userId, cashoutValue) {
+    return {
+      success: false,
+      message: 'cashout is not available in plinko'
+    };
+  }
+
+  async onProcessAutoCashout(userId, targetValue) {
+    return {
+      success: false,
+      message: 'auto-cashout is not available in plinko'
+    };
+  }
+
+  async onGetState(userId = null) {
+    return {
+      ...this.plinkoState,
+      rules: {
+        minRows: MIN_ROWS,
+        maxRows: MAX_ROWS,
+        risks: RISKS,
+        payoutTables: this.configManager.getGameRules('plinko').payoutTables,
+        houseEdge: this.configManager.getHouseEdge('plinko')
+      }
+    };
+  }
+
+  async onGetHistory(limit = 20) {
+    try {
+      const { data: rounds, error } = await this.databaseService.supabase
+        .from('game_rounds')
+        .select('*')
+        .eq('game_type', 'plinko')
+        .eq('status', 'completed')
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      if (error) {
+        console.error('error getting plinko history:', error);
+        return [];
+      }
+
+      return rounds || [];
+    } catch (error) {
+      console.error('error getting plinko history:', error);
+      return [];
+    }
+  }
+
+  // Plinko-specific methods
+  // Payout table for a row count and risk level, returns { payouts } or { error }
+  getPayouts(rows, risk) {
+    if (!Number.isInteger(rows) || rows < MIN_ROWS || rows > MAX_ROWS) {
+      return { error: `rows must be an integer between ${MIN_ROWS} and ${MAX_ROWS}` };
+    }
+    if (!RISKS.includes(risk)) {
+      return { error: `risk must be one of ${RISKS.join(', ')}` };
+    }
+
+    const payouts = this.configManager.getGameRules('plinko').payoutTables?.[risk]?.[rows];
+    if (!Array.isArray(payouts) || payouts.length !== rows + 1) {
+      return { error: `no payout table for ${risk} risk with ${rows} rows` };
+    }
+
+    return { payouts };
+  }
+
+  // One float per row, 0 bounces the ball left and 1 right; the landing slot is the number of right bounces
+  getPath(floats) {
+    return floats.map(float => floatToInt(float, 2));
+  }
+
+  async onStop() {
+    // Plinko-specific cleanup
+    this.droppingUsers.clear();
+  }
+
+  cleanup() {
+    super.cleanup();
+    // Additional plinko-specific cleanup
+    this.droppingUsers.clear();
+    this.plinkoState = {
+      phase: 'open',
+      totalDrops: 0,
+      totalBetAmount: 0.00,
+      totalPayout: 0.00
+    };
+  }
+}
+
+module.exports = PlinkoGame;
@@ -0,0 +1,589 @@
+// Roulette Game - European roulette implementation
+// Purpose: Handle the betting/spinning/results loop, bet validation and settlement
+
+const crypto = require('crypto');
+const BaseGame = require('./base-game');
+
+const RED_NUMBERS = new Set([1, 3, 5, 7, 9, 12, 14, 16, 18, 19, 21, 23, 25, 27, 30, 32, 34, 36]);
+
+// Payouts are "to one", the stake is returned on top
+const BET_PAYOUTS = {
+  straight: 35,
+  split: 17,
+  street: 11,
+  corner: 8,
+  six_line: 5,
+  dozen: 2,
+  column: 2,
+  red: 1,
+  black: 1,
+  odd: 1,
+  even: 1,
+  low: 1,
+  high: 1
+};
+
+function range(start, end) {
+  const numbers = [];
+  for (let n = start; n <= end; n++) {
+    numbers.push(n);
+  }
+  return numbers;
+}
+
+function sameNumbers(a, b) {
+  if (a.length !== b.length) {
+    return false;
+  }
+  const sortedA = [...a].sort((x, y) => x - y);
+  const sortedB = [...b].sort((x, y) => x - y);
+  return sortedA.every((n, i) => n === sortedB[i]);
+}
+
+// All valid inside-bet groupings on the standard three-column layout
+function buildInsideBets() {
+  const splits = [[0, 1], [0, 2], [0, 3]];
+  const streets = [[0, 1, 2], [0, 2, 3]];
+  const corners = [[0, 1, 2, 3]];
+  const sixLines = [];
+
+  for (let n = 1; n <= 36; n++) {
+    if (n % 3 !== 0) {
+      splits.push([n, n + 1]);
+    }
+    if (n <= 33) {
+      splits.push([n, n + 3]);
+    }
+    if (n % 3 !== 0 && n <= 32) {
+      corners.push([n, n + 1, n + 3, n + 4]);
+    }
+  }
+
+  for (let row = 0; row < 12; row++) {
+    streets.push(range(row * 3 + 1, row * 3 + 3));
+    if (row < 11) {
+      sixLines.push(range(row * 3 + 1, row * 3 + 6));
+    }
+  }
+
+  return { split: splits, street: streets, corner: corners, six_line: sixLines };
+}
+
+const INSIDE_BETS = buildInsideBets();
+
+// Resolve a bet request into the set of numbers it covers
+function resolveBet(betType, betData) {
+  const payout = BET_PAYOUTS[betType];
+  if (payout === undefined) {
+    return { error: `unknown bet type: ${betType}` };
+  }
+
+  const numbers = Array.isArray(betData.numbers) ? betData.numbers.map(Number) : null;
+  const value = Number(betData.value);
+
+  switch (betType) {
+    case 'straight':
+      if (!numbers || numbers.length !== 1 || !Number.isInteger(numbers[0]) || numbers[0] < 0 || numbers[0] > 36) {
+        return { error: 'straight bets need exactly one number between 0 and 36' };
+      }
+      return { numbers, payout };
+
+    case 'split':
+    case 'street':
+    case 'corner':
+    case 'six_line': {
+      const match = numbers && INSIDE_BETS[betType].find(group => sameNumbers(group, numbers));
+      if (!match) {
+        return { error: `invalid numbers for ${betType} bet` };
+      }
+      return { numbers: match, payout };
+    }
+
+    case 'dozen':
+      if (![1, 2, 3].includes(value)) {
+        return { error: 'dozen bets need a value of 1, 2 or 3' };
+      }
+      return { numbers: range((value - 1) * 12 + 1, value * 12), payout };
+
+    case 'column':
+      if (![1, 2, 3].includes(value)) {
+        return { error: 'column bets need a value of 1, 2 or 3' };
+      }
+      return { numbers: range(1, 36).filter(n => (n - value) % 3 === 0), payout };
+
+    case 'red':
+      return { numbers: range(1, 36).filter(n => RED_NUMBERS.has(n)), payout };
+    case 'black':
+      return { numbers: range(1, 36).filter(n => !RED_NUMBERS.has(n)), payout };
+    case 'odd':
+      return { numbers: range(1, 36).filter(n => n % 2 === 1), payout };
+    case 'even':
+      return { numbers: range(1, 36).filter(n => n % 2 === 0), payout };
+    case 'low':
+      return { numbers: range(1, 18), payout };
+    case 'high':
+      return { numbers: range(19, 36), payout };
+  }
+
+  return { error: `unknown bet type: ${betType}` };
+}
+
+function numberColor(number) {
+  if (number === 0) {
+    return 'green';
+  }
+  return RED_NUMBERS.has(number) ? 'red' : 'black';
+}
+
+class RouletteGame extends BaseGame {
+  constructor(gameId, config, services) {
+    super(gameId, config, services);
+
+    // Roulette-specific state
+    this.rouletteState = {
+      phase: 'waiting', // waiting, betting, spinning, results
+      currentRoundId: null,
+      currentRoundNumber: 0,
+      phaseStartTime: Date.now(),
+      activePlayersCount: 0,
+      totalBetAmount: 0.00,
+      winningNumber: null,
+      winningColor: null
+    };
+
+    this.roundBets = []; // bets placed in the current round
+    this.pendingBets = new Map(); // userId -> bets still being written
+    this.recentResults = []; // most recent results, newest first
+    this.isTransitioning = false;
+  }
+
+  getGameType() {
+    return 'roulette';
+  }
+
+  getRules() {
+    return this.configManager.getGameRules('roulette');
+  }
+
+  async onInitialize() {
+    // Void a round left in progress by a previous process and return its stakes
+    const { data: staleRounds, error } = await this.databaseService.supabase
+      .from('game_rounds')
+      .select('id')
+      .eq('game_type', 'roulette')
+      .eq('status', 'active');
+
+    if (!error) {
+      for (const round of staleRounds || []) {
+        await this.voidRound(round.id);
+      }
+    }
+
+    // Seed the in-memory result history
+    const history = await this.onGetHistory(this.getRules().historySize);
+    this.recentResults = history;
+    this.rouletteState.currentRoundNumber = history[0]?.roundNumber || 0;
+
+    await this.startBettingPhase();
+  }
+
+  async onGameLoop() {
+    if (this.isTransitioning) {
+      return;
+    }
+
+    const elapsed = Date.now() - this.rouletteState.phaseStartTime;
+    const gameTiming = this.configManager.getGameTiming();
+
+    this.isTransitioning = true;
+    try {
+      if (this.rouletteState.phase === 'betting' && elapsed > gameTiming.bettingPhase) {
+        await this.startSpin();
+      } else if (this.rouletteState.phase === 'spinning' && elapsed > this.getRules().spinDuration) {
+        await this.settleRound();
+      } else if (this.rouletteState.phase === 'results' && elapsed > gameTiming.resultPhase) {
+        await this.startBettingPhase();
+      }
+    } finally {
+      this.isTransitioning = false;
+    }
+  }
+
+  async onProcessBet(userId, betData) {
+    const { amount, betType } = betData;
+
+    if (this.rouletteState.phase !== 'betting') {
+      return {
+        success: false,
+        message: 'betting is not currently open',
+        phase: this.rouletteState.phase
+      };
+    }
+
+    const resolved = resolveBet(betType, betData);
+    if (resolved.error) {
+      return {
+        success: false,
+        message: resolved.error
+      };
+    }
+
+    // Reserve a bet slot before any await so parallel bets cannot exceed the limit
+    const pending = this.pendingBets.get(userId) || 0;
+    const userBetCount = this.roundBets.filter(bet => bet.userId === userId).length;
+    if (userBetCount + pending >= this.getRules().maxBetsPerRound) {
+      return {
+        success: false,
+        message: `maximum of ${this.getRules().maxBetsPerRound} bets per round`
+      };
+    }
+    this.pendingBets.set(userId, pending + 1);
+
+    const roundId = this.rouletteState.currentRoundId;
+    try {
+      const result = await this.placeRoundBet(userId, amount, roundId);
+
+      // The round may have moved on while the bet was being placed
+      if (this.rouletteState.currentRoundId !== roundId || this.rouletteState.phase !== 'betting') {
+        await this.refundBet(result.betId);
+        return {
+          success: false,
+          message: 'betting closed before the bet was accepted'
+        };
+      }
+
+      const bet = {
+        betId: result.betId,
+        userId,
+        betType,
+        numbers: resolved.numbers,
+        payout: resolved.payout,
+        amount
+      };
+      this.roundBets.push(bet);
+      this.updateRoundTotals();
+
+      return {
+        success: true,
+        message: 'bet placed successfully',
+        betAmount: amount,
+        betId: result.betId,
+        betType,
+        numbers: resolved.numbers,
+        newBalance: result.newBalance
+      };
+    } catch (error) {
+      console.error('failed to place roulette bet:', error);
+      return {
+        success: false,
+        message: error.message || 'failed to place bet'
+      };
+    } finally {
+      const remaining = (this.pendingBets.get(userId) || 1) - 1;
+      if (remaining > 0) {
+        this.pendingBets.set(userId, remaining);
+      } else {
+        this.pendingBets.delete(userId);
+      }
+    }
+  }
+
+  async onProcessAction(userId, action, data) {
+    return {
+      success: false,
+      message: `unknown action: ${action}`
+    };
+  }
+
+  // Roulette bets settle on the spin result, there is nothing to cash out
+  async onProcessCashout(userId, cashoutValue) {
+    return {
+      success: false,
+      message: 'cashout is not available in roulette'
+    };
+  }
+
+  async onProcessAutoCashout(userId, targetValue) {
+    return {
+      success: false,
+      message: 'auto-cashout is not available in roulette'
+    };
+  }
+
+  async onGetState(userId = null) {
+    const state = {
+      ...this.rouletteState,
+      recentResults: this.recentResults.slice(0, 20)
+    };
+
+    // Add user-specific bets for the current round
+    if (userId && userId !== 'anonymous') {
+      state.userBets = this.roundBets
+        .filter(bet => bet.userId === userId)
+        .map(bet => ({
+          betId: bet.betId,
+          betType: bet.betType,
+          numbers: bet.numbers,
+          amount: bet.amount
+        }));
+    }
+
+    return state;
+  }
+
+  async onGetHistory(limit = 20) {
+    try {
+      const { data: rounds, error } = await this.databaseService.supabase
+        .from('game_rounds')
+        .select('id, round_number, game_data, created_at, updated_at')
+        .eq('game_type', 'roulette')
+        .eq('status', 'completed')
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      if (error) {
+        console.error('error getting roulette history:', error);
+        return [];
+      }
+
+      return (rounds || [])
+        .filter(round => round.game_data?.winning_number !== undefined)
+        .map(round => this.formatResult(round.id, round.round_number, round.game_data, round.updated_at));
+    } catch (error) {
+      console.error('error getting roulette history:', error);
+      return [];
+    }
+  }
+
+  // Roulette-specific methods
+  async startBettingPhase() {
+    try {
+      const roundId = await this.createRound({
+        phase: 'betting',
+        phase_start_time: new Date().toISOString()
+      });
+
+      this.roundBets = [];
+      this.rouletteState.currentRoundId = roundId;
+      this.rouletteState.currentRoundNumber++;
+      this.rouletteState.phase = 'betting';
+      this.rouletteState.phaseStartTime = Date.now();
+      this.rouletteState.winningNumber = null;
+      this.rouletteState.winningColor = null;
+      this.updateRoundTotals();
+
+      this.broadcast({
+        type: 'roulette_betting_open',
+        roundId,
+        bettingPhase: this.configManager.getGameTiming().bettingPhase
+      });
+    } catch (error) {
+      await this.logger.error('error creating roulette round', { error: error.message });
+      // Retry on the next results-phase tick
+      this.rouletteState.phase = 'results';
+      this.rouletteState.phaseStartTime = Date.now();
+    }
+  }
+
+  async startSpin() {
+    // The result is fixed when betting closes, the spin phase only gives clients time to animate
+    const winningNumber = crypto.randomInt(37);
+
+    this.rouletteState.phase = 'spinning';
+    this.rouletteState.phaseStartTime = Date.now();
+    this.rouletteState.winningNumber = winningNumber;
+    this.rouletteState.winningColor = numberColor(winningNumber);
+
+    this.broadcast({
+      type: 'roulette_spin',
+      roundId: this.rouletteState.currentRoundId,
+      winningNumber,
+      winningColor: this.rouletteState.winningColor,
+      spinDuration: this.getRules().spinDuration
+    });
+  }
+
+  async settleRound() {
+    const roundId = this.rouletteState.currentRoundId;
+    const winningNumber = this.rouletteState.winningNumber;
+
+    // Every bet pays amount * (payout + 1) or loses, all of them settled in one transaction
+    for (const bet of this.roundBets) {
+      bet.multiplier = bet.numbers.includes(winningNumber) ? bet.payout + 1 : 0;
+    }
+
+    let settlements = [];
+    if (this.roundBets.length > 0) {
+      try {
+        settlements = await this.settleRoundBets(roundId, this.roundBets.map(bet => ({
+          betId: bet.betId,
+          multiplier: bet.multiplier
+        })));
+      } catch (error) {
+        await this.logger.error('error settling roulette round', { error: error.message, roundId });
+        // Nothing was settled, retry after another spin-length wait
+        this.rouletteState.phaseStartTime = Date.now();
+        return;
+      }
+    }
+
+    const settlementsByBet = new Map(settlements.map(settlement => [settlement.betId, settlement]));
+    const winsByUser = new Map(); // userId -> { payout, newBalance }
+    let totalPayout = 0;
+
+    for (const bet of this.roundBets) {
+      const settlement = settlementsByBet.get(bet.betId);
+      bet.payoutAmount = settlement ? settlement.payoutAmount : 0;
+      totalPayout += bet.payoutAmount;
+
+      if (bet.payoutAmount > 0) {
+        const win = winsByUser.get(bet.userId) || { payout: 0, newBalance: null };
+        win.payout += bet.payoutAmount;
+        win.newBalance = settlement.newBalance;
+        winsByUser.set(bet.userId, win);
+      }
+    }
+
+    for (const [userId, win] of winsByUser) {
+      if (global.serverInstance && global.serverInstance.wsServer) {
+        global.serverInstance.wsServer.sendToUser(userId, {
+          type: 'roulette_win',
+          roundId,
+          winningNumber,
+          payout: win.payout,
+          newBalance: win.newBalance,
+          timestamp: new Date().toISOString()
+        });
+      }
+    }
+
+    const totalBet = this.roundBets.reduce((sum, bet) => sum + bet.amount, 0);
+    const gameData = {
+      phase: 'results',
+      winning_number: winningNumber,
+      winning_color: numberColor(winningNumber),
+      bets: this.roundBets.map(bet => ({
+        bet_id: bet.betId,
+        user_id: bet.userId,
+        bet_type: bet.betType,
+        numbers: bet.numbers,
+        amount: bet.amount,
+        payout: bet.payoutAmount
+      })),
+      total_bet_amount: totalBet,
+      total_payout: totalPayout
+    };
+
+    try {
+      await this.completeRound(roundId, gameData);
+    } catch (error) {
+      await this.logger.error('error completing roulette round', { error: error.message, roundId });
+    }
+
+    const result = this.formatResult(roundId, this.rouletteState.currentRoundNumber, gameData, new Date().toISOString());
+    this.recentResults.unshift(result);
+    this.recentResults = this.recentResults.slice(0, this.getRules().historySize);
+
+    this.rouletteState.phase = 'results';
+    this.rouletteState.phaseStartTime = Date.now();
+
+    await this.logger.gameEvent('roulette', `round ${this.rouletteState.currentRoundNumber} landed on ${winningNumber} (${result.winningColor})`);
+    await this.emitRoundCompleted({ roundId, winningNumber, totalBet, totalPayout });
+
+    this.broadcast({
+      type: 'roulette_result',
+      ...result
+    });
+  }
+
+  // The round stays active when a stake could not be returned, so the next start retries it
+  async voidRound(roundId) {
+    const { data: openBets, error } = await this.databaseService.supabase
+      .from('game_bets')
+      .select('id')
+      .eq('round_id', roundId)
+      .eq('game_type', 'roulette')
+      .eq('status', 'active');
+
+    if (error) {
+      await this.logger.error('error loading open roulette bets', { error: error.message, roundId });
+      return;
+    }
+
+    let refunded = true;
+    for (const bet of openBets || []) {
+      refunded = await this.refundBet(bet.id) && refunded;
+    }
+    if (!refunded) {
+      return;
+    }
+
+    try {
+      await this.completeRound(roundId);
+    } catch (completeError) {
+      await this.logger.error('error voiding roulette round', { error: completeError.message, roundId });
+    }
+  }
+
+  // refund_bet credits the stake and marks the bet refunded in one transaction; returns false if it failed
+  async refundBet(betId) {
+    try {
+      await this.refundRoundBet(betId);
+      return true;
+    } catch (error) {
+      await this.logger.error('error refunding roulette bet', { error: error.message, betId });
+      return false;
+    }
+  }
+
+  updateRoundTotals() {
+    this.rouletteState.activePlayersCount = new Set(this.roundBets.map(bet => bet.userId)).size;
+    this.rouletteState.totalBetAmount = this.roundBets.reduce((sum, bet) => sum + bet.amount, 0);
+  }
+
+  formatResult(roundId, roundNumber, gameData, completedAt) {
+    return {
+      roundId,
+      roundNumber,
+      winningNumber: gameData.winning_number,
+      winningColor: gameData.winning_color,
+      totalBetAmount: gameData.total_bet_amount || 0,
+      totalPayout: gameData.total_payout || 0,
+      completedAt
+    };
+  }
+
+  broadcast(message) {
+    if (global.serverInstance && global.serverInstance.wsServer) {
+      global.serverInstance.wsServer.broadcastToRoom('roulette', {
+        ...message,
+        roundNumber: this.rouletteState.currentRoundNumber,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  async onStop() {
+    // Roulette-specific cleanup
+    this.isTransitioning = false;
+  }
+
+  cleanup() {
+    super.cleanup();
+    // Additional roulette-specific cleanup
+    this.roundBets = [];
+    this.recentResults = [];
+    this.rouletteState = {
+      phase: 'waiting',
+      currentRoundId: null,
+      currentRoundNumber: 0,
+      phaseStartTime: Date.now(),
+      activePlayersCount: 0,
+      totalBetAmount: 0.00,
+      winningNumber: null,
+      winningColor: null
+    };
+  }
+}
+
+module.exports = RouletteGame;
@@ -0,0 +1,256 @@
+// Slots Game - Slot machine implementation
+// Purpose: Spin config-driven reels, evaluate paylines and settle each spin atomically
+
+const BaseGame = require('./base-game');
+const { computeSlotsRtp } = require('../../config/rtp-calculator');
+
+class SlotsGame extends BaseGame {
+  constructor(gameId, config, services) {
+    super(gameId, config, services);
+
+    // Slots-specific state
+    this.slotsState = {
+      phase: 'open', // open, unavailable
+      totalSpins: 0,
+      totalBetAmount: 0.00,
+      totalPayout: 0.00
+    };
+
+    this.machine = null; // validated rules and their RTP, rebuilt when the config changes
+    this.machineKey = null;
+    this.spinningUsers = new Set();
+  }
+
+  getGameType() {
+    return 'slots';
+  }
+
+  usesPlayerSeeds() {
+    return true;
+  }
+
+  async onInitialize() {
+    const machine = this.getMachine();
+    if (machine.valid) {
+      await this.logger.gameEvent('slots', `machine loaded with ${(machine.rtp * 100).toFixed(2)}% RTP`);
+    } else {
+      await this.logger.error('slots machine rejected, spins are disabled', { errors: machine.errors });
+    }
+  }
+
+  // Spins are instant, there is no round loop
+  async onGameLoop() {}
+
+  // Validate the configured machine once per config change
+  getMachine() {
+    const rules = this.configManager.getGameRules('slots');
+    const houseEdge = this.configManager.getHouseEdge('slots');
+    const key = JSON.stringify(rules) + houseEdge;
+
+    if (this.machineKey !== key) {
+      const validation = this.configManager.validateGameConfig({ gameRules: { slots: rules } });
+      this.machine = {
+        rules,
+        valid: validation.valid,
+        errors: validation.errors,
+        rtp: validation.valid ? computeSlotsRtp(rules) : null
+      };
+      this.machineKey = key;
+      this.slotsState.phase = validation.valid ? 'open' : 'unavailable';
+    }
+
+    return this.machine;
+  }
+
+  async onProcessBet(userId, betData) {
+    const { amount } = betData;
+
+    const machine = this.getMachine();
+    if (!machine.valid) {
+      return {
+        success: false,
+        message: 'slot machine is temporarily unavailable'
+      };
+    }
+
+    if (this.spinningUsers.has(userId)) {
+      return {
+        success: false,
+        message: 'previous spin is still being processed'
+      };
+    }
+
+    this.spinningUsers.add(userId);
+    try {
+      const { seed, floats } = await this.drawPlayerFloats(userId, machine.rules.reels.length);
+      const stops = this.spinReels(machine.rules, floats);
+      const grid = this.buildGrid(machine.rules, stops);
+      const { wins, multiplier } = this.evaluateGrid(machine.rules, grid);
+
+      const settlement = await this.placeInstantBet(userId, amount, multiplier, {
+        stops,
+        grid,
+        wins,
+        multiplier,
+        rtp: machine.rtp,
+        ...this.seedRecord(seed)
+      });
+
+      this.slotsState.totalSpins++;
+      this.slotsState.totalBetAmount += amount;
+      this.slotsState.totalPayout += settlement.payoutAmount;
+
+      return {
+        success: true,
+        message: multiplier > 0 ? 'spin won' : 'spin lost',
+        betAmount: amount,
+        betId: settlement.betId,
+        roundId: settlement.roundId,
+        grid,
+        wins,
+        multiplier,
+        payout: settlement.payoutAmount,
+        newBalance: settlement.newBalance,
+        seed: this.seedRecord(seed)
+      };
+    } catch (error) {
+      console.error('failed to spin slots:', error);
+      return {
+        success: false,
+        message: error.message || 'failed to place bet'
+      };
+    } finally {
+      this.spinningUsers.delete(userId);
+    }
+  }
+
+  async onProcessAction(userId, action, data) {
+    return {
+      success: false,
+      message: `unknown action: ${action}`
+    };
+  }
+
+  // Spins settle immediately, there is nothing to cash out
+  async onProcessCashout(userId, cashoutValue) {
+    return {
+      success: false,
+      message: 'cashout is not available in slots'
+    };
+  }
+
+  async onProcessAutoCashout(userId, targetValue) {
+    return {
+      success: false,
+      message: 'auto-cashout is not available in slots'
+    };
+  }
+
+  async onGetState(userId = null) {
+    const machine = this.getMachine();
+    const { rows, reels, paylines, paytable } = machine.rules;
+
+    return {
+      ...this.slotsState,
+      machine: {
+        rows,
+        reelCount: reels.length,
+        paylines,
+        paytable,
+        rtp: machine.rtp
+      }
+    };
+  }
+
+  async onGetHistory(limit = 20) {
+    try {
+      const { data: rounds, error } = await this.databaseService.supabase
+        .from('game_rounds')
+        .select('*')
+        .eq('game_type', 'slots')
+        .eq('status', 'completed')
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      if (error) {
+        console.error('error getting slots history:', error);
+        return [];
+      }
+
+      return rounds || [];
+    } catch (error) {
+      console.error('error getting slots history:', error);
+      return [];
+    }
+  }
+
+  // Slots-specific methods
+  // Pick a stop per reel from its seed float, weighted by the symbol that lands on the centre row
+  spinReels(rules, floats) {
+    return rules.reels.map((strip, reel) => {
+      const weights = strip.map(symbol => rules.symbolWeights?.[symbol] ?? 1);
+      const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+      let target = floats[reel] * totalWeight;
+
+      for (let stop = 0; stop < strip.length; stop++) {
+        target -= weights[stop];
+        if (target < 0) {
+          return stop;
+        }
+      }
+      return strip.length - 1;
+    });
+  }
+
+  // grid[reel][row], the stop sits on the centre row and the window wraps around the strip
+  buildGrid(rules, stops) {
+    const center = Math.floor(rules.rows / 2);
+    return rules.reels.map((strip, reel) => {
+      const column = [];
+      for (let row = 0; row < rules.rows; row++) {
+        column.push(strip[(stops[reel] + row - center + strip.length) % strip.length]);
+      }
+      return column;
+    });
+  }
+
+  // Left-to-right line pays, the total multiplier is relative to the whole bet
+  evaluateGrid(rules, grid) {
+    const wins = [];
+    let lineTotal = 0;
+
+    rules.paylines.forEach((line, lineIndex) => {
+      const symbol = grid[0][line[0]];
+      let count = 1;
+      while (count < grid.length && grid[count][line[count]] === symbol) {
+        count++;
+      }
+
+      const pay = rules.paytable[symbol]?.[count];
+      if (pay) {
+        wins.push({ line: lineIndex, symbol, count, multiplier: pay });
+        lineTotal += pay;
+      }
+    });
+
+    return {
+      wins,
+      multiplier: lineTotal / rules.paylines.length
+    };
+  }
+
+  async onStop() {
+    // Slots-specific cleanup
+    this.spinningUsers.clear();
+  }
+
+  cleanup() {
+    super.cleanup();
+    // Additional slots-specific cleanup
+    this.spinningUsers.clear();
+    this.machine = null;
+    this.machineKey = null;
+  }
+}
+
+module.exports = SlotsGame;
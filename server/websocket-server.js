@@ -204,7 +204,7 @@ class WebSocketServer {
 
     switch (type) {
       case 'join_game':
-        this.roomManager.handleJoinGame(ws, gamemode, token);
+        this.handleJoinGame(ws, gamemode, token);
         break;
       
       case 'place_bet':
@@ -235,6 +235,58 @@ class WebSocketServer {
     }
   }
 
+  // Handle join game event, then pick up the player's session and any game they left unfinished
+  async handleJoinGame(ws, gamemode, token) {
+    await this.roomManager.handleJoinGame(ws, gamemode, token);
+
+    try {
+      const connection = this.roomManager.getConnection(ws);
+      if (this.gameEngine && connection?.gamemode === gamemode) {
+        this.sendBetFeedSnapshot(ws, `${gamemode}-main`);
+      }
+
+      // Temporary users get a new id on every connection, so only signed-in users have a session to resume
+      if (!connection || connection.gamemode !== gamemode || !connection.userData?.authId) {
+        return;
+      }
+
+      const userId = connection.userData.id;
+      const session = await this.sessionManager.handleReconnection(userId, ws);
+      if (session) {
+        this.sessionManager.updateSession(session.sessionId, { gamemode });
+      } else {
+        this.sessionManager.createSession(userId, gamemode, connection.userData, ws);
+      }
+
+      if (this.gameEngine) {
+        const openGame = await this.gameEngine.getOpenGame(`${gamemode}-main`, userId);
+        if (openGame) {
+          ws.send(JSON.stringify({
+            type: 'game_resumed',
+            gamemode,
+            game: openGame,
+            reconnected: Boolean(session),
+            timestamp: new Date().toISOString()
+          }));
+        }
+      }
+    } catch (error) {
+      this.logger.error('error resuming session:', error);
+    }
+  }
+
+  // Full player list of a round-based game, crash_bet_feed events keep it current afterwards
+  sendBetFeedSnapshot(ws, gameId) {
+    const betFeed = this.gameEngine.getBetFeed(gameId);
+    if (betFeed) {
+      ws.send(JSON.stringify({
+        type: 'crash_bet_feed_snapshot',
+        ...betFeed,
+        timestamp: new Date().toISOString()
+      }));
+    }
+  }
+
   // Handle place bet event
   async handlePlaceBet(ws, payload) {
     try {
@@ -247,7 +299,8 @@ class WebSocketServer {
         return;
       }
 
-      const { amount, betType = 'normal' } = payload;
+      // Game-specific bet options (e.g. roulette numbers) are passed through untouched
+      const { idempotencyKey, amount, betType = 'normal', ...betOptions } = payload;
       if (!amount || amount <= 0) {
         ws.send(JSON.stringify({
           type: 'error',
@@ -264,8 +317,23 @@ class WebSocketServer {
         try {
           const userId = connection.userData?.id || 'anonymous';
           const gameId = `${connection.gamemode}-main`;
-          const result = await this.gameEngine.processBet(gameId, userId, { amount, betType });
+          const betData = { ...betOptions, amount, betType };
+          const outcome = await this.runIdempotent(userId, `place_bet:${gameId}`, idempotencyKey, betData, () =>
+            this.gameEngine.processBet(gameId, userId, betData)
+          );
+          
+          if (outcome.error) {
+            ws.send(JSON.stringify({
+              type: 'bet_failed',
+              amount,
+              betType,
+              message: outcome.error,
+              timestamp: new Date().toISOString()
+            }));
+            return;
+          }
           
+          const { result, replayed } = outcome;
           if (result.success) {
             // Send success response - use bet_confirmed to match frontend expectations
             ws.send(JSON.stringify({
@@ -273,20 +341,25 @@ class WebSocketServer {
               amount,
               betType,
               result,
+              replayed,
               timestamp: new Date().toISOString()
             }));
             
+            // A replayed bet was already announced when it was placed
+            if (replayed) {
+              return;
+            }
+            
             // Get updated game state for crash
             if (connection.gamemode === 'crash') {
-              const userId = connection.userData?.id || 'anonymous';
-              const crashState = await this.gameEngine.getGameState(gameId, userId);
+              const crashState = await this.gameEngine.getGameState(gameId);
               
               // Broadcast updated game state - use crash_state_update for crash
               this.broadcastToRoom(connection.gamemode, {
                 type: 'crash_state_update',
                 state: crashState,
                 action: 'bet_placed',
-                userData: connection.userData,
+                betId: result.betId,
                 timestamp: new Date().toISOString()
               });
             }
@@ -297,8 +370,12 @@ class WebSocketServer {
               amount,
               betType,
               message: result.message || 'Bet placement failed',
+              replayed,
               timestamp: new Date().toISOString()
             }));
+            if (replayed) {
+              return;
+            }
           }
           
         } catch (gameError) {
@@ -360,6 +437,8 @@ class WebSocketServer {
             timestamp: new Date().toISOString()
           }));
           
+          this.sendBetFeedSnapshot(ws, gameId);
+          
         } catch (gameError) {
           this.logger.error('game engine error:', gameError);
           ws.send(JSON.stringify({
@@ -390,7 +469,8 @@ class WebSocketServer {
         return;
       }
 
-      const { action, targetMultiplier } = payload;
+      // Action-specific fields (e.g. targetMultiplier, clientSeed) are passed through untouched
+      const { idempotencyKey, action, ...actionData } = payload;
       if (!action) {
         ws.send(JSON.stringify({
           type: 'error',
@@ -407,14 +487,28 @@ class WebSocketServer {
         try {
           const userId = connection.userData?.id || 'anonymous';
           const gameId = `${connection.gamemode}-main`;
-          const result = await this.gameEngine.processGameAction(gameId, userId, action, { targetMultiplier });
+          const outcome = await this.runIdempotent(userId, `game_action:${gameId}:${action}`, idempotencyKey, actionData, () =>
+            this.gameEngine.processGameAction(gameId, userId, action, actionData)
+          );
           
+          if (outcome.error) {
+            ws.send(JSON.stringify({
+              type: 'game_action_failed',
+              action,
+              message: outcome.error,
+              timestamp: new Date().toISOString()
+            }));
+            return;
+          }
+          
+          const { result, replayed } = outcome;
           if (result.success) {
             // Send success response with proper structure for frontend
             const responseMessage = {
               type: 'game_action_success',
               action,
               result,
+              replayed,
               timestamp: new Date().toISOString()
             };
             
@@ -431,17 +525,21 @@ class WebSocketServer {
             
             ws.send(JSON.stringify(responseMessage));
             
+            // A replayed action was already announced when it ran
+            if (replayed) {
+              return;
+            }
+            
             // Get updated game state for crash
             if (connection.gamemode === 'crash') {
-              const userId = connection.userData?.id || 'anonymous';
-              const crashState = await this.gameEngine.getGameState(gameId, userId);
+              const crashState = await this.gameEngine.getGameState(gameId);
               
               // Broadcast updated game state - use crash_state_update for crash
               this.broadcastToRoom(connection.gamemode, {
                 type: 'crash_state_update',
                 state: crashState,
                 action: action,
-                userData: connection.userData,
+                betIds: result.bets ? result.bets.map(bet => bet.betId) : (result.betIds || [result.betId]),
                 timestamp: new Date().toISOString()
               });
             }
@@ -451,8 +549,12 @@ class WebSocketServer {
               type: 'game_action_failed',
               action,
               message: result.message || 'Game action failed',
+              replayed,
               timestamp: new Date().toISOString()
             }));
+            if (replayed) {
+              return;
+            }
           }
           
         } catch (gameError) {
@@ -483,12 +585,28 @@ class WebSocketServer {
     }
   }
 
+  // Run a money-moving engine call once per client idempotency key; requests without a key just run
+  async runIdempotent(userId, scope, idempotencyKey, request, operation) {
+    if (idempotencyKey === undefined || idempotencyKey === null) {
+      return { result: await operation(), replayed: false };
+    }
+    return await this.gameEngine.idempotency.run(userId, scope, idempotencyKey, request, operation);
+  }
+
   // Handle disconnection
   handleDisconnection(ws) {
     try {
+      const connection = this.roomManager.getConnection(ws);
+      
       // Use room manager to handle disconnection
       this.roomManager.handleDisconnection(ws);
       
+      // Let the game stop anything that runs on the player's behalf once their last connection is gone
+      const userId = connection?.userData?.id;
+      if (this.gameEngine && userId && connection.gamemode && !this.isUserInRoom(userId, connection.gamemode)) {
+        this.gameEngine.handlePlayerDisconnect(`${connection.gamemode}-main`, userId);
+      }
+      
       // Remove from session manager
       this.sessionManager.removeConnectionFromSession(ws);
       
@@ -512,6 +630,19 @@ class WebSocketServer {
     });
   }
 
+  // Check whether a user still has an open connection in a game room
+  isUserInRoom(userId, gamemode) {
+    if (!this.wss) return false;
+    
+    for (const client of this.wss.clients) {
+      const connection = this.roomManager.getConnection(client);
+      if (connection && connection.gamemode === gamemode && connection.userData?.id === userId) {
+        return true;
+      }
+    }
+    return false;
+  }
+
   // Send message to specific user
   sendToUser(userId, message) {
     if (!this.wss) return;
@@ -0,0 +1,167 @@
+// Auto-Bet Manager - Server-side betting strategies for round-based games
+// Purpose: Validate player strategies and work out each next stake from win/loss adjustments and stop conditions
+
+const ADJUSTMENT_ACTIONS = ['reset', 'same', 'multiply', 'increase'];
+const MAX_MULTIPLY_FACTOR = 10;
+const MAX_ROUNDS = 10000;
+
+class AutoBetManager {
+  constructor() {
+    this.strategies = new Map(); // userId -> running strategy
+  }
+
+  // Normalize a strategy sent by the client, returning { strategy } or { error }
+  validateStrategy(input, betLimits) {
+    if (!input || typeof input !== 'object') {
+      return { error: 'strategy is required' };
+    }
+
+    const baseBet = Number(input.baseBet);
+    if (!(baseBet >= betLimits.min && baseBet <= betLimits.max)) {
+      return { error: `base bet must be between ${betLimits.min} and ${betLimits.max}` };
+    }
+
+    const autoCashout = Number(input.autoCashout);
+    if (!(autoCashout >= 1.01)) {
+      return { error: 'auto-cashout target must be at least 1.01x' };
+    }
+
+    const adjustments = {};
+    for (const key of ['onWin', 'onLoss']) {
+      const adjustment = input[key] || { action: 'reset' };
+      if (!ADJUSTMENT_ACTIONS.includes(adjustment.action)) {
+        return { error: `${key} action must be one of ${ADJUSTMENT_ACTIONS.join(', ')}` };
+      }
+      const value = Number(adjustment.value);
+      if (adjustment.action === 'multiply' && !(value > 0 && value <= MAX_MULTIPLY_FACTOR)) {
+        return { error: `${key} multiplier must be greater than 0 and at most ${MAX_MULTIPLY_FACTOR}` };
+      }
+      if (adjustment.action === 'increase' && !(value > 0)) {
+        return { error: `${key} increase must be a positive amount` };
+      }
+      adjustments[key] = { action: adjustment.action, value: adjustment.value === undefined ? null : value };
+    }
+
+    const optionalPositive = ['stopOnProfit', 'stopOnLoss'];
+    for (const key of optionalPositive) {
+      if (input[key] !== undefined && input[key] !== null && !(Number(input[key]) > 0)) {
+        return { error: `${key} must be a positive amount` };
+      }
+    }
+
+    const rounds = input.rounds === undefined || input.rounds === null ? null : Number(input.rounds);
+    if (rounds !== null && !(Number.isInteger(rounds) && rounds >= 1 && rounds <= MAX_ROUNDS)) {
+      return { error: `rounds must be an integer between 1 and ${MAX_ROUNDS}` };
+    }
+
+    return {
+      strategy: {
+        baseBet,
+        autoCashout,
+        onWin: adjustments.onWin,
+        onLoss: adjustments.onLoss,
+        stopOnProfit: input.stopOnProfit ? Number(input.stopOnProfit) : null,
+        stopOnLoss: input.stopOnLoss ? Number(input.stopOnLoss) : null,
+        rounds
+      }
+    };
+  }
+
+  start(userId, strategy) {
+    const state = {
+      strategy,
+      nextBet: strategy.baseBet,
+      roundsPlayed: 0,
+      wins: 0,
+      losses: 0,
+      profit: 0,
+      pendingBetId: null,
+      startedAt: new Date().toISOString()
+    };
+    this.strategies.set(userId, state);
+    return state;
+  }
+
+  stop(userId) {
+    const state = this.strategies.get(userId);
+    this.strategies.delete(userId);
+    return state || null;
+  }
+
+  get(userId) {
+    return this.strategies.get(userId) || null;
+  }
+
+  getActive() {
+    return Array.from(this.strategies.entries());
+  }
+
+  // Apply a finished bet; returns the reason to stop, or null to keep going
+  recordResult(userId, stake, payout, betLimits) {
+    const state = this.strategies.get(userId);
+    if (!state) {
+      return null;
+    }
+
+    const { strategy } = state;
+    const won = payout > stake;
+    state.roundsPlayed++;
+    state.profit += payout - stake;
+    state.pendingBetId = null;
+    if (won) {
+      state.wins++;
+    } else {
+      state.losses++;
+    }
+
+    const adjustment = won ? strategy.onWin : strategy.onLoss;
+    state.nextBet = Math.round(this.applyAdjustment(state.nextBet, strategy.baseBet, adjustment) * 100) / 100;
+
+    if (strategy.rounds !== null && state.roundsPlayed >= strategy.rounds) {
+      return 'round limit reached';
+    }
+    if (strategy.stopOnProfit !== null && state.profit >= strategy.stopOnProfit) {
+      return 'profit target reached';
+    }
+    if (strategy.stopOnLoss !== null && -state.profit >= strategy.stopOnLoss) {
+      return 'loss limit reached';
+    }
+    if (state.nextBet < betLimits.min || state.nextBet > betLimits.max) {
+      return `next bet of ${state.nextBet} GC is outside the bet limits`;
+    }
+
+    return null;
+  }
+
+  applyAdjustment(currentBet, baseBet, adjustment) {
+    switch (adjustment.action) {
+      case 'multiply':
+        return currentBet * adjustment.value;
+      case 'increase':
+        return currentBet + adjustment.value;
+      case 'same':
+        return currentBet;
+      case 'reset':
+      default:
+        return baseBet;
+    }
+  }
+
+  serialize(state) {
+    return {
+      strategy: state.strategy,
+      nextBet: state.nextBet,
+      roundsPlayed: state.roundsPlayed,
+      wins: state.wins,
+      losses: state.losses,
+      profit: Math.round(state.profit * 100) / 100,
+      startedAt: state.startedAt
+    };
+  }
+
+  clear() {
+    this.strategies.clear();
+  }
+}
+
+module.exports = AutoBetManager;
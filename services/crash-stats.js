@@ -0,0 +1,203 @@
+// Crash Stats - Crash point distribution and streak analytics
+// Purpose: Summarize recent completed crash rounds for players, cached until the next round completes
+
+const MAX_ROUNDS = 1000;
+const DEFAULT_ROUNDS = 100;
+const ROLLING_WINDOWS = [10, 50, 100, 500];
+const PERCENTILES = [10, 25, 50, 75, 90, 99];
+// Lower bounds of the distribution buckets, each bucket runs up to the next bound
+const BUCKET_BOUNDS = [1, 1.01, 1.5, 2, 3, 5, 10, 100];
+
+class CrashStatsService {
+  constructor(databaseService, eventBus) {
+    this.databaseService = databaseService;
+    this.rounds = null; // completed rounds, newest first
+    this.loading = null;
+    this.version = 0; // bumped on every invalidation so an older in-flight load is not cached
+    this.results = new Map(); // query key -> computed stats
+
+    // Drop the cache whenever a round completes, it is reloaded on the next request
+    eventBus.subscribeToGame('crash-main', 'round_completed', () => this.invalidate());
+  }
+
+  invalidate() {
+    this.version++;
+    this.rounds = null;
+    this.results.clear();
+  }
+
+  // Normalize query parameters, returning { options } or { error }
+  parseOptions(query = {}) {
+    const rounds = query.rounds === undefined ? DEFAULT_ROUNDS : Number(query.rounds);
+    if (!Number.isInteger(rounds) || rounds < 1 || rounds > MAX_ROUNDS) {
+      return { error: `rounds must be an integer between 1 and ${MAX_ROUNDS}` };
+    }
+
+    const under = query.under === undefined ? 2 : Number(query.under);
+    const over = query.over === undefined ? 10 : Number(query.over);
+    if (!(under > 1) || !(over > 1)) {
+      return { error: 'streak thresholds must be greater than 1' };
+    }
+
+    return { options: { rounds, under, over } };
+  }
+
+  async getStats(options) {
+    const key = `${options.rounds}:${options.under}:${options.over}`;
+    if (this.results.has(key)) {
+      return this.results.get(key);
+    }
+
+    const version = this.version;
+    const rounds = (await this.loadRounds()).slice(0, options.rounds);
+    const stats = this.computeStats(rounds, options);
+    if (version === this.version) {
+      this.results.set(key, stats);
+    }
+    return stats;
+  }
+
+  async loadRounds() {
+    if (this.rounds) {
+      return this.rounds;
+    }
+
+    // Concurrent requests share one query
+    if (!this.loading) {
+      this.loading = this.fetchRounds().finally(() => {
+        this.loading = null;
+      });
+    }
+    return await this.loading;
+  }
+
+  async fetchRounds() {
+    const version = this.version;
+    const { data: rows, error } = await this.databaseService.supabase
+      .from('game_rounds')
+      .select('id, round_number, game_data, updated_at')
+      .eq('game_type', 'crash')
+      .eq('status', 'completed')
+      .order('id', { ascending: false })
+      .limit(MAX_ROUNDS);
+
+    if (error) {
+      console.error('error loading crash rounds for stats:', error);
+      throw new Error('failed to load crash rounds');
+    }
+
+    // Voided rounds were never played out, so they do not count
+    const rounds = (rows || [])
+      .filter(row => row.game_data && row.game_data.phase === 'crashed' && row.game_data.crash_multiplier)
+      .map(row => ({
+        roundNumber: row.round_number,
+        crashPoint: parseFloat(row.game_data.crash_multiplier),
+        wagered: row.game_data.total_bet_amount ?? null,
+        paid: row.game_data.total_payout ?? null,
+        completedAt: row.updated_at
+      }));
+    if (version === this.version) {
+      this.rounds = rounds;
+    }
+    return rounds;
+  }
+
+  // `rounds` is newest first
+  computeStats(rounds, { under, over }) {
+    const points = rounds.map(round => round.crashPoint);
+    const sorted = [...points].sort((a, b) => a - b);
+
+    const rollingAverages = {};
+    for (const window of ROLLING_WINDOWS) {
+      if (window <= points.length) {
+        rollingAverages[window] = this.round(this.average(points.slice(0, window)));
+      }
+    }
+
+    const percentiles = {};
+    for (const percentile of PERCENTILES) {
+      percentiles[`p${percentile}`] = this.percentile(sorted, percentile);
+    }
+
+    const totals = rounds.reduce((sum, round) => ({
+      wagered: sum.wagered + (round.wagered || 0),
+      paid: sum.paid + (round.paid || 0)
+    }), { wagered: 0, paid: 0 });
+
+    return {
+      roundCount: points.length,
+      average: points.length > 0 ? this.round(this.average(points)) : null,
+      median: this.percentile(sorted, 50),
+      percentiles,
+      rollingAverages,
+      distribution: this.buildDistribution(points),
+      streaks: {
+        under: { threshold: under, ...this.getStreaks(points, point => point < under) },
+        over: { threshold: over, ...this.getStreaks(points, point => point >= over) }
+      },
+      totals: {
+        wagered: this.round(totals.wagered),
+        paid: this.round(totals.paid),
+        houseProfit: this.round(totals.wagered - totals.paid)
+      },
+      rounds: rounds.map(round => ({
+        roundNumber: round.roundNumber,
+        crashPoint: round.crashPoint,
+        wagered: round.wagered,
+        paid: round.paid,
+        completedAt: round.completedAt
+      })),
+      generatedAt: new Date().toISOString()
+    };
+  }
+
+  buildDistribution(points) {
+    return BUCKET_BOUNDS.map((min, index) => {
+      const max = BUCKET_BOUNDS[index + 1] ?? null;
+      const count = points.filter(point => point >= min && (max === null || point < max)).length;
+      return {
+        min,
+        max,
+        count,
+        share: points.length > 0 ? this.round(count / points.length, 4) : 0
+      };
+    });
+  }
+
+  // Longest run of consecutive rounds matching `predicate`, and the run still going at the newest round
+  getStreaks(points, predicate) {
+    let longest = 0;
+    let run = 0;
+    for (const point of [...points].reverse()) {
+      run = predicate(point) ? run + 1 : 0;
+      longest = Math.max(longest, run);
+    }
+
+    let current = 0;
+    while (current < points.length && predicate(points[current])) {
+      current++;
+    }
+
+    return { longest, current };
+  }
+
+  // Nearest-rank percentile of an ascending list
+  percentile(sorted, percentile) {
+    if (sorted.length === 0) {
+      return null;
+    }
+    const rank = Math.ceil((percentile / 100) * sorted.length);
+    return sorted[Math.max(0, rank - 1)];
+  }
+
+  average(values) {
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+  }
+
+  round(value, decimals = 2) {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+  }
+}
+
+module.exports = CrashStatsService;
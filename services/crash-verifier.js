@@ -0,0 +1,50 @@
+// Crash Verifier - Provably fair crash math
+// Purpose: Recompute crash points from revealed seeds so any round can be checked independently of the game server
+
+const crypto = require('crypto');
+
+const DEFAULT_HOUSE_EDGE = 0.01; // rounds recorded before the edge was stored in game_data
+
+function hashSeed(seed) {
+  return crypto.createHash('sha256').update(seed).digest('hex');
+}
+
+// Crash point for a seed pair, using the top 52 bits of the round hash
+function computeCrashPoint(serverSeed, clientSeed, houseEdge = DEFAULT_HOUSE_EDGE) {
+  const hash = crypto.createHash('sha256').update(serverSeed + clientSeed).digest('hex');
+  const h = parseInt(hash.substring(0, 13), 16);
+  const e = Math.pow(2, 52);
+  const x = h / e;
+  const result = Math.floor(((1 - houseEdge) / (1 - x)) * 100) / 100;
+  return Math.max(1.00, result);
+}
+
+// Check a completed round's revealed seed against its published hash and recorded result
+function verifyCrashRound(round) {
+  const gameData = round.game_data || {};
+  const serverSeed = gameData.server_seed;
+  const clientSeed = gameData.client_seed;
+  const houseEdge = gameData.house_edge ?? DEFAULT_HOUSE_EDGE;
+  const crashPoint = computeCrashPoint(serverSeed, clientSeed, houseEdge);
+  const recordedCrashPoint = gameData.crash_multiplier != null ? parseFloat(gameData.crash_multiplier) : null;
+
+  return {
+    roundNumber: round.round_number,
+    serverSeed,
+    gameHash: gameData.game_hash,
+    clientSeed,
+    houseEdge,
+    chainId: gameData.chain_id || null,
+    chainIndex: gameData.chain_index || null,
+    crashPoint,
+    recordedCrashPoint,
+    hashValid: hashSeed(serverSeed) === gameData.game_hash,
+    crashPointValid: recordedCrashPoint !== null && Math.abs(recordedCrashPoint - crashPoint) < 0.0001
+  };
+}
+
+module.exports = {
+  hashSeed,
+  computeCrashPoint,
+  verifyCrashRound
+};
@@ -0,0 +1,45 @@
+// Fair Random - Deterministic outcomes from player seed pairs
+// Purpose: Turn a server seed, client seed and nonce into reproducible floats that players can verify after a seed rotation
+
+const crypto = require('crypto');
+
+const BYTES_PER_FLOAT = 4;
+const BYTES_PER_HASH = 32;
+
+// Each HMAC-SHA256(serverSeed, "clientSeed:nonce:round") yields 8 floats; `round` advances once those run out
+function generateFloats(serverSeed, clientSeed, nonce, count, offset = 0) {
+  const floats = [];
+  const floatsPerHash = BYTES_PER_HASH / BYTES_PER_FLOAT;
+  let position = offset;
+
+  while (floats.length < count) {
+    const round = Math.floor(position / floatsPerHash);
+    const hash = crypto.createHmac('sha256', serverSeed).update(`${clientSeed}:${nonce}:${round}`).digest();
+
+    for (let i = position % floatsPerHash; i < floatsPerHash && floats.length < count; i++, position++) {
+      // 4 bytes in base 256, scaled to [0, 1)
+      let value = 0;
+      for (let b = 0; b < BYTES_PER_FLOAT; b++) {
+        value += hash[i * BYTES_PER_FLOAT + b] / Math.pow(256, b + 1);
+      }
+      floats.push(value);
+    }
+  }
+
+  return floats;
+}
+
+// Map a float in [0, 1) onto an integer in [0, max)
+function floatToInt(value, max) {
+  return Math.floor(value * max);
+}
+
+function hashServerSeed(serverSeed) {
+  return crypto.createHash('sha256').update(serverSeed).digest('hex');
+}
+
+module.exports = {
+  generateFloats,
+  floatToInt,
+  hashServerSeed
+};
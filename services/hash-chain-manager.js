@@ -0,0 +1,359 @@
+// Hash Chain Manager - Provably fair seed chains for crash rounds
+// Purpose: Pre-generate reverse SHA-256 hash chains, salt them with an external value, hand out round seeds in order and persist chain progress
+
+const crypto = require('crypto');
+const { hashSeed } = require('./crash-verifier');
+
+const DEFAULT_CHAIN_LENGTH = 10000;
+const SALT_DELAY_MS = 60 * 60 * 1000; // the salting block is mined at least this long after the chain is published
+const PUBLISH_AHEAD_ROUNDS = 1000; // the next chain is published this many rounds before the active one runs out
+
+class HashChainManager {
+  constructor(databaseService, logger, chainLength = DEFAULT_CHAIN_LENGTH) {
+    this.databaseService = databaseService;
+    this.logger = logger;
+    this.chainLength = chainLength;
+    this.activeChain = null; // { id, terminatingHash, clientSeed, saltSource, saltReference, length, nextIndex, seeds }
+    this.seedCache = new Map(); // chainId -> seeds of chains that are no longer active
+    this.nextChainPublished = false; // a chain is already waiting to take over from the active one
+  }
+
+  // The salt is the hash of a Bitcoin block that did not exist yet when the terminating hash was published,
+  // so the server cannot search for a root that produces favourable rounds
+  static describeSaltSource(notBefore) {
+    return `hash of the first Bitcoin block (lowest height) with a timestamp at or after ${notBefore.toISOString()}`;
+  }
+
+  // seeds[0] is the secret root, seeds[length] is the published terminating hash
+  static buildChain(rootSeed, length) {
+    const seeds = [rootSeed];
+    for (let i = 1; i <= length; i++) {
+      seeds.push(hashSeed(seeds[i - 1]));
+    }
+    return seeds;
+  }
+
+  // Round `index` (1-based) uses seeds[length - index], whose hash is the previous round's seed
+  static seedAt(seeds, length, index) {
+    return seeds[length - index];
+  }
+
+  async initialize() {
+    const { data: chain, error } = await this.databaseService.supabase
+      .from('crash_hash_chains')
+      .select('*')
+      .eq('status', 'active')
+      .order('id', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) {
+      console.error('error loading crash hash chain:', error);
+      throw error;
+    }
+
+    if (chain && chain.next_index <= chain.length) {
+      this.activeChain = this.loadChain(chain);
+      await this.logger.info(`loaded crash hash chain ${chain.id} at round ${chain.next_index}/${chain.length}`);
+      return this.activeChain;
+    }
+
+    if (chain) {
+      await this.markExhausted(chain.id);
+    }
+    return await this.activateNextChain();
+  }
+
+  // Promote the oldest salted chain; without one, make sure a chain is published and waiting for its salt
+  async activateNextChain() {
+    const { data: salted, error } = await this.databaseService.supabase
+      .from('crash_hash_chains')
+      .select('*')
+      .eq('status', 'salted')
+      .order('id', { ascending: true })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) {
+      console.error('error loading salted crash hash chain:', error);
+      throw error;
+    }
+
+    if (!salted) {
+      this.activeChain = null;
+      await this.ensureNextChain();
+      return null;
+    }
+
+    // Rebuilt before activating, so a chain that no longer matches its commitment is never played
+    const chain = this.loadChain(salted);
+
+    // Only one process may activate the chain
+    const { data: activated, error: activateError } = await this.databaseService.supabase
+      .from('crash_hash_chains')
+      .update({ status: 'active' })
+      .eq('id', salted.id)
+      .eq('status', 'salted')
+      .select('id');
+
+    if (activateError) {
+      console.error('error activating crash hash chain:', activateError);
+      throw activateError;
+    }
+    if (!activated || activated.length === 0) {
+      throw new Error(`crash hash chain ${salted.id} was activated by another process`);
+    }
+
+    this.activeChain = chain;
+    this.nextChainPublished = false;
+    await this.logger.gameEvent('crash', `activated hash chain ${salted.id}`, {
+      terminatingHash: salted.terminating_hash,
+      salt: salted.client_seed,
+      saltReference: salted.salt_reference
+    });
+
+    return this.activeChain;
+  }
+
+  // Publish a chain to follow the active one unless one is already pending or salted
+  async ensureNextChain() {
+    if (this.nextChainPublished) {
+      return;
+    }
+
+    const { data: waiting, error } = await this.databaseService.supabase
+      .from('crash_hash_chains')
+      .select('id')
+      .in('status', ['pending', 'salted'])
+      .limit(1);
+
+    if (error) {
+      console.error('error loading pending crash hash chains:', error);
+      throw error;
+    }
+
+    if (!waiting || waiting.length === 0) {
+      await this.createChain();
+    }
+    this.nextChainPublished = true;
+  }
+
+  loadChain(row) {
+    const seeds = HashChainManager.buildChain(row.root_seed, row.length);
+    if (seeds[row.length] !== row.terminating_hash) {
+      throw new Error(`crash hash chain ${row.id} does not match its terminating hash`);
+    }
+
+    return {
+      id: row.id,
+      terminatingHash: row.terminating_hash,
+      clientSeed: row.client_seed,
+      saltSource: row.salt_source,
+      saltReference: row.salt_reference,
+      length: row.length,
+      nextIndex: row.next_index,
+      seeds
+    };
+  }
+
+  // Commit to a new chain; its terminating hash and salt source are public before the salt exists
+  async createChain() {
+    const rootSeed = crypto.randomBytes(32).toString('hex');
+    const seeds = HashChainManager.buildChain(rootSeed, this.chainLength);
+    const terminatingHash = seeds[this.chainLength];
+    const saltNotBefore = new Date(Date.now() + SALT_DELAY_MS);
+    const saltSource = HashChainManager.describeSaltSource(saltNotBefore);
+
+    const { data: chain, error } = await this.databaseService.supabase
+      .from('crash_hash_chains')
+      .insert({
+        root_seed: rootSeed,
+        terminating_hash: terminatingHash,
+        length: this.chainLength,
+        next_index: 1,
+        salt_source: saltSource,
+        salt_not_before: saltNotBefore.toISOString(),
+        status: 'pending'
+      })
+      .select('id')
+      .single();
+
+    if (error) {
+      console.error('error creating crash hash chain:', error);
+      throw error;
+    }
+
+    await this.logger.gameEvent('crash', `published hash chain ${chain.id}, waiting for its salt`, {
+      terminatingHash,
+      saltSource,
+      length: this.chainLength
+    });
+
+    return { id: chain.id, terminatingHash, saltSource, saltNotBefore: saltNotBefore.toISOString(), length: this.chainLength };
+  }
+
+  // Record the external salt of a published chain, once; rounds can only be played from salted chains
+  async saltChain(chainId, blockHash, blockHeight) {
+    if (typeof blockHash !== 'string' || !/^[0-9a-f]{64}$/.test(blockHash)) {
+      return { success: false, message: 'block hash must be 64 lowercase hex characters' };
+    }
+    if (!Number.isInteger(blockHeight) || blockHeight < 0) {
+      return { success: false, message: 'block height must be a non-negative integer' };
+    }
+
+    const { data: chain, error } = await this.databaseService.supabase
+      .from('crash_hash_chains')
+      .select('id, status, salt_not_before')
+      .eq('id', chainId)
+      .maybeSingle();
+
+    if (error) {
+      console.error('error loading crash hash chain:', error);
+      return { success: false, message: 'failed to load hash chain' };
+    }
+    if (!chain) {
+      return { success: false, message: 'hash chain not found' };
+    }
+    if (chain.status !== 'pending') {
+      return { success: false, message: 'hash chain is already salted' };
+    }
+    if (Date.now() < new Date(chain.salt_not_before).getTime()) {
+      return { success: false, message: `the salting block cannot exist before ${new Date(chain.salt_not_before).toISOString()}` };
+    }
+
+    const saltReference = `bitcoin block ${blockHeight}`;
+    const { data: salted, error: saltError } = await this.databaseService.supabase
+      .from('crash_hash_chains')
+      .update({
+        client_seed: blockHash,
+        salt_reference: saltReference,
+        salted_at: new Date().toISOString(),
+        status: 'salted'
+      })
+      .eq('id', chainId)
+      .eq('status', 'pending')
+      .select('id');
+
+    if (saltError) {
+      console.error('error salting crash hash chain:', saltError);
+      return { success: false, message: 'failed to salt hash chain' };
+    }
+    if (!salted || salted.length === 0) {
+      return { success: false, message: 'hash chain is already salted' };
+    }
+
+    await this.logger.gameEvent('crash', `salted hash chain ${chainId}`, { salt: blockHash, saltReference });
+
+    return { success: true, chainId, salt: blockHash, saltReference };
+  }
+
+  async markExhausted(chainId) {
+    const { error } = await this.databaseService.supabase
+      .from('crash_hash_chains')
+      .update({ status: 'exhausted' })
+      .eq('id', chainId);
+
+    if (error) {
+      console.error('error marking crash hash chain exhausted:', error);
+    }
+  }
+
+  // Claim the next seed of the active chain, rolling over to the next salted chain when it runs out.
+  // Returns null while no salted chain is available.
+  async nextRound() {
+    if (this.activeChain && this.activeChain.nextIndex > this.activeChain.length) {
+      await this.markExhausted(this.activeChain.id);
+      this.seedCache.set(this.activeChain.id, this.activeChain.seeds);
+      this.activeChain = null;
+    }
+
+    if (!this.activeChain) {
+      await this.initialize();
+    }
+
+    const chain = this.activeChain;
+    if (!chain) {
+      return null;
+    }
+
+    const index = chain.nextIndex;
+
+    // Only advance if no other process claimed this index first
+    const { data: claimed, error } = await this.databaseService.supabase
+      .from('crash_hash_chains')
+      .update({ next_index: index + 1 })
+      .eq('id', chain.id)
+      .eq('next_index', index)
+      .select('id');
+
+    if (error) {
+      console.error('error advancing crash hash chain:', error);
+      throw error;
+    }
+    if (!claimed || claimed.length === 0) {
+      throw new Error(`crash hash chain ${chain.id} index ${index} was already used`);
+    }
+
+    chain.nextIndex = index + 1;
+    if (chain.length - index < PUBLISH_AHEAD_ROUNDS) {
+      // Gives the next chain time to be salted before this one runs out; the claimed seed is used either way
+      try {
+        await this.ensureNextChain();
+      } catch (error) {
+        await this.logger.error('error publishing next crash hash chain', { error: error.message });
+      }
+    }
+
+    const serverSeed = HashChainManager.seedAt(chain.seeds, chain.length, index);
+
+    return {
+      chainId: chain.id,
+      chainIndex: index,
+      serverSeed,
+      gameHash: hashSeed(serverSeed),
+      clientSeed: chain.clientSeed
+    };
+  }
+
+  // Recover the seed of an already claimed round, e.g. after a restart
+  async getRoundSeed(chainId, chainIndex) {
+    if (this.activeChain && this.activeChain.id === chainId) {
+      return HashChainManager.seedAt(this.activeChain.seeds, this.activeChain.length, chainIndex);
+    }
+
+    if (!this.seedCache.has(chainId)) {
+      const { data: row, error } = await this.databaseService.supabase
+        .from('crash_hash_chains')
+        .select('*')
+        .eq('id', chainId)
+        .single();
+
+      if (error || !row) {
+        console.error('error loading crash hash chain:', error);
+        return null;
+      }
+      this.seedCache.set(chainId, this.loadChain(row).seeds);
+    }
+
+    const seeds = this.seedCache.get(chainId);
+    return HashChainManager.seedAt(seeds, seeds.length - 1, chainIndex);
+  }
+
+  // Public commitment of the active chain, safe to send to clients
+  getPublicInfo() {
+    if (!this.activeChain) {
+      return null;
+    }
+
+    return {
+      chainId: this.activeChain.id,
+      terminatingHash: this.activeChain.terminatingHash,
+      clientSeed: this.activeChain.clientSeed,
+      saltSource: this.activeChain.saltSource,
+      saltReference: this.activeChain.saltReference,
+      length: this.activeChain.length
+    };
+  }
+}
+
+module.exports = HashChainManager;
@@ -0,0 +1,104 @@
+// Idempotency Manager - Replay protection for money-moving requests
+// Purpose: Remember the result of each client-supplied idempotency key for a retention window and hand it back on retries instead of running the request again
+
+const crypto = require('crypto');
+
+const DEFAULT_RETENTION_MS = 10 * 60 * 1000; // 10 minutes
+const SWEEP_INTERVAL_MS = 60 * 1000;
+const MAX_KEY_LENGTH = 128;
+
+// Key-order independent JSON so a retried request with reordered fields still matches
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+class IdempotencyManager {
+  constructor(retentionMs = DEFAULT_RETENTION_MS) {
+    this.retentionMs = retentionMs;
+    this.entries = new Map(); // userId:scope:key -> { fingerprint, promise, expiresAt }
+    this.lastSweep = Date.now();
+  }
+
+  validateKey(key) {
+    if (typeof key !== 'string' || key.trim().length === 0) {
+      return 'idempotency key must be a non-empty string';
+    }
+    if (key.length > MAX_KEY_LENGTH) {
+      return `idempotency key must be at most ${MAX_KEY_LENGTH} characters`;
+    }
+    if (!/^[\x21-\x7e]+$/.test(key)) {
+      return 'idempotency key may only contain printable characters without spaces';
+    }
+    return null;
+  }
+
+  // Run the operation once per key; returns { result, replayed } or { error } when the key is invalid or
+  // was already used for a different request. Thrown errors are not remembered so the client can retry.
+  async run(userId, scope, key, request, operation) {
+    const keyError = this.validateKey(key);
+    if (keyError) {
+      return { error: keyError };
+    }
+
+    this.sweep();
+
+    const entryKey = `${userId}:${scope}:${key}`;
+    const fingerprint = crypto.createHash('sha256').update(stableStringify(request)).digest('hex');
+    const existing = this.entries.get(entryKey);
+
+    if (existing) {
+      if (existing.fingerprint !== fingerprint) {
+        return { error: 'idempotency key was already used for a different request' };
+      }
+      // Duplicates that arrive while the first request is still running wait for its result
+      return { result: await existing.promise, replayed: true };
+    }
+
+    const entry = {
+      fingerprint,
+      promise: null,
+      expiresAt: Infinity
+    };
+    entry.promise = Promise.resolve().then(operation);
+    this.entries.set(entryKey, entry);
+
+    try {
+      const result = await entry.promise;
+      entry.expiresAt = Date.now() + this.retentionMs;
+      return { result, replayed: false };
+    } catch (error) {
+      this.entries.delete(entryKey);
+      throw error;
+    }
+  }
+
+  // Drop a stored result, e.g. when the request failed for a reason a retry could fix
+  forget(userId, scope, key) {
+    this.entries.delete(`${userId}:${scope}:${key}`);
+  }
+
+  sweep(now = Date.now()) {
+    if (now - this.lastSweep < SWEEP_INTERVAL_MS) {
+      return;
+    }
+    this.lastSweep = now;
+
+    for (const [entryKey, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(entryKey);
+      }
+    }
+  }
+
+  cleanup() {
+    this.entries.clear();
+  }
+}
+
+module.exports = IdempotencyManager;
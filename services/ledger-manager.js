@@ -0,0 +1,167 @@
+// Ledger Manager - Double-entry GC ledger
+// Purpose: Write every balance movement as balanced debit/credit entries between user accounts and the house account, and prove the books sum to zero
+
+const HOUSE_ACCOUNT = 'house';
+const PAGE_SIZE = 1000;
+
+// Which side each movement debits; admin adjustments and opening balances follow the sign of the amount
+const MOVEMENTS = {
+  bet_stake: 'user',
+  payout: 'house',
+  refund: 'house',
+  bonus: 'house',
+  opening_balance: null,
+  admin_adjustment: null
+};
+
+// Transaction types used by DatabaseService.updateBalance callers
+const TRANSACTION_MOVEMENTS = {
+  bet: 'bet_stake',
+  bet_stake: 'bet_stake',
+  game_win: 'payout',
+  payout: 'payout',
+  refund: 'refund',
+  bonus: 'bonus',
+  admin_adjustment: 'admin_adjustment'
+};
+
+function userAccount(userId) {
+  return `user:${userId}`;
+}
+
+class LedgerManager {
+  constructor(databaseService) {
+    this.databaseService = databaseService;
+  }
+
+  movementFor(transactionType) {
+    return TRANSACTION_MOVEMENTS[transactionType] || null;
+  }
+
+  // Two entries of equal size, one debit and one credit, between the user and the house
+  buildEntries(movement, userId, amount) {
+    if (!(movement in MOVEMENTS)) {
+      throw new Error(`unknown ledger movement: ${movement}`);
+    }
+    if (!Number.isFinite(amount) || amount === 0) {
+      throw new Error('ledger amount must be a non-zero number');
+    }
+    if (amount < 0 && MOVEMENTS[movement] !== null) {
+      throw new Error(`${movement} amount must be positive`);
+    }
+
+    const debitSide = MOVEMENTS[movement] || (amount > 0 ? 'house' : 'user');
+    const size = Math.abs(amount);
+    const user = userAccount(userId);
+
+    return [
+      { account: debitSide === 'user' ? user : HOUSE_ACCOUNT, direction: 'debit', amount: size },
+      { account: debitSide === 'user' ? HOUSE_ACCOUNT : user, direction: 'credit', amount: size }
+    ];
+  }
+
+  // Post one movement; the database writes the entries and refreshes the user's cached balance in a single transaction.
+  // Opening balances only record funds the cached balance already holds, so they leave it untouched.
+  async post(movement, userId, amount, reference = {}) {
+    const entries = this.buildEntries(movement, userId, amount);
+
+    const { data: result, error } = await this.databaseService.supabase.rpc('post_ledger_transaction', {
+      p_movement: movement,
+      p_user_id: userId,
+      p_entries: entries,
+      p_apply_balance: movement !== 'opening_balance',
+      p_game_type: reference.gameType || null,
+      p_game_id: reference.gameId || null,
+      p_bet_id: reference.betId || null,
+      p_description: reference.description || null
+    });
+
+    if (error) {
+      console.error('error posting ledger transaction:', error);
+      throw new Error(error.message || 'failed to post ledger transaction');
+    }
+
+    return {
+      transactionId: result.transaction_id,
+      newBalance: result.new_balance
+    };
+  }
+
+  // Every row of a set-returning book query, read in pages
+  async readPages(name, orderColumn) {
+    const rows = [];
+    for (let from = 0; ; from += PAGE_SIZE) {
+      const { data: page, error } = await this.databaseService.supabase
+        .rpc(name)
+        .order(orderColumn, { ascending: true })
+        .range(from, from + PAGE_SIZE - 1);
+
+      if (error) {
+        console.error(`error reading ${name}:`, error);
+        throw new Error('failed to read the ledger');
+      }
+
+      rows.push(...(page || []));
+      if (!page || page.length < PAGE_SIZE) {
+        return rows;
+      }
+    }
+  }
+
+  // One-off cutover step: give every user without an opening balance one for whatever their cached balance holds
+  // beyond their ledger entries, so balances from before the ledger are on the books
+  async backfillOpeningBalances() {
+    const gaps = await this.readPages('get_ledger_opening_gaps', 'user_id');
+
+    for (const gap of gaps) {
+      await this.post('opening_balance', gap.user_id, Number(gap.difference), { description: 'opening balance backfill' });
+    }
+
+    const summary = await this.loadSummary();
+    return {
+      backfilled: gaps.length,
+      usersChecked: summary.users_checked
+    };
+  }
+
+  async loadSummary() {
+    const { data: summary, error } = await this.databaseService.supabase.rpc('get_ledger_summary');
+    if (error) {
+      console.error('error reading ledger summary:', error);
+      throw new Error('failed to read the ledger');
+    }
+
+    return summary;
+  }
+
+  // The database sums every account: each transaction must balance, house + users must sum to zero
+  // and every user's cached balance, ledger entries or not, must match what the ledger says it is
+  async verify() {
+    const summary = await this.loadSummary();
+    const unbalanced = await this.readPages('get_unbalanced_ledger_transactions', 'transaction_id');
+    const mismatches = await this.readPages('get_ledger_balance_mismatches', 'user_id');
+
+    const netTotal = Number(summary.net_total);
+    return {
+      balanced: netTotal === 0 && unbalanced.length === 0 && mismatches.length === 0,
+      houseTotal: Number(summary.house_total),
+      userTotal: Number(summary.user_total),
+      netTotal,
+      transactionCount: Number(summary.transaction_count),
+      entryCount: Number(summary.entry_count),
+      usersChecked: Number(summary.users_checked),
+      unbalancedTransactions: unbalanced.map(row => ({
+        transactionId: row.transaction_id,
+        difference: Number(row.difference)
+      })),
+      balanceMismatches: mismatches.map(row => ({
+        userId: row.user_id,
+        cached: Number(row.cached),
+        ledger: Number(row.ledger)
+      })),
+      verifiedAt: new Date().toISOString()
+    };
+  }
+}
+
+module.exports = LedgerManager;
@@ -0,0 +1,218 @@
+// Seed Manager - Per-player seed pairs for single-player games
+// Purpose: Keep each player's hashed server seed, client seed and nonce, persist them and reveal server seeds on rotation
+
+const crypto = require('crypto');
+const { hashServerSeed } = require('./fair-random');
+
+const MAX_CLIENT_SEED_LENGTH = 64;
+
+class SeedManager {
+  constructor(databaseService, logger) {
+    this.databaseService = databaseService;
+    this.logger = logger;
+    this.pairs = new Map(); // userId -> active seed pair
+    this.queues = new Map(); // userId -> promise chain serializing seed operations
+    this.leases = new Map(); // userId -> number of unfinished games still drawing from the active pair
+  }
+
+  // Run seed operations for a user one at a time so nonces are never handed out twice
+  withUserLock(userId, operation) {
+    const previous = this.queues.get(userId) || Promise.resolve();
+    const next = previous.catch(() => {}).then(operation);
+    this.queues.set(userId, next);
+
+    next.catch(() => {}).then(() => {
+      if (this.queues.get(userId) === next) {
+        this.queues.delete(userId);
+      }
+    });
+
+    return next;
+  }
+
+  validateClientSeed(clientSeed) {
+    if (typeof clientSeed !== 'string' || clientSeed.trim().length === 0) {
+      return 'client seed is required';
+    }
+    if (clientSeed.length > MAX_CLIENT_SEED_LENGTH) {
+      return `client seed must be at most ${MAX_CLIENT_SEED_LENGTH} characters`;
+    }
+    if (!/^[\x20-\x7e]+$/.test(clientSeed)) {
+      return 'client seed may only contain printable characters';
+    }
+    return null;
+  }
+
+  async loadActivePair(userId) {
+    if (this.pairs.has(userId)) {
+      return this.pairs.get(userId);
+    }
+
+    const { data: row, error } = await this.databaseService.supabase
+      .from('user_seed_pairs')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('status', 'active')
+      .order('id', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) {
+      console.error('error loading seed pair:', error);
+      throw new Error('failed to load seed pair');
+    }
+
+    const pair = row
+      ? {
+          id: row.id,
+          serverSeed: row.server_seed,
+          serverSeedHash: row.server_seed_hash,
+          clientSeed: row.client_seed,
+          nonce: row.nonce
+        }
+      : await this.createPair(userId);
+
+    this.pairs.set(userId, pair);
+    return pair;
+  }
+
+  async createPair(userId, clientSeed = null) {
+    const serverSeed = crypto.randomBytes(32).toString('hex');
+    const pair = {
+      serverSeed,
+      serverSeedHash: hashServerSeed(serverSeed),
+      clientSeed: clientSeed || crypto.randomBytes(8).toString('hex'),
+      nonce: 0
+    };
+
+    const { data: row, error } = await this.databaseService.supabase
+      .from('user_seed_pairs')
+      .insert({
+        user_id: userId,
+        server_seed: pair.serverSeed,
+        server_seed_hash: pair.serverSeedHash,
+        client_seed: pair.clientSeed,
+        nonce: 0,
+        status: 'active'
+      })
+      .select('id')
+      .single();
+
+    if (error) {
+      console.error('error creating seed pair:', error);
+      throw new Error('failed to create seed pair');
+    }
+
+    pair.id = row.id;
+    return pair;
+  }
+
+  // Hand out the next nonce; `hold` keeps the pair from rotating until release() is called
+  async claimNonce(userId, hold = false) {
+    return await this.withUserLock(userId, async () => {
+      const pair = await this.loadActivePair(userId);
+      const nonce = pair.nonce;
+
+      // Persist first so a restart can never replay a nonce
+      const { error } = await this.databaseService.supabase
+        .from('user_seed_pairs')
+        .update({ nonce: nonce + 1 })
+        .eq('id', pair.id);
+
+      if (error) {
+        console.error('error advancing seed nonce:', error);
+        throw new Error('failed to reserve game seed');
+      }
+
+      pair.nonce = nonce + 1;
+      if (hold) {
+        this.leases.set(userId, (this.leases.get(userId) || 0) + 1);
+      }
+
+      return {
+        pairId: pair.id,
+        serverSeed: pair.serverSeed,
+        serverSeedHash: pair.serverSeedHash,
+        clientSeed: pair.clientSeed,
+        nonce
+      };
+    });
+  }
+
+  // Hold the pair again for a game restored after a restart; null if the game's pair is no longer the active one
+  async reclaim(userId, serverSeedHash) {
+    return await this.withUserLock(userId, async () => {
+      const pair = await this.loadActivePair(userId);
+      if (pair.serverSeedHash !== serverSeedHash) {
+        return null;
+      }
+
+      this.leases.set(userId, (this.leases.get(userId) || 0) + 1);
+      return pair;
+    });
+  }
+
+  release(userId) {
+    const count = (this.leases.get(userId) || 0) - 1;
+    if (count > 0) {
+      this.leases.set(userId, count);
+    } else {
+      this.leases.delete(userId);
+    }
+  }
+
+  // Reveal the active server seed and start a new pair, optionally with a new client seed
+  async rotateSeed(userId, clientSeed = null) {
+    return await this.withUserLock(userId, async () => {
+      if (this.leases.get(userId)) {
+        throw new Error('finish your game in progress before changing seeds');
+      }
+
+      const previous = await this.loadActivePair(userId);
+      const { error } = await this.databaseService.supabase
+        .from('user_seed_pairs')
+        .update({
+          status: 'revealed',
+          revealed_at: new Date().toISOString()
+        })
+        .eq('id', previous.id);
+
+      if (error) {
+        console.error('error revealing seed pair:', error);
+        throw new Error('failed to rotate seed');
+      }
+
+      this.pairs.delete(userId);
+      const next = await this.createPair(userId, clientSeed || previous.clientSeed);
+      this.pairs.set(userId, next);
+
+      await this.logger.userEvent(userId, 'rotated seed pair', { revealedPairId: previous.id });
+
+      return {
+        previous: {
+          serverSeed: previous.serverSeed,
+          serverSeedHash: previous.serverSeedHash,
+          clientSeed: previous.clientSeed,
+          nonce: previous.nonce
+        },
+        active: this.toPublic(next)
+      };
+    });
+  }
+
+  async getPublicPair(userId) {
+    const pair = await this.withUserLock(userId, () => this.loadActivePair(userId));
+    return this.toPublic(pair);
+  }
+
+  // The active server seed itself is never sent to clients
+  toPublic(pair) {
+    return {
+      serverSeedHash: pair.serverSeedHash,
+      clientSeed: pair.clientSeed,
+      nonce: pair.nonce
+    };
+  }
+}
+
+module.exports = SeedManager;
@@ -0,0 +1,66 @@
+-- place_instant_bet - Stake and settle a single-result bet (slots, dice, plinko, keno) in one transaction
+-- The round is created already completed and the bet already settled, so an instant game never leaves anything open
+
+create or replace function place_instant_bet(
+  p_game_type text,
+  p_user_id uuid,
+  p_bet_amount numeric,
+  p_payout_multiplier numeric,
+  p_game_data jsonb
+) returns jsonb
+language plpgsql
+as $$
+declare
+  v_balance numeric;
+  v_round_id bigint;
+  v_bet_id bigint;
+  v_payout numeric;
+begin
+  if p_bet_amount is null or p_bet_amount <= 0 then
+    raise exception 'bet amount must be positive';
+  end if;
+  if p_payout_multiplier is null or p_payout_multiplier < 0 then
+    raise exception 'payout multiplier must not be negative';
+  end if;
+
+  select gc_balance into v_balance from users where id = p_user_id for update;
+  if not found then
+    raise exception 'user not found';
+  end if;
+  if v_balance < p_bet_amount then
+    raise exception 'insufficient balance';
+  end if;
+
+  v_payout := round(p_bet_amount * p_payout_multiplier, 2);
+  v_round_id := create_game_round(p_game_type, p_game_data);
+  update game_rounds set status = 'completed', updated_at = now() where id = v_round_id;
+
+  insert into game_bets (round_id, user_id, game_type, bet_amount, status, cashout_value, payout_amount)
+  values (
+    v_round_id,
+    p_user_id,
+    p_game_type,
+    p_bet_amount,
+    case when v_payout > 0 then 'cashed_out' else 'lost' end,
+    p_payout_multiplier,
+    v_payout
+  )
+  returning id into v_bet_id;
+
+  update users
+  set gc_balance = gc_balance - p_bet_amount + v_payout
+  where id = p_user_id
+  returning gc_balance into v_balance;
+
+  return jsonb_build_object(
+    'round_id', v_round_id,
+    'bet_id', v_bet_id,
+    'payout_amount', v_payout,
+    'new_balance', v_balance
+  );
+end;
+$$;
+
+-- Money-moving RPCs are for the game server (service role) only, never for browser clients
+revoke all on function place_instant_bet(text, uuid, numeric, numeric, jsonb) from public, anon, authenticated;
+grant execute on function place_instant_bet(text, uuid, numeric, numeric, jsonb) to service_role;
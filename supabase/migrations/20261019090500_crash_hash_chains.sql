@@ -0,0 +1,27 @@
+-- crash_hash_chains - Reverse SHA-256 hash chains that seed crash rounds
+-- A chain is published (terminating hash and salt source) while pending, salted with an external value nobody
+-- could know at publication, then played from next_index 1 up to length
+
+create table if not exists crash_hash_chains (
+  id bigserial primary key,
+  root_seed text not null, -- secret until every round of the chain has been played
+  terminating_hash text not null unique,
+  length integer not null check (length > 0),
+  next_index integer not null default 1,
+  salt_source text not null, -- public rule naming the external value that will salt the chain
+  salt_not_before timestamptz not null, -- the salt cannot exist before this time
+  client_seed text, -- the salt itself, mixed into every round of the chain
+  salt_reference text, -- where the salt was taken from, e.g. the Bitcoin block height
+  salted_at timestamptz,
+  status text not null default 'pending' check (status in ('pending', 'salted', 'active', 'exhausted')),
+  created_at timestamptz not null default now(),
+  check (status = 'pending' or client_seed is not null)
+);
+
+create index if not exists crash_hash_chains_status_idx on crash_hash_chains (status, id);
+
+-- Root seeds are secret: only the game server (service role) reads this table, clients go through the fairness API
+alter table crash_hash_chains enable row level security;
+revoke all on table crash_hash_chains from public, anon, authenticated;
+grant all on table crash_hash_chains to service_role;
+grant usage, select on sequence crash_hash_chains_id_seq to service_role;
@@ -0,0 +1,23 @@
+-- user_seed_pairs - Per-player seed pairs for single-player games (slots, hi-lo, dice, plinko, mines, keno)
+-- A player has one active pair whose nonce advances once per game; rotating reveals its server seed and starts a new pair
+
+create table if not exists user_seed_pairs (
+  id bigserial primary key,
+  user_id uuid not null references users (id),
+  server_seed text not null, -- secret until the pair is revealed
+  server_seed_hash text not null,
+  client_seed text not null,
+  nonce integer not null default 0 check (nonce >= 0),
+  status text not null default 'active' check (status in ('active', 'revealed')),
+  revealed_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+-- A second active pair would let two games share a nonce
+create unique index if not exists user_seed_pairs_active_idx on user_seed_pairs (user_id) where status = 'active';
+
+-- Active server seeds are secret: only the game server (service role) reads this table
+alter table user_seed_pairs enable row level security;
+revoke all on table user_seed_pairs from public, anon, authenticated;
+grant all on table user_seed_pairs to service_role;
+grant usage, select on sequence user_seed_pairs_id_seq to service_role;
@@ -0,0 +1,41 @@
+-- cashout_bet_by_id - Cash out one crash bet, addressed by its ID, when a player holds several in the same round
+-- Only an active bet pays; the status change and the credit happen in one transaction so a bet can never pay twice
+
+create or replace function cashout_bet_by_id(
+  p_bet_id bigint,
+  p_cashout_value numeric
+) returns jsonb
+language plpgsql
+as $$
+declare
+  v_bet game_bets;
+  v_payout numeric;
+  v_balance numeric;
+begin
+  if p_cashout_value is null or p_cashout_value < 1 then
+    raise exception 'cashout value must be at least 1';
+  end if;
+
+  select * into v_bet from game_bets where id = p_bet_id for update;
+  if not found then
+    raise exception 'bet not found';
+  end if;
+  if v_bet.status <> 'active' then
+    raise exception 'bet is not active';
+  end if;
+
+  v_payout := round(v_bet.bet_amount * p_cashout_value, 2);
+
+  update game_bets
+  set status = 'cashed_out', cashout_value = p_cashout_value, payout_amount = v_payout, updated_at = now()
+  where id = p_bet_id;
+
+  update users set gc_balance = gc_balance + v_payout where id = v_bet.user_id
+  returning gc_balance into v_balance;
+
+  return jsonb_build_object('bet_id', p_bet_id, 'payout_amount', v_payout, 'new_balance', v_balance);
+end;
+$$;
+
+revoke all on function cashout_bet_by_id(bigint, numeric) from public, anon, authenticated;
+grant execute on function cashout_bet_by_id(bigint, numeric) to service_role;
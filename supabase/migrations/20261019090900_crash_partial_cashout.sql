@@ -0,0 +1,97 @@
+-- Crash partial cashouts - Take part of a crash bet off the table while the rest keeps riding
+-- remaining_amount is the stake still riding (null until the first partial cashout, meaning all of bet_amount);
+-- partial_payout is what earlier partial cashouts of the bet already paid
+
+alter table game_bets add column if not exists remaining_amount numeric;
+alter table game_bets add column if not exists partial_payout numeric not null default 0;
+
+create or replace function partial_cashout_bet(
+  p_bet_id bigint,
+  p_amount numeric,
+  p_cashout_value numeric
+) returns jsonb
+language plpgsql
+as $$
+declare
+  v_bet game_bets;
+  v_riding numeric;
+  v_payout numeric;
+  v_balance numeric;
+begin
+  if p_cashout_value is null or p_cashout_value < 1 then
+    raise exception 'cashout value must be at least 1';
+  end if;
+
+  select * into v_bet from game_bets where id = p_bet_id for update;
+  if not found then
+    raise exception 'bet not found';
+  end if;
+  if v_bet.status <> 'active' then
+    raise exception 'bet is not active';
+  end if;
+
+  v_riding := coalesce(v_bet.remaining_amount, v_bet.bet_amount);
+  -- Cashing out the whole remaining stake is a regular cashout
+  if p_amount is null or p_amount <= 0 or p_amount >= v_riding then
+    raise exception 'partial cashout amount must be greater than 0 and less than the remaining stake';
+  end if;
+
+  v_payout := round(p_amount * p_cashout_value, 2);
+
+  update game_bets
+  set remaining_amount = v_riding - p_amount, partial_payout = partial_payout + v_payout, updated_at = now()
+  where id = p_bet_id;
+
+  update users set gc_balance = gc_balance + v_payout where id = v_bet.user_id
+  returning gc_balance into v_balance;
+
+  return jsonb_build_object(
+    'bet_id', p_bet_id,
+    'payout_amount', v_payout,
+    'remaining_amount', v_riding - p_amount,
+    'new_balance', v_balance
+  );
+end;
+$$;
+
+-- A full cashout now pays the stake still riding; payout_amount records everything the bet paid
+create or replace function cashout_bet_by_id(
+  p_bet_id bigint,
+  p_cashout_value numeric
+) returns jsonb
+language plpgsql
+as $$
+declare
+  v_bet game_bets;
+  v_payout numeric;
+  v_balance numeric;
+begin
+  if p_cashout_value is null or p_cashout_value < 1 then
+    raise exception 'cashout value must be at least 1';
+  end if;
+
+  select * into v_bet from game_bets where id = p_bet_id for update;
+  if not found then
+    raise exception 'bet not found';
+  end if;
+  if v_bet.status <> 'active' then
+    raise exception 'bet is not active';
+  end if;
+
+  v_payout := round(coalesce(v_bet.remaining_amount, v_bet.bet_amount) * p_cashout_value, 2);
+
+  update game_bets
+  set status = 'cashed_out', cashout_value = p_cashout_value, payout_amount = v_bet.partial_payout + v_payout, updated_at = now()
+  where id = p_bet_id;
+
+  update users set gc_balance = gc_balance + v_payout where id = v_bet.user_id
+  returning gc_balance into v_balance;
+
+  return jsonb_build_object('bet_id', p_bet_id, 'payout_amount', v_payout, 'new_balance', v_balance);
+end;
+$$;
+
+revoke all on function partial_cashout_bet(bigint, numeric, numeric) from public, anon, authenticated;
+grant execute on function partial_cashout_bet(bigint, numeric, numeric) to service_role;
+revoke all on function cashout_bet_by_id(bigint, numeric) from public, anon, authenticated;
+grant execute on function cashout_bet_by_id(bigint, numeric) to service_role;
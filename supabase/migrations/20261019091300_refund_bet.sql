@@ -0,0 +1,36 @@
+-- refund_bet - Hand an open stake back: cancelled crash bets, rounds voided after a restart, failed settlements
+-- Only an active bet is refunded, and only the stake still riding; partial cashouts it already paid stand
+
+create or replace function refund_bet(
+  p_bet_id bigint
+) returns jsonb
+language plpgsql
+as $$
+declare
+  v_bet game_bets;
+  v_refund numeric;
+  v_balance numeric;
+begin
+  select * into v_bet from game_bets where id = p_bet_id for update;
+  if not found then
+    raise exception 'bet not found';
+  end if;
+  if v_bet.status <> 'active' then
+    raise exception 'bet is not active';
+  end if;
+
+  v_refund := coalesce(v_bet.remaining_amount, v_bet.bet_amount);
+
+  update game_bets
+  set status = 'refunded', remaining_amount = 0, updated_at = now()
+  where id = p_bet_id;
+
+  update users set gc_balance = gc_balance + v_refund where id = v_bet.user_id
+  returning gc_balance into v_balance;
+
+  return jsonb_build_object('bet_id', p_bet_id, 'refund_amount', v_refund, 'new_balance', v_balance);
+end;
+$$;
+
+revoke all on function refund_bet(bigint) from public, anon, authenticated;
+grant execute on function refund_bet(bigint) to service_role;
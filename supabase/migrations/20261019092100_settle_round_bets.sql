@@ -0,0 +1,66 @@
+-- settle_round_bets - Settle every bet of a multi-player round (coinflip, jackpot, roulette) in one transaction
+-- Each settlement is {bet_id, multiplier}: a positive multiplier pays bet_amount * multiplier, 0 marks the bet lost.
+-- Every bet must be active and belong to the round, otherwise nothing is settled
+
+create or replace function settle_round_bets(
+  p_game_type text,
+  p_round_id bigint,
+  p_settlements jsonb
+) returns table (bet_id bigint, payout_amount numeric, new_balance numeric)
+language plpgsql
+as $$
+declare
+  v_settlement record;
+  v_bet game_bets;
+  v_payout numeric;
+  v_balance numeric;
+begin
+  if p_settlements is null or jsonb_typeof(p_settlements) <> 'array' then
+    raise exception 'settlements must be an array';
+  end if;
+
+  -- Lock in bet order so two settlements touching the same bets cannot deadlock
+  for v_settlement in
+    select (item->>'bet_id')::bigint as id, (item->>'multiplier')::numeric as multiplier
+    from jsonb_array_elements(p_settlements) as item
+    order by 1
+  loop
+    if v_settlement.multiplier is null or v_settlement.multiplier < 0 then
+      raise exception 'multiplier must be 0 or more';
+    end if;
+
+    select * into v_bet from game_bets g where g.id = v_settlement.id for update;
+    if not found or v_bet.round_id <> p_round_id or v_bet.game_type <> p_game_type then
+      raise exception 'bet not found';
+    end if;
+    if v_bet.status <> 'active' then
+      raise exception 'bet is not active';
+    end if;
+
+    v_payout := round(v_bet.bet_amount * v_settlement.multiplier, 2);
+
+    if v_payout > 0 then
+      update game_bets g
+      set status = 'cashed_out', cashout_value = v_settlement.multiplier, payout_amount = v_payout, updated_at = now()
+      where g.id = v_bet.id;
+
+      update users set gc_balance = gc_balance + v_payout where id = v_bet.user_id
+      returning gc_balance into v_balance;
+    else
+      update game_bets g
+      set status = 'lost', payout_amount = 0, updated_at = now()
+      where g.id = v_bet.id;
+
+      select gc_balance into v_balance from users where id = v_bet.user_id;
+    end if;
+
+    bet_id := v_bet.id;
+    payout_amount := v_payout;
+    new_balance := v_balance;
+    return next;
+  end loop;
+end;
+$$;
+
+revoke all on function settle_round_bets(text, bigint, jsonb) from public, anon, authenticated;
+grant execute on function settle_round_bets(text, bigint, jsonb) to service_role;
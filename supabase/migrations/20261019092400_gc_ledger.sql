@@ -0,0 +1,622 @@
+-- GC ledger - Double-entry ledger behind every GC balance movement
+-- Each movement is one ledger transaction with balanced debit/credit entries between a user account (user:<id>)
+-- and the house account; users.gc_balance stays as the cached balance and moves in the same transaction as the entries
+
+create table if not exists ledger_transactions (
+  id bigserial primary key,
+  movement text not null check (movement in ('bet_stake', 'payout', 'refund', 'bonus', 'opening_balance', 'admin_adjustment')),
+  user_id uuid not null references users (id),
+  game_type text,
+  game_id text,
+  bet_id bigint,
+  description text,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists ledger_entries (
+  id bigserial primary key,
+  transaction_id bigint not null references ledger_transactions (id),
+  account text not null,
+  direction text not null check (direction in ('debit', 'credit')),
+  amount numeric not null check (amount > 0),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists ledger_entries_transaction_idx on ledger_entries (transaction_id);
+create index if not exists ledger_entries_account_idx on ledger_entries (account);
+create index if not exists ledger_transactions_user_idx on ledger_transactions (user_id, movement);
+
+-- The books are for the game server (service role) only
+alter table ledger_transactions enable row level security;
+alter table ledger_entries enable row level security;
+revoke all on table ledger_transactions from public, anon, authenticated;
+revoke all on table ledger_entries from public, anon, authenticated;
+grant all on table ledger_transactions to service_role;
+grant all on table ledger_entries to service_role;
+grant usage, select on sequence ledger_transactions_id_seq to service_role;
+grant usage, select on sequence ledger_entries_id_seq to service_role;
+
+-- Validate and write one transaction; entries may only touch the house and the transaction's user, and must balance.
+-- Callers move users.gc_balance themselves, in the same database transaction
+create or replace function write_ledger_transaction(
+  p_movement text,
+  p_user_id uuid,
+  p_entries jsonb,
+  p_game_type text default null,
+  p_game_id text default null,
+  p_bet_id bigint default null,
+  p_description text default null
+) returns bigint
+language plpgsql
+as $$
+declare
+  v_entry jsonb;
+  v_debits numeric := 0;
+  v_credits numeric := 0;
+  v_transaction_id bigint;
+begin
+  if p_entries is null or jsonb_typeof(p_entries) <> 'array' or jsonb_array_length(p_entries) = 0 then
+    raise exception 'ledger entries are required';
+  end if;
+
+  for v_entry in select * from jsonb_array_elements(p_entries) loop
+    if v_entry->>'account' is distinct from 'house' and v_entry->>'account' is distinct from 'user:' || p_user_id then
+      raise exception 'ledger entries may only touch the house and the transaction user';
+    end if;
+    if (v_entry->>'amount')::numeric is null or (v_entry->>'amount')::numeric <= 0 then
+      raise exception 'ledger entry amounts must be positive';
+    end if;
+
+    if v_entry->>'direction' = 'debit' then
+      v_debits := v_debits + (v_entry->>'amount')::numeric;
+    elsif v_entry->>'direction' = 'credit' then
+      v_credits := v_credits + (v_entry->>'amount')::numeric;
+    else
+      raise exception 'ledger entry direction must be debit or credit';
+    end if;
+  end loop;
+
+  if v_debits <> v_credits then
+    raise exception 'ledger entries must balance';
+  end if;
+
+  insert into ledger_transactions (movement, user_id, game_type, game_id, bet_id, description)
+  values (p_movement, p_user_id, p_game_type, p_game_id, p_bet_id, p_description)
+  returning id into v_transaction_id;
+
+  insert into ledger_entries (transaction_id, account, direction, amount)
+  select v_transaction_id, item->>'account', item->>'direction', (item->>'amount')::numeric
+  from jsonb_array_elements(p_entries) as item;
+
+  return v_transaction_id;
+end;
+$$;
+
+-- The pair a bet RPC writes for a movement: stakes debit the user, payouts and refunds debit the house
+create or replace function post_ledger_movement(
+  p_movement text,
+  p_user_id uuid,
+  p_amount numeric,
+  p_game_type text,
+  p_bet_id bigint
+) returns bigint
+language plpgsql
+as $$
+declare
+  v_user text := 'user:' || p_user_id;
+  v_debited text;
+  v_credited text;
+begin
+  if p_movement = 'bet_stake' then
+    v_debited := v_user;
+    v_credited := 'house';
+  elsif p_movement in ('payout', 'refund') then
+    v_debited := 'house';
+    v_credited := v_user;
+  else
+    raise exception 'unknown bet movement: %', p_movement;
+  end if;
+
+  return write_ledger_transaction(
+    p_movement,
+    p_user_id,
+    jsonb_build_array(
+      jsonb_build_object('account', v_debited, 'direction', 'debit', 'amount', p_amount),
+      jsonb_build_object('account', v_credited, 'direction', 'credit', 'amount', p_amount)
+    ),
+    p_game_type,
+    null,
+    p_bet_id,
+    null
+  );
+end;
+$$;
+
+-- Post a movement built by LedgerManager and refresh the user's cached balance, rejecting overdrafts.
+-- Opening balances only record funds the cached balance already holds, so they are posted with p_apply_balance = false
+create or replace function post_ledger_transaction(
+  p_movement text,
+  p_user_id uuid,
+  p_entries jsonb,
+  p_apply_balance boolean default true,
+  p_game_type text default null,
+  p_game_id text default null,
+  p_bet_id bigint default null,
+  p_description text default null
+) returns jsonb
+language plpgsql
+as $$
+declare
+  v_balance numeric;
+  v_change numeric;
+  v_transaction_id bigint;
+begin
+  select gc_balance into v_balance from users where id = p_user_id for update;
+  if not found then
+    raise exception 'user not found';
+  end if;
+
+  v_transaction_id := write_ledger_transaction(p_movement, p_user_id, p_entries, p_game_type, p_game_id, p_bet_id, p_description);
+
+  select coalesce(sum(case when direction = 'credit' then amount else -amount end), 0) into v_change
+  from ledger_entries
+  where transaction_id = v_transaction_id and account = 'user:' || p_user_id;
+
+  if p_apply_balance then
+    if v_balance + v_change < 0 then
+      raise exception 'insufficient balance';
+    end if;
+
+    update users set gc_balance = gc_balance + v_change where id = p_user_id
+    returning gc_balance into v_balance;
+  end if;
+
+  return jsonb_build_object('transaction_id', v_transaction_id, 'new_balance', v_balance);
+end;
+$$;
+
+-- The bet RPCs, redefined to post their stake, payout or refund to the ledger alongside the cached balance
+
+create or replace function place_bet(
+  p_game_type text,
+  p_user_id uuid,
+  p_bet_amount numeric,
+  p_round_id bigint
+) returns jsonb
+language plpgsql
+as $$
+declare
+  v_balance numeric;
+  v_bet_id bigint;
+begin
+  if p_bet_amount is null or p_bet_amount <= 0 then
+    raise exception 'bet amount must be positive';
+  end if;
+
+  select gc_balance into v_balance from users where id = p_user_id for update;
+  if v_balance is null or v_balance < p_bet_amount then
+    raise exception 'insufficient balance';
+  end if;
+
+  insert into game_bets (round_id, user_id, game_type, bet_amount)
+  values (p_round_id, p_user_id, p_game_type, p_bet_amount)
+  returning id into v_bet_id;
+
+  perform post_ledger_movement('bet_stake', p_user_id, p_bet_amount, p_game_type, v_bet_id);
+
+  update users set gc_balance = gc_balance - p_bet_amount where id = p_user_id returning gc_balance into v_balance;
+  return jsonb_build_object('success', true, 'bet_id', v_bet_id, 'new_balance', v_balance);
+end;
+$$;
+
+create or replace function cashout_bet(
+  p_game_type text,
+  p_user_id uuid,
+  p_round_id bigint,
+  p_cashout_value numeric
+) returns jsonb
+language plpgsql
+as $$
+declare
+  v_bet game_bets;
+  v_payout numeric;
+  v_balance numeric;
+begin
+  select * into v_bet from game_bets
+  where round_id = p_round_id and user_id = p_user_id and game_type = p_game_type and status = 'active'
+  order by id
+  limit 1
+  for update;
+  if not found then
+    raise exception 'no active bet found';
+  end if;
+
+  v_payout := round(coalesce(v_bet.remaining_amount, v_bet.bet_amount) * p_cashout_value, 2);
+  update game_bets
+  set status = 'cashed_out', cashout_value = p_cashout_value, payout_amount = v_bet.partial_payout + v_payout, updated_at = now()
+  where id = v_bet.id;
+
+  if v_payout > 0 then
+    perform post_ledger_movement('payout', p_user_id, v_payout, p_game_type, v_bet.id);
+  end if;
+
+  update users set gc_balance = gc_balance + v_payout where id = p_user_id returning gc_balance into v_balance;
+  return jsonb_build_object('success', true, 'bet_id', v_bet.id, 'payout_amount', v_payout, 'new_balance', v_balance);
+end;
+$$;
+
+create or replace function cashout_bet_by_id(
+  p_bet_id bigint,
+  p_cashout_value numeric
+) returns jsonb
+language plpgsql
+as $$
+declare
+  v_bet game_bets;
+  v_payout numeric;
+  v_balance numeric;
+begin
+  if p_cashout_value is null or p_cashout_value < 1 then
+    raise exception 'cashout value must be at least 1';
+  end if;
+
+  select * into v_bet from game_bets where id = p_bet_id for update;
+  if not found then
+    raise exception 'bet not found';
+  end if;
+  if v_bet.status <> 'active' then
+    raise exception 'bet is not active';
+  end if;
+
+  v_payout := round(coalesce(v_bet.remaining_amount, v_bet.bet_amount) * p_cashout_value, 2);
+
+  update game_bets
+  set status = 'cashed_out', cashout_value = p_cashout_value, payout_amount = v_bet.partial_payout + v_payout, updated_at = now()
+  where id = p_bet_id;
+
+  perform post_ledger_movement('payout', v_bet.user_id, v_payout, v_bet.game_type, p_bet_id);
+
+  update users set gc_balance = gc_balance + v_payout where id = v_bet.user_id
+  returning gc_balance into v_balance;
+
+  return jsonb_build_object('bet_id', p_bet_id, 'payout_amount', v_payout, 'new_balance', v_balance);
+end;
+$$;
+
+create or replace function partial_cashout_bet(
+  p_bet_id bigint,
+  p_amount numeric,
+  p_cashout_value numeric
+) returns jsonb
+language plpgsql
+as $$
+declare
+  v_bet game_bets;
+  v_riding numeric;
+  v_payout numeric;
+  v_balance numeric;
+begin
+  if p_cashout_value is null or p_cashout_value < 1 then
+    raise exception 'cashout value must be at least 1';
+  end if;
+
+  select * into v_bet from game_bets where id = p_bet_id for update;
+  if not found then
+    raise exception 'bet not found';
+  end if;
+  if v_bet.status <> 'active' then
+    raise exception 'bet is not active';
+  end if;
+
+  v_riding := coalesce(v_bet.remaining_amount, v_bet.bet_amount);
+  -- Cashing out the whole remaining stake is a regular cashout
+  if p_amount is null or p_amount <= 0 or p_amount >= v_riding then
+    raise exception 'partial cashout amount must be greater than 0 and less than the remaining stake';
+  end if;
+
+  v_payout := round(p_amount * p_cashout_value, 2);
+
+  update game_bets
+  set remaining_amount = v_riding - p_amount, partial_payout = partial_payout + v_payout, updated_at = now()
+  where id = p_bet_id;
+
+  if v_payout > 0 then
+    perform post_ledger_movement('payout', v_bet.user_id, v_payout, v_bet.game_type, p_bet_id);
+  end if;
+
+  update users set gc_balance = gc_balance + v_payout where id = v_bet.user_id
+  returning gc_balance into v_balance;
+
+  return jsonb_build_object(
+    'bet_id', p_bet_id,
+    'payout_amount', v_payout,
+    'remaining_amount', v_riding - p_amount,
+    'new_balance', v_balance
+  );
+end;
+$$;
+
+create or replace function refund_bet(
+  p_bet_id bigint
+) returns jsonb
+language plpgsql
+as $$
+declare
+  v_bet game_bets;
+  v_refund numeric;
+  v_balance numeric;
+begin
+  select * into v_bet from game_bets where id = p_bet_id for update;
+  if not found then
+    raise exception 'bet not found';
+  end if;
+  if v_bet.status <> 'active' then
+    raise exception 'bet is not active';
+  end if;
+
+  v_refund := coalesce(v_bet.remaining_amount, v_bet.bet_amount);
+
+  update game_bets
+  set status = 'refunded', remaining_amount = 0, updated_at = now()
+  where id = p_bet_id;
+
+  perform post_ledger_movement('refund', v_bet.user_id, v_refund, v_bet.game_type, p_bet_id);
+
+  update users set gc_balance = gc_balance + v_refund where id = v_bet.user_id
+  returning gc_balance into v_balance;
+
+  return jsonb_build_object('bet_id', p_bet_id, 'refund_amount', v_refund, 'new_balance', v_balance);
+end;
+$$;
+
+create or replace function place_instant_bet(
+  p_game_type text,
+  p_user_id uuid,
+  p_bet_amount numeric,
+  p_payout_multiplier numeric,
+  p_game_data jsonb
+) returns jsonb
+language plpgsql
+as $$
+declare
+  v_balance numeric;
+  v_round_id bigint;
+  v_bet_id bigint;
+  v_payout numeric;
+begin
+  if p_bet_amount is null or p_bet_amount <= 0 then
+    raise exception 'bet amount must be positive';
+  end if;
+  if p_payout_multiplier is null or p_payout_multiplier < 0 then
+    raise exception 'payout multiplier must not be negative';
+  end if;
+
+  select gc_balance into v_balance from users where id = p_user_id for update;
+  if not found then
+    raise exception 'user not found';
+  end if;
+  if v_balance < p_bet_amount then
+    raise exception 'insufficient balance';
+  end if;
+
+  v_payout := round(p_bet_amount * p_payout_multiplier, 2);
+  v_round_id := create_game_round(p_game_type, p_game_data);
+  update game_rounds set status = 'completed', updated_at = now() where id = v_round_id;
+
+  insert into game_bets (round_id, user_id, game_type, bet_amount, status, cashout_value, payout_amount)
+  values (
+    v_round_id,
+    p_user_id,
+    p_game_type,
+    p_bet_amount,
+    case when v_payout > 0 then 'cashed_out' else 'lost' end,
+    p_payout_multiplier,
+    v_payout
+  )
+  returning id into v_bet_id;
+
+  -- Stake and payout are posted as two movements so the books show both sides of the game
+  perform post_ledger_movement('bet_stake', p_user_id, p_bet_amount, p_game_type, v_bet_id);
+  if v_payout > 0 then
+    perform post_ledger_movement('payout', p_user_id, v_payout, p_game_type, v_bet_id);
+  end if;
+
+  update users
+  set gc_balance = gc_balance - p_bet_amount + v_payout
+  where id = p_user_id
+  returning gc_balance into v_balance;
+
+  return jsonb_build_object(
+    'round_id', v_round_id,
+    'bet_id', v_bet_id,
+    'payout_amount', v_payout,
+    'new_balance', v_balance
+  );
+end;
+$$;
+
+create or replace function settle_round_bets(
+  p_game_type text,
+  p_round_id bigint,
+  p_settlements jsonb
+) returns table (bet_id bigint, payout_amount numeric, new_balance numeric)
+language plpgsql
+as $$
+declare
+  v_settlement record;
+  v_bet game_bets;
+  v_payout numeric;
+  v_balance numeric;
+begin
+  if p_settlements is null or jsonb_typeof(p_settlements) <> 'array' then
+    raise exception 'settlements must be an array';
+  end if;
+
+  -- Lock in bet order so two settlements touching the same bets cannot deadlock
+  for v_settlement in
+    select (item->>'bet_id')::bigint as id, (item->>'multiplier')::numeric as multiplier
+    from jsonb_array_elements(p_settlements) as item
+    order by 1
+  loop
+    if v_settlement.multiplier is null or v_settlement.multiplier < 0 then
+      raise exception 'multiplier must be 0 or more';
+    end if;
+
+    select * into v_bet from game_bets g where g.id = v_settlement.id for update;
+    if not found or v_bet.round_id <> p_round_id or v_bet.game_type <> p_game_type then
+      raise exception 'bet not found';
+    end if;
+    if v_bet.status <> 'active' then
+      raise exception 'bet is not active';
+    end if;
+
+    v_payout := round(v_bet.bet_amount * v_settlement.multiplier, 2);
+
+    if v_payout > 0 then
+      update game_bets g
+      set status = 'cashed_out', cashout_value = v_settlement.multiplier, payout_amount = v_payout, updated_at = now()
+      where g.id = v_bet.id;
+
+      perform post_ledger_movement('payout', v_bet.user_id, v_payout, p_game_type, v_bet.id);
+
+      update users set gc_balance = gc_balance + v_payout where id = v_bet.user_id
+      returning gc_balance into v_balance;
+    else
+      update game_bets g
+      set status = 'lost', payout_amount = 0, updated_at = now()
+      where g.id = v_bet.id;
+
+      select gc_balance into v_balance from users where id = v_bet.user_id;
+    end if;
+
+    bet_id := v_bet.id;
+    payout_amount := v_payout;
+    new_balance := v_balance;
+    return next;
+  end loop;
+end;
+$$;
+
+-- Read side: everything LedgerManager.verify and the opening balance backfill need, summed in the database
+
+-- Every user's cached balance
+create or replace function get_user_gc_balances()
+returns table (user_id uuid, balance numeric)
+language sql
+stable
+as $$
+  select id, gc_balance from users;
+$$;
+
+-- Net of each user account, credits minus debits
+create or replace function get_ledger_user_totals()
+returns table (user_id uuid, ledger numeric)
+language sql
+stable
+as $$
+  select substring(account from 6)::uuid, sum(case when direction = 'credit' then amount else -amount end)
+  from ledger_entries
+  where account <> 'house'
+  group by account;
+$$;
+
+create or replace function get_ledger_summary()
+returns jsonb
+language sql
+stable
+as $$
+  select jsonb_build_object(
+    'transaction_count', (select count(*) from ledger_transactions),
+    'entry_count', (select count(*) from ledger_entries),
+    'house_total', coalesce((
+      select sum(case when direction = 'credit' then amount else -amount end) from ledger_entries where account = 'house'
+    ), 0),
+    'user_total', coalesce((
+      select sum(case when direction = 'credit' then amount else -amount end) from ledger_entries where account <> 'house'
+    ), 0),
+    'net_total', coalesce((
+      select sum(case when direction = 'credit' then amount else -amount end) from ledger_entries
+    ), 0),
+    'users_checked', (
+      select count(*) from (
+        select user_id from get_user_gc_balances()
+        union
+        select user_id from get_ledger_user_totals()
+      ) as checked
+    )
+  );
+$$;
+
+-- Transactions whose entries do not sum to zero
+create or replace function get_unbalanced_ledger_transactions()
+returns table (transaction_id bigint, difference numeric)
+language sql
+stable
+as $$
+  select transaction_id, sum(case when direction = 'credit' then amount else -amount end)
+  from ledger_entries
+  group by transaction_id
+  having sum(case when direction = 'credit' then amount else -amount end) <> 0;
+$$;
+
+-- Users whose cached balance differs from their ledger account, including users with no entries at all
+create or replace function get_ledger_balance_mismatches()
+returns table (user_id uuid, cached numeric, ledger numeric)
+language sql
+stable
+as $$
+  select coalesce(cached.user_id, totals.user_id), coalesce(cached.balance, 0), coalesce(totals.ledger, 0)
+  from get_user_gc_balances() as cached
+  full join get_ledger_user_totals() as totals on totals.user_id = cached.user_id
+  where coalesce(cached.balance, 0) <> coalesce(totals.ledger, 0);
+$$;
+
+-- Users without an opening balance whose cached balance holds more (or less) than their ledger entries
+create or replace function get_ledger_opening_gaps()
+returns table (user_id uuid, difference numeric)
+language sql
+stable
+as $$
+  select cached.user_id, cached.balance - coalesce(totals.ledger, 0)
+  from get_user_gc_balances() as cached
+  left join get_ledger_user_totals() as totals on totals.user_id = cached.user_id
+  where cached.balance <> coalesce(totals.ledger, 0)
+    and not exists (
+      select 1 from ledger_transactions t
+      where t.user_id = cached.user_id and t.movement = 'opening_balance'
+    );
+$$;
+
+-- Money-moving and book-reading RPCs are for the game server (service role) only, never for browser clients
+revoke all on function write_ledger_transaction(text, uuid, jsonb, text, text, bigint, text) from public, anon, authenticated;
+grant execute on function write_ledger_transaction(text, uuid, jsonb, text, text, bigint, text) to service_role;
+revoke all on function post_ledger_movement(text, uuid, numeric, text, bigint) from public, anon, authenticated;
+grant execute on function post_ledger_movement(text, uuid, numeric, text, bigint) to service_role;
+revoke all on function post_ledger_transaction(text, uuid, jsonb, boolean, text, text, bigint, text) from public, anon, authenticated;
+grant execute on function post_ledger_transaction(text, uuid, jsonb, boolean, text, text, bigint, text) to service_role;
+revoke all on function place_bet(text, uuid, numeric, bigint) from public, anon, authenticated;
+grant execute on function place_bet(text, uuid, numeric, bigint) to service_role;
+revoke all on function cashout_bet(text, uuid, bigint, numeric) from public, anon, authenticated;
+grant execute on function cashout_bet(text, uuid, bigint, numeric) to service_role;
+revoke all on function cashout_bet_by_id(bigint, numeric) from public, anon, authenticated;
+grant execute on function cashout_bet_by_id(bigint, numeric) to service_role;
+revoke all on function partial_cashout_bet(bigint, numeric, numeric) from public, anon, authenticated;
+grant execute on function partial_cashout_bet(bigint, numeric, numeric) to service_role;
+revoke all on function refund_bet(bigint) from public, anon, authenticated;
+grant execute on function refund_bet(bigint) to service_role;
+revoke all on function place_instant_bet(text, uuid, numeric, numeric, jsonb) from public, anon, authenticated;
+grant execute on function place_instant_bet(text, uuid, numeric, numeric, jsonb) to service_role;
+revoke all on function settle_round_bets(text, bigint, jsonb) from public, anon, authenticated;
+grant execute on function settle_round_bets(text, bigint, jsonb) to service_role;
+revoke all on function get_user_gc_balances() from public, anon, authenticated;
+grant execute on function get_user_gc_balances() to service_role;
+revoke all on function get_ledger_user_totals() from public, anon, authenticated;
+grant execute on function get_ledger_user_totals() to service_role;
+revoke all on function get_ledger_summary() from public, anon, authenticated;
+grant execute on function get_ledger_summary() to service_role;
+revoke all on function get_unbalanced_ledger_transactions() from public, anon, authenticated;
+grant execute on function get_unbalanced_ledger_transactions() to service_role;
+revoke all on function get_ledger_balance_mismatches() from public, anon, authenticated;
+grant execute on function get_ledger_balance_mismatches() to service_role;
+revoke all on function get_ledger_opening_gaps() from public, anon, authenticated;
+grant execute on function get_ledger_opening_gaps() to service_role;
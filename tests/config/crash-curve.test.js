@@ -0,0 +1,75 @@
+const { CURVE_PRESETS, resolveCurve, multiplierAt, timeToReach, describeCurve, validateCurveConfig } = require('../../config/crash-curve');
+
+describe('timeToReach', () => {
+  const curves = Object.keys(CURVE_PRESETS).map(preset => [preset, resolveCurve({ preset })]);
+
+  test.each(curves)('inverts multiplierAt on the %s curve', (_preset, curve) => {
+    for (const multiplier of [1.01, 1.2, 1.3, 2, 10, 1000]) {
+      expect(multiplierAt(curve, timeToReach(curve, multiplier))).toBeCloseTo(multiplier, 9);
+    }
+  });
+
+  test.each(curves)('grows with the multiplier on the %s curve', (_preset, curve) => {
+    const times = [1.1, 1.5, 2, 5, 100].map(multiplier => timeToReach(curve, multiplier));
+    for (let i = 1; i < times.length; i++) {
+      expect(times[i]).toBeGreaterThan(times[i - 1]);
+    }
+  });
+
+  test('is never negative, even below the starting multiplier', () => {
+    expect(timeToReach(resolveCurve({ preset: 'exponential' }), 1)).toBe(0);
+    expect(timeToReach(resolveCurve({ preset: 'linear_exponential' }), 1)).toBe(0);
+  });
+
+  test('the original curve reaches 2x just before 10 seconds', () => {
+    expect(timeToReach(resolveCurve({ preset: 'exponential' }), 2)).toBeCloseTo(9.9619, 4);
+  });
+
+  test('the linear stretch ends exactly at the switch time', () => {
+    const curve = resolveCurve({ preset: 'linear_exponential' });
+
+    expect(timeToReach(curve, 1.15)).toBeCloseTo(3, 9);
+    expect(timeToReach(curve, 1.3)).toBeCloseTo(6, 9);
+    expect(timeToReach(curve, 1.3 * 1.0718)).toBeCloseTo(7, 9);
+  });
+});
+
+describe('resolveCurve', () => {
+  test('defaults to the original exponential curve', () => {
+    expect(resolveCurve()).toEqual({ type: 'exponential', a: 1.0024, b: 1.0718 });
+  });
+
+  test('returns a copy so a round cannot change the presets', () => {
+    resolveCurve({ preset: 'faster' }).b = 5;
+    expect(CURVE_PRESETS.faster.b).toBe(1.1);
+  });
+
+  test('takes custom coefficients as they are', () => {
+    expect(resolveCurve({ preset: 'custom', type: 'exponential', coefficients: { a: 1, b: 1.05 } })).toEqual({ type: 'exponential', a: 1, b: 1.05 });
+  });
+});
+
+describe('describeCurve', () => {
+  test('adds the formula clients animate with', () => {
+    expect(describeCurve(resolveCurve({ preset: 'linear_exponential' })).formula).toBe('t < switchTime ? 1 + slope * t : (1 + slope * switchTime) * b^(t - switchTime)');
+  });
+});
+
+describe('validateCurveConfig', () => {
+  test('accepts every preset', () => {
+    for (const preset of Object.keys(CURVE_PRESETS)) {
+      expect(validateCurveConfig({ preset })).toEqual([]);
+    }
+  });
+
+  test('rejects unknown presets and out-of-range coefficients', () => {
+    expect(validateCurveConfig({ preset: 'rocket' })[0]).toMatch(/^crash: Curve preset must be one of/);
+    expect(validateCurveConfig({ preset: 'custom', type: 'exponential', coefficients: { a: 1, b: 1 } }))
+      .toEqual(['crash: Curve growth base b must be greater than 1 and at most 2']);
+    expect(validateCurveConfig({ preset: 'custom', type: 'linear_exponential', coefficients: { slope: 0, switchTime: 90, b: 1.07 } }))
+      .toEqual([
+        'crash: Curve slope must be greater than 0 and at most 1 per second',
+        'crash: Curve switch time must be greater than 0 and at most 60 seconds'
+      ]);
+  });
+});
@@ -0,0 +1,152 @@
+const GameConfig = require('../../config/game-config');
+const { computeSlotsRtp, computePlinkoRtp, computeKenoRtp } = require('../../config/rtp-calculator');
+
+describe('rtp calculator', () => {
+  const gameConfig = new GameConfig();
+
+  describe('slots', () => {
+    test('a single-symbol machine pays its only line every spin', () => {
+      const rules = {
+        reels: [['coal'], ['coal'], ['coal']],
+        rows: 1,
+        paylines: [[0, 0, 0]],
+        paytable: { coal: { 3: 2 } }
+      };
+      expect(computeSlotsRtp(rules)).toBeCloseTo(2, 12);
+    });
+
+    test('three of one of two equally weighted symbols land once in eight spins', () => {
+      const rules = {
+        reels: [['coal', 'iron'], ['coal', 'iron'], ['coal', 'iron']],
+        rows: 1,
+        paylines: [[0, 0, 0]],
+        paytable: { coal: { 3: 8 } }
+      };
+      // P(coal on all three reels) = 1/8
+      expect(computeSlotsRtp(rules)).toBeCloseTo(1, 12);
+    });
+
+    test('symbol weights skew the stop probabilities', () => {
+      const rules = {
+        reels: [['coal', 'iron'], ['coal', 'iron'], ['coal', 'iron']],
+        symbolWeights: { coal: 3, iron: 1 },
+        rows: 1,
+        paylines: [[0, 0, 0]],
+        paytable: { coal: { 3: 1 } }
+      };
+      expect(computeSlotsRtp(rules)).toBeCloseTo(27 / 64, 12);
+    });
+
+    test('default rules stay within the house edge', () => {
+      const rules = gameConfig.getGameRules('slots');
+      const rtp = computeSlotsRtp(rules);
+
+      expect(gameConfig.validateGameRules('slots', rules)).toEqual([]);
+      expect(rtp).toBeGreaterThan(0);
+      expect(rtp).toBeLessThanOrEqual(1 - gameConfig.getHouseEdge('slots') + 1e-9);
+    });
+
+    test('a paytable that pays back more than the house edge allows is rejected', () => {
+      const rules = gameConfig.getGameRules('slots');
+      const generous = {
+        ...rules,
+        paytable: { ...rules.paytable, coal: { 3: 60, 4: 160, 5: 600 } }
+      };
+
+      const errors = gameConfig.validateGameRules('slots', generous);
+      expect(errors).toHaveLength(1);
+      expect(errors[0]).toMatch(/^slots: Paytable returns \d+\.\d{2}% which exceeds the 95.00% allowed by the house edge$/);
+    });
+  });
+
+  describe('plinko', () => {
+    test('a flat table returns exactly the stake', () => {
+      expect(computePlinkoRtp(new Array(9).fill(1))).toBeCloseTo(1, 12);
+    });
+
+    test('slot probabilities follow the binomial distribution', () => {
+      // 2 rows land in the middle slot half the time and on each edge a quarter of the time
+      expect(computePlinkoRtp([0, 2, 0])).toBeCloseTo(1, 12);
+      expect(computePlinkoRtp([4, 0, 0])).toBeCloseTo(1, 12);
+      // 8 rows land on one edge once in 256 drops
+      expect(computePlinkoRtp([256, 0, 0, 0, 0, 0, 0, 0, 0])).toBeCloseTo(1, 12);
+    });
+
+    test('every default table returns at most what the house edge allows', () => {
+      const { payoutTables } = gameConfig.getGameRules('plinko');
+      for (const tables of Object.values(payoutTables)) {
+        for (const payouts of Object.values(tables)) {
+          expect(computePlinkoRtp(payouts)).toBeLessThanOrEqual(1 - gameConfig.getHouseEdge('plinko') + 1e-9);
+        }
+      }
+      expect(gameConfig.validateGameRules('plinko', gameConfig.getGameRules('plinko'))).toEqual([]);
+    });
+
+    test('a table that pays back more than the house edge allows is rejected', () => {
+      const rules = gameConfig.getGameRules('plinko');
+      const generous = {
+        payoutTables: {
+          ...rules.payoutTables,
+          low: { ...rules.payoutTables.low, 8: new Array(9).fill(1) }
+        }
+      };
+
+      expect(gameConfig.validateGameRules('plinko', generous)).toEqual([
+        'plinko: low risk with 8 rows returns 100.00% which exceeds the 95.00% allowed by the house edge'
+      ]);
+    });
+
+    test('a missing or short table is rejected', () => {
+      const rules = gameConfig.getGameRules('plinko');
+      const { 16: _missing, ...highWithout16 } = rules.payoutTables.high;
+      const broken = {
+        payoutTables: {
+          ...rules.payoutTables,
+          medium: { ...rules.payoutTables.medium, 9: [1, 1] },
+          high: highWithout16
+        }
+      };
+
+      expect(gameConfig.validateGameRules('plinko', broken)).toEqual([
+        'plinko: medium risk with 9 rows needs 10 payouts',
+        'plinko: high risk with 16 rows needs 17 payouts'
+      ]);
+    });
+  });
+
+  describe('keno', () => {
+    test('a flat paytable returns exactly the stake', () => {
+      expect(computeKenoRtp(new Array(6).fill(1), 40, 10)).toBeCloseTo(1, 12);
+    });
+
+    test('hit probabilities follow the hypergeometric distribution', () => {
+      // One pick is among the 10 drawn of 40 a quarter of the time
+      expect(computeKenoRtp([0, 4], 40, 10)).toBeCloseTo(1, 12);
+      expect(computeKenoRtp([4 / 3, 0], 40, 10)).toBeCloseTo(1, 12);
+    });
+
+    test('every default paytable returns at most what the house edge allows', () => {
+      const { paytables } = gameConfig.getGameRules('keno');
+      for (const tables of Object.values(paytables)) {
+        for (const payouts of Object.values(tables)) {
+          expect(computeKenoRtp(payouts, 40, 10)).toBeLessThanOrEqual(1 - gameConfig.getHouseEdge('keno') + 1e-9);
+        }
+      }
+      expect(gameConfig.validateGameRules('keno', gameConfig.getGameRules('keno'))).toEqual([]);
+    });
+
+    test('a paytable that pays back more than the house edge allows is rejected', () => {
+      const rules = gameConfig.getGameRules('keno');
+      const generous = {
+        paytables: {
+          ...rules.paytables,
+          high: { ...rules.paytables.high, 1: [0, 4] }
+        }
+      };
+
+      expect(gameConfig.validateGameRules('keno', generous)).toEqual([
+        'keno: high risk with 1 picks returns 100.00% which exceeds the 95.00% allowed by the house edge'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,107 @@
+-- Base schema - Tables and RPCs that already exist on every deployment, recreated for migration tests
+-- Purpose: Give supabase/migrations something to apply on top of; mirrors what the game code reads and writes
+
+create role anon;
+create role authenticated;
+create role service_role;
+
+create table users (
+  id uuid primary key default gen_random_uuid(),
+  auth_user_id uuid,
+  username text,
+  avatar_url text,
+  banned boolean not null default false,
+  gc_balance numeric not null default 0,
+  created_at timestamptz not null default now()
+);
+
+create table game_rounds (
+  id bigserial primary key,
+  game_type text not null,
+  round_number integer not null,
+  status text not null default 'active',
+  game_data jsonb,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create table game_bets (
+  id bigserial primary key,
+  round_id bigint not null references game_rounds (id),
+  user_id uuid not null references users (id),
+  game_type text not null,
+  bet_amount numeric not null,
+  status text not null default 'active',
+  auto_cashout_target numeric,
+  cashout_value numeric,
+  payout_amount numeric,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create function create_game_round(p_game_type text, p_game_data jsonb) returns bigint
+language plpgsql as $$
+declare
+  v_round_id bigint;
+begin
+  insert into game_rounds (game_type, round_number, game_data)
+  values (
+    p_game_type,
+    coalesce((select max(round_number) from game_rounds where game_type = p_game_type), 0) + 1,
+    p_game_data
+  )
+  returning id into v_round_id;
+  return v_round_id;
+end;
+$$;
+
+create function get_user_gc_balance(p_user_id uuid) returns numeric
+language sql stable as $$
+  select gc_balance from users where id = p_user_id;
+$$;
+
+create function place_bet(p_game_type text, p_user_id uuid, p_bet_amount numeric, p_round_id bigint) returns jsonb
+language plpgsql as $$
+declare
+  v_balance numeric;
+  v_bet_id bigint;
+begin
+  select gc_balance into v_balance from users where id = p_user_id for update;
+  if v_balance is null or v_balance < p_bet_amount then
+    raise exception 'insufficient balance';
+  end if;
+
+  insert into game_bets (round_id, user_id, game_type, bet_amount)
+  values (p_round_id, p_user_id, p_game_type, p_bet_amount)
+  returning id into v_bet_id;
+
+  update users set gc_balance = gc_balance - p_bet_amount where id = p_user_id returning gc_balance into v_balance;
+  return jsonb_build_object('success', true, 'bet_id', v_bet_id, 'new_balance', v_balance);
+end;
+$$;
+
+create function cashout_bet(p_game_type text, p_user_id uuid, p_round_id bigint, p_cashout_value numeric) returns jsonb
+language plpgsql as $$
+declare
+  v_bet game_bets;
+  v_payout numeric;
+  v_balance numeric;
+begin
+  select * into v_bet from game_bets
+  where round_id = p_round_id and user_id = p_user_id and game_type = p_game_type and status = 'active'
+  order by id
+  limit 1
+  for update;
+  if not found then
+    raise exception 'no active bet found';
+  end if;
+
+  v_payout := round(v_bet.bet_amount * p_cashout_value, 2);
+  update game_bets
+  set status = 'cashed_out', cashout_value = p_cashout_value, payout_amount = v_payout, updated_at = now()
+  where id = v_bet.id;
+
+  update users set gc_balance = gc_balance + v_payout where id = p_user_id returning gc_balance into v_balance;
+  return jsonb_build_object('success', true, 'bet_id', v_bet.id, 'payout_amount', v_payout, 'new_balance', v_balance);
+end;
+$$;
@@ -0,0 +1,103 @@
+const CoinflipGame = require('../../server/games/coinflip-game');
+const ConfigManager = require('../../server/core/config-manager');
+const { createTestDatabase } = require('../helpers/database');
+
+const quietLogger = {
+  info: async () => {},
+  error: async () => {},
+  gameEvent: async () => {}
+};
+
+const quietEventBus = {
+  emitRoundCompleted: async () => {}
+};
+
+describe('CoinflipGame', () => {
+  let database;
+  let game;
+  let userId;
+
+  beforeAll(async () => {
+    database = await createTestDatabase();
+  });
+
+  afterAll(async () => {
+    await database.close();
+  });
+
+  const createGame = () => new CoinflipGame('coinflip-test', null, {
+    databaseService: { supabase: database.supabase },
+    logger: quietLogger,
+    eventBus: quietEventBus,
+    configManager: new ConfigManager()
+  });
+
+  beforeEach(async () => {
+    game = createGame();
+    userId = await database.createUser(100);
+  });
+
+  const betStatus = async betId => {
+    const { rows: [bet] } = await database.db.query('select status from game_bets where id = $1', [betId]);
+    return bet.status;
+  };
+
+  test('the winner takes the pot less the rake', async () => {
+    const joinerId = await database.createUser(100);
+    const { lobby } = await game.onProcessBet(userId, { amount: 10, side: 'heads' });
+
+    const result = await game.onProcessBet(joinerId, { amount: 10, lobbyId: lobby.lobbyId });
+
+    expect(result.success).toBe(true);
+    const winnerId = result.won ? joinerId : userId;
+    const loserId = result.won ? userId : joinerId;
+    expect(await database.getBalance(winnerId)).toBe(109);
+    expect(await database.getBalance(loserId)).toBe(90);
+    expect(result.lobby).toMatchObject({ status: 'flipped', payout: 19 });
+  });
+
+  test('parallel bets cannot open more lobbies than the per-player limit', async () => {
+    const { maxOpenLobbiesPerPlayer } = game.getRules();
+
+    const results = await Promise.all(
+      Array.from({ length: maxOpenLobbiesPerPlayer + 1 }, () => game.onProcessBet(userId, { amount: 1 }))
+    );
+
+    expect(results.filter(result => result.success)).toHaveLength(maxOpenLobbiesPerPlayer);
+    expect(results[maxOpenLobbiesPerPlayer].message).toBe(`maximum of ${maxOpenLobbiesPerPlayer} open lobbies per player`);
+    expect(game.pendingLobbies.size).toBe(0);
+  });
+
+  test('a lobby whose stake could not be placed frees its slot', async () => {
+    const { maxOpenLobbiesPerPlayer } = game.getRules();
+
+    const failed = await game.onProcessBet(userId, { amount: 1000 });
+    const opened = await Promise.all(
+      Array.from({ length: maxOpenLobbiesPerPlayer }, () => game.onProcessBet(userId, { amount: 1 }))
+    );
+
+    expect(failed.success).toBe(false);
+    expect(opened.every(result => result.success)).toBe(true);
+  });
+
+  test('an expired lobby refunds the creator through refund_bet', async () => {
+    const { betId, lobby } = await game.onProcessBet(userId, { amount: 10 });
+
+    await game.expireLobby(game.lobbies.get(lobby.lobbyId));
+
+    expect(await betStatus(betId)).toBe('refunded');
+    expect(await database.getBalance(userId)).toBe(100);
+    expect(game.lobbies.size).toBe(0);
+  });
+
+  test('a restart refunds every open stake and voids its lobby', async () => {
+    const { betId, lobby } = await game.onProcessBet(userId, { amount: 10 });
+
+    await createGame().onInitialize();
+
+    const { rows: [round] } = await database.db.query('select status, game_data from game_rounds where id = $1', [lobby.lobbyId]);
+    expect(await betStatus(betId)).toBe('refunded');
+    expect(round).toMatchObject({ status: 'completed', game_data: { phase: 'voided' } });
+    expect(await database.getBalance(userId)).toBe(100);
+  });
+});
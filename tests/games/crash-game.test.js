@@ -0,0 +1,282 @@
+const CrashGame = require('../../server/games/crash-game');
+const ConfigManager = require('../../server/core/config-manager');
+const { resolveCurve, timeToReach } = require('../../config/crash-curve');
+const { createTestDatabase } = require('../helpers/database');
+
+const quietLogger = {
+  info: async () => {},
+  error: async () => {},
+  warning: async () => {},
+  gameEvent: async () => {},
+  userEvent: async () => {}
+};
+
+const quietEventBus = {
+  emitBetCancelled: async () => {},
+  emitRoundCompleted: async () => {}
+};
+
+describe('CrashGame', () => {
+  let database;
+  let game;
+  let userId;
+
+  beforeAll(async () => {
+    database = await createTestDatabase();
+  });
+
+  afterAll(async () => {
+    await database.close();
+  });
+
+  beforeEach(async () => {
+    game = new CrashGame('crash-test', null, {
+      databaseService: { supabase: database.supabase },
+      logger: quietLogger,
+      eventBus: quietEventBus,
+      configManager: new ConfigManager()
+    });
+    userId = await database.createUser(1000);
+
+    const { data: roundId } = await database.supabase.rpc('create_game_round', { p_game_type: 'crash', p_game_data: {} });
+    game.crashState.currentRoundId = roundId;
+    game.crashState.phase = 'betting';
+  });
+
+  const takeOff = multiplier => {
+    game.crashState.phase = 'playing';
+    game.crashState.currentMultiplier = multiplier;
+  };
+
+  const setRules = rules => {
+    Object.assign(game.configManager.getGameRules('crash'), rules);
+  };
+
+  // Start the flight on the default curve with a known crash point
+  const fly = crashPoint => {
+    game.setRoundCurve(resolveCurve({ preset: 'exponential' }));
+    game.crashState.currentCrashPoint = crashPoint;
+    game.crashState.phase = 'playing';
+  };
+
+  describe('cancellation', () => {
+    test('cancelling during betting refunds the stake and removes the bet', async () => {
+      const { betId } = await game.onProcessBet(userId, { amount: 5 });
+
+      const result = await game.onProcessAction(userId, 'cancel_bet', { betId });
+
+      expect(result).toMatchObject({ success: true });
+      expect(await database.getBalance(userId)).toBe(1000);
+      expect(game.roundBets.has(betId)).toBe(false);
+    });
+
+    test('a bet whose write finishes after betting closed is refunded', async () => {
+      const placing = game.onProcessBet(userId, { amount: 5 });
+      game.crashState.phase = 'playing';
+
+      const result = await placing;
+
+      expect(result).toMatchObject({ success: false, message: 'betting closed before your bet was placed, your stake was refunded', newBalance: 1000 });
+      expect(game.roundBets.size).toBe(0);
+      const { rows } = await database.db.query('select status from game_bets where user_id = $1', [userId]);
+      expect(rows).toEqual([{ status: 'refunded' }]);
+    });
+  });
+
+  describe('liability caps', () => {
+    test('refuses a bet that could not win anything under the per-bet cap', async () => {
+      setRules({ maxPayoutPerBet: 4 });
+
+      const result = await game.onProcessBet(userId, { amount: 5 });
+
+      expect(result).toEqual({ success: false, message: 'bets must be below the maximum payout of 4 GC' });
+      expect(await database.getBalance(userId)).toBe(1000);
+    });
+
+    test('refuses stakes beyond the round cap, counting bets still being written', async () => {
+      setRules({ maxPayoutPerRound: 8 });
+      const otherUserId = await database.createUser(1000);
+
+      const results = await Promise.all([
+        game.onProcessBet(userId, { amount: 5 }),
+        game.onProcessBet(otherUserId, { amount: 5 })
+      ]);
+
+      expect(results.map(result => result.success)).toEqual([true, false]);
+      expect(results[1].message).toBe('this round has reached its maximum payout, please bet in the next round');
+      expect(game.pendingStake).toBe(0);
+    });
+
+    test('parallel bets cannot exceed the per-player limit', async () => {
+      setRules({ maxBetsPerPlayer: 3 });
+
+      const results = await Promise.all(Array.from({ length: 4 }, () => game.onProcessBet(userId, { amount: 1 })));
+
+      expect(results.filter(result => result.success)).toHaveLength(3);
+      expect(results[3].message).toBe('you can place at most 3 bets per round');
+      expect(game.pendingBets.size).toBe(0);
+    });
+
+    test('cashes a bet out once it would pay the per-bet cap', async () => {
+      setRules({ maxPayoutPerBet: 10 });
+      const { betId } = await game.onProcessBet(userId, { amount: 4 });
+      fly(5);
+
+      await game.processAutoCashouts(timeToReach(game.roundCurve, 2.6));
+
+      expect(game.roundBets.get(betId)).toMatchObject({ status: 'cashed_out', cashoutMultiplier: 2.5, payout: 10 });
+      expect(await database.getBalance(userId)).toBe(1006);
+    });
+
+    test('cashes every bet out once the round would pay its cap', async () => {
+      setRules({ maxPayoutPerRound: 12 });
+      const otherUserId = await database.createUser(1000);
+      const { betId: first } = await game.onProcessBet(userId, { amount: 4 });
+      const { betId: second } = await game.onProcessBet(otherUserId, { amount: 2 });
+      fly(5);
+
+      await game.processAutoCashouts(timeToReach(game.roundCurve, 2.1));
+
+      expect(game.roundBets.get(first)).toMatchObject({ status: 'cashed_out', cashoutMultiplier: 2, payout: 8 });
+      expect(game.roundBets.get(second)).toMatchObject({ status: 'cashed_out', cashoutMultiplier: 2, payout: 4 });
+      expect(game.getSettledPayout()).toBe(12);
+    });
+
+    test('a cap above the crash point never pays', async () => {
+      setRules({ maxPayoutPerBet: 10 });
+      const { betId } = await game.onProcessBet(userId, { amount: 4 });
+      fly(2);
+
+      await game.processAutoCashouts(timeToReach(game.roundCurve, 3));
+
+      expect(game.roundBets.get(betId).status).toBe('active');
+    });
+  });
+
+  describe('auto-cashout', () => {
+    test('settles at the exact target even when the tick lands later', async () => {
+      const { betId } = await game.onProcessBet(userId, { amount: 3, autoCashout: 2 });
+      fly(5);
+
+      await game.processAutoCashouts(timeToReach(game.roundCurve, 1.9));
+      expect(game.roundBets.get(betId).status).toBe('active');
+
+      await game.processAutoCashouts(timeToReach(game.roundCurve, 3.7));
+      expect(game.roundBets.get(betId)).toMatchObject({ status: 'cashed_out', cashoutMultiplier: 2, payout: 6 });
+    });
+
+    test('a target at the crash point loses', async () => {
+      const { betId } = await game.onProcessBet(userId, { amount: 3, autoCashout: 2 });
+      fly(2);
+
+      await game.processAutoCashouts(timeToReach(game.roundCurve, 2));
+
+      expect(game.roundBets.get(betId).status).toBe('active');
+    });
+  });
+
+  describe('round end', () => {
+    const roundRow = async () => {
+      const { rows: [round] } = await database.db.query('select status, game_data from game_rounds where id = $1', [game.crashState.currentRoundId]);
+      return round;
+    };
+
+    const crash = async () => {
+      game.roundSeed = 'round-seed';
+      game.roundGameData = { phase: 'playing' };
+      game.crashState.phase = 'crashed';
+      await game.handleCrashGame();
+    };
+
+    test('settles the bets still riding before completing the round and revealing its seed', async () => {
+      const { betId } = await game.onProcessBet(userId, { amount: 5 });
+      fly(1.5);
+
+      await crash();
+
+      const { rows: [bet] } = await database.db.query('select status from game_bets where id = $1', [betId]);
+      const round = await roundRow();
+      expect(bet.status).toBe('crashed');
+      expect(round.status).toBe('completed');
+      expect(round.game_data).toMatchObject({ phase: 'crashed', server_seed: 'round-seed', total_bet_amount: 5, total_payout: 0 });
+      expect(game.crashState.serverSeed).toBe('round-seed');
+    });
+
+    test('a round whose bets could not be settled stays active and keeps its seed secret', async () => {
+      await game.onProcessBet(userId, { amount: 5 });
+      fly(1.5);
+      await database.db.exec(`
+        create function reject_crashed_bets() returns trigger language plpgsql as $$
+        begin
+          raise exception 'settlement failed';
+        end;
+        $$;
+        create trigger reject_crashed_bets before update on game_bets for each row execute function reject_crashed_bets();
+      `);
+
+      try {
+        await crash();
+      } finally {
+        await database.db.exec('drop trigger reject_crashed_bets on game_bets; drop function reject_crashed_bets();');
+      }
+
+      const round = await roundRow();
+      expect(round.status).toBe('active');
+      expect(round.game_data.server_seed).toBeUndefined();
+      expect(game.crashState.serverSeed).toBeNull();
+    });
+  });
+
+  describe('partial cashout', () => {
+    test('cashes out a fraction at the live multiplier and keeps the rest riding', async () => {
+      const { betId } = await game.onProcessBet(userId, { amount: 4 });
+      takeOff(2);
+
+      const result = await game.onProcessAction(userId, 'partial_cashout', { betId, fraction: 0.25 });
+
+      expect(result).toMatchObject({ success: true, cashedOutAmount: 1, cashoutAmount: 2, remainingAmount: 3, newBalance: 998 });
+      expect(game.roundBets.get(betId)).toMatchObject({ amount: 3, partialPayout: 2, status: 'active' });
+    });
+
+    test('the final cashout pays only the stake still riding', async () => {
+      const { betId } = await game.onProcessBet(userId, { amount: 4 });
+      takeOff(2);
+      await game.onProcessAction(userId, 'partial_cashout', { betId, amount: 1 });
+
+      game.crashState.currentMultiplier = 3;
+      const result = await game.onProcessCashout(userId, 3, betId);
+
+      expect(result).toMatchObject({ success: true, cashoutAmount: 9 });
+      expect(game.roundBets.get(betId)).toMatchObject({ status: 'cashed_out', payout: 11 });
+      expect(await database.getBalance(userId)).toBe(1007);
+    });
+
+    test('taking everything that is left is a regular cashout', async () => {
+      const { betId } = await game.onProcessBet(userId, { amount: 4 });
+      takeOff(1.5);
+
+      const result = await game.onProcessAction(userId, 'partial_cashout', { betId, fraction: 1 });
+
+      expect(result).toMatchObject({ success: true, cashoutAmount: 6 });
+      expect(game.roundBets.get(betId).status).toBe('cashed_out');
+    });
+
+    test('rejects portions outside the remaining stake', async () => {
+      const { betId } = await game.onProcessBet(userId, { amount: 4 });
+      takeOff(2);
+
+      expect((await game.onProcessAction(userId, 'partial_cashout', { betId, amount: 5 })).message).toBe('amount must be greater than 0 and at most 4 GC');
+      expect((await game.onProcessAction(userId, 'partial_cashout', { betId, fraction: 0 })).message).toBe('fraction must be greater than 0 and at most 1');
+      expect((await game.onProcessAction(userId, 'partial_cashout', { betId, amount: 0.001 })).message).toBe('partial cashout amount is too small');
+      expect(await database.getBalance(userId)).toBe(996);
+    });
+
+    test('only partial cashouts while the round is playing', async () => {
+      const { betId } = await game.onProcessBet(userId, { amount: 4 });
+
+      const result = await game.onProcessAction(userId, 'partial_cashout', { betId, fraction: 0.5 });
+
+      expect(result).toEqual({ success: false, message: 'cashout is only available during the playing phase' });
+    });
+  });
+});
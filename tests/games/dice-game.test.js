@@ -0,0 +1,122 @@
+const DiceGame = require('../../server/games/dice-game');
+const ConfigManager = require('../../server/core/config-manager');
+const SeedManager = require('../../services/seed-manager');
+const { generateFloats, floatToInt } = require('../../services/fair-random');
+const { createTestDatabase } = require('../helpers/database');
+
+const quietLogger = {
+  info: async () => {},
+  error: async () => {},
+  userEvent: async () => {}
+};
+
+const createGame = (supabase = null) => {
+  const databaseService = { supabase };
+  return new DiceGame('dice-test', null, {
+    databaseService,
+    logger: quietLogger,
+    configManager: new ConfigManager(),
+    seedManager: new SeedManager(databaseService, quietLogger)
+  });
+};
+
+describe('DiceGame odds', () => {
+  const game = createGame();
+  const houseEdge = game.configManager.getHouseEdge('dice');
+
+  test('an even-money target pays the stake back twice minus the edge', () => {
+    expect(game.getOdds(49.99, 'over')).toEqual({ target: 49.99, direction: 'over', winChance: 50, multiplier: 1.9 });
+    expect(game.getOdds(50, 'under')).toEqual({ target: 50, direction: 'under', winChance: 50, multiplier: 1.9 });
+  });
+
+  test('"over" wins above the target and "under" below it, so the two never overlap', () => {
+    expect(game.getOdds(90, 'over').winChance).toBe(9.99);
+    expect(game.getOdds(90, 'under').winChance).toBe(90);
+  });
+
+  test('every allowed target returns at most, and within a rounding step of, 1 - house edge', () => {
+    for (let hundredths = 0; hundredths < 10000; hundredths++) {
+      for (const direction of ['over', 'under']) {
+        const odds = game.getOdds(hundredths / 100, direction);
+        if (odds.error) {
+          continue;
+        }
+        const rtp = (odds.winChance / 100) * odds.multiplier;
+        expect(rtp).toBeLessThanOrEqual(1 - houseEdge + 1e-9);
+        expect(rtp).toBeGreaterThan(1 - houseEdge - 1e-4);
+      }
+    }
+  });
+
+  test('keeps the win chance within the configured range', () => {
+    expect(game.getOdds(0.99, 'under').error).toBe('win chance must be between 1% and 98%');
+    expect(game.getOdds(1, 'under').winChance).toBe(1);
+    expect(game.getOdds(98.01, 'under').error).toBe('win chance must be between 1% and 98%');
+  });
+
+  test('refuses win chances whose multiplier would not beat the stake', () => {
+    expect(game.getOdds(94.99, 'under').multiplier).toBe(1.0001);
+    expect(game.getOdds(95, 'under').error).toBe('win chance is too high to pay out more than the stake');
+  });
+
+  test('rejects malformed targets and directions', () => {
+    expect(game.getOdds(50, 'sideways').error).toBe('direction must be over or under');
+    expect(game.getOdds(50.001, 'over').error).toBe('target must be between 0.00 and 99.99 with at most two decimals');
+    expect(game.getOdds(100, 'under').error).toBe('target must be between 0.00 and 99.99 with at most two decimals');
+    expect(game.getOdds('abc', 'under').error).toBe('target must be between 0.00 and 99.99 with at most two decimals');
+  });
+});
+
+describe('DiceGame rolls', () => {
+  let database;
+  let game;
+  let userId;
+
+  beforeAll(async () => {
+    database = await createTestDatabase();
+  });
+
+  afterAll(async () => {
+    await database.close();
+  });
+
+  beforeEach(async () => {
+    game = createGame(database.supabase);
+    userId = await database.createUser(100);
+  });
+
+  test('settles each roll and pays the quoted multiplier on a win', async () => {
+    const results = [];
+    for (let i = 0; i < 20; i++) {
+      results.push(await game.onProcessBet(userId, { amount: 1, target: 49.99, direction: 'over' }));
+    }
+
+    const wins = results.filter(result => result.won);
+    expect(results.every(result => result.success)).toBe(true);
+    wins.forEach(result => expect(result.payout).toBe(1.9));
+    expect(await database.getBalance(userId)).toBeCloseTo(100 - 20 + wins.length * 1.9, 6);
+  });
+
+  test('every roll can be recomputed from the seed pair once it is revealed', async () => {
+    const results = [];
+    for (let i = 0; i < 5; i++) {
+      results.push(await game.onProcessBet(userId, { amount: 1, target: 30, direction: 'under' }));
+    }
+
+    const { previous } = await game.seedManager.rotateSeed(userId);
+
+    results.forEach(result => {
+      const [float] = generateFloats(previous.serverSeed, result.seed.client_seed, result.seed.nonce, 1);
+      expect(result.seed.server_seed_hash).toBe(previous.serverSeedHash);
+      expect(floatToInt(float, 10000) / 100).toBe(result.roll);
+      expect(result.won).toBe(result.roll < 30);
+    });
+  });
+
+  test('refuses invalid odds before taking a stake', async () => {
+    const result = await game.onProcessBet(userId, { amount: 1, target: 99.5, direction: 'over' });
+
+    expect(result).toEqual({ success: false, message: 'win chance must be between 1% and 98%' });
+    expect(await database.getBalance(userId)).toBe(100);
+  });
+});
@@ -0,0 +1,70 @@
+const JackpotGame = require('../../server/games/jackpot-game');
+const ConfigManager = require('../../server/core/config-manager');
+const { createTestDatabase } = require('../helpers/database');
+
+const quietLogger = {
+  info: async () => {},
+  error: async () => {},
+  gameEvent: async () => {}
+};
+
+describe('JackpotGame', () => {
+  let database;
+  let game;
+  let userId;
+
+  beforeAll(async () => {
+    database = await createTestDatabase();
+  });
+
+  afterAll(async () => {
+    await database.close();
+  });
+
+  const createGame = () => new JackpotGame('jackpot-test', null, {
+    databaseService: { supabase: database.supabase },
+    logger: quietLogger,
+    configManager: new ConfigManager()
+  });
+
+  beforeEach(async () => {
+    game = createGame();
+    await game.openRound();
+    userId = await database.createUser(100);
+  });
+
+  test('parallel deposits cannot exceed the per-player limit', async () => {
+    Object.assign(game.getRules(), { maxDepositsPerPlayer: 3 });
+
+    const results = await Promise.all(Array.from({ length: 4 }, () => game.onProcessBet(userId, { amount: 1 })));
+
+    expect(results.filter(result => result.success)).toHaveLength(3);
+    expect(results[3].message).toBe('maximum of 3 deposits per round');
+    expect(game.pendingPlayerDeposits.size).toBe(0);
+    expect(await database.getBalance(userId)).toBe(97);
+  });
+
+  test('a deposit that could not be placed frees its slot', async () => {
+    Object.assign(game.getRules(), { maxDepositsPerPlayer: 1 });
+
+    expect((await game.onProcessBet(userId, { amount: 1000 })).success).toBe(false);
+    expect((await game.onProcessBet(userId, { amount: 1 })).success).toBe(true);
+  });
+
+  test('a restart refunds every deposit of the open round and voids it', async () => {
+    const otherUserId = await database.createUser(100);
+    await game.onProcessBet(userId, { amount: 10 });
+    await game.onProcessBet(userId, { amount: 15 });
+    await game.onProcessBet(otherUserId, { amount: 5 });
+    const { roundId } = game.round;
+
+    await createGame().onInitialize();
+
+    const { rows: bets } = await database.db.query('select status from game_bets where round_id = $1', [roundId]);
+    const { rows: [round] } = await database.db.query('select status, game_data from game_rounds where id = $1', [roundId]);
+    expect(bets.map(bet => bet.status)).toEqual(['refunded', 'refunded', 'refunded']);
+    expect(round).toMatchObject({ status: 'completed', game_data: { phase: 'voided' } });
+    expect(await database.getBalance(userId)).toBe(100);
+    expect(await database.getBalance(otherUserId)).toBe(100);
+  });
+});
@@ -0,0 +1,136 @@
+const KenoGame = require('../../server/games/keno-game');
+const ConfigManager = require('../../server/core/config-manager');
+const SeedManager = require('../../services/seed-manager');
+const { generateFloats } = require('../../services/fair-random');
+const { computeKenoRtp } = require('../../config/rtp-calculator');
+const { createTestDatabase } = require('../helpers/database');
+
+const quietLogger = {
+  info: async () => {},
+  error: async () => {},
+  userEvent: async () => {}
+};
+
+const createGame = (supabase = null) => {
+  const databaseService = { supabase };
+  return new KenoGame('keno-test', null, {
+    databaseService,
+    logger: quietLogger,
+    configManager: new ConfigManager(),
+    seedManager: new SeedManager(databaseService, quietLogger)
+  });
+};
+
+describe('KenoGame paytables', () => {
+  const game = createGame();
+  const houseEdge = game.configManager.getHouseEdge('keno');
+
+  test('has a paytable with one payout per hit count for every pick count and risk', () => {
+    for (const risk of ['low', 'medium', 'high']) {
+      for (let picks = 1; picks <= 10; picks++) {
+        const { payouts } = game.getPaytable(picks, risk);
+        expect(payouts).toHaveLength(picks + 1);
+        expect(computeKenoRtp(payouts, 40, 10)).toBeLessThanOrEqual(1 - houseEdge + 1e-9);
+      }
+    }
+  });
+
+  test('rejects pick counts and risks outside the paytables', () => {
+    expect(game.getPaytable(0, 'low').error).toBe('picks must be an integer between 1 and 10');
+    expect(game.getPaytable(11, 'low').error).toBe('picks must be an integer between 1 and 10');
+    expect(game.getPaytable(3, 'extreme').error).toBe('risk must be one of low, medium, high');
+  });
+
+  test('validates and sorts picks', () => {
+    expect(game.validatePicks([30, 2, 17])).toEqual({ numbers: [2, 17, 30] });
+    expect(game.validatePicks([]).error).toBe('pick between 1 and 10 numbers');
+    expect(game.validatePicks(Array.from({ length: 11 }, (_, index) => index + 1)).error).toBe('pick between 1 and 10 numbers');
+    expect(game.validatePicks([0, 5]).error).toBe('picks must be whole numbers from 1 to 40');
+    expect(game.validatePicks([41]).error).toBe('picks must be whole numbers from 1 to 40');
+    expect(game.validatePicks([1.5]).error).toBe('picks must be whole numbers from 1 to 40');
+    expect(game.validatePicks([7, 7]).error).toBe('picks must not repeat');
+  });
+});
+
+describe('KenoGame draws', () => {
+  const game = createGame();
+
+  test('draws 10 distinct numbers from 1 to 40', () => {
+    const drawn = game.drawNumbers(generateFloats('server', 'client', 0, 10));
+
+    expect(drawn).toHaveLength(10);
+    expect(new Set(drawn).size).toBe(10);
+    drawn.forEach(number => {
+      expect(number).toBeGreaterThanOrEqual(1);
+      expect(number).toBeLessThanOrEqual(40);
+    });
+  });
+
+  test('every number is equally likely to be drawn', () => {
+    const games = 5000;
+    const counts = new Array(41).fill(0);
+    for (let nonce = 0; nonce < games; nonce++) {
+      game.drawNumbers(generateFloats('server', 'client', nonce, 10)).forEach(number => counts[number]++);
+    }
+
+    counts.slice(1).forEach(count => expect(Math.abs(count / games - 0.25)).toBeLessThan(0.025));
+  });
+});
+
+describe('KenoGame games', () => {
+  let database;
+  let game;
+  let userId;
+
+  beforeAll(async () => {
+    database = await createTestDatabase();
+  });
+
+  afterAll(async () => {
+    await database.close();
+  });
+
+  beforeEach(async () => {
+    game = createGame(database.supabase);
+    userId = await database.createUser(100);
+  });
+
+  test('pays the paytable multiplier for the number of hits', async () => {
+    const { payouts } = game.getPaytable(5, 'medium');
+    const results = [];
+    for (let i = 0; i < 10; i++) {
+      results.push(await game.onProcessBet(userId, { amount: 2, picks: [3, 9, 14, 27, 38], risk: 'medium' }));
+    }
+
+    results.forEach(result => {
+      expect(result.success).toBe(true);
+      expect(result.hits).toEqual(result.picks.filter(number => result.drawn.includes(number)));
+      expect(result.multiplier).toBe(payouts[result.hits.length]);
+      expect(result.payout).toBeCloseTo(2 * result.multiplier, 6);
+    });
+    const paid = results.reduce((sum, result) => sum + result.payout, 0);
+    expect(await database.getBalance(userId)).toBeCloseTo(100 - 20 + paid, 6);
+  });
+
+  test('every draw can be recomputed from the seed pair once it is revealed', async () => {
+    const results = [];
+    for (let i = 0; i < 5; i++) {
+      results.push(await game.onProcessBet(userId, { amount: 1, picks: [1, 2, 3], risk: 'high' }));
+    }
+
+    const { previous } = await game.seedManager.rotateSeed(userId);
+
+    results.forEach(result => {
+      const floats = generateFloats(previous.serverSeed, result.seed.client_seed, result.seed.nonce, 10);
+      expect(result.seed.server_seed_hash).toBe(previous.serverSeedHash);
+      expect(game.drawNumbers(floats)).toEqual(result.drawn);
+    });
+  });
+
+  test('refuses invalid picks before taking a stake', async () => {
+    const result = await game.onProcessBet(userId, { amount: 1, picks: [5, 5], risk: 'low' });
+
+    expect(result).toEqual({ success: false, message: 'picks must not repeat' });
+    expect(await database.getBalance(userId)).toBe(100);
+  });
+});
@@ -0,0 +1,151 @@
+const MinesGame = require('../../server/games/mines-game');
+const ConfigManager = require('../../server/core/config-manager');
+const SeedManager = require('../../services/seed-manager');
+const { createTestDatabase } = require('../helpers/database');
+
+const quietLogger = {
+  info: async () => {},
+  error: async () => {},
+  gameEvent: async () => {},
+  userEvent: async () => {}
+};
+
+const quietEventBus = {
+  emitCashout: async () => {},
+  emitRoundCompleted: async () => {}
+};
+
+const createGame = (supabase = null) => {
+  const databaseService = { supabase };
+  return new MinesGame('mines-test', null, {
+    databaseService,
+    logger: quietLogger,
+    eventBus: quietEventBus,
+    configManager: new ConfigManager(),
+    seedManager: new SeedManager(databaseService, quietLogger)
+  });
+};
+
+describe('MinesGame odds', () => {
+  const game = createGame();
+  const houseEdge = game.configManager.getHouseEdge('mines');
+
+  test('the first safe tile pays the inverse of its chance less the edge', () => {
+    expect(game.getMultiplier(1, 1)).toBe(0.9895);
+    expect(game.getMultiplier(24, 1)).toBe(23.75);
+    expect(game.getMultiplier(3, 2)).toBe(1.2337);
+  });
+
+  test('every mine count and reveal returns at most, and within a rounding step of, 1 - house edge', () => {
+    for (let mines = 1; mines <= 24; mines++) {
+      let chance = 1;
+      for (let revealed = 1; revealed <= 25 - mines; revealed++) {
+        chance *= (25 - mines - (revealed - 1)) / (25 - (revealed - 1));
+        const rtp = chance * game.getMultiplier(mines, revealed);
+        expect(rtp).toBeLessThanOrEqual(1 - houseEdge + 1e-9);
+        expect(rtp).toBeGreaterThan(1 - houseEdge - 1e-4);
+      }
+    }
+  });
+
+  test('places the requested number of distinct mines from the seed', () => {
+    const seed = { serverSeed: 'server', clientSeed: 'client', nonce: 7 };
+    const mines = game.placeMines(seed, 5);
+
+    expect(mines).toHaveLength(5);
+    expect(new Set(mines).size).toBe(5);
+    mines.forEach(tile => expect(tile).toBeGreaterThanOrEqual(0));
+    mines.forEach(tile => expect(tile).toBeLessThan(25));
+    expect(game.placeMines(seed, 5)).toEqual(mines);
+  });
+
+  test('every tile is equally likely to hold a mine', () => {
+    const boards = 5000;
+    const counts = new Array(25).fill(0);
+    for (let nonce = 0; nonce < boards; nonce++) {
+      game.placeMines({ serverSeed: 'server', clientSeed: 'client', nonce }, 5).forEach(tile => counts[tile]++);
+    }
+
+    counts.forEach(count => expect(Math.abs(count / boards - 0.2)).toBeLessThan(0.025));
+  });
+});
+
+describe('MinesGame boards', () => {
+  let database;
+  let game;
+  let userId;
+
+  beforeAll(async () => {
+    database = await createTestDatabase();
+  });
+
+  afterAll(async () => {
+    await database.close();
+  });
+
+  beforeEach(async () => {
+    game = createGame(database.supabase);
+    userId = await database.createUser(100);
+  });
+
+  const safeTiles = () => {
+    const { mines } = game.boards.get(userId);
+    return Array.from({ length: 25 }, (_, tile) => tile).filter(tile => !mines.includes(tile));
+  };
+
+  const betRow = async () => {
+    const { rows: [bet] } = await database.db.query('select status, payout_amount from game_bets where user_id = $1', [userId]);
+    return bet;
+  };
+
+  test('cashing out pays the stake times the multiplier of the tiles revealed', async () => {
+    await game.onProcessBet(userId, { amount: 10, mines: 3 });
+    const [first, second] = safeTiles();
+    await game.onProcessAction(userId, 'reveal', { tile: first });
+    await game.onProcessAction(userId, 'reveal', { tile: second });
+
+    const result = await game.onProcessAction(userId, 'cashout', {});
+
+    expect(result).toMatchObject({ success: true, cashoutValue: 1.2337, cashoutAmount: 12.34 });
+    expect(await database.getBalance(userId)).toBeCloseTo(102.34, 6);
+    expect(game.boards.has(userId)).toBe(false);
+  });
+
+  test('hitting a mine loses the stake', async () => {
+    await game.onProcessBet(userId, { amount: 10, mines: 3 });
+    const [mine] = game.boards.get(userId).mines;
+
+    const result = await game.onProcessAction(userId, 'reveal', { tile: mine });
+
+    expect(result).toMatchObject({ success: true, safe: false, tile: mine });
+    expect((await betRow()).status).toBe('lost');
+    expect(await database.getBalance(userId)).toBe(90);
+  });
+
+  test('a restart restores an open board with the same mines', async () => {
+    await game.onProcessBet(userId, { amount: 10, mines: 3 });
+    const { mines } = game.boards.get(userId);
+
+    const restarted = createGame(database.supabase);
+    await restarted.onInitialize();
+
+    expect(restarted.boards.get(userId).mines).toEqual(mines);
+  });
+
+  test('a board that cannot be restored is refunded and voided', async () => {
+    const { betId } = await game.onProcessBet(userId, { amount: 10, mines: 3 });
+    const { roundId } = game.boards.get(userId);
+    await database.db.query("update game_rounds set game_data = game_data - 'nonce' where id = $1", [roundId]);
+
+    const restarted = createGame(database.supabase);
+    await restarted.onInitialize();
+
+    const { rows: [bet] } = await database.db.query('select status from game_bets where id = $1', [betId]);
+    const { rows: [round] } = await database.db.query('select status, game_data from game_rounds where id = $1', [roundId]);
+    expect(bet.status).toBe('refunded');
+    expect(round.status).toBe('completed');
+    expect(round.game_data.phase).toBe('voided');
+    expect(restarted.boards.has(userId)).toBe(false);
+    expect(await database.getBalance(userId)).toBe(100);
+  });
+});
@@ -0,0 +1,134 @@
+const PlinkoGame = require('../../server/games/plinko-game');
+const ConfigManager = require('../../server/core/config-manager');
+const SeedManager = require('../../services/seed-manager');
+const { generateFloats } = require('../../services/fair-random');
+const { computePlinkoRtp } = require('../../config/rtp-calculator');
+const { createTestDatabase } = require('../helpers/database');
+
+const quietLogger = {
+  info: async () => {},
+  error: async () => {},
+  userEvent: async () => {}
+};
+
+const createGame = (supabase = null) => {
+  const databaseService = { supabase };
+  return new PlinkoGame('plinko-test', null, {
+    databaseService,
+    logger: quietLogger,
+    configManager: new ConfigManager(),
+    seedManager: new SeedManager(databaseService, quietLogger)
+  });
+};
+
+describe('PlinkoGame payouts', () => {
+  const game = createGame();
+  const houseEdge = game.configManager.getHouseEdge('plinko');
+
+  test('has a table with one payout per slot for every row count and risk', () => {
+    for (const risk of ['low', 'medium', 'high']) {
+      for (let rows = 8; rows <= 16; rows++) {
+        const { payouts } = game.getPayouts(rows, risk);
+        expect(payouts).toHaveLength(rows + 1);
+        expect(computePlinkoRtp(payouts)).toBeLessThanOrEqual(1 - houseEdge + 1e-9);
+      }
+    }
+  });
+
+  test('rejects row counts and risks outside the tables', () => {
+    expect(game.getPayouts(7, 'low').error).toBe('rows must be an integer between 8 and 16');
+    expect(game.getPayouts(17, 'low').error).toBe('rows must be an integer between 8 and 16');
+    expect(game.getPayouts(8.5, 'low').error).toBe('rows must be an integer between 8 and 16');
+    expect(game.getPayouts(8, 'extreme').error).toBe('risk must be one of low, medium, high');
+  });
+
+  test('reports a configured table that does not fit the row count', () => {
+    const misconfigured = createGame();
+    const rules = misconfigured.configManager.getGameRules('plinko');
+    Object.assign(rules, { payoutTables: { ...rules.payoutTables, low: { ...rules.payoutTables.low, 8: [1, 1] } } });
+
+    expect(misconfigured.getPayouts(8, 'low').error).toBe('no payout table for low risk with 8 rows');
+  });
+});
+
+describe('PlinkoGame paths', () => {
+  const game = createGame();
+
+  test('each float below one half bounces left and the rest bounce right', () => {
+    expect(game.getPath([0, 0.49, 0.5, 0.99])).toEqual([0, 0, 1, 1]);
+  });
+
+  test('slots land with the binomial odds the payout tables are priced on', () => {
+    const rows = 8;
+    const drops = 20000;
+    const counts = new Array(rows + 1).fill(0);
+    for (let nonce = 0; nonce < drops; nonce++) {
+      const path = game.getPath(generateFloats('server', 'client', nonce, rows));
+      counts[path.reduce((sum, step) => sum + step, 0)]++;
+    }
+
+    const choose = (n, k) => (k === 0 ? 1 : (choose(n, k - 1) * (n - k + 1)) / k);
+    counts.forEach((count, slot) => {
+      expect(Math.abs(count / drops - choose(rows, slot) / 2 ** rows)).toBeLessThan(0.01);
+    });
+  });
+});
+
+describe('PlinkoGame drops', () => {
+  let database;
+  let game;
+  let userId;
+
+  beforeAll(async () => {
+    database = await createTestDatabase();
+  });
+
+  afterAll(async () => {
+    await database.close();
+  });
+
+  beforeEach(async () => {
+    game = createGame(database.supabase);
+    userId = await database.createUser(100);
+  });
+
+  test('pays the multiplier of the slot the ball lands in', async () => {
+    const { payouts } = game.getPayouts(12, 'medium');
+    const results = [];
+    for (let i = 0; i < 10; i++) {
+      results.push(await game.onProcessBet(userId, { amount: 2, rows: 12, risk: 'medium' }));
+    }
+
+    results.forEach(result => {
+      expect(result.success).toBe(true);
+      expect(result.path).toHaveLength(12);
+      expect(result.slot).toBe(result.path.reduce((sum, step) => sum + step, 0));
+      expect(result.multiplier).toBe(payouts[result.slot]);
+      expect(result.payout).toBeCloseTo(2 * result.multiplier, 6);
+    });
+    const paid = results.reduce((sum, result) => sum + result.payout, 0);
+    expect(await database.getBalance(userId)).toBeCloseTo(100 - 20 + paid, 6);
+  });
+
+  test('every drop can be recomputed from the seed pair once it is revealed', async () => {
+    const results = [];
+    for (let i = 0; i < 5; i++) {
+      results.push(await game.onProcessBet(userId, { amount: 1, rows: 16, risk: 'high' }));
+    }
+
+    const { previous } = await game.seedManager.rotateSeed(userId);
+
+    results.forEach(result => {
+      const floats = generateFloats(previous.serverSeed, result.seed.client_seed, result.seed.nonce, 16);
+      expect(result.seed.server_seed_hash).toBe(previous.serverSeedHash);
+      expect(game.getPath(floats)).toEqual(result.path);
+    });
+  });
+
+  test('refuses an invalid board before taking a stake', async () => {
+    const result = await game.onProcessBet(userId, { amount: 1, rows: 20, risk: 'low' });
+
+    expect(result).toEqual({ success: false, message: 'rows must be an integer between 8 and 16' });
+    expect(await database.getBalance(userId)).toBe(100);
+  });
+});
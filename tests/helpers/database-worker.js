@@ -0,0 +1,22 @@
+// Test Database Worker - Hosts the in-memory Postgres outside jest's module sandbox, which cannot load pglite
+// Purpose: Answer exec/query messages from tests/helpers/database.js
+
+const { parentPort } = require('worker_threads');
+const { PGlite } = require('@electric-sql/pglite');
+
+const db = new PGlite();
+
+parentPort.on('message', async ({ id, method, sql, params }) => {
+  try {
+    if (method === 'exec') {
+      await db.exec(sql);
+      parentPort.postMessage({ id, result: null });
+      return;
+    }
+
+    const { rows, fields } = await db.query(sql, params);
+    parentPort.postMessage({ id, result: { rows, fields } });
+  } catch (error) {
+    parentPort.postMessage({ id, error: error.message });
+  }
+});
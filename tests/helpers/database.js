@@ -0,0 +1,302 @@
+// Test Database - In-memory Postgres with the base schema and every migration applied
+// Purpose: Run the money-moving RPCs and table queries for real and hand them to services through a supabase-shaped client
+
+const fs = require('fs');
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const BASE_SCHEMA = path.join(__dirname, '../fixtures/base-schema.sql');
+const MIGRATIONS_DIR = path.join(__dirname, '../../supabase/migrations');
+
+// PostgREST hands numeric and bigint columns back as JSON numbers and timestamps as ISO strings
+const NUMERIC_TYPES = new Set([20, 21, 23, 700, 701, 1700]);
+
+function normalizeRow(row, fields) {
+  const normalized = { ...row };
+  for (const field of fields) {
+    if (NUMERIC_TYPES.has(field.dataTypeID) && normalized[field.name] !== null) {
+      normalized[field.name] = Number(normalized[field.name]);
+    } else if (normalized[field.name] instanceof Date) {
+      normalized[field.name] = normalized[field.name].toISOString();
+    }
+  }
+  return normalized;
+}
+
+function toParameter(value) {
+  return value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+}
+
+// The slice of supabase.rpc() the services use: named arguments, then optional .order() and .range()
+class RpcQuery {
+  constructor(db, name, params) {
+    this.db = db;
+    this.name = name;
+    this.params = params;
+    this.ordering = null;
+    this.window = null;
+  }
+
+  order(column, { ascending = true } = {}) {
+    this.ordering = `order by ${column} ${ascending ? 'asc' : 'desc'}`;
+    return this;
+  }
+
+  range(from, to) {
+    this.window = `limit ${to - from + 1} offset ${from}`;
+    return this;
+  }
+
+  then(resolve, reject) {
+    return this.execute().then(resolve, reject);
+  }
+
+  async execute() {
+    const names = Object.keys(this.params);
+    const args = names.map((name, index) => `${name} => $${index + 1}`).join(', ');
+    const values = names.map(name => toParameter(this.params[name]));
+
+    try {
+      const { rows: [fn] } = await this.db.query('select proretset from pg_proc where proname = $1', [this.name]);
+      if (!fn) {
+        return { data: null, error: { message: `function ${this.name} does not exist` } };
+      }
+
+      if (fn.proretset) {
+        const sql = [`select * from ${this.name}(${args})`, this.ordering, this.window].filter(Boolean).join(' ');
+        const result = await this.db.query(sql, values);
+        return { data: result.rows.map(row => normalizeRow(row, result.fields)), error: null };
+      }
+
+      const result = await this.db.query(`select ${this.name}(${args}) as result`, values);
+      return { data: normalizeRow(result.rows[0], result.fields).result, error: null };
+    } catch (error) {
+      return { data: null, error: { message: error.message } };
+    }
+  }
+}
+
+// The slice of supabase.from() the services use: one select, insert or update, filters, ordering and paging
+class TableQuery {
+  constructor(db, table) {
+    this.db = db;
+    this.table = table;
+    this.action = 'select';
+    this.columns = '*';
+    this.values = null;
+    this.returning = null;
+    this.filters = [];
+    this.params = [];
+    this.ordering = [];
+    this.window = '';
+    this.count = false;
+    this.head = false;
+    this.expect = null; // 'single' or 'maybeSingle'
+  }
+
+  select(columns = '*', { count = null, head = false } = {}) {
+    if (this.action === 'select') {
+      this.columns = columns;
+      this.count = count === 'exact';
+      this.head = head;
+    } else {
+      this.returning = columns;
+    }
+    return this;
+  }
+
+  insert(values) {
+    this.action = 'insert';
+    this.values = Array.isArray(values) ? values : [values];
+    return this;
+  }
+
+  update(values) {
+    this.action = 'update';
+    this.values = values;
+    return this;
+  }
+
+  delete() {
+    this.action = 'delete';
+    return this;
+  }
+
+  where(column, operator, value) {
+    this.params.push(toParameter(value));
+    this.filters.push(`"${column}" ${operator} $${this.params.length}`);
+    return this;
+  }
+
+  eq(column, value) { return this.where(column, '=', value); }
+  neq(column, value) { return this.where(column, '<>', value); }
+  gt(column, value) { return this.where(column, '>', value); }
+  gte(column, value) { return this.where(column, '>=', value); }
+  lt(column, value) { return this.where(column, '<', value); }
+  lte(column, value) { return this.where(column, '<=', value); }
+
+  in(column, values) {
+    this.params.push(values);
+    this.filters.push(`"${column}" = any($${this.params.length})`);
+    return this;
+  }
+
+  is(column, value) {
+    this.filters.push(`"${column}" is ${value === null ? 'null' : value ? 'true' : 'false'}`);
+    return this;
+  }
+
+  order(column, { ascending = true } = {}) {
+    this.ordering.push(`"${column}" ${ascending ? 'asc' : 'desc'}`);
+    return this;
+  }
+
+  limit(count) {
+    this.window = `limit ${count}`;
+    return this;
+  }
+
+  range(from, to) {
+    this.window = `limit ${to - from + 1} offset ${from}`;
+    return this;
+  }
+
+  single() {
+    this.expect = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.expect = 'maybeSingle';
+    return this;
+  }
+
+  then(resolve, reject) {
+    return this.execute().then(resolve, reject);
+  }
+
+  buildSql() {
+    const where = this.filters.length > 0 ? `where ${this.filters.join(' and ')}` : '';
+    const returning = this.returning ? `returning ${this.returning}` : '';
+
+    if (this.action === 'insert') {
+      const columns = Object.keys(this.values[0]);
+      const rows = this.values.map(row => `(${columns.map(column => {
+        this.params.push(toParameter(row[column]));
+        return `$${this.params.length}`;
+      }).join(', ')})`);
+      return `insert into ${this.table} (${columns.map(column => `"${column}"`).join(', ')}) values ${rows.join(', ')} ${returning}`;
+    }
+
+    if (this.action === 'update') {
+      const assignments = Object.keys(this.values).map(column => {
+        this.params.push(toParameter(this.values[column]));
+        return `"${column}" = $${this.params.length}`;
+      });
+      return `update ${this.table} set ${assignments.join(', ')} ${where} ${returning}`;
+    }
+
+    if (this.action === 'delete') {
+      return `delete from ${this.table} ${where} ${returning}`;
+    }
+
+    const orderBy = this.ordering.length > 0 ? `order by ${this.ordering.join(', ')}` : '';
+    return `select ${this.columns} from ${this.table} ${where} ${orderBy} ${this.window}`;
+  }
+
+  async execute() {
+    let result;
+    try {
+      result = await this.db.query(this.buildSql(), this.params);
+    } catch (error) {
+      return { data: null, error: { message: error.message }, count: null };
+    }
+
+    const rows = result.rows.map(row => normalizeRow(row, result.fields));
+    const count = this.count ? rows.length : null;
+
+    if (this.head) {
+      return { data: null, error: null, count };
+    }
+    if (this.action !== 'select' && !this.returning) {
+      return { data: null, error: null, count };
+    }
+    if (this.expect === 'single' && rows.length !== 1) {
+      return { data: null, error: { message: `expected a single row, got ${rows.length}` }, count };
+    }
+    if (this.expect === 'maybeSingle' && rows.length > 1) {
+      return { data: null, error: { message: `expected at most one row, got ${rows.length}` }, count };
+    }
+    return { data: this.expect ? rows[0] || null : rows, error: null, count };
+  }
+}
+
+// Promise-based exec/query against the worker that hosts the database
+function connect() {
+  const worker = new Worker(path.join(__dirname, 'database-worker.js'));
+  const waiting = new Map(); // message id -> { resolve, reject }
+  let nextId = 0;
+
+  worker.on('message', ({ id, result, error }) => {
+    const request = waiting.get(id);
+    waiting.delete(id);
+    if (error) {
+      request.reject(new Error(error));
+    } else {
+      request.resolve(result);
+    }
+  });
+
+  // A crashed worker fails every waiting query instead of leaving the test hanging
+  const failAll = error => {
+    for (const request of waiting.values()) {
+      request.reject(error);
+    }
+    waiting.clear();
+  };
+  worker.on('error', failAll);
+  worker.on('exit', code => failAll(new Error(`database worker exited with code ${code}`)));
+
+  const send = (method, sql, params) => new Promise((resolve, reject) => {
+    const id = nextId++;
+    waiting.set(id, { resolve, reject });
+    worker.postMessage({ id, method, sql, params });
+  });
+
+  return {
+    exec: sql => send('exec', sql),
+    query: (sql, params = []) => send('query', sql, params),
+    close: () => worker.terminate()
+  };
+}
+
+async function createTestDatabase() {
+  const db = connect();
+  await db.exec(fs.readFileSync(BASE_SCHEMA, 'utf8'));
+
+  const migrations = fs.readdirSync(MIGRATIONS_DIR).filter(file => file.endsWith('.sql')).sort();
+  for (const file of migrations) {
+    await db.exec(fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8'));
+  }
+
+  return {
+    db,
+    supabase: {
+      rpc: (name, params = {}) => new RpcQuery(db, name, params),
+      from: table => new TableQuery(db, table)
+    },
+    async createUser(balance = 0) {
+      const { rows } = await db.query('insert into users (username, gc_balance) values ($1, $2) returning id', ['player', balance]);
+      return rows[0].id;
+    },
+    async getBalance(userId) {
+      const { rows } = await db.query('select gc_balance from users where id = $1', [userId]);
+      return Number(rows[0].gc_balance);
+    },
+    close: () => db.close()
+  };
+}
+
+module.exports = {
+  createTestDatabase
+};
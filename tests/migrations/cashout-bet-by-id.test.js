@@ -0,0 +1,63 @@
+const { createTestDatabase } = require('../helpers/database');
+
+describe('cashout_bet_by_id', () => {
+  let database;
+  let userId;
+  let roundId;
+
+  beforeAll(async () => {
+    database = await createTestDatabase();
+  });
+
+  afterAll(async () => {
+    await database.close();
+  });
+
+  beforeEach(async () => {
+    userId = await database.createUser(100);
+    ({ data: roundId } = await database.supabase.rpc('create_game_round', { p_game_type: 'crash', p_game_data: {} }));
+  });
+
+  const placeBet = async amount => {
+    const { data } = await database.supabase.rpc('place_bet', {
+      p_game_type: 'crash',
+      p_user_id: userId,
+      p_bet_amount: amount,
+      p_round_id: roundId
+    });
+    return data.bet_id;
+  };
+
+  const cashout = (betId, value) => database.supabase.rpc('cashout_bet_by_id', { p_bet_id: betId, p_cashout_value: value });
+
+  test('pays only the addressed bet when a player holds several', async () => {
+    const first = await placeBet(10);
+    const second = await placeBet(20);
+
+    const { data, error } = await cashout(second, 1.5);
+
+    expect(error).toBeNull();
+    expect(data).toEqual({ bet_id: second, payout_amount: 30, new_balance: 100 });
+
+    const { rows } = await database.db.query('select id, status from game_bets where round_id = $1 order by id', [roundId]);
+    expect(rows).toEqual([{ id: first, status: 'active' }, { id: second, status: 'cashed_out' }]);
+  });
+
+  test('a bet can only be cashed out once', async () => {
+    const betId = await placeBet(10);
+    await cashout(betId, 2);
+
+    const { error } = await cashout(betId, 3);
+
+    expect(error.message).toBe('bet is not active');
+    expect(await database.getBalance(userId)).toBe(110);
+  });
+
+  test('rejects cashout values below 1x and unknown bets', async () => {
+    const betId = await placeBet(10);
+
+    expect((await cashout(betId, 0.5)).error.message).toBe('cashout value must be at least 1');
+    expect((await cashout(999999, 2)).error.message).toBe('bet not found');
+    expect(await database.getBalance(userId)).toBe(90);
+  });
+});
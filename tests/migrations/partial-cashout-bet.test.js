@@ -0,0 +1,80 @@
+const { createTestDatabase } = require('../helpers/database');
+
+describe('partial_cashout_bet', () => {
+  let database;
+  let userId;
+  let betId;
+
+  beforeAll(async () => {
+    database = await createTestDatabase();
+  });
+
+  afterAll(async () => {
+    await database.close();
+  });
+
+  beforeEach(async () => {
+    userId = await database.createUser(100);
+    const { data: roundId } = await database.supabase.rpc('create_game_round', { p_game_type: 'crash', p_game_data: {} });
+    const { data } = await database.supabase.rpc('place_bet', {
+      p_game_type: 'crash',
+      p_user_id: userId,
+      p_bet_amount: 40,
+      p_round_id: roundId
+    });
+    betId = data.bet_id;
+  });
+
+  const partialCashout = (amount, value) => database.supabase.rpc('partial_cashout_bet', {
+    p_bet_id: betId,
+    p_amount: amount,
+    p_cashout_value: value
+  });
+
+  const storedBet = async () => {
+    const { rows: [bet] } = await database.db.query('select status, remaining_amount, partial_payout, payout_amount from game_bets where id = $1', [betId]);
+    return {
+      status: bet.status,
+      remaining: bet.remaining_amount === null ? null : Number(bet.remaining_amount),
+      partialPayout: Number(bet.partial_payout),
+      payout: bet.payout_amount === null ? null : Number(bet.payout_amount)
+    };
+  };
+
+  test('pays the portion at the current multiplier and leaves the rest riding', async () => {
+    const { data, error } = await partialCashout(10, 1.5);
+
+    expect(error).toBeNull();
+    expect(data).toEqual({ bet_id: betId, payout_amount: 15, remaining_amount: 30, new_balance: 75 });
+    expect(await storedBet()).toEqual({ status: 'active', remaining: 30, partialPayout: 15, payout: null });
+  });
+
+  test('several partial cashouts add up and the final cashout pays only what is still riding', async () => {
+    await partialCashout(10, 1.5);
+    await partialCashout(10, 2);
+
+    const { data } = await database.supabase.rpc('cashout_bet_by_id', { p_bet_id: betId, p_cashout_value: 3 });
+
+    expect(data.payout_amount).toBe(60);
+    expect(await storedBet()).toEqual({ status: 'cashed_out', remaining: 20, partialPayout: 35, payout: 95 });
+    expect(await database.getBalance(userId)).toBe(155);
+  });
+
+  test('a crash after a partial cashout keeps what was already paid', async () => {
+    await partialCashout(30, 2);
+    await database.db.query("update game_bets set status = 'crashed' where id = $1", [betId]);
+
+    expect(await database.getBalance(userId)).toBe(120);
+    expect((await partialCashout(5, 3)).error.message).toBe('bet is not active');
+  });
+
+  test('refuses to take the whole remaining stake or nothing', async () => {
+    await partialCashout(10, 1.5);
+
+    for (const amount of [0, 30, 31]) {
+      const { error } = await partialCashout(amount, 2);
+      expect(error.message).toBe('partial cashout amount must be greater than 0 and less than the remaining stake');
+    }
+    expect(await database.getBalance(userId)).toBe(75);
+  });
+});
@@ -0,0 +1,66 @@
+const { createTestDatabase } = require('../helpers/database');
+
+describe('place_instant_bet', () => {
+  let database;
+  let userId;
+
+  beforeAll(async () => {
+    database = await createTestDatabase();
+  });
+
+  afterAll(async () => {
+    await database.close();
+  });
+
+  beforeEach(async () => {
+    userId = await database.createUser(100);
+  });
+
+  const placeInstantBet = (amount, multiplier) => database.supabase.rpc('place_instant_bet', {
+    p_game_type: 'slots',
+    p_user_id: userId,
+    p_bet_amount: amount,
+    p_payout_multiplier: multiplier,
+    p_game_data: { reels: [] }
+  });
+
+  test('a winning bet takes the stake and pays the multiple in one step', async () => {
+    const { data, error } = await placeInstantBet(10, 2.5);
+
+    expect(error).toBeNull();
+    expect(data).toMatchObject({ payout_amount: 25, new_balance: 115 });
+    expect(await database.getBalance(userId)).toBe(115);
+
+    const { rows: [bet] } = await database.db.query('select status, payout_amount from game_bets where id = $1', [data.bet_id]);
+    const { rows: [round] } = await database.db.query('select status from game_rounds where id = $1', [data.round_id]);
+    expect(bet).toMatchObject({ status: 'cashed_out' });
+    expect(Number(bet.payout_amount)).toBe(25);
+    expect(round.status).toBe('completed');
+  });
+
+  test('a losing bet only takes the stake', async () => {
+    const { data } = await placeInstantBet(10, 0);
+
+    expect(data).toMatchObject({ payout_amount: 0, new_balance: 90 });
+    const { rows: [bet] } = await database.db.query('select status from game_bets where id = $1', [data.bet_id]);
+    expect(bet.status).toBe('lost');
+  });
+
+  test('a stake above the balance is refused and nothing is written', async () => {
+    const { rows: [before] } = await database.db.query('select count(*)::int as rounds from game_rounds');
+
+    const { data, error } = await placeInstantBet(500, 2);
+
+    expect(data).toBeNull();
+    expect(error.message).toBe('insufficient balance');
+    expect(await database.getBalance(userId)).toBe(100);
+    const { rows: [after] } = await database.db.query('select count(*)::int as rounds from game_rounds');
+    expect(after.rounds).toBe(before.rounds);
+  });
+
+  test('negative multipliers are refused', async () => {
+    const { error } = await placeInstantBet(10, -1);
+
+    expect(error.message).toBe('payout multiplier must not be negative');
+  });
+});
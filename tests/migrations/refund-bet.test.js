@@ -0,0 +1,62 @@
+const { createTestDatabase } = require('../helpers/database');
+
+describe('refund_bet', () => {
+  let database;
+  let userId;
+  let betId;
+
+  beforeAll(async () => {
+    database = await createTestDatabase();
+  });
+
+  afterAll(async () => {
+    await database.close();
+  });
+
+  beforeEach(async () => {
+    userId = await database.createUser(100);
+    const { data: roundId } = await database.supabase.rpc('create_game_round', { p_game_type: 'crash', p_game_data: {} });
+    const { data } = await database.supabase.rpc('place_bet', {
+      p_game_type: 'crash',
+      p_user_id: userId,
+      p_bet_amount: 40,
+      p_round_id: roundId
+    });
+    betId = data.bet_id;
+  });
+
+  const refund = () => database.supabase.rpc('refund_bet', { p_bet_id: betId });
+
+  test('returns the stake and marks the bet refunded', async () => {
+    const { data, error } = await refund();
+
+    expect(error).toBeNull();
+    expect(data).toEqual({ bet_id: betId, refund_amount: 40, new_balance: 100 });
+
+    const { rows: [bet] } = await database.db.query('select status from game_bets where id = $1', [betId]);
+    expect(bet.status).toBe('refunded');
+  });
+
+  test('a bet is refunded at most once', async () => {
+    await refund();
+
+    expect((await refund()).error.message).toBe('bet is not active');
+    expect(await database.getBalance(userId)).toBe(100);
+  });
+
+  test('only the stake still riding comes back after a partial cashout', async () => {
+    await database.supabase.rpc('partial_cashout_bet', { p_bet_id: betId, p_amount: 10, p_cashout_value: 2 });
+
+    const { data } = await refund();
+
+    expect(data.refund_amount).toBe(30);
+    expect(await database.getBalance(userId)).toBe(110);
+  });
+
+  test('settled bets cannot be refunded', async () => {
+    await database.supabase.rpc('cashout_bet_by_id', { p_bet_id: betId, p_cashout_value: 1.5 });
+
+    expect((await refund()).error.message).toBe('bet is not active');
+    expect(await database.getBalance(userId)).toBe(120);
+  });
+});
@@ -0,0 +1,103 @@
+const { createTestDatabase } = require('../helpers/database');
+
+describe('settle_round_bets', () => {
+  let database;
+  let roundId;
+  let winner;
+  let loser;
+
+  beforeAll(async () => {
+    database = await createTestDatabase();
+  });
+
+  afterAll(async () => {
+    await database.close();
+  });
+
+  const placeBet = async (userId, amount, round = roundId, gameType = 'coinflip') => {
+    const { data } = await database.supabase.rpc('place_bet', {
+      p_game_type: gameType,
+      p_user_id: userId,
+      p_bet_amount: amount,
+      p_round_id: round
+    });
+    return data.bet_id;
+  };
+
+  beforeEach(async () => {
+    ({ data: roundId } = await database.supabase.rpc('create_game_round', { p_game_type: 'coinflip', p_game_data: {} }));
+    winner = { userId: await database.createUser(100) };
+    loser = { userId: await database.createUser(100) };
+    winner.betId = await placeBet(winner.userId, 10);
+    loser.betId = await placeBet(loser.userId, 10);
+  });
+
+  const settle = (settlements, round = roundId) => database.supabase.rpc('settle_round_bets', {
+    p_game_type: 'coinflip',
+    p_round_id: round,
+    p_settlements: settlements
+  });
+
+  const statuses = async () => {
+    const { rows } = await database.db.query('select id, status, payout_amount from game_bets where round_id = $1 order by id', [roundId]);
+    return rows.map(row => ({ id: row.id, status: row.status, payout: Number(row.payout_amount) }));
+  };
+
+  test('pays winners and marks losers lost in one call', async () => {
+    const { data, error } = await settle([
+      { bet_id: winner.betId, multiplier: 1.9 },
+      { bet_id: loser.betId, multiplier: 0 }
+    ]);
+
+    expect(error).toBeNull();
+    expect(data).toEqual([
+      { bet_id: winner.betId, payout_amount: 19, new_balance: 109 },
+      { bet_id: loser.betId, payout_amount: 0, new_balance: 90 }
+    ]);
+    expect(await statuses()).toEqual([
+      { id: winner.betId, status: 'cashed_out', payout: 19 },
+      { id: loser.betId, status: 'lost', payout: 0 }
+    ]);
+  });
+
+  test('settles nothing when one bet is no longer active', async () => {
+    await database.supabase.rpc('refund_bet', { p_bet_id: loser.betId });
+
+    const { error } = await settle([
+      { bet_id: winner.betId, multiplier: 1.9 },
+      { bet_id: loser.betId, multiplier: 0 }
+    ]);
+
+    expect(error.message).toBe('bet is not active');
+    expect((await statuses())[0].status).toBe('active');
+    expect(await database.getBalance(winner.userId)).toBe(90);
+  });
+
+  test('a round cannot be settled twice', async () => {
+    const settlements = [{ bet_id: winner.betId, multiplier: 1.9 }, { bet_id: loser.betId, multiplier: 0 }];
+    await settle(settlements);
+
+    expect((await settle(settlements)).error.message).toBe('bet is not active');
+    expect(await database.getBalance(winner.userId)).toBe(109);
+  });
+
+  test('refuses bets from another round or game', async () => {
+    const { data: otherRound } = await database.supabase.rpc('create_game_round', { p_game_type: 'jackpot', p_game_data: {} });
+    const otherBetId = await placeBet(winner.userId, 5, otherRound, 'jackpot');
+
+    const { error } = await settle([
+      { bet_id: winner.betId, multiplier: 1.9 },
+      { bet_id: otherBetId, multiplier: 2 }
+    ]);
+
+    expect(error.message).toBe('bet not found');
+    expect(await database.getBalance(winner.userId)).toBe(85);
+  });
+
+  test('refuses negative multipliers', async () => {
+    const { error } = await settle([{ bet_id: loser.betId, multiplier: -1 }]);
+
+    expect(error.message).toBe('multiplier must be 0 or more');
+    expect(await database.getBalance(loser.userId)).toBe(90);
+  });
+});
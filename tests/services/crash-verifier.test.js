@@ -0,0 +1,78 @@
+const { hashSeed, computeCrashPoint, verifyCrashRound } = require('../../services/crash-verifier');
+
+describe('computeCrashPoint', () => {
+  test('matches known seed pairs', () => {
+    expect(computeCrashPoint('server-seed', 'client-seed')).toBe(2.01);
+    expect(computeCrashPoint('a', 'b')).toBe(57.01);
+  });
+
+  test('a larger house edge lowers the crash point', () => {
+    expect(computeCrashPoint('server-seed', 'client-seed', 0.05)).toBe(1.93);
+  });
+
+  test('the salt changes the result', () => {
+    expect(computeCrashPoint('server-seed', 'other-salt')).not.toBe(computeCrashPoint('server-seed', 'client-seed'));
+  });
+
+  test('never crashes below 1.00x and always has two decimals', () => {
+    for (let i = 0; i < 2000; i++) {
+      const point = computeCrashPoint(`seed-${i}`, 'salt');
+      expect(point).toBeGreaterThanOrEqual(1);
+      expect(Math.round(point * 100)).toBeCloseTo(point * 100, 6);
+    }
+  });
+
+  test('reaches a multiplier m with probability close to (1 - edge) / m', () => {
+    const rounds = 20000;
+    const points = Array.from({ length: rounds }, (_, i) => computeCrashPoint(`seed-${i}`, 'salt'));
+
+    for (const target of [2, 10]) {
+      const share = points.filter(point => point >= target).length / rounds;
+      expect(Math.abs(share - 0.99 / target)).toBeLessThan(0.01);
+    }
+  });
+});
+
+describe('verifyCrashRound', () => {
+  const serverSeed = 'revealed-seed';
+  const round = {
+    round_number: 42,
+    game_data: {
+      server_seed: serverSeed,
+      game_hash: hashSeed(serverSeed),
+      client_seed: 'block-hash',
+      house_edge: 0.02,
+      chain_id: 3,
+      chain_index: 17,
+      crash_multiplier: computeCrashPoint(serverSeed, 'block-hash', 0.02)
+    }
+  };
+
+  test('accepts a round whose seed and crash point match', () => {
+    expect(verifyCrashRound(round)).toMatchObject({
+      roundNumber: 42,
+      chainId: 3,
+      chainIndex: 17,
+      houseEdge: 0.02,
+      hashValid: true,
+      crashPointValid: true
+    });
+  });
+
+  test('flags a revealed seed that does not hash to the published game hash', () => {
+    const tampered = { ...round, game_data: { ...round.game_data, server_seed: 'other-seed' } };
+    expect(verifyCrashRound(tampered).hashValid).toBe(false);
+  });
+
+  test('flags a recorded crash point that the seeds do not produce', () => {
+    const tampered = { ...round, game_data: { ...round.game_data, crash_multiplier: round.game_data.crash_multiplier + 0.01 } };
+    expect(verifyCrashRound(tampered).crashPointValid).toBe(false);
+  });
+
+  test('rounds recorded before the edge was stored use the 1% default', () => {
+    const { house_edge: _edge, ...gameData } = round.game_data;
+    const legacy = { ...round, game_data: { ...gameData, crash_multiplier: computeCrashPoint(serverSeed, 'block-hash') } };
+
+    expect(verifyCrashRound(legacy)).toMatchObject({ houseEdge: 0.01, crashPointValid: true });
+  });
+});
@@ -0,0 +1,33 @@
+const { generateFloats, floatToInt } = require('../../services/fair-random');
+
+describe('generateFloats', () => {
+  test('is reproducible from the seed pair and nonce', () => {
+    expect(generateFloats('server', 'client', 0, 3)).toEqual([0.8782961692195386, 0.8972703353501856, 0.6312850106041878]);
+    expect(generateFloats('server', 'client', 1, 3)).not.toEqual(generateFloats('server', 'client', 0, 3));
+  });
+
+  test('continues into the next hash round after 8 floats', () => {
+    const floats = generateFloats('server', 'client', 0, 20);
+
+    expect(floats).toHaveLength(20);
+    expect(new Set(floats).size).toBe(20);
+    floats.forEach(value => {
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    });
+  });
+
+  test('an offset picks up exactly where an earlier draw stopped', () => {
+    const all = generateFloats('server', 'client', 4, 12);
+
+    expect(generateFloats('server', 'client', 4, 7, 5)).toEqual(all.slice(5));
+  });
+});
+
+describe('floatToInt', () => {
+  test('maps [0, 1) onto [0, max)', () => {
+    expect(floatToInt(0, 52)).toBe(0);
+    expect(floatToInt(0.5, 52)).toBe(26);
+    expect(floatToInt(0.999999, 52)).toBe(51);
+  });
+});
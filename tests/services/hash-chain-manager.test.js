@@ -0,0 +1,157 @@
+const HashChainManager = require('../../services/hash-chain-manager');
+const { hashSeed } = require('../../services/crash-verifier');
+const { createTestDatabase } = require('../helpers/database');
+
+const BLOCK_HASH = '00000000000000000001a2b3c4d5e6f708192a3b4c5d6e7f8091a2b3c4d5e6f7';
+
+const quietLogger = {
+  info: async () => {},
+  error: async () => {},
+  warning: async () => {},
+  gameEvent: async () => {}
+};
+
+describe('HashChainManager.buildChain', () => {
+  const seeds = HashChainManager.buildChain('root', 5);
+
+  test('every seed is the hash of the one before it', () => {
+    expect(seeds).toHaveLength(6);
+    for (let i = 1; i < seeds.length; i++) {
+      expect(seeds[i]).toBe(hashSeed(seeds[i - 1]));
+    }
+  });
+
+  test('rounds walk the chain backwards from the terminating hash', () => {
+    expect(hashSeed(HashChainManager.seedAt(seeds, 5, 1))).toBe(seeds[5]);
+    for (let index = 2; index <= 5; index++) {
+      expect(hashSeed(HashChainManager.seedAt(seeds, 5, index))).toBe(HashChainManager.seedAt(seeds, 5, index - 1));
+    }
+    expect(HashChainManager.seedAt(seeds, 5, 5)).toBe('root');
+  });
+});
+
+describe('HashChainManager', () => {
+  let database;
+  let manager;
+
+  beforeAll(async () => {
+    database = await createTestDatabase();
+  });
+
+  afterAll(async () => {
+    await database.close();
+  });
+
+  beforeEach(async () => {
+    await database.db.exec('truncate crash_hash_chains restart identity');
+    manager = new HashChainManager({ supabase: database.supabase }, quietLogger, 3);
+  });
+
+  // Pretend the salting block's earliest time has already passed
+  const makeSaltable = () => database.db.exec("update crash_hash_chains set salt_not_before = now() - interval '1 minute'");
+
+  test('publishes a pending chain without a salt and plays nothing until it is salted', async () => {
+    expect(await manager.nextRound()).toBeNull();
+
+    const { rows } = await database.db.query('select status, client_seed, salt_source, salt_not_before, created_at from crash_hash_chains');
+    expect(rows).toHaveLength(1);
+    expect(rows[0].status).toBe('pending');
+    expect(rows[0].client_seed).toBeNull();
+    expect(rows[0].salt_source).toContain('Bitcoin block');
+    expect(rows[0].salt_not_before.getTime()).toBeGreaterThan(rows[0].created_at.getTime());
+
+    // Waiting again does not publish a second chain
+    expect(await manager.nextRound()).toBeNull();
+    const { rows: [{ count }] } = await database.db.query('select count(*)::int as count from crash_hash_chains');
+    expect(count).toBe(1);
+  });
+
+  test('refuses a salt before the salting block can exist', async () => {
+    await manager.initialize();
+
+    const result = await manager.saltChain(1, BLOCK_HASH, 900000);
+
+    expect(result.success).toBe(false);
+    expect(result.message).toMatch(/cannot exist before/);
+  });
+
+  test('rejects malformed block hashes and heights', async () => {
+    await manager.initialize();
+    await makeSaltable();
+
+    expect((await manager.saltChain(1, 'not-a-hash', 900000)).success).toBe(false);
+    expect((await manager.saltChain(1, BLOCK_HASH, -1)).success).toBe(false);
+  });
+
+  test('salts a chain once and plays its rounds with the block hash as client seed', async () => {
+    await manager.initialize();
+    await makeSaltable();
+
+    expect(await manager.saltChain(1, BLOCK_HASH, 900000)).toMatchObject({ success: true, saltReference: 'bitcoin block 900000' });
+    expect((await manager.saltChain(1, BLOCK_HASH, 900001)).message).toBe('hash chain is already salted');
+
+    const first = await manager.nextRound();
+    const second = await manager.nextRound();
+    const { rows: [chain] } = await database.db.query('select terminating_hash, status, next_index from crash_hash_chains where id = 1');
+
+    expect(chain.status).toBe('active');
+    expect(chain.next_index).toBe(3);
+    expect(first).toMatchObject({ chainId: 1, chainIndex: 1, clientSeed: BLOCK_HASH });
+    expect(hashSeed(first.serverSeed)).toBe(chain.terminating_hash);
+    expect(hashSeed(second.serverSeed)).toBe(first.serverSeed);
+    expect(second.gameHash).toBe(first.serverSeed);
+  });
+
+  test('publishes the next chain ahead of time and rolls over once it is salted', async () => {
+    await manager.initialize();
+    await makeSaltable();
+    await manager.saltChain(1, BLOCK_HASH, 900000);
+
+    await manager.nextRound();
+    const { rows: pending } = await database.db.query("select id from crash_hash_chains where status = 'pending'");
+    expect(pending).toEqual([{ id: 2 }]);
+
+    await manager.nextRound();
+    await manager.nextRound();
+    // Chain 1 is used up and chain 2 has no salt yet
+    expect(await manager.nextRound()).toBeNull();
+
+    await makeSaltable();
+    await manager.saltChain(2, BLOCK_HASH.replace('1a2b', 'ffff'), 900100);
+    const round = await manager.nextRound();
+
+    expect(round).toMatchObject({ chainId: 2, chainIndex: 1 });
+    const { rows } = await database.db.query('select id, status from crash_hash_chains order by id');
+    expect(rows.slice(0, 2)).toEqual([{ id: 1, status: 'exhausted' }, { id: 2, status: 'active' }]);
+  });
+
+  test('never hands out an index another process already claimed', async () => {
+    await manager.initialize();
+    await makeSaltable();
+    await manager.saltChain(1, BLOCK_HASH, 900000);
+    await manager.nextRound();
+
+    await database.db.exec('update crash_hash_chains set next_index = 3 where id = 1');
+
+    await expect(manager.nextRound()).rejects.toThrow('index 2 was already used');
+  });
+
+  test('recovers the seed of a claimed round after a restart', async () => {
+    await manager.initialize();
+    await makeSaltable();
+    await manager.saltChain(1, BLOCK_HASH, 900000);
+    const round = await manager.nextRound();
+
+    const restarted = new HashChainManager({ supabase: database.supabase }, quietLogger, 3);
+    expect(await restarted.getRoundSeed(1, round.chainIndex)).toBe(round.serverSeed);
+  });
+
+  test('refuses a chain whose root no longer matches its terminating hash', async () => {
+    await manager.initialize();
+    await makeSaltable();
+    await manager.saltChain(1, BLOCK_HASH, 900000);
+    await database.db.exec("update crash_hash_chains set root_seed = 'tampered'");
+
+    await expect(manager.nextRound()).rejects.toThrow('does not match its terminating hash');
+  });
+});
@@ -0,0 +1,87 @@
+const IdempotencyManager = require('../../services/idempotency-manager');
+
+describe('idempotency manager', () => {
+  let manager;
+
+  beforeEach(() => {
+    manager = new IdempotencyManager();
+  });
+
+  test('a retried request replays the first result without running again', async () => {
+    const operation = jest.fn(async () => ({ success: true, betId: 'bet-1' }));
+
+    const first = await manager.run('user-1', 'dice', 'key-1', { amount: 10, target: 50 }, operation);
+    const retry = await manager.run('user-1', 'dice', 'key-1', { target: 50, amount: 10 }, operation);
+
+    expect(first).toEqual({ result: { success: true, betId: 'bet-1' }, replayed: false });
+    expect(retry).toEqual({ result: { success: true, betId: 'bet-1' }, replayed: true });
+    expect(operation).toHaveBeenCalledTimes(1);
+  });
+
+  test('a duplicate that arrives while the first request is running waits for its result', async () => {
+    let finish;
+    const operation = jest.fn(() => new Promise(resolve => { finish = resolve; }));
+
+    const first = manager.run('user-1', 'dice', 'key-1', { amount: 10 }, operation);
+    const duplicate = manager.run('user-1', 'dice', 'key-1', { amount: 10 }, operation);
+    await new Promise(resolve => setImmediate(resolve));
+    finish({ success: true });
+
+    await expect(first).resolves.toEqual({ result: { success: true }, replayed: false });
+    await expect(duplicate).resolves.toEqual({ result: { success: true }, replayed: true });
+    expect(operation).toHaveBeenCalledTimes(1);
+  });
+
+  test('reusing a key for a different request is refused', async () => {
+    const operation = jest.fn(async () => ({ success: true }));
+
+    await manager.run('user-1', 'dice', 'key-1', { amount: 10 }, operation);
+    const mismatch = await manager.run('user-1', 'dice', 'key-1', { amount: 20 }, operation);
+
+    expect(mismatch).toEqual({ error: 'idempotency key was already used for a different request' });
+    expect(operation).toHaveBeenCalledTimes(1);
+  });
+
+  test('keys are scoped per user and per game', async () => {
+    const operation = jest.fn(async () => ({ success: true }));
+
+    await manager.run('user-1', 'dice', 'key-1', { amount: 10 }, operation);
+    await manager.run('user-2', 'dice', 'key-1', { amount: 10 }, operation);
+    await manager.run('user-1', 'keno', 'key-1', { amount: 10 }, operation);
+
+    expect(operation).toHaveBeenCalledTimes(3);
+  });
+
+  test('thrown errors are not remembered so the client can retry', async () => {
+    const operation = jest.fn()
+      .mockRejectedValueOnce(new Error('database unavailable'))
+      .mockResolvedValueOnce({ success: true });
+
+    await expect(manager.run('user-1', 'dice', 'key-1', { amount: 10 }, operation)).rejects.toThrow('database unavailable');
+    await expect(manager.run('user-1', 'dice', 'key-1', { amount: 10 }, operation)).resolves.toEqual({ result: { success: true }, replayed: false });
+    expect(operation).toHaveBeenCalledTimes(2);
+  });
+
+  test('stored results expire after the retention window', async () => {
+    manager = new IdempotencyManager(1000);
+    const operation = jest.fn(async () => ({ success: true }));
+
+    await manager.run('user-1', 'dice', 'key-1', { amount: 10 }, operation);
+    manager.sweep(Date.now() + 2 * 60 * 1000);
+    await manager.run('user-1', 'dice', 'key-1', { amount: 10 }, operation);
+
+    expect(operation).toHaveBeenCalledTimes(2);
+  });
+
+  test.each([
+    ['', 'idempotency key must be a non-empty string'],
+    [42, 'idempotency key must be a non-empty string'],
+    ['has space', 'idempotency key may only contain printable characters without spaces'],
+    ['x'.repeat(129), 'idempotency key must be at most 128 characters']
+  ])('invalid key %p is refused', async (key, message) => {
+    const operation = jest.fn();
+
+    await expect(manager.run('user-1', 'dice', key, {}, operation)).resolves.toEqual({ error: message });
+    expect(operation).not.toHaveBeenCalled();
+  });
+});
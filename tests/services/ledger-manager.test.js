@@ -0,0 +1,227 @@
+const LedgerManager = require('../../services/ledger-manager');
+const { createTestDatabase } = require('../helpers/database');
+
+describe('ledger manager', () => {
+  describe('buildEntries', () => {
+    const ledger = new LedgerManager({});
+
+    test.each([
+      ['bet_stake', 10, 'user:1', 'house'],
+      ['payout', 19.5, 'house', 'user:1'],
+      ['refund', 10, 'house', 'user:1'],
+      ['bonus', 5, 'house', 'user:1'],
+      ['opening_balance', 100, 'house', 'user:1'],
+      ['opening_balance', -4, 'user:1', 'house'],
+      ['admin_adjustment', 3, 'house', 'user:1'],
+      ['admin_adjustment', -3, 'user:1', 'house']
+    ])('%s of %p is a balanced debit/credit pair', (movement, amount, debited, credited) => {
+      const entries = ledger.buildEntries(movement, 1, amount);
+
+      expect(entries).toEqual([
+        { account: debited, direction: 'debit', amount: Math.abs(amount) },
+        { account: credited, direction: 'credit', amount: Math.abs(amount) }
+      ]);
+    });
+
+    test('unknown movements, zero amounts and negative stakes are refused', () => {
+      expect(() => ledger.buildEntries('jackpot', 1, 10)).toThrow('unknown ledger movement: jackpot');
+      expect(() => ledger.buildEntries('payout', 1, 0)).toThrow('ledger amount must be a non-zero number');
+      expect(() => ledger.buildEntries('payout', 1, NaN)).toThrow('ledger amount must be a non-zero number');
+      expect(() => ledger.buildEntries('bet_stake', 1, -10)).toThrow('bet_stake amount must be positive');
+    });
+  });
+
+  describe('against the database', () => {
+    let database;
+    let ledger;
+
+    beforeAll(async () => {
+      database = await createTestDatabase();
+      ledger = new LedgerManager({ supabase: database.supabase });
+    });
+
+    afterAll(async () => {
+      await database.close();
+    });
+
+    // verify looks at the whole book, so every test starts from an empty one
+    beforeEach(async () => {
+      await database.db.exec('truncate ledger_entries, ledger_transactions, game_bets, game_rounds, users cascade');
+    });
+
+    const openUser = async balance => {
+      const userId = await database.createUser(balance);
+      await ledger.backfillOpeningBalances();
+      return userId;
+    };
+
+    const rpc = async (name, params) => {
+      const { data, error } = await database.supabase.rpc(name, params);
+      expect(error).toBeNull();
+      return data;
+    };
+
+    const createRound = gameType => rpc('create_game_round', { p_game_type: gameType, p_game_data: {} });
+
+    const placeBet = async (userId, amount, roundId, gameType = 'crash') => {
+      const { bet_id: betId } = await rpc('place_bet', { p_game_type: gameType, p_user_id: userId, p_bet_amount: amount, p_round_id: roundId });
+      return betId;
+    };
+
+    test('posted movements move the cached balance and verify', async () => {
+      const userId = await openUser(100);
+
+      await ledger.post('bet_stake', userId, 10);
+      const { newBalance } = await ledger.post('payout', userId, 19.53);
+
+      expect(newBalance).toBeCloseTo(109.53, 9);
+      expect(await ledger.verify()).toMatchObject({
+        balanced: true,
+        houseTotal: -109.53,
+        userTotal: 109.53,
+        netTotal: 0,
+        transactionCount: 3,
+        entryCount: 6,
+        usersChecked: 1,
+        unbalancedTransactions: [],
+        balanceMismatches: []
+      });
+    });
+
+    test('overdrafts are refused and leave no entries behind', async () => {
+      const userId = await openUser(5);
+
+      await expect(ledger.post('bet_stake', userId, 10)).rejects.toThrow('insufficient balance');
+
+      expect(await database.getBalance(userId)).toBe(5);
+      expect(await ledger.verify()).toMatchObject({ balanced: true, transactionCount: 1 });
+    });
+
+    test('the database refuses entries that do not balance or touch another user', async () => {
+      const userId = await openUser(0);
+      const otherUserId = await openUser(0);
+      const post = entries => database.supabase.rpc('post_ledger_transaction', {
+        p_movement: 'bonus',
+        p_user_id: userId,
+        p_entries: entries
+      });
+
+      expect((await post([{ account: `user:${userId}`, direction: 'credit', amount: 5 }])).error.message).toBe('ledger entries must balance');
+      expect((await post([
+        { account: 'house', direction: 'debit', amount: 5 },
+        { account: `user:${otherUserId}`, direction: 'credit', amount: 5 }
+      ])).error.message).toBe('ledger entries may only touch the house and the transaction user');
+    });
+
+    test('users without ledger entries and balances moved outside the ledger are reported', async () => {
+      const userId = await openUser(0);
+      await ledger.post('bonus', userId, 5);
+      await database.db.query('update users set gc_balance = gc_balance - 2 where id = $1', [userId]);
+      const unopenedUserId = await database.createUser(50);
+
+      const report = await ledger.verify();
+
+      expect(report.balanced).toBe(false);
+      expect(report.usersChecked).toBe(2);
+      expect(report.balanceMismatches).toEqual(expect.arrayContaining([
+        { userId, cached: 3, ledger: 5 },
+        { userId: unopenedUserId, cached: 50, ledger: 0 }
+      ]));
+      expect(report.balanceMismatches).toHaveLength(2);
+    });
+
+    test('a one-sided transaction is reported as unbalanced', async () => {
+      const userId = await openUser(0);
+      await ledger.post('bonus', userId, 5);
+      const { rows: [{ id: transactionId }] } = await database.db.query(
+        "insert into ledger_transactions (movement, user_id) values ('bonus', $1) returning id",
+        [userId]
+      );
+      await database.db.query(
+        "insert into ledger_entries (transaction_id, account, direction, amount) values ($1, $2, 'credit', 1)",
+        [transactionId, `user:${userId}`]
+      );
+      await database.db.query('update users set gc_balance = gc_balance + 1 where id = $1', [userId]);
+
+      const report = await ledger.verify();
+
+      expect(report.balanced).toBe(false);
+      expect(report.netTotal).toBe(1);
+      expect(report.unbalancedTransactions).toEqual([{ transactionId, difference: 1 }]);
+      expect(report.balanceMismatches).toEqual([]);
+    });
+
+    test('backfill opens every user for the balance the ledger does not cover, once, without moving the cache', async () => {
+      const first = await database.createUser(120);
+      const second = await database.createUser(50);
+      await database.createUser(0);
+      await ledger.post('payout', first, 20);
+
+      await expect(ledger.backfillOpeningBalances()).resolves.toEqual({ backfilled: 2, usersChecked: 3 });
+      expect(await database.getBalance(first)).toBe(140);
+      expect(await database.getBalance(second)).toBe(50);
+      await expect(ledger.verify()).resolves.toMatchObject({ balanced: true, usersChecked: 3 });
+
+      await expect(ledger.backfillOpeningBalances()).resolves.toEqual({ backfilled: 0, usersChecked: 3 });
+    });
+
+    test('a placed and cashed out bet keeps the books balanced', async () => {
+      const userId = await openUser(100);
+      const roundId = await createRound('crash');
+
+      const betId = await placeBet(userId, 10, roundId);
+      const { rows: stake } = await database.db.query(
+        'select e.account, e.direction, e.amount from ledger_entries e join ledger_transactions t on t.id = e.transaction_id where t.bet_id = $1 order by e.id',
+        [betId]
+      );
+      expect(stake.map(entry => ({ ...entry, amount: Number(entry.amount) }))).toEqual([
+        { account: `user:${userId}`, direction: 'debit', amount: 10 },
+        { account: 'house', direction: 'credit', amount: 10 }
+      ]);
+      expect(await ledger.verify()).toMatchObject({ balanced: true, houseTotal: -90, userTotal: 90 });
+
+      await rpc('cashout_bet_by_id', { p_bet_id: betId, p_cashout_value: 2.5 });
+
+      expect(await ledger.verify()).toMatchObject({ balanced: true, houseTotal: -115, userTotal: 115 });
+    });
+
+    test('every bet RPC posts its movement to the ledger', async () => {
+      const userId = await openUser(1000);
+      const otherUserId = await openUser(1000);
+
+      const crashRound = await createRound('crash');
+      const partial = await placeBet(userId, 40, crashRound);
+      await rpc('partial_cashout_bet', { p_bet_id: partial, p_amount: 10, p_cashout_value: 2 });
+      await rpc('cashout_bet_by_id', { p_bet_id: partial, p_cashout_value: 1.5 });
+      await rpc('refund_bet', { p_bet_id: await placeBet(userId, 7, crashRound) });
+
+      const minesRound = await createRound('mines');
+      await placeBet(userId, 12, minesRound, 'mines');
+      await rpc('cashout_bet', { p_game_type: 'mines', p_user_id: userId, p_round_id: minesRound, p_cashout_value: 1.2337 });
+
+      await rpc('place_instant_bet', { p_game_type: 'dice', p_user_id: userId, p_bet_amount: 5, p_payout_multiplier: 1.9, p_game_data: {} });
+      await rpc('place_instant_bet', { p_game_type: 'dice', p_user_id: userId, p_bet_amount: 5, p_payout_multiplier: 0, p_game_data: {} });
+
+      const flipRound = await createRound('coinflip');
+      const winner = await placeBet(userId, 25, flipRound, 'coinflip');
+      const loser = await placeBet(otherUserId, 25, flipRound, 'coinflip');
+      await rpc('settle_round_bets', {
+        p_game_type: 'coinflip',
+        p_round_id: flipRound,
+        p_settlements: [{ bet_id: winner, multiplier: 1.9 }, { bet_id: loser, multiplier: 0 }]
+      });
+
+      const report = await ledger.verify();
+      const { rows: movements } = await database.db.query('select movement, count(*)::int as count from ledger_transactions group by movement order by movement');
+
+      expect(report).toMatchObject({ balanced: true, netTotal: 0, balanceMismatches: [], unbalancedTransactions: [] });
+      expect(report.userTotal).toBeCloseTo((await database.getBalance(userId)) + (await database.getBalance(otherUserId)), 9);
+      expect(movements).toEqual([
+        { movement: 'bet_stake', count: 7 },
+        { movement: 'opening_balance', count: 2 },
+        { movement: 'payout', count: 5 },
+        { movement: 'refund', count: 1 }
+      ]);
+    });
+  });
+});
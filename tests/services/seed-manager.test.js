@@ -0,0 +1,129 @@
+const SeedManager = require('../../services/seed-manager');
+const { hashServerSeed } = require('../../services/fair-random');
+const { createTestDatabase } = require('../helpers/database');
+
+const quietLogger = {
+  userEvent: async () => {}
+};
+
+describe('SeedManager', () => {
+  let database;
+  let userId;
+  let manager;
+
+  beforeAll(async () => {
+    database = await createTestDatabase();
+  });
+
+  afterAll(async () => {
+    await database.close();
+  });
+
+  beforeEach(async () => {
+    userId = await database.createUser(0);
+    manager = new SeedManager({ supabase: database.supabase }, quietLogger);
+  });
+
+  const storedPairs = async () => {
+    const { rows } = await database.db.query('select id, server_seed, server_seed_hash, client_seed, nonce, status from user_seed_pairs where user_id = $1 order by id', [userId]);
+    return rows;
+  };
+
+  test('creates a pair on first use and hands out nonces from 0', async () => {
+    const first = await manager.claimNonce(userId);
+    const second = await manager.claimNonce(userId);
+
+    expect(first.nonce).toBe(0);
+    expect(second.nonce).toBe(1);
+    expect(second.pairId).toBe(first.pairId);
+    expect(first.serverSeedHash).toBe(hashServerSeed(first.serverSeed));
+
+    const [pair] = await storedPairs();
+    expect(pair).toMatchObject({ status: 'active', nonce: 2, server_seed_hash: first.serverSeedHash });
+  });
+
+  test('concurrent claims never share a nonce', async () => {
+    const claims = await Promise.all(Array.from({ length: 10 }, () => manager.claimNonce(userId)));
+
+    expect(claims.map(claim => claim.nonce).sort((a, b) => a - b)).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+    expect((await storedPairs())[0].nonce).toBe(10);
+  });
+
+  test('a restarted process continues from the persisted nonce', async () => {
+    await manager.claimNonce(userId);
+    await manager.claimNonce(userId);
+
+    const restarted = new SeedManager({ supabase: database.supabase }, quietLogger);
+    expect((await restarted.claimNonce(userId)).nonce).toBe(2);
+  });
+
+  test('the public pair never includes the server seed', async () => {
+    await manager.claimNonce(userId);
+
+    const pair = await manager.getPublicPair(userId);
+
+    expect(Object.keys(pair).sort()).toEqual(['clientSeed', 'nonce', 'serverSeedHash']);
+    expect(pair.nonce).toBe(1);
+  });
+
+  test('rotating reveals the old server seed and restarts the nonce on a new pair', async () => {
+    const claim = await manager.claimNonce(userId);
+
+    const { previous, active } = await manager.rotateSeed(userId, 'my-seed');
+
+    expect(previous).toEqual({
+      serverSeed: claim.serverSeed,
+      serverSeedHash: claim.serverSeedHash,
+      clientSeed: claim.clientSeed,
+      nonce: 1
+    });
+    expect(active).toMatchObject({ clientSeed: 'my-seed', nonce: 0 });
+    expect(active.serverSeedHash).not.toBe(claim.serverSeedHash);
+
+    const pairs = await storedPairs();
+    expect(pairs.map(pair => pair.status)).toEqual(['revealed', 'active']);
+    expect((await manager.claimNonce(userId)).nonce).toBe(0);
+  });
+
+  test('rotating keeps the client seed when no new one is given', async () => {
+    const claim = await manager.claimNonce(userId);
+
+    const { active } = await manager.rotateSeed(userId);
+
+    expect(active.clientSeed).toBe(claim.clientSeed);
+  });
+
+  test('a held pair cannot rotate until the game releases it', async () => {
+    await manager.claimNonce(userId, true);
+
+    await expect(manager.rotateSeed(userId)).rejects.toThrow('finish your game in progress before changing seeds');
+
+    manager.release(userId);
+    await expect(manager.rotateSeed(userId)).resolves.toHaveProperty('previous');
+  });
+
+  test('a restored game only reclaims the pair it was dealt from', async () => {
+    const claim = await manager.claimNonce(userId, true);
+    const restarted = new SeedManager({ supabase: database.supabase }, quietLogger);
+
+    expect(await restarted.reclaim(userId, 'some-other-hash')).toBeNull();
+    expect(await restarted.reclaim(userId, claim.serverSeedHash)).toMatchObject({ serverSeedHash: claim.serverSeedHash });
+    await expect(restarted.rotateSeed(userId)).rejects.toThrow('finish your game in progress');
+  });
+
+  test('the database refuses a second active pair for a player', async () => {
+    await manager.claimNonce(userId);
+
+    await expect(database.db.query(
+      "insert into user_seed_pairs (user_id, server_seed, server_seed_hash, client_seed) values ($1, 'a', 'b', 'c')",
+      [userId]
+    )).rejects.toThrow('user_seed_pairs_active_idx');
+  });
+
+  test('validates client seeds', () => {
+    expect(manager.validateClientSeed('')).toBe('client seed is required');
+    expect(manager.validateClientSeed('x'.repeat(65))).toBe('client seed must be at most 64 characters');
+    expect(manager.validateClientSeed('tab\there')).toBe('client seed may only contain printable characters');
+    expect(manager.validateClientSeed('lucky seed 7')).toBeNull();
+  });
+});